@@ -0,0 +1,52 @@
+"use strict";
+
+const { isValidDate } = require("../services/portfolioEvents");
+const { listAuditEntries, loadAuditFilters } = require("../services/audit");
+
+// GET /api/audit?user=&action=&fromDate=&toDate=&page=
+exports.listAuditEntries = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const fromDate = String(req.query.fromDate || "").trim();
+    const toDate = String(req.query.toDate || "").trim();
+    if ((fromDate && !isValidDate(fromDate)) || (toDate && !isValidDate(toDate))) {
+      return res.status(400).json({ message: "fromDate and toDate must be in YYYY-MM-DD format" });
+    }
+
+    const result = await listAuditEntries(app.zcql(), {
+      userEmail: String(req.query.user || "").trim() || null,
+      action: String(req.query.action || "").trim() || null,
+      fromDate: fromDate || null,
+      toDate: toDate || null,
+      page: parseInt(req.query.page || "1", 10),
+    });
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error("[listAuditEntries] Error:", err);
+    return res.status(500).json({
+      message: "Failed to fetch audit log",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// GET /api/audit/filters
+exports.getAuditFilters = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    return res.status(200).json(await loadAuditFilters(app.zcql()));
+  } catch (err) {
+    console.error("[getAuditFilters] Error:", err);
+    return res.status(500).json({
+      message: "Failed to fetch audit filters",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
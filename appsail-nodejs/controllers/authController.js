@@ -0,0 +1,136 @@
+"use strict";
+
+const {
+  publicUser,
+  validateUser,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  login,
+} = require("../services/auth");
+const { setAuditDetails } = require("../middleware/audit");
+
+// POST /api/auth/login
+// Body: { email, password }
+exports.login = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ message: "email and password are required" });
+    }
+
+    const result = await login(app, email, password);
+    if (result.error) {
+      return res.status(401).json({ message: result.error });
+    }
+    console.log(`[login] ${result.user.email} signed in as ${result.user.role}`);
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error("[login] Error:", err);
+    return res.status(500).json({
+      message: "Failed to sign in",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// GET /api/auth/me
+exports.getCurrentUser = async (req, res) => {
+  const scope = req.clientScope;
+  return res.status(200).json({
+    ...req.user,
+    clientCount: scope ? scope.size : null,
+  });
+};
+
+// GET /api/auth/users
+exports.listUsers = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    const users = await listUsers(app.zcql());
+    return res.status(200).json(users.map(publicUser));
+  } catch (err) {
+    console.error("[listUsers] Error:", err);
+    return res.status(500).json({
+      message: "Failed to fetch users",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// POST /api/auth/users
+// Body: { email, name?, password, role, rmId?, advisorId?, branchId? }
+exports.createUser = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const { fields, error } = validateUser(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await createUser(app, fields);
+    if (result.error) {
+      return res.status(409).json({ message: result.error });
+    }
+    console.log(`[createUser] ${req.user.email} created ${result.user.email} (${result.user.role})`);
+    return res.status(201).json(publicUser(result.user));
+  } catch (err) {
+    console.error("[createUser] Error:", err);
+    return res.status(500).json({
+      message: "Failed to create user",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// PUT /api/auth/users/:id
+// Body: any of { email, name, password, role, active, rmId, advisorId, branchId }
+exports.updateUser = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const existing = await getUser(app.zcql(), req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const { fields, error } = validateUser(req.body || {}, { partial: true });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    // An admin locking themselves out would leave nobody to undo it
+    if (existing.id === req.user.id && ((fields.Role && fields.Role !== existing.role) || fields.Active === false)) {
+      return res.status(400).json({ message: "You cannot change your own role or deactivate yourself" });
+    }
+
+    const result = await updateUser(app, existing.id, fields);
+    if (result.error) {
+      return res.status(409).json({ message: result.error });
+    }
+    setAuditDetails(req, { before: publicUser(existing), after: publicUser(result.user) });
+    console.log(`[updateUser] ${req.user.email} updated ${result.user.email}`);
+    return res.status(200).json(publicUser(result.user));
+  } catch (err) {
+    console.error("[updateUser] Error:", err);
+    return res.status(500).json({
+      message: "Failed to update user",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
@@ -0,0 +1,493 @@
+"use strict";
+
+// Corporate actions are matched to securities the same way the holdings
+// endpoints do: by ISIN through the security master, else by normalised name
+const { loadSecurityIndex } = require("../services/securityMaster");
+const { setAuditDetails } = require("../middleware/audit");
+const { select } = require("../services/queryBuilder");
+const { fetchRows } = require("../services/rowFetcher");
+const { repositoriesFor } = require("../services/repositories");
+
+const SPLIT_TABLE = "Split";
+const MERGER_TABLE = "Merger";
+const DEMERGER_TABLE = "Demerger";
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return 0;
+  const parsed = Number(String(value).replace(/,/g, "").trim());
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+// The Bonus page sends "Name (Code)" from the security dropdown
+const splitSecurityLabel = (label) => {
+  const text = String(label || "").trim();
+  const match = text.match(/^(.*?)\s*\(([^()]*)\)\s*$/);
+  if (!match) return { name: text, code: "" };
+  return { name: match[1].trim(), code: match[2].trim() };
+};
+
+/**
+ * Bonus shares for one grid row. Corrected Qty on the Bonus page is the
+ * corrected post-bonus holding, so the bonus is the difference to the
+ * current holding; otherwise floor(current / shareUnit * allottedUnit).
+ */
+const computeBonusQty = (row, shareUnit, allottedUnit) => {
+  const currentQty = toNumber(row.currentQty);
+  const corrected = row.correctedQty;
+  if (corrected !== undefined && corrected !== null && String(corrected).trim() !== "") {
+    return Math.max(0, Math.floor(toNumber(corrected) - currentQty));
+  }
+  if (shareUnit <= 0) return 0;
+  return Math.floor((currentQty / shareUnit) * allottedUnit);
+};
+
+const loadAccountCodes = async (repos, clientIds) => {
+  const wanted = new Set(clientIds);
+  const mapping = new Map();
+  const rows = await repos.clientIds.find(repos.clientIds.select().whereNotNull("ws_account_code"), {
+    label: "loadAccountCodes",
+  });
+  rows.forEach((r) => {
+    const clientId = Number(r.clientId ?? r.ClientId ?? r.client_id);
+    const accountCode = r.ws_account_code || r.WS_Account_code;
+    if (!Number.isNaN(clientId) && wanted.has(clientId) && accountCode) {
+      mapping.set(clientId, String(accountCode).trim());
+    }
+  });
+  return mapping;
+};
+
+// Bonus rows already stored on the ex-date, so saving the same allocation
+// twice updates instead of duplicating (and the audit log can show what was
+// overwritten). Grid rows can name different securities, so the returned
+// lookup matches each allocation on its own client, company and code.
+const loadExistingBonuses = async (zcql, repos, exDate) => {
+  const rows = await repos.bonuses.find(repos.bonuses.select().where("ExDate", "=", exDate), {
+    label: "loadExistingBonuses",
+  });
+  const securityIndex = await loadSecurityIndex(zcql);
+  const byClient = new Map();
+  rows.forEach((b) => {
+    const clientId = Number(b.ClientId);
+    if (Number.isNaN(clientId) || !b.ROWID) return;
+    if (!byClient.has(clientId)) byClient.set(clientId, []);
+    byClient.get(clientId).push(b);
+  });
+  return ({ clientId, companyName, securityCode }) => {
+    const target = { name: companyName, code: securityCode };
+    const stored = byClient.get(clientId) || [];
+    return stored.find((b) => securityIndex.sameSecurity({ name: b.CompanyName, code: b.SecurityCode }, target)) || null;
+  };
+};
+
+// POST /api/corporate-actions/bonus
+// Body: { securityName, securityCode, shareUnit, allottedUnit, recordDate, exDate?,
+//         rows: [{ clientId, stockName, securityCode, currentQty, correctedQty }] }
+exports.saveBonus = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const body = req.body || {};
+    const label = splitSecurityLabel(body.securityName);
+    const securityCode = String(body.securityCode || label.code || "").trim();
+    const shareUnit = toNumber(body.shareUnit);
+    const allottedUnit = toNumber(body.allottedUnit);
+    const exDate = String(body.exDate || body.recordDate || "").trim();
+    const gridRows = Array.isArray(body.rows) ? body.rows : [];
+
+    if (!label.name && !securityCode) {
+      return res.status(400).json({ message: "securityName or securityCode is required" });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(exDate)) {
+      return res.status(400).json({ message: "recordDate must be in YYYY-MM-DD format" });
+    }
+    if (shareUnit <= 0 || allottedUnit <= 0) {
+      return res.status(400).json({ message: "shareUnit and allottedUnit must be positive numbers" });
+    }
+    if (gridRows.length === 0) {
+      return res.status(400).json({ message: "At least one client row is required" });
+    }
+
+    const allocations = [];
+    const skipped = [];
+    gridRows.forEach((row, index) => {
+      const clientId = Number(String(row.clientId ?? "").trim());
+      if (!String(row.clientId ?? "").trim() || Number.isNaN(clientId)) {
+        skipped.push({ index, clientId: row.clientId, reason: "Invalid client ID" });
+        return;
+      }
+      const bonusShare = computeBonusQty(row, shareUnit, allottedUnit);
+      if (bonusShare <= 0) {
+        skipped.push({ index, clientId, reason: "Bonus quantity is zero" });
+        return;
+      }
+      allocations.push({
+        clientId,
+        // Holdings match bonuses on Security_Name, so keep the grid's stock name
+        companyName: String(row.stockName || label.name).trim(),
+        securityCode: String(row.securityCode || securityCode).trim(),
+        bonusShare,
+      });
+    });
+
+    if (allocations.length === 0) {
+      return res.status(400).json({ message: "No bonus allocations to save", skipped });
+    }
+
+    const zcql = app.zcql();
+    const repos = repositoriesFor(app);
+    const accountCodes = await loadAccountCodes(
+      repos,
+      allocations.map((a) => a.clientId)
+    );
+    const existingFor = await loadExistingBonuses(zcql, repos, exDate);
+
+    const toInsert = [];
+    const toUpdate = [];
+    const overwritten = [];
+    allocations.forEach((a) => {
+      const record = {
+        ClientId: a.clientId,
+        wsAccountCode: accountCodes.get(a.clientId) || null,
+        CompanyName: a.companyName,
+        SecurityCode: a.securityCode,
+        ExDate: exDate,
+        BonusShare: a.bonusShare,
+        EXCHG: body.exchange || null,
+        SCHEMENAME: body.schemeName || null,
+      };
+      const stored = existingFor(a);
+      if (stored) {
+        toUpdate.push({ ROWID: stored.ROWID, ...record });
+        overwritten.push(stored);
+      } else {
+        toInsert.push(record);
+      }
+    });
+
+    await repos.bonuses.insert(toInsert);
+    await repos.bonuses.update(toUpdate);
+    const inserted = toInsert.length;
+    const updated = toUpdate.length;
+    setAuditDetails(req, {
+      before: overwritten,
+      after: [...toUpdate, ...toInsert],
+    });
+
+    console.log(
+      `[saveBonus] ${label.name || securityCode} ex ${exDate}: inserted ${inserted}, updated ${updated}, skipped ${skipped.length}`
+    );
+
+    return res.status(200).json({
+      success: true,
+      inserted,
+      updated,
+      skipped,
+      message: `Saved bonus for ${inserted + updated} client(s)`,
+    });
+  } catch (err) {
+    console.error("[saveBonus] Error:", err);
+    return res.status(500).json({
+      message: "Failed to save bonus",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// POST /api/corporate-actions/split
+// Body: { securityName, securityCode, ratioFrom, ratioTo, exDate, clientId? }
+// A split applies to every client holding the security unless clientId is given.
+exports.saveSplit = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const body = req.body || {};
+    const label = splitSecurityLabel(body.securityName);
+    const securityCode = String(body.securityCode || label.code || "").trim();
+    const ratioFrom = toNumber(body.ratioFrom ?? body.shareUnit);
+    const ratioTo = toNumber(body.ratioTo ?? body.allottedUnit);
+    const exDate = String(body.exDate || body.recordDate || "").trim();
+    const clientIdRaw = String(body.clientId ?? "").trim();
+    const clientId = clientIdRaw ? Number(clientIdRaw) : null;
+
+    if (!label.name) {
+      return res.status(400).json({ message: "securityName is required" });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(exDate)) {
+      return res.status(400).json({ message: "exDate must be in YYYY-MM-DD format" });
+    }
+    if (ratioFrom <= 0 || ratioTo <= 0 || ratioFrom === ratioTo) {
+      return res.status(400).json({ message: "ratioFrom and ratioTo must be positive and different" });
+    }
+    if (clientId !== null && Number.isNaN(clientId)) {
+      return res.status(400).json({ message: "Invalid client ID" });
+    }
+
+    const zcql = app.zcql();
+    const table = app.datastore().table(SPLIT_TABLE);
+
+    // Re-saving the same split (security, ex-date, client scope) updates it
+    const existingRows = await fetchRows(zcql, select(SPLIT_TABLE).where("ExDate", "=", exDate), { label: "saveSplit" });
+    const securityIndex = await loadSecurityIndex(zcql);
+    const target = { name: label.name, code: securityCode };
+    const existing = existingRows
+      .map((row) => row.Split || row[SPLIT_TABLE] || row)
+      .find((s) => {
+        const rowClientId = s.ClientId === null || s.ClientId === undefined || s.ClientId === "" ? null : Number(s.ClientId);
+        return securityIndex.sameSecurity({ name: s.CompanyName, code: s.SecurityCode }, target) && rowClientId === clientId;
+      });
+
+    const record = {
+      CompanyName: label.name,
+      SecurityCode: securityCode,
+      ExDate: exDate,
+      RatioFrom: ratioFrom,
+      RatioTo: ratioTo,
+      ClientId: clientId,
+    };
+
+    const saved = existing
+      ? await table.updateRow({ ROWID: existing.ROWID, ...record })
+      : await table.insertRow(record);
+    setAuditDetails(req, {
+      before: existing || null,
+      after: saved,
+      rowCounts: existing ? { updated: 1 } : { inserted: 1 },
+    });
+
+    console.log(
+      `[saveSplit] ${existing ? "Updated" : "Inserted"} split ${label.name} ${ratioFrom}:${ratioTo} ex ${exDate}`
+    );
+
+    return res.status(200).json({
+      success: true,
+      updated: !!existing,
+      split: saved,
+      message: `Saved ${ratioFrom}:${ratioTo} split for ${label.name}`,
+    });
+  } catch (err) {
+    console.error("[saveSplit] Error:", err);
+    return res.status(500).json({
+      message: "Failed to save split",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// GET /api/corporate-actions/split?securityName=&securityCode=
+exports.listSplits = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const label = splitSecurityLabel(req.query.securityName);
+    const securityCode = String(req.query.securityCode || label.code || "").trim().toUpperCase();
+    const zcql = app.zcql();
+    const securityIndex = await loadSecurityIndex(zcql);
+    const target = { name: label.name, code: securityCode };
+
+    const rows = await fetchRows(zcql, select(SPLIT_TABLE).orderBy("ExDate", "ASC"), { label: "listSplits" });
+
+    const splits = rows
+      .map((row) => row.Split || row[SPLIT_TABLE] || row)
+      .filter((s) => {
+        if (!label.name && !securityCode) return true;
+        return (
+          (label.name && securityIndex.sameSecurity({ name: s.CompanyName, code: s.SecurityCode }, target)) ||
+          (securityCode && String(s.SecurityCode || "").trim().toUpperCase() === securityCode)
+        );
+      })
+      .map((s) => ({
+        id: s.ROWID,
+        companyName: s.CompanyName,
+        securityCode: s.SecurityCode,
+        exDate: s.ExDate,
+        ratioFrom: toNumber(s.RatioFrom),
+        ratioTo: toNumber(s.RatioTo),
+        clientId: s.ClientId ?? null,
+      }));
+
+    return res.status(200).json(splits);
+  } catch (err) {
+    console.error("[listSplits] Error:", err);
+    return res.status(500).json({
+      message: "Failed to fetch splits",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// Mergers and demergers both move lots from one security to another; the
+// tables differ only in column prefixes (Old/New vs Parent/Child)
+const TRANSFER_ACTIONS = {
+  merger: { table: MERGER_TABLE, from: "Old", to: "New", label: "merger", fn: "Merger" },
+  demerger: { table: DEMERGER_TABLE, from: "Parent", to: "Child", label: "demerger", fn: "Demerger" },
+};
+
+const toTransferResponse = (config, r) => ({
+  id: r.ROWID,
+  fromCompanyName: r[`${config.from}CompanyName`],
+  fromSecurityCode: r[`${config.from}SecurityCode`],
+  toCompanyName: r[`${config.to}CompanyName`],
+  toSecurityCode: r[`${config.to}SecurityCode`],
+  exDate: r.ExDate,
+  ratioFrom: toNumber(r.RatioFrom),
+  ratioTo: toNumber(r.RatioTo),
+  ...(config.table === DEMERGER_TABLE ? { costAllocationPct: toNumber(r.CostAllocationPct) } : {}),
+  clientId: r.ClientId ?? null,
+});
+
+// Body: { fromSecurityName, fromSecurityCode, toSecurityName, toSecurityCode,
+//         ratioFrom, ratioTo, exDate, clientId?, costAllocationPct (demerger only) }
+const saveTransferAction = async (kind, req, res) => {
+  const config = TRANSFER_ACTIONS[kind];
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const body = req.body || {};
+    const fromLabel = splitSecurityLabel(body.fromSecurityName);
+    const toLabel = splitSecurityLabel(body.toSecurityName);
+    const ratioFrom = toNumber(body.ratioFrom);
+    const ratioTo = toNumber(body.ratioTo);
+    const exDate = String(body.exDate || "").trim();
+    const clientIdRaw = String(body.clientId ?? "").trim();
+    const clientId = clientIdRaw ? Number(clientIdRaw) : null;
+    const costAllocationPct = toNumber(body.costAllocationPct);
+
+    if (!fromLabel.name || !toLabel.name) {
+      return res.status(400).json({ message: "fromSecurityName and toSecurityName are required" });
+    }
+    const zcql = app.zcql();
+    const securityIndex = await loadSecurityIndex(zcql);
+    const fromSecurity = { name: fromLabel.name, code: String(body.fromSecurityCode || fromLabel.code || "").trim() };
+    const toSecurity = { name: toLabel.name, code: String(body.toSecurityCode || toLabel.code || "").trim() };
+
+    if (securityIndex.sameSecurity(fromSecurity, toSecurity)) {
+      return res.status(400).json({ message: "fromSecurityName and toSecurityName must differ" });
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(exDate)) {
+      return res.status(400).json({ message: "exDate must be in YYYY-MM-DD format" });
+    }
+    if (ratioFrom <= 0 || ratioTo <= 0) {
+      return res.status(400).json({ message: "ratioFrom and ratioTo must be positive numbers" });
+    }
+    if (config.table === DEMERGER_TABLE && (costAllocationPct < 0 || costAllocationPct > 100)) {
+      return res.status(400).json({ message: "costAllocationPct must be between 0 and 100" });
+    }
+    if (clientId !== null && Number.isNaN(clientId)) {
+      return res.status(400).json({ message: "Invalid client ID" });
+    }
+
+    const table = app.datastore().table(config.table);
+
+    // Re-saving the same action (securities, ex-date, client scope) updates it
+    const existingRows = await fetchRows(zcql, select(config.table).where("ExDate", "=", exDate), { label: `save${config.table}` });
+    const existing = existingRows
+      .map((row) => row[config.table] || row)
+      .find((r) => {
+        const rowClientId = r.ClientId === null || r.ClientId === undefined || r.ClientId === "" ? null : Number(r.ClientId);
+        return (
+          securityIndex.sameSecurity(
+            { name: r[`${config.from}CompanyName`], code: r[`${config.from}SecurityCode`] },
+            fromSecurity
+          ) &&
+          securityIndex.sameSecurity({ name: r[`${config.to}CompanyName`], code: r[`${config.to}SecurityCode`] }, toSecurity) &&
+          rowClientId === clientId
+        );
+      });
+
+    const record = {
+      [`${config.from}CompanyName`]: fromLabel.name,
+      [`${config.from}SecurityCode`]: fromSecurity.code,
+      [`${config.to}CompanyName`]: toLabel.name,
+      [`${config.to}SecurityCode`]: toSecurity.code,
+      ExDate: exDate,
+      RatioFrom: ratioFrom,
+      RatioTo: ratioTo,
+      ClientId: clientId,
+    };
+    if (config.table === DEMERGER_TABLE) record.CostAllocationPct = costAllocationPct;
+
+    const saved = existing
+      ? await table.updateRow({ ROWID: existing.ROWID, ...record })
+      : await table.insertRow(record);
+    setAuditDetails(req, {
+      before: existing || null,
+      after: saved,
+      rowCounts: existing ? { updated: 1 } : { inserted: 1 },
+    });
+
+    console.log(
+      `[save${config.fn}] ${existing ? "Updated" : "Inserted"} ${config.label} ${fromLabel.name} -> ${toLabel.name} ${ratioFrom}:${ratioTo} ex ${exDate}`
+    );
+
+    return res.status(200).json({
+      success: true,
+      updated: !!existing,
+      [config.label]: toTransferResponse(config, saved || record),
+      message: `Saved ${config.label} of ${fromLabel.name} into ${toLabel.name}`,
+    });
+  } catch (err) {
+    console.error(`[save${config.fn}] Error:`, err);
+    return res.status(500).json({
+      message: `Failed to save ${config.label}`,
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// GET ?securityName= matches either side of the action
+const listTransferActions = async (kind, req, res) => {
+  const config = TRANSFER_ACTIONS[kind];
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const zcql = app.zcql();
+    const securityIndex = await loadSecurityIndex(zcql);
+    const target = { name: splitSecurityLabel(req.query.securityName).name };
+    const rows = await fetchRows(zcql, select(config.table).orderBy("ExDate", "ASC"), { label: `list${config.table}` });
+
+    const actions = rows
+      .map((row) => toTransferResponse(config, row[config.table] || row))
+      .filter(
+        (a) =>
+          !target.name ||
+          securityIndex.sameSecurity({ name: a.fromCompanyName, code: a.fromSecurityCode }, target) ||
+          securityIndex.sameSecurity({ name: a.toCompanyName, code: a.toSecurityCode }, target)
+      );
+
+    return res.status(200).json(actions);
+  } catch (err) {
+    console.error(`[list${config.fn}s] Error:`, err);
+    return res.status(500).json({
+      message: `Failed to fetch ${config.label}s`,
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// POST /api/corporate-actions/merger
+exports.saveMerger = (req, res) => saveTransferAction("merger", req, res);
+
+// GET /api/corporate-actions/merger?securityName=
+exports.listMergers = (req, res) => listTransferActions("merger", req, res);
+
+// POST /api/corporate-actions/demerger
+exports.saveDemerger = (req, res) => saveTransferAction("demerger", req, res);
+
+// GET /api/corporate-actions/demerger?securityName=
+exports.listDemergers = (req, res) => listTransferActions("demerger", req, res);
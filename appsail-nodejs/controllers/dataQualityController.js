@@ -0,0 +1,70 @@
+"use strict";
+
+const { isValidDate } = require("../services/portfolioEvents");
+const { ISSUE_TYPES, runScan, listIssues } = require("../services/dataQuality");
+
+const parseClientId = (value) => {
+  const raw = String(value ?? "").trim();
+  if (!raw) return { clientId: null };
+  return /^\d+$/.test(raw) ? { clientId: parseInt(raw, 10) } : { error: "Invalid client ID" };
+};
+
+// POST /api/data-quality/scan
+// Body: { clientId?, endDate? } - omit clientId to rescan every client
+exports.scanDataQuality = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const body = req.body || {};
+    const { clientId, error } = parseClientId(body.clientId);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const endDate = String(body.endDate || "").trim();
+    if (endDate && !isValidDate(endDate)) {
+      return res.status(400).json({ message: "endDate must be in YYYY-MM-DD format" });
+    }
+
+    const result = await runScan(app, { clientId, endDate: endDate || null });
+    console.log(
+      `[scanDataQuality] ${result.clients} clients scanned, ${result.summary.issues} issues, ${result.failures.length} failures`
+    );
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error("[scanDataQuality] Error:", err);
+    return res.status(500).json({
+      message: "Failed to scan data quality",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// GET /api/data-quality/issues?clientId=&type=
+exports.listDataQualityIssues = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const { clientId, error } = parseClientId(req.query.clientId);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+    const type = String(req.query.type || "").trim();
+    if (type && !Object.values(ISSUE_TYPES).includes(type)) {
+      return res.status(400).json({ message: `type must be one of ${Object.values(ISSUE_TYPES).join(", ")}` });
+    }
+
+    return res.status(200).json(await listIssues(app.zcql(), { clientId, type: type || null, clientScope: req.clientScope }));
+  } catch (err) {
+    console.error("[listDataQualityIssues] Error:", err);
+    return res.status(500).json({
+      message: "Failed to fetch data-quality issues",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
@@ -4,17 +4,64 @@ const XLSX = require('xlsx');
 const csv = require('csv-parser');
 const fs = require('fs');
 const path = require('path');
-const { Readable } = require('stream');
-const catalyst = require('zcatalyst-sdk-node');
+const crypto = require('crypto');
+const { Readable, pipeline } = require('stream');
+const { EventEmitter } = require('events');
+const { CATEGORIES, classifyTransaction } = require('../services/cashLedger');
+const {
+	JOB_ID_COLUMN,
+	JOB_STATUS,
+	createJob,
+	saveJobProgress,
+	findJob,
+	listJobs,
+	jobToProgress,
+	rollbackJob
+} = require('../services/importJobs');
+const mappingProfiles = require('../services/mappingProfiles');
+const uploadSessions = require('../services/uploadSessions');
+const { setAuditDetails, auditInBackground } = require('../middleware/audit');
+const { select } = require('../services/queryBuilder');
+const { fetchRows } = require('../services/rowFetcher');
+const { initializeApp } = require('../services/storage');
+const { repositoriesFor } = require('../services/repositories');
+const { UPLOAD_STATUS } = uploadSessions;
 const DEFAULT_TABLE = 'Transaction';
+// Rows written per chunk of a CSV import; progress and the resume point move once per chunk
+const CSV_CHUNK_SIZE = Number(process.env.IMPORT_CHUNK_SIZE) || 10000;
 
 // In-memory progress tracker (per runtime instance)
 const IMPORT_PROGRESS = new Map();
+// Emits the progress record under its import id each time it is stored, for the SSE stream
+const PROGRESS_EVENTS = new EventEmitter();
+PROGRESS_EVENTS.setMaxListeners(0);
+
+function setProgress(importId, state) {
+	IMPORT_PROGRESS.set(importId, state);
+	PROGRESS_EVENTS.emit(importId, state);
+}
 
 function newImportId() {
 	return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
 }
 
+// Completes the request's audit entry with the import's final counts once it
+// reaches 'completed' or 'error'
+function auditImport(req, importId) {
+	const finishAudit = auditInBackground(req);
+	const onProgress = (state) => {
+		if (state.stage !== 'completed' && state.stage !== 'error') return;
+		PROGRESS_EVENTS.removeListener(importId, onProgress);
+		finishAudit(state.stage === 'error'
+			? { error: state.message || 'Import failed' }
+			: {
+				rowCounts: { inserted: state.inserted || 0, updated: state.updated || 0, skipped: state.skipped || 0, errors: state.errors || 0 },
+				message: state.message
+			});
+	};
+	PROGRESS_EVENTS.on(importId, onProgress);
+}
+
 // Allowed columns as per Data Store schema (underscore-separated)
 const ALLOWED_COLUMNS = new Set([
 	'WS_client_id','WS_Account_code','TRANDATE','SETDATE','Tran_Type','Tran_Desc',
@@ -156,12 +203,8 @@ const COLUMN_MAPPING = {
 	'Scheme Name': 'SCHEMENAME'
 };
 
-// Canonicalize helper to match headers regardless of spaces, dots, slashes or case
-function canonicalize(name) {
-	return String(name || '')
-		.toLowerCase()
-		.replace(/[^a-z0-9]/g, ''); // remove all non-alphanumerics
-}
+// Match headers regardless of spaces, dots, slashes or case (shared with mapping profiles)
+const { canonicalize } = mappingProfiles;
 
 // Precompute canonical -> schema column map
 const CANONICAL_TO_SCHEMA = (() => {
@@ -245,26 +288,84 @@ function parseExcelFile(buffer) {
 	}
 }
 
-function mapRowToDatabaseFormat(excelRow) {
+// Header row only, for picking a mapping profile before the full parse
+function readExcelHeaders(buffer) {
+	const workbook = XLSX.read(buffer, { type: 'buffer', sheetRows: 1 });
+	const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+	const [headerRow] = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: null });
+	return (headerRow || []).filter(h => h !== null && h !== '').map(String);
+}
+
+function readCsvHeaders(filePath) {
+	return new Promise((resolve, reject) => {
+		const stream = fs.createReadStream(filePath, { encoding: 'utf8' });
+		stream.on('error', reject);
+		stream.pipe(csv())
+			.on('headers', (headers) => {
+				resolve(headers);
+				stream.destroy();
+			})
+			.on('end', () => resolve([]))
+			.on('error', reject);
+	});
+}
+
+// Mapping profile for an upload: profileId from the form or query, otherwise detected from the headers
+async function profileForUpload(req, app, headers) {
+	const profileId = (req.body && req.body.profileId) || req.query.profileId || null;
+	try {
+		return await mappingProfiles.resolveProfile(app.zcql(), { profileId, headers });
+	} catch (err) {
+		// A requested profile has to exist; detection is best-effort
+		if (profileId) throw err;
+		console.error('[Import] Mapping profile detection failed:', err.message);
+		return { profile: null, detected: false };
+	}
+}
+
+const profileSummary = ({ profile, detected }) => (profile ? { id: profile.id, name: profile.name, detected } : null);
+
+// Date columns as per schema
+const DATE_COLUMNS = new Set([
+	'TRANDATE','SETDATE','DELIVERYDATE','PAYMENTDATE','TRFDATE'
+]);
+
+// Schema column and value for one file cell, read through the upload's mapping profile (if any)
+function resolveCell(excelKey, value, profile) {
+	const column = (profile && profile.columnFor(excelKey)) || normalizeColumnName(excelKey);
+	if (!profile || !column || value === null || value === undefined || value === '') {
+		return { column, value };
+	}
+	if (DATE_COLUMNS.has(column)) {
+		return { column, value: profile.parseDate(value) || value };
+	}
+	if (NUMERIC_COLUMNS.has(column) || INTEGER_COLUMNS.has(column)) {
+		return { column, value: profile.parseNumber(value) };
+	}
+	if (column === 'Tran_Type') {
+		return { column, value: profile.translateTranType(value) };
+	}
+	return { column, value };
+}
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+function mapRowToDatabaseFormat(excelRow, profile = null) {
 	const dbRow = {};
-	// date columns as per schema
-	const dateColumns = new Set([
-		'TRANDATE','SETDATE','DELIVERYDATE','PAYMENTDATE','TRFDATE'
-	]);
 
 	// Track unknown columns for diagnostics
 	const unknownColumns = [];
 
 	Object.keys(excelRow).forEach(excelKey => {
-		const dbKey = normalizeColumnName(excelKey);
+		const { column: dbKey, value: cellValue } = resolveCell(excelKey, excelRow[excelKey], profile);
 		if (dbKey) {
-			let value = excelRow[excelKey];
+			let value = cellValue;
 			// Convert empty strings to null
 			if (value === '' || value === undefined) {
 				value = null;
 			}
-			// Normalize dates to YYYY-MM-DD
-			if (value && dateColumns.has(dbKey)) {
+			// Normalize dates to YYYY-MM-DD (already-ISO values are kept as-is)
+			if (value && DATE_COLUMNS.has(dbKey) && !ISO_DATE.test(value)) {
 				// Handle Excel date or string dates
 				const d = new Date(value);
 				if (!isNaN(d.getTime())) {
@@ -290,6 +391,252 @@ function mapRowToDatabaseFormat(excelRow) {
 	return dbRow;
 }
 
+const ISIN_PATTERN = /^[A-Z]{2}[A-Z0-9]{9}[0-9]$/;
+// Income booked against a security, so it needs an ISIN like a trade
+const SECURITY_INCOME_TYPES = new Set(['DI0', 'DIO', 'DIS', 'RD0']);
+// Issues listed individually in a dry-run report; the rest are only counted
+const MAX_REPORTED_ISSUES = 5000;
+
+const isDryRun = (req) => ['true', '1', 'yes'].includes(String(req.query.dryRun || '').toLowerCase());
+
+/**
+ * Problems in one raw file row that mapRowToDatabaseFormat() would otherwise
+ * coerce away. Errors mean the stored row would be wrong or unusable;
+ * warnings import as-is but are ignored or misread by the reports.
+ */
+function validateImportRow(rawRow, rowNumber, unknownColumns, profile = null) {
+	const issues = [];
+	const values = {};
+	const add = (severity, column, value, message) => {
+		issues.push({
+			row: rowNumber,
+			severity,
+			column,
+			value: value === null || value === undefined ? '' : String(value),
+			message
+		});
+	};
+
+	Object.keys(rawRow).forEach((key) => {
+		const { column, value: raw } = resolveCell(key, rawRow[key], profile);
+		if (!column) return;
+		if (!ALLOWED_COLUMNS.has(column)) {
+			unknownColumns.add(column);
+			return;
+		}
+		const value = raw === null || raw === undefined || String(raw).trim() === '' ? null : raw;
+		values[column] = value;
+		if (value === null) return;
+
+		if (DATE_COLUMNS.has(column)) {
+			if (isNaN(new Date(value).getTime())) add('error', column, value, 'Invalid date');
+		} else if (NUMERIC_COLUMNS.has(column) || INTEGER_COLUMNS.has(column)) {
+			const num = Number(value);
+			if (isNaN(num)) {
+				// Amounts and the client id are needed; other integer codes only lose their text
+				const severity = NUMERIC_COLUMNS.has(column) || column === 'WS_client_id' ? 'error' : 'warning';
+				add(severity, column, value, 'Not a number (stored as 0)');
+			} else if (INTEGER_COLUMNS.has(column) && !Number.isInteger(num)) {
+				add('warning', column, value, 'Not a whole number (decimals are dropped)');
+			}
+		}
+	});
+
+	// Blank lines are skipped by the import as well
+	if (Object.values(values).every((value) => value === null)) return null;
+
+	if (values.WS_client_id === null || values.WS_client_id === undefined) {
+		add('error', 'WS_client_id', null, 'Missing client id');
+	}
+	if (values.TRANDATE === null || values.TRANDATE === undefined) {
+		add('error', 'TRANDATE', null, 'Missing transaction date');
+	}
+	const tranType = values.Tran_Type ? String(values.Tran_Type).trim().toUpperCase() : '';
+	if (!tranType) {
+		add('error', 'Tran_Type', null, 'Missing Tran_Type');
+	} else {
+		const classification = classifyTransaction({ tranType, tranDesc: values.Tran_Desc });
+		if (classification.category === CATEGORIES.OTHER) {
+			add('warning', 'Tran_Type', tranType, 'Unknown Tran_Type (holdings go by the sign of QTY; cash reports ignore it)');
+		}
+		const isin = values.ISIN ? String(values.ISIN).trim().toUpperCase() : '';
+		const needsIsin = classification.category === CATEGORIES.TRADE || SECURITY_INCOME_TYPES.has(tranType);
+		if (needsIsin && !isin) {
+			add('error', 'ISIN', null, 'Missing ISIN');
+		} else if (isin && !ISIN_PATTERN.test(isin)) {
+			add('warning', 'ISIN', isin, 'ISIN is not in the 12-character format');
+		}
+	}
+	return issues;
+}
+
+// Collects validateImportRow() results into the dry-run report
+function createValidationReport(profile = null) {
+	const issues = [];
+	const byIssue = new Map();
+	const unknownColumns = new Set();
+	let totalRows = 0;
+	let errorRows = 0;
+	let warningRows = 0;
+	let issueCount = 0;
+
+	return {
+		// rowNumber is the spreadsheet row (header is row 1)
+		add(rawRow, rowNumber) {
+			const rowIssues = validateImportRow(rawRow, rowNumber, unknownColumns, profile);
+			if (rowIssues === null) return;
+			totalRows++;
+			if (rowIssues.some((issue) => issue.severity === 'error')) errorRows++;
+			else if (rowIssues.length > 0) warningRows++;
+			rowIssues.forEach((issue) => {
+				issueCount++;
+				if (issues.length < MAX_REPORTED_ISSUES) issues.push(issue);
+				const key = `${issue.severity}|${issue.column}|${issue.message}`;
+				if (!byIssue.has(key)) {
+					byIssue.set(key, { severity: issue.severity, column: issue.column, message: issue.message, count: 0 });
+				}
+				byIssue.get(key).count++;
+			});
+		},
+		result() {
+			return {
+				totalRows,
+				validRows: totalRows - errorRows - warningRows,
+				errorRows,
+				warningRows,
+				issueCount,
+				truncated: issueCount > issues.length,
+				byIssue: Array.from(byIssue.values()).sort((a, b) => b.count - a.count),
+				unknownColumns: Array.from(unknownColumns),
+				issues
+			};
+		}
+	};
+}
+
+// Identity of a Transaction row across imports: Txn_Ref_No when the file has
+// one, otherwise a hash of the fields that make a transaction distinct.
+function importKey(row) {
+	const ref = row.Txn_Ref_No === null || row.Txn_Ref_No === undefined ? '' : String(row.Txn_Ref_No).trim();
+	if (ref) {
+		return `ref:${row.WS_client_id}|${ref}`;
+	}
+	const parts = [
+		Number(row.WS_client_id) || 0,
+		String(row.TRANDATE || '').slice(0, 10),
+		String(row.ISIN || '').trim().toUpperCase(),
+		String(row.Tran_Type || '').trim().toUpperCase(),
+		Number(row.QTY) || 0,
+		(Number(row.Net_Amount) || 0).toFixed(2)
+	];
+	return `hash:${crypto.createHash('sha1').update(parts.join('|')).digest('hex')}`;
+}
+
+// True when any column in the file row differs from the stored row
+function rowDiffers(row, existing) {
+	return Object.keys(row).some((col) => {
+		const incoming = row[col];
+		const stored = existing[col];
+		if (NUMERIC_COLUMNS.has(col) || INTEGER_COLUMNS.has(col)) {
+			return Math.abs((Number(incoming) || 0) - (Number(stored) || 0)) > 1e-6;
+		}
+		if (DATE_COLUMNS.has(col)) {
+			return String(incoming || '').slice(0, 10) !== String(stored || '').slice(0, 10);
+		}
+		const a = incoming === null || incoming === undefined ? '' : String(incoming).trim();
+		const b = stored === null || stored === undefined ? '' : String(stored).trim();
+		return a !== b;
+	});
+}
+
+/**
+ * Existing Transaction rows by client and importKey(), loaded the first time
+ * a client appears in the file. Identical rows (two equal fills on one day)
+ * are matched one-to-one in file order, so re-running a file skips them
+ * instead of collapsing or doubling them. New rows are tagged with jobId.
+ */
+function createImportIndex(jobId = null) {
+	const byClient = new Map();
+	const occurrences = new Map();
+
+	const loadClient = async (zcql, clientId) => {
+		const keys = new Map();
+		const { transactions } = repositoriesFor(zcql);
+		const query = transactions.select().where('WS_client_id', '=', clientId).orderBy('ROWID', 'ASC');
+		for await (const r of transactions.iterate(query, { label: `importIndex ${clientId}` })) {
+			const key = importKey(r);
+			if (!keys.has(key)) keys.set(key, []);
+			keys.get(key).push(r);
+		}
+		return keys;
+	};
+
+	return {
+		// Split rows into inserts, updates (with ROWID) and unchanged skips
+		async plan(zcql, rows) {
+			const inserts = [];
+			const updates = [];
+			let skipped = 0;
+			for (const row of rows) {
+				const clientId = Number(row.WS_client_id) || 0;
+				if (!byClient.has(clientId)) {
+					byClient.set(clientId, await loadClient(zcql, clientId));
+				}
+				const key = importKey(row);
+				const seen = occurrences.get(key) || 0;
+				occurrences.set(key, seen + 1);
+				const existing = (byClient.get(clientId).get(key) || [])[seen];
+				if (!existing) {
+					if (jobId) row[JOB_ID_COLUMN] = jobId;
+					inserts.push(row);
+				} else if (rowDiffers(row, existing)) {
+					updates.push({ ...row, ROWID: existing.ROWID });
+				} else {
+					skipped++;
+				}
+			}
+			return { inserts, updates, skipped };
+		}
+	};
+}
+
+// Update matched rows in batches, falling back to one row at a time
+async function applyUpdates(table, updates, batchSize, importId) {
+	let updated = 0;
+	const errors = [];
+	for (let i = 0; i < updates.length; i += batchSize) {
+		const batch = updates.slice(i, i + batchSize);
+		try {
+			await table.updateRows(batch);
+			updated += batch.length;
+		} catch (batchErr) {
+			console.error(`[Import ${importId}] Update batch ${Math.floor(i / batchSize) + 1} failed:`, batchErr.message);
+			for (const row of batch) {
+				try {
+					await table.updateRow(row);
+					updated++;
+				} catch (rowErr) {
+					errors.push(`ROWID ${row.ROWID}: ${rowErr.message}`);
+				}
+			}
+		}
+	}
+	return { updated, errors };
+}
+
+// Job updates from the background task use a fresh Catalyst app
+function saveJob(req, job, progress) {
+	if (!job) return Promise.resolve();
+	let app;
+	try {
+		app = initializeApp(req);
+	} catch (initErr) {
+		console.error(`[ImportJob ${job.importId}] Failed to initialize Catalyst app:`, initErr.message);
+		return Promise.resolve();
+	}
+	return saveJobProgress(app, job, progress);
+}
+
 exports.importExcel = async (req, res) => {
 	try {
 		const app = req.catalystApp;
@@ -312,26 +659,58 @@ exports.importExcel = async (req, res) => {
 		const fileName = req.file.originalname;
 		const fileSize = req.file.size;
 
+		// Custodian layout: the requested mapping profile or one detected from the headers
+		let mapping;
+		try {
+			mapping = await profileForUpload(req, app, readExcelHeaders(fileBuffer));
+		} catch (profileErr) {
+			return res.status(400).json({ success: false, error: profileErr.message });
+		}
+		const { profile } = mapping;
+
+		// ?dryRun=true validates every row and writes nothing
+		if (isDryRun(req)) {
+			const report = createValidationReport(profile);
+			parseExcelFile(fileBuffer).forEach((row, idx) => report.add(row, idx + 2));
+			return res.status(200).json({
+				success: true,
+				dryRun: true,
+				fileName,
+				profile: profileSummary(mapping),
+				...report.result()
+			});
+		}
+
 		// Start async import and return importId immediately
 		const importId = newImportId();
-		IMPORT_PROGRESS.set(importId, {
+		auditImport(req, importId);
+		setProgress(importId, {
 			stage: 'parsing',
 			progress: 5,
 			message: 'Parsing Excel...',
 			totalRows: 0,
 			processedRows: 0,
 			imported: 0,
+			inserted: 0,
+			updated: 0,
+			skipped: 0,
 			errors: 0,
 			errorDetails: []
 		});
 
+		// Persist the job so history and rollback outlive this instance
+		const job = await createJob(app, { importId, fileName, fileType: 'excel', uploader: req.user && req.user.email }).catch((jobErr) => {
+			console.error(`[Import ${importId}] Could not record import job:`, jobErr.message);
+			return null;
+		});
+
 		// Kick off background processing
 		setImmediate(async () => {
 			const tableName = DEFAULT_TABLE;
 			const progress = IMPORT_PROGRESS.get(importId);
 			try {
 				// Re-initialize Catalyst app in async context
-				const appAsync = catalyst.initialize(req);
+				const appAsync = initializeApp(req);
 				if (!appAsync) {
 					throw new Error('Failed to initialize Catalyst app');
 				}
@@ -356,7 +735,7 @@ exports.importExcel = async (req, res) => {
 				// Map rows
 				const mappedRows = excelRows.map((row, idx) => {
 					try {
-						return mapRowToDatabaseFormat(row);
+						return mapRowToDatabaseFormat(row, profile);
 					} catch (mapErr) {
 						console.error(`[Import ${importId}] Error mapping row ${idx + 1}:`, mapErr);
 						return null;
@@ -386,6 +765,15 @@ exports.importExcel = async (req, res) => {
 					console.warn(`[Import ${importId}] Unknown columns detected:`, Array.from(unknownSample));
 				}
 
+				// Match against rows already imported so re-runs skip or update them
+				progress.stage = 'matching';
+				progress.progress = 20;
+				progress.message = 'Matching against existing transactions...';
+
+				const importIndex = createImportIndex(job && importId);
+				const { inserts, updates, skipped } = await importIndex.plan(appAsync.zcql(), mappedRows);
+				progress.skipped = skipped;
+
 				// Insert
 				progress.stage = 'inserting';
 				progress.progress = 25;
@@ -412,8 +800,8 @@ exports.importExcel = async (req, res) => {
 					}
 				};
 
-				for (let i = 0; i < mappedRows.length; i += BATCH_SIZE) {
-					const batch = mappedRows.slice(i, i + BATCH_SIZE);
+				for (let i = 0; i < inserts.length; i += BATCH_SIZE) {
+					const batch = inserts.slice(i, i + BATCH_SIZE);
 					const batchNum = Math.floor(i / BATCH_SIZE) + 1;
 					try {
 						await insertBatch(batch);
@@ -443,19 +831,33 @@ exports.importExcel = async (req, res) => {
 							}
 						}
 					}
-					progress.processedRows = Math.min(i + batch.length, mappedRows.length);
+					progress.processedRows = skipped + Math.min(i + batch.length, inserts.length);
 					progress.imported = totalInserted;
+					progress.inserted = totalInserted;
 					progress.errors = errorCount;
 					progress.errorDetails = errorMessages.slice(0, 10);
 					progress.progress = Math.min(95, Math.round((progress.processedRows / mappedRows.length) * 90) + 5);
-					progress.message = `Inserted ${totalInserted}/${mappedRows.length} rows...`;
-					IMPORT_PROGRESS.set(importId, progress);
+					progress.message = `Inserted ${totalInserted}/${inserts.length} new rows...`;
+					setProgress(importId, progress);
+				}
+
+				if (updates.length > 0) {
+					progress.message = `Updating ${updates.length} changed rows...`;
+					const result = await applyUpdates(table, updates, BATCH_SIZE, importId);
+					progress.updated = result.updated;
+					errorCount += result.errors.length;
+					errorMessages.push(...result.errors);
 				}
+				progress.inserted = totalInserted;
+				progress.updated = progress.updated || 0;
+				progress.processedRows = mappedRows.length;
+				progress.errors = errorCount;
+				progress.errorDetails = errorMessages.slice(0, 10);
 
-				console.log(`[Import ${importId}] Import completed: ${totalInserted} inserted, ${errorCount} errors`);
+				console.log(`[Import ${importId}] Import completed: ${totalInserted} inserted, ${progress.updated} updated, ${skipped} skipped, ${errorCount} errors`);
 				progress.stage = 'completed';
 				progress.progress = 100;
-				progress.message = `Imported ${totalInserted} of ${mappedRows.length} rows${errorCount > 0 ? ` (${errorCount} errors)` : ''}`;
+				progress.message = `Imported ${mappedRows.length} rows: ${totalInserted} new, ${progress.updated} updated, ${skipped} unchanged${errorCount > 0 ? ` (${errorCount} errors)` : ''}`;
 				progress.unknownColumns = Array.from(unknownSample);
 			} catch (err) {
 				console.error(`[Import ${importId}] Fatal error:`, err);
@@ -466,12 +868,14 @@ exports.importExcel = async (req, res) => {
 					console.error(`[Import ${importId}] Stack:`, err.stack);
 				}
 			}
-			IMPORT_PROGRESS.set(importId, progress);
+			setProgress(importId, progress);
+			await saveJob(req, job, progress);
 		});
 
 		return res.status(200).json({
 			success: true,
 			importId,
+			profile: profileSummary(mapping),
 			message: 'Import started'
 		});
 
@@ -484,6 +888,200 @@ exports.importExcel = async (req, res) => {
 	}
 };
 
+// Dry-run report for a CSV file on disk
+async function validateCsvFile(filePath, profile) {
+	const report = createValidationReport(profile);
+	await new Promise((resolve, reject) => {
+		let rowNumber = 1;
+		fs.createReadStream(filePath, { encoding: 'utf8' })
+			.pipe(csv())
+			.on('data', (row) => report.add(row, ++rowNumber))
+			.on('end', resolve)
+			.on('error', reject);
+	});
+	return report.result();
+}
+
+/**
+ * Stream a CSV file into the Transaction table in CSV_CHUNK_SIZE chunks,
+ * reporting through IMPORT_PROGRESS and the import job. Never rejects: the
+ * outcome, success or failure, is on the progress record and the job.
+ *
+ * startRow skips file rows an earlier attempt already wrote, onCommitted(row)
+ * is called with the last file row of every chunk once it is stored, and
+ * keepFile leaves the file in place so a failed import can be resumed. A
+ * chunk that fails stops the import there, so committedRows never moves past
+ * rows that were not written.
+ */
+async function runCsvImport(req, { importId, job, filePath, profile, startRow = 0, keepFile = false, onCommitted = null }) {
+	const tableName = DEFAULT_TABLE;
+	const progress = IMPORT_PROGRESS.get(importId);
+	const BATCH_SIZE = 200; // Insert 200 rows per batch (Catalyst limit)
+
+	// A resumed import carries on from the counts of the earlier attempt
+	let totalRows = 0;
+	let processedRows = progress.processedRows || 0;
+	let totalInserted = progress.inserted || 0;
+	let totalUpdated = progress.updated || 0;
+	let totalSkipped = progress.skipped || 0;
+	let errorCount = progress.errors || 0;
+	const errorMessages = [];
+	let currentChunk = [];
+	let rowIndex = 0;
+	let committedRows = startRow;
+	let appAsync = null;
+	let importIndex = null;
+
+	// Track unknown columns
+	const unknownSample = new Set();
+
+	const recordCounts = () => {
+		progress.processedRows = processedRows;
+		progress.imported = totalInserted;
+		progress.inserted = totalInserted;
+		progress.updated = totalUpdated;
+		progress.skipped = totalSkipped;
+		progress.errors = errorCount;
+		progress.errorDetails = errorMessages.slice(0, 10);
+		progress.committedRows = committedRows;
+	};
+
+	const removeFile = () => {
+		try {
+			if (!keepFile && filePath && fs.existsSync(filePath)) {
+				fs.unlinkSync(filePath);
+			}
+		} catch (cleanupErr) {
+			console.warn(`[Import ${importId}] Failed to delete temp file: ${cleanupErr.message}`);
+		}
+	};
+
+	// Write the pending chunk; it covers file rows up to lastRow
+	const flushChunk = async (lastRow) => {
+		// Re-initialize Catalyst app before each chunk to get a fresh token
+		let freshApp;
+		try {
+			freshApp = initializeApp(req);
+		} catch (initErr) {
+			console.error(`[Import ${importId}] Failed to re-initialize app:`, initErr);
+		}
+		const appToUse = freshApp || appAsync;
+		const chunkToProcess = currentChunk;
+		currentChunk = [];
+
+		const result = await processChunk(chunkToProcess, appToUse, tableName, importIndex, BATCH_SIZE, importId, processedRows);
+		totalInserted += result.inserted;
+		totalUpdated += result.updated;
+		totalSkipped += result.skipped;
+		errorCount += result.errors.length;
+		errorMessages.push(...result.errors.slice(0, Math.max(0, 10 - errorMessages.length)));
+		processedRows += chunkToProcess.length;
+		committedRows = lastRow;
+
+		recordCounts();
+		progress.progress = Math.min(95, Math.round((processedRows / Math.max(totalRows, 1)) * 90) + 10);
+		progress.message = `Processed ${processedRows} rows: ${totalInserted} new, ${totalUpdated} updated, ${totalSkipped} unchanged...`;
+		setProgress(importId, progress);
+		await saveJobProgress(appToUse, job, progress);
+		if (onCommitted) {
+			await onCommitted(lastRow);
+		}
+	};
+
+	try {
+		// Re-initialize Catalyst app in async context
+		appAsync = initializeApp(req);
+		if (!appAsync) {
+			throw new Error('Failed to initialize Catalyst app');
+		}
+
+		// Rows already imported are matched per client as the file streams in
+		importIndex = createImportIndex(job && importId);
+
+		if (!fs.existsSync(filePath)) {
+			throw new Error(`File not found at path: ${filePath}`);
+		}
+
+		progress.stage = 'parsing';
+		progress.progress = 10;
+		progress.resumable = false;
+		progress.message = startRow > 0 ? `Resuming after row ${startRow}...` : 'Parsing CSV headers...';
+
+		// Iterating the parser waits for each chunk to be written before it reads on
+		const parser = pipeline(
+			fs.createReadStream(filePath, { encoding: 'utf8' }),
+			csv({ skipEmptyLines: true, skipLinesWithError: false }),
+			() => {}
+		);
+		parser.once('headers', () => {
+			progress.message = 'Processing CSV rows...';
+		});
+
+		for await (const row of parser) {
+			totalRows++;
+			rowIndex++;
+
+			// Already written by an earlier attempt
+			if (rowIndex <= startRow) {
+				continue;
+			}
+
+			try {
+				const mappedRow = mapRowToDatabaseFormat(row, profile);
+
+				// Track unknown columns from first few rows
+				if (rowIndex <= 5 && mappedRow.__unknown) {
+					mappedRow.__unknown.forEach(col => unknownSample.add(col));
+				}
+				delete mappedRow.__unknown;
+
+				// Skip empty rows
+				if (Object.values(mappedRow).some(val => val !== null && val !== '')) {
+					currentChunk.push(mappedRow);
+				}
+			} catch (rowErr) {
+				// A row that cannot be read is reported; the rest of the file still imports
+				console.error(`[Import ${importId}] Row ${rowIndex} error:`, rowErr);
+				errorCount++;
+				if (errorMessages.length < 10) {
+					errorMessages.push(`Row ${rowIndex}: ${rowErr.message}`);
+				}
+			}
+
+			if (currentChunk.length >= CSV_CHUNK_SIZE) {
+				await flushChunk(rowIndex);
+			}
+		}
+		if (currentChunk.length > 0) {
+			await flushChunk(rowIndex);
+		}
+
+		recordCounts();
+		progress.totalRows = totalRows;
+		progress.stage = 'completed';
+		progress.progress = 100;
+		progress.message = `Imported ${totalRows} rows: ${totalInserted} new, ${totalUpdated} updated, ${totalSkipped} unchanged${errorCount > 0 ? ` (${errorCount} errors)` : ''}`;
+		progress.unknownColumns = Array.from(unknownSample);
+		setProgress(importId, progress);
+		await saveJob(req, job, progress);
+
+		console.log(`[Import ${importId}] CSV import completed: ${totalInserted} inserted, ${totalUpdated} updated, ${totalSkipped} skipped, ${errorCount} errors out of ${totalRows} total rows`);
+		removeFile();
+	} catch (err) {
+		console.error(`[Import ${importId}] Import stopped after row ${committedRows}:`, err);
+		recordCounts();
+		progress.errorDetails = [...errorMessages.slice(0, 9), err.toString()];
+		progress.stage = 'error';
+		progress.resumable = keepFile;
+		progress.message = keepFile
+			? `Import stopped: ${err.message}. Rows up to ${committedRows} are saved; resume to continue from row ${committedRows + 1}.`
+			: `Import failed: ${err.message}`;
+		setProgress(importId, progress);
+		await saveJob(req, job, progress);
+		removeFile();
+	}
+}
+
 // CSV Import with streaming and chunked processing
 exports.importCSV = async (req, res) => {
 	try {
@@ -514,315 +1112,383 @@ exports.importCSV = async (req, res) => {
 			});
 		}
 
+		// Custodian layout: the requested mapping profile or one detected from the headers
+		let mapping;
+		try {
+			mapping = await profileForUpload(req, app, await readCsvHeaders(filePath));
+		} catch (profileErr) {
+			try {
+				fs.unlinkSync(filePath);
+			} catch (unlinkErr) {
+				console.warn(`[CSV Import] Could not delete temp file: ${unlinkErr.message}`);
+			}
+			return res.status(400).json({ success: false, error: profileErr.message });
+		}
+		const { profile } = mapping;
+
+		// ?dryRun=true validates every row and writes nothing
+		if (isDryRun(req)) {
+			let report;
+			try {
+				report = await validateCsvFile(filePath, profile);
+			} finally {
+				try {
+					fs.unlinkSync(filePath);
+				} catch (unlinkErr) {
+					console.warn(`[CSV Dry Run] Could not delete temp file: ${unlinkErr.message}`);
+				}
+			}
+			return res.status(200).json({
+				success: true,
+				dryRun: true,
+				fileName,
+				profile: profileSummary(mapping),
+				...report
+			});
+		}
+
 		// Start async import and return importId immediately
 		const importId = newImportId();
-		IMPORT_PROGRESS.set(importId, {
+		auditImport(req, importId);
+		setProgress(importId, {
 			stage: 'parsing',
 			progress: 5,
 			message: 'Starting CSV import...',
 			totalRows: 0,
 			processedRows: 0,
 			imported: 0,
+			inserted: 0,
+			updated: 0,
+			skipped: 0,
 			errors: 0,
 			errorDetails: []
 		});
 
+		// Persist the job so history and rollback outlive this instance
+		const job = await createJob(app, { importId, fileName, fileType: 'csv', uploader: req.user && req.user.email }).catch((jobErr) => {
+			console.error(`[Import ${importId}] Could not record import job:`, jobErr.message);
+			return null;
+		});
+
 		// Kick off background processing
-		setImmediate(async () => {
-			const tableName = DEFAULT_TABLE;
-			const progress = IMPORT_PROGRESS.get(importId);
-			const CHUNK_SIZE = 10000; // Process 10,000 rows at a time
-			const BATCH_SIZE = 200; // Insert 200 rows per batch (Catalyst limit)
+		setImmediate(() => {
+			runCsvImport(req, { importId, job, filePath, profile });
+		});
+
+		return res.status(200).json({
+			success: true,
+			importId,
+			profile: profileSummary(mapping),
+			message: 'CSV import started'
+		});
+
+	} catch (err) {
+		console.error('CSV import error:', err);
+		return res.status(500).json({ 
+			success: false, 
+			error: `Failed to start CSV import: ${err.message}` 
+		});
+	}
+};
 
+// ---------------------------------------------------------------------------
+// Resumable CSV uploads: open a session, PUT the parts, then complete it to
+// import. Parts and the committed row survive a dropped connection or a
+// failed import, so neither has to start over.
+// ---------------------------------------------------------------------------
+
+const isImportActive = (importId) => {
+	const state = importId && IMPORT_PROGRESS.get(importId);
+	return Boolean(state) && state.stage !== 'completed' && state.stage !== 'error';
+};
+
+// Sessions are on the disk of the instance that opened them (services/uploadSessions.js)
+const uploadNotFound = (res, uploadId) => (uploadSessions.heldElsewhere(uploadId)
+	? res.status(421).json({
+		success: false,
+		error: 'This upload was opened on another server instance; resumable uploads need a single instance. Start the upload again.'
+	})
+	: res.status(404).json({ success: false, error: 'Upload not found' }));
+
+// Background import of an assembled upload: the session is removed once it completes, kept for a resume otherwise
+function importUploadSession(req, session, { importId, job, filePath, profile, startRow = 0 }) {
+	const onCommitted = (row) => {
+		try {
+			uploadSessions.updateSession(session, { committedRows: row });
+		} catch (err) {
+			console.error(`[Upload ${session.uploadId}] Could not record committed row ${row}:`, err.message);
+		}
+	};
+	return runCsvImport(req, { importId, job, filePath, profile, startRow, keepFile: true, onCommitted })
+		.then(() => {
 			try {
-				// Re-initialize Catalyst app in async context
-				const appAsync = catalyst.initialize(req);
-				if (!appAsync) {
-					throw new Error('Failed to initialize Catalyst app');
+				if (IMPORT_PROGRESS.get(importId).stage === 'completed') {
+					uploadSessions.removeSession(session.uploadId);
+				} else {
+					uploadSessions.updateSession(session, { status: UPLOAD_STATUS.FAILED });
 				}
+			} catch (err) {
+				console.error(`[Upload ${session.uploadId}] Could not update session after import:`, err.message);
+			}
+		});
+}
 
-				const datastore = appAsync.datastore();
-				const table = datastore.table(tableName);
+exports.createUpload = async (req, res) => {
+	try {
+		const { fileName, fileSize, partSize } = req.body || {};
+		if (!fileName || !String(fileName).toLowerCase().endsWith('.csv')) {
+			return res.status(400).json({ success: false, error: 'Resumable uploads accept CSV (.csv) files only' });
+		}
+		const size = Number(fileSize);
+		if (!Number.isInteger(size) || size <= 0) {
+			return res.status(400).json({ success: false, error: 'fileSize must be a positive number of bytes' });
+		}
+		if (size > uploadSessions.MAX_FILE_SIZE) {
+			return res.status(400).json({ success: false, error: `File size must be less than ${uploadSessions.MAX_FILE_SIZE / (1024 * 1024)}MB` });
+		}
+		const session = uploadSessions.createSession({ fileName, fileSize: size, partSize });
+		console.log(`[Upload ${session.uploadId}] Opened for ${session.fileName} (${session.totalParts} parts)`);
+		return res.status(201).json({ success: true, ...uploadSessions.sessionSummary(session) });
+	} catch (err) {
+		console.error('[createUpload] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to start upload: ${err.message}` });
+	}
+};
 
-				// Create readable stream from file path (disk storage)
-				if (!fs.existsSync(filePath)) {
-					throw new Error(`File not found at path: ${filePath}`);
-				}
-				const csvStream = fs.createReadStream(filePath, { encoding: 'utf8' });
+exports.getUpload = async (req, res) => {
+	try {
+		const session = uploadSessions.loadSession(req.params.id);
+		if (!session) {
+			return uploadNotFound(res, req.params.id);
+		}
+		res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+		return res.status(200).json({
+			success: true,
+			...uploadSessions.sessionSummary(session),
+			importActive: isImportActive(session.importId)
+		});
+	} catch (err) {
+		console.error('[getUpload] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to read upload: ${err.message}` });
+	}
+};
 
-				let totalRows = 0;
-				let processedRows = 0;
-				let totalInserted = 0;
-				let errorCount = 0;
-				const errorMessages = [];
-				let headers = null;
-				let currentChunk = [];
-				let rowIndex = 0;
-				let isProcessingChunk = false;
+// Body is the raw part; X-Checksum-SHA256 carries its hex SHA-256
+exports.uploadPart = async (req, res) => {
+	try {
+		const session = uploadSessions.loadSession(req.params.id);
+		if (!session) {
+			return uploadNotFound(res, req.params.id);
+		}
+		if (session.status !== UPLOAD_STATUS.UPLOADING) {
+			return res.status(409).json({ success: false, error: 'Upload is already complete' });
+		}
+		const partNumber = Number(req.params.partNumber);
+		if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.totalParts) {
+			return res.status(400).json({ success: false, error: `Part number must be between 1 and ${session.totalParts}` });
+		}
+		const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+		const expected = uploadSessions.expectedPartLength(session, partNumber);
+		if (body.length !== expected) {
+			return res.status(400).json({ success: false, error: `Part ${partNumber} should be ${expected} bytes, got ${body.length}` });
+		}
+		const checksum = String(req.get('X-Checksum-SHA256') || '').toLowerCase();
+		if (!checksum) {
+			return res.status(400).json({ success: false, error: 'X-Checksum-SHA256 header is required' });
+		}
+		if (uploadSessions.sha256(body) !== checksum) {
+			return res.status(422).json({ success: false, error: `Checksum mismatch for part ${partNumber}; send it again` });
+		}
 
-				// Track unknown columns
-				const unknownSample = new Set();
+		uploadSessions.writePart(session, partNumber, body);
+		return res.status(200).json({ success: true, partNumber, size: body.length });
+	} catch (err) {
+		console.error('[uploadPart] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to store part: ${err.message}` });
+	}
+};
+
+// Assemble the parts and import the file; ?dryRun=true only validates and keeps the upload for the real import
+exports.completeUpload = async (req, res) => {
+	try {
+		const app = req.catalystApp;
+		if (!app) {
+			return res.status(500).json({ success: false, error: 'Catalyst app context missing' });
+		}
+		const session = uploadSessions.loadSession(req.params.id);
+		if (!session) {
+			return uploadNotFound(res, req.params.id);
+		}
+		if (session.status === UPLOAD_STATUS.IMPORTING || session.status === UPLOAD_STATUS.FAILED) {
+			return res.status(409).json({
+				success: false,
+				error: 'This upload has already been imported; resume it instead',
+				importId: session.importId
+			});
+		}
+		const missingParts = uploadSessions.missingParts(session);
+		if (missingParts.length > 0) {
+			return res.status(409).json({
+				success: false,
+				error: `Upload is missing ${missingParts.length} part(s)`,
+				missingParts
+			});
+		}
 
-				progress.stage = 'parsing';
-				progress.progress = 10;
-				progress.message = 'Parsing CSV headers...';
+		const filePath = await uploadSessions.assembleSession(session);
+		let mapping;
+		try {
+			mapping = await profileForUpload(req, app, await readCsvHeaders(filePath));
+		} catch (profileErr) {
+			return res.status(400).json({ success: false, error: profileErr.message });
+		}
+		const { profile } = mapping;
+
+		if (isDryRun(req)) {
+			const report = await validateCsvFile(filePath, profile);
+			return res.status(200).json({
+				success: true,
+				dryRun: true,
+				uploadId: session.uploadId,
+				fileName: session.fileName,
+				profile: profileSummary(mapping),
+				...report
+			});
+		}
 
-				// Parse CSV with streaming
-				return new Promise((resolve, reject) => {
-					const parser = csv({
-						skipEmptyLines: true,
-						skipLinesWithError: false
-					});
+		const importId = newImportId();
+		auditImport(req, importId);
+		setProgress(importId, {
+			stage: 'parsing',
+			progress: 5,
+			message: 'Starting CSV import...',
+			totalRows: 0,
+			processedRows: 0,
+			imported: 0,
+			inserted: 0,
+			updated: 0,
+			skipped: 0,
+			errors: 0,
+			errorDetails: []
+		});
+		const job = await createJob(app, { importId, fileName: session.fileName, fileType: 'csv', uploader: req.user && req.user.email }).catch((jobErr) => {
+			console.error(`[Import ${importId}] Could not record import job:`, jobErr.message);
+			return null;
+		});
+		// The mapping is kept so a resumed import reads the file the same way
+		uploadSessions.updateSession(session, {
+			status: UPLOAD_STATUS.IMPORTING,
+			importId,
+			committedRows: 0,
+			profileId: profile ? profile.id : 'none'
+		});
 
-					csvStream
-						.pipe(parser)
-						.on('headers', (headerList) => {
-							headers = headerList;
-							progress.message = 'Processing CSV rows...';
-						})
-						.on('data', async (row) => {
-							// Wait if chunk is being processed
-							if (isProcessingChunk) {
-								parser.pause();
-								// Wait a bit and resume
-								setTimeout(() => {
-									if (!isProcessingChunk) {
-										parser.resume();
-									}
-								}, 100);
-								return;
-							}
+		setImmediate(() => {
+			importUploadSession(req, session, { importId, job, filePath, profile });
+		});
 
-							try {
-								totalRows++;
-								rowIndex++;
-
-								// Map row to database format
-								const mappedRow = mapRowToDatabaseFormat(row);
-								
-								// Track unknown columns from first few rows
-								if (rowIndex <= 5 && mappedRow.__unknown) {
-									mappedRow.__unknown.forEach(col => unknownSample.add(col));
-								}
-								if ('__unknown' in mappedRow) {
-									delete mappedRow.__unknown;
-								}
+		return res.status(200).json({
+			success: true,
+			importId,
+			uploadId: session.uploadId,
+			profile: profileSummary(mapping),
+			message: 'CSV import started'
+		});
+	} catch (err) {
+		console.error('[completeUpload] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to complete upload: ${err.message}` });
+	}
+};
 
-								// Check if row has any data
-								const hasData = Object.values(mappedRow).some(val => val !== null && val !== '');
-								if (!hasData) {
-									return; // Skip empty rows
-								}
+// Restart a failed (or orphaned) import after the last committed row, under the same import id
+exports.resumeUpload = async (req, res) => {
+	try {
+		const app = req.catalystApp;
+		if (!app) {
+			return res.status(500).json({ success: false, error: 'Catalyst app context missing' });
+		}
+		const session = uploadSessions.loadSession(req.params.id);
+		if (!session) {
+			return uploadNotFound(res, req.params.id);
+		}
+		if (session.status !== UPLOAD_STATUS.IMPORTING && session.status !== UPLOAD_STATUS.FAILED) {
+			return res.status(409).json({ success: false, error: 'Upload has not been imported yet; complete it first' });
+		}
+		const { importId, committedRows } = session;
+		if (isImportActive(importId)) {
+			return res.status(409).json({ success: false, error: 'Import is still running', importId });
+		}
 
-								currentChunk.push(mappedRow);
-
-								// When chunk is full, process it
-								if (currentChunk.length >= CHUNK_SIZE) {
-									parser.pause();
-									isProcessingChunk = true;
-
-									try {
-										const chunkToProcess = [...currentChunk];
-										currentChunk = [];
-
-										// Re-initialize Catalyst app before processing chunk to get fresh token
-										let freshApp;
-										try {
-											freshApp = catalyst.initialize(req);
-											if (!freshApp) {
-												throw new Error('Failed to re-initialize Catalyst app');
-											}
-										} catch (initErr) {
-											console.error(`[Import ${importId}] Failed to re-initialize app:`, initErr);
-											// Continue with existing app, but log warning
-										}
-
-										// Use fresh app if available, otherwise use existing
-										const appToUse = freshApp || appAsync;
-										const freshDatastore = appToUse.datastore();
-										const freshTable = freshDatastore.table(tableName);
-
-										const result = await processChunk(
-											chunkToProcess,
-											freshTable,
-											BATCH_SIZE,
-											importId,
-											processedRows
-										);
-
-										totalInserted += result.inserted;
-										errorCount += result.errors.length;
-										errorMessages.push(...result.errors.slice(0, 10 - errorMessages.length));
-										processedRows += chunkToProcess.length;
-
-										// Clear chunk from memory
-										chunkToProcess.length = 0;
-										
-										// Update progress
-										progress.processedRows = processedRows;
-										progress.imported = totalInserted;
-										progress.errors = errorCount;
-										progress.errorDetails = errorMessages.slice(0, 10);
-										progress.progress = Math.min(95, Math.round((processedRows / Math.max(totalRows, 1)) * 90) + 10);
-										progress.message = `Processed ${processedRows} rows, inserted ${totalInserted}...`;
-										IMPORT_PROGRESS.set(importId, progress);
-									} catch (chunkErr) {
-										console.error(`[Import ${importId}] Chunk processing error:`, chunkErr);
-										errorCount += chunkToProcess.length; // Count all rows in failed chunk as errors
-										if (errorMessages.length < 10) {
-											errorMessages.push(`Chunk error at row ${processedRows + 1}: ${chunkErr.message}`);
-										}
-										// Don't stop - continue processing next chunk
-										processedRows += chunkToProcess.length; // Still count as processed
-									} finally {
-										isProcessingChunk = false;
-										// Always resume parser to continue processing
-										try {
-										parser.resume();
-										} catch (resumeErr) {
-											console.error(`[Import ${importId}] Error resuming parser:`, resumeErr);
-										}
-									}
-								}
-							} catch (rowErr) {
-								console.error(`[Import ${importId}] Row ${rowIndex} error:`, rowErr);
-								errorCount++;
-								if (errorMessages.length < 10) {
-									errorMessages.push(`Row ${rowIndex}: ${rowErr.message}`);
-								}
-								// Continue processing even if row fails - don't stop the stream
-							}
-						})
-						.on('end', async () => {
-							try {
-								// Process remaining rows in chunk
-								if (currentChunk.length > 0) {
-									// Re-initialize Catalyst app before final chunk
-									let freshApp;
-									try {
-										freshApp = catalyst.initialize(req);
-										if (!freshApp) {
-											throw new Error('Failed to re-initialize Catalyst app');
-										}
-									} catch (initErr) {
-										console.error(`[Import ${importId}] Failed to re-initialize app:`, initErr);
-									}
-
-									// Use fresh app if available, otherwise use existing
-									const appToUse = freshApp || appAsync;
-									const freshDatastore = appToUse.datastore();
-									const freshTable = freshDatastore.table(tableName);
-
-									const result = await processChunk(
-										currentChunk,
-										freshTable,
-										BATCH_SIZE,
-										importId,
-										processedRows
-									);
-									totalInserted += result.inserted;
-									errorCount += result.errors.length;
-									errorMessages.push(...result.errors.slice(0, 10 - errorMessages.length));
-									processedRows += currentChunk.length;
-									currentChunk = [];
-								}
+		const zcql = app.zcql();
+		let profile;
+		try {
+			({ profile } = await mappingProfiles.resolveProfile(zcql, { profileId: session.profileId }));
+		} catch (profileErr) {
+			return res.status(400).json({ success: false, error: profileErr.message });
+		}
+		const job = await findJob(zcql, importId).catch((jobErr) => {
+			console.error(`[Import ${importId}] Could not load import job:`, jobErr.message);
+			return null;
+		});
 
-								// Final update
-								progress.totalRows = totalRows;
-								progress.processedRows = processedRows;
-								progress.imported = totalInserted;
-								progress.errors = errorCount;
-								progress.errorDetails = errorMessages.slice(0, 10);
-								progress.stage = 'completed';
-								progress.progress = 100;
-								progress.message = `Imported ${totalInserted} of ${totalRows} rows${errorCount > 0 ? ` (${errorCount} errors)` : ''}`;
-								progress.unknownColumns = Array.from(unknownSample);
-								IMPORT_PROGRESS.set(importId, progress);
-
-								console.log(`[Import ${importId}] CSV import completed: ${totalInserted} inserted, ${errorCount} errors out of ${totalRows} total rows`);
-								
-								// Clean up: Delete temporary file
-								try {
-									if (fs.existsSync(filePath)) {
-										fs.unlinkSync(filePath);
-									}
-								} catch (cleanupErr) {
-									console.warn(`[Import ${importId}] Failed to delete temp file: ${cleanupErr.message}`);
-								}
-								
-								resolve();
-							} catch (finalErr) {
-								console.error(`[Import ${importId}] Final chunk error:`, finalErr);
-								
-								// Clean up on error
-								try {
-									if (fs.existsSync(filePath)) {
-										fs.unlinkSync(filePath);
-									}
-								} catch (cleanupErr) {
-									console.warn(`[Import ${importId}] Failed to delete temp file on error: ${cleanupErr.message}`);
-								}
-								
-								reject(finalErr);
-							}
-						})
-						.on('error', (err) => {
-							console.error(`[Import ${importId}] CSV stream error:`, err);
-							progress.stage = 'error';
-							progress.message = `CSV parsing error: ${err.message}`;
-							progress.errorDetails = [err.toString()];
-							IMPORT_PROGRESS.set(importId, progress);
-							
-							// Clean up on error
-							try {
-								if (fs.existsSync(filePath)) {
-									fs.unlinkSync(filePath);
-								}
-							} catch (cleanupErr) {
-								console.warn(`[Import ${importId}] Failed to delete temp file on stream error: ${cleanupErr.message}`);
-							}
-							
-							reject(err);
-						});
-				});
-			} catch (err) {
-				console.error(`[Import ${importId}] Fatal error:`, err);
-				progress.stage = 'error';
-				progress.message = err.message || 'Import failed';
-				progress.errorDetails = [err.toString()];
-				if (err.stack) {
-					console.error(`[Import ${importId}] Stack:`, err.stack);
-				}
-				IMPORT_PROGRESS.set(importId, progress);
-				
-				// Clean up on fatal error
-				try {
-					if (filePath && fs.existsSync(filePath)) {
-						fs.unlinkSync(filePath);
-					}
-				} catch (cleanupErr) {
-					console.warn(`[Import ${importId}] Failed to delete temp file after fatal error: ${cleanupErr.message}`);
-				}
-			}
+		// Counts carry over from the earlier attempt; the job record holds them if this instance does not
+		const previous = IMPORT_PROGRESS.get(importId) || (job ? jobToProgress(job) : {});
+		auditImport(req, importId);
+		setProgress(importId, {
+			...previous,
+			stage: 'parsing',
+			progress: 5,
+			message: `Resuming after row ${committedRows}...`,
+			totalRows: 0,
+			imported: previous.inserted || 0,
+			inserted: previous.inserted || 0,
+			updated: previous.updated || 0,
+			skipped: previous.skipped || 0,
+			errors: previous.errors || 0,
+			processedRows: previous.processedRows || 0,
+			errorDetails: previous.errorDetails || []
 		});
-
-		return res.status(200).json({
-			success: true,
-			importId,
-			message: 'CSV import started'
+		uploadSessions.updateSession(session, { status: UPLOAD_STATUS.IMPORTING });
+		await saveJobProgress(app, job, IMPORT_PROGRESS.get(importId));
+		console.log(`[Upload ${session.uploadId}] Resuming import ${importId} after row ${committedRows}`);
+
+		setImmediate(() => {
+			importUploadSession(req, session, {
+				importId,
+				job,
+				filePath: uploadSessions.assembledPath(session),
+				profile,
+				startRow: committedRows
+			});
 		});
 
+		return res.status(200).json({ success: true, importId, uploadId: session.uploadId, resumedFrom: committedRows });
 	} catch (err) {
-		console.error('CSV import error:', err);
-		return res.status(500).json({ 
-			success: false, 
-			error: `Failed to start CSV import: ${err.message}` 
-		});
+		console.error('[resumeUpload] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to resume import: ${err.message}` });
+	}
+};
+
+exports.cancelUpload = async (req, res) => {
+	try {
+		const session = uploadSessions.loadSession(req.params.id);
+		if (!session) {
+			return uploadNotFound(res, req.params.id);
+		}
+		if (isImportActive(session.importId)) {
+			return res.status(409).json({ success: false, error: 'Import is still running', importId: session.importId });
+		}
+		uploadSessions.removeSession(session.uploadId);
+		return res.status(200).json({ success: true });
+	} catch (err) {
+		console.error('[cancelUpload] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to cancel upload: ${err.message}` });
 	}
 };
 
 // Helper function to process a chunk of rows
-async function processChunk(chunk, table, batchSize, importId, startRowIndex) {
+async function processChunk(chunk, app, tableName, importIndex, batchSize, importId, startRowIndex) {
+	const table = app.datastore().table(tableName);
 	let totalInserted = 0;
 	const errors = [];
 
@@ -875,9 +1541,12 @@ async function processChunk(chunk, table, batchSize, importId, startRowIndex) {
 
 	if (cleanedChunk.length === 0) {
 		console.warn(`[Import ${importId}] No valid rows in chunk after cleaning`);
-		return { inserted: 0, errors: [`Chunk at row ${startRowIndex + 1}: All rows invalid after cleaning`] };
+		return { inserted: 0, updated: 0, skipped: 0, errors: [`Chunk at row ${startRowIndex + 1}: All rows invalid after cleaning`] };
 	}
 
+	// Rows already in the table are skipped, or updated when a column changed
+	const { inserts, updates, skipped } = await importIndex.plan(app.zcql(), cleanedChunk);
+
 	const insertBatch = async (batch) => {
 		if (typeof table.insertRows === 'function') {
 			await table.insertRows(batch);
@@ -893,8 +1562,8 @@ async function processChunk(chunk, table, batchSize, importId, startRowIndex) {
 	};
 
 	// Insert in batches
-	for (let i = 0; i < cleanedChunk.length; i += batchSize) {
-		const batch = cleanedChunk.slice(i, i + batchSize);
+	for (let i = 0; i < inserts.length; i += batchSize) {
+		const batch = inserts.slice(i, i + batchSize);
 		const batchNum = Math.floor(i / batchSize) + 1;
 		try {
 			await insertBatch(batch);
@@ -929,7 +1598,7 @@ async function processChunk(chunk, table, batchSize, importId, startRowIndex) {
 						totalInserted++;
 					}
 				} catch (rowErr) {
-					const errMsg = `Row ${startRowIndex + i + j + 1}: ${rowErr.message}`;
+					const errMsg = `Row ${startRowIndex + cleanedChunk.indexOf(row) + 1}: ${rowErr.message}`;
 					errors.push(errMsg);
 					if (errors.length <= 10) {
 						console.error(`[Import ${importId}] ${errMsg}`);
@@ -939,12 +1608,24 @@ async function processChunk(chunk, table, batchSize, importId, startRowIndex) {
 		}
 	}
 
-	return { inserted: totalInserted, errors };
+	const { updated, errors: updateErrors } = await applyUpdates(table, updates, batchSize, importId);
+	errors.push(...updateErrors);
+
+	return { inserted: totalInserted, updated, skipped, errors };
 }
 
 exports.getImportProgress = async (req, res) => {
 	const { id } = req.params;
-	const state = IMPORT_PROGRESS.get(id);
+	let state = IMPORT_PROGRESS.get(id);
+	// Another instance (or this one before a restart) ran the import: use the job record
+	if (!state && req.catalystApp) {
+		try {
+			const job = await findJob(req.catalystApp.zcql(), id);
+			if (job) state = jobToProgress(job);
+		} catch (err) {
+			console.error(`[getImportProgress] Job lookup failed for ${id}:`, err.message);
+		}
+	}
 	if (!state) {
 		return res.status(404).json({ success: false, error: 'Import not found' });
 	}
@@ -955,6 +1636,272 @@ exports.getImportProgress = async (req, res) => {
 	return res.status(200).json({ success: true, progress: state });
 };
 
+const isFinished = (state) => state.stage === 'completed' || state.stage === 'error';
+
+/**
+ * Server-sent events for one import: the current state straight away, then
+ * every update as chunks are committed, ending after 'completed' or 'error'.
+ * Imports running on another instance only have their job record, so the
+ * stream sends that once and closes; clients fall back to polling then.
+ */
+exports.streamImportProgress = async (req, res) => {
+	const { id } = req.params;
+	let state = IMPORT_PROGRESS.get(id);
+	const local = Boolean(state);
+	if (!state && req.catalystApp) {
+		try {
+			const job = await findJob(req.catalystApp.zcql(), id);
+			if (job) state = jobToProgress(job);
+		} catch (err) {
+			console.error(`[streamImportProgress] Job lookup failed for ${id}:`, err.message);
+		}
+	}
+	if (!state) {
+		return res.status(404).json({ success: false, error: 'Import not found' });
+	}
+
+	res.status(200).set({
+		'Content-Type': 'text/event-stream',
+		'Cache-Control': 'no-cache, no-transform',
+		Connection: 'keep-alive',
+		// Stop proxies from buffering the stream
+		'X-Accel-Buffering': 'no',
+	});
+	res.flushHeaders();
+
+	let last = null;
+	const send = (progress) => {
+		const data = JSON.stringify(progress);
+		// Stages are also set in place between stores, so unchanged records are skipped rather than assumed
+		if (data === last) return;
+		last = data;
+		res.write(`event: progress\ndata: ${data}\n\n`);
+		if (isFinished(progress)) close();
+	};
+	// Catches in-place stage changes that are not followed by a store
+	const watch = setInterval(() => {
+		const current = IMPORT_PROGRESS.get(id);
+		if (current) send(current);
+	}, 1000);
+	const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+	let closed = false;
+	function close() {
+		if (closed) return;
+		closed = true;
+		clearInterval(watch);
+		clearInterval(heartbeat);
+		PROGRESS_EVENTS.removeListener(id, send);
+		res.end();
+	}
+
+	res.on('close', close);
+	PROGRESS_EVENTS.on(id, send);
+	send(state);
+	if (!local) close();
+};
+
+// Import job history, newest first
+exports.listImportJobs = async (req, res) => {
+	try {
+		const app = req.catalystApp;
+		if (!app) {
+			return res.status(500).json({ success: false, error: 'Catalyst app context missing' });
+		}
+		const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 300);
+		const jobs = await listJobs(app.zcql(), { limit });
+		return res.status(200).json({ success: true, jobs });
+	} catch (err) {
+		console.error('[listImportJobs] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to load import jobs: ${err.message}` });
+	}
+};
+
+// Delete every Transaction row inserted by one import
+exports.rollbackImportJob = async (req, res) => {
+	try {
+		const app = req.catalystApp;
+		if (!app) {
+			return res.status(500).json({ success: false, error: 'Catalyst app context missing' });
+		}
+		const { id } = req.params;
+		const job = await findJob(app.zcql(), id);
+		if (!job) {
+			return res.status(404).json({ success: false, error: 'Import job not found' });
+		}
+		if (job.status === JOB_STATUS.ROLLED_BACK) {
+			return res.status(409).json({ success: false, error: 'Import job was already rolled back' });
+		}
+		// A job left "running" by a crashed instance can be forced
+		const running = job.status === JOB_STATUS.RUNNING;
+		const stillActive = IMPORT_PROGRESS.has(id) && !['completed', 'error'].includes(IMPORT_PROGRESS.get(id).stage);
+		if (stillActive || (running && String(req.query.force) !== 'true')) {
+			return res.status(409).json({ success: false, error: 'Import is still running; wait for it to finish or pass force=true' });
+		}
+
+		const deleted = await rollbackJob(app, job);
+		console.log(`[rollbackImportJob] Job ${id}: deleted ${deleted} rows`);
+		return res.status(200).json({ success: true, importId: id, deleted, updatedRowsKept: job.updated });
+	} catch (err) {
+		console.error('[rollbackImportJob] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to roll back import: ${err.message}` });
+	}
+};
+
+// Header row and first data row of an uploaded sample, for building a mapping profile
+function previewUpload(file) {
+	const isCSV = file.originalname.toLowerCase().endsWith('.csv') || ['text/csv', 'application/csv', 'text/plain'].includes(file.mimetype);
+	if (!isCSV) {
+		const workbook = XLSX.read(file.buffer, { type: 'buffer', sheetRows: 2 });
+		const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+		const [headerRow = [], firstRow = []] = XLSX.utils.sheet_to_json(worksheet, { header: 1, raw: false, defval: null });
+		const headers = headerRow.filter(h => h !== null && h !== '').map(String);
+		const sample = {};
+		headers.forEach((header, idx) => {
+			sample[header] = firstRow[idx] ?? null;
+		});
+		return Promise.resolve({ headers, sample });
+	}
+	// The header line and first row are all that is needed
+	const text = file.buffer.subarray(0, 64 * 1024).toString('utf8');
+	return new Promise((resolve, reject) => {
+		let headers = [];
+		// Drop the byte-order mark so it does not end up in the profile's signature
+		const parser = csv({ mapHeaders: ({ header }) => header.replace(/^\uFEFF/, '') });
+		Readable.from([text]).pipe(parser)
+			.on('headers', (headerList) => {
+				headers = headerList;
+			})
+			.on('data', (row) => {
+				resolve({ headers, sample: row });
+				parser.destroy();
+			})
+			.on('end', () => resolve({ headers, sample: {} }))
+			.on('error', reject);
+	});
+}
+
+// Saved mapping profiles, with the options the profile editor offers
+exports.listMappingProfiles = async (req, res) => {
+	try {
+		const app = req.catalystApp;
+		if (!app) {
+			return res.status(500).json({ success: false, error: 'Catalyst app context missing' });
+		}
+		const profiles = await mappingProfiles.listProfiles(app.zcql());
+		return res.status(200).json({
+			success: true,
+			profiles,
+			columns: Array.from(ALLOWED_COLUMNS),
+			dateFormats: mappingProfiles.DATE_FORMATS,
+			numberLocales: Object.keys(mappingProfiles.NUMBER_LOCALES)
+		});
+	} catch (err) {
+		console.error('[listMappingProfiles] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to load mapping profiles: ${err.message}` });
+	}
+};
+
+exports.createMappingProfile = async (req, res) => {
+	try {
+		const app = req.catalystApp;
+		if (!app) {
+			return res.status(500).json({ success: false, error: 'Catalyst app context missing' });
+		}
+		const { profile, error } = mappingProfiles.normalizeProfileInput(req.body, ALLOWED_COLUMNS);
+		if (error) {
+			return res.status(400).json({ success: false, error });
+		}
+		const zcql = app.zcql();
+		if (await mappingProfiles.findProfileByName(zcql, profile.name)) {
+			return res.status(409).json({ success: false, error: `A profile named "${profile.name}" already exists` });
+		}
+		const created = await mappingProfiles.createProfile(app, profile);
+		return res.status(201).json({ success: true, profile: created });
+	} catch (err) {
+		console.error('[createMappingProfile] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to save mapping profile: ${err.message}` });
+	}
+};
+
+exports.updateMappingProfile = async (req, res) => {
+	try {
+		const app = req.catalystApp;
+		if (!app) {
+			return res.status(500).json({ success: false, error: 'Catalyst app context missing' });
+		}
+		const { id } = req.params;
+		const zcql = app.zcql();
+		if (!(await mappingProfiles.getProfile(zcql, id))) {
+			return res.status(404).json({ success: false, error: 'Mapping profile not found' });
+		}
+		const { profile, error } = mappingProfiles.normalizeProfileInput(req.body, ALLOWED_COLUMNS);
+		if (error) {
+			return res.status(400).json({ success: false, error });
+		}
+		const sameName = await mappingProfiles.findProfileByName(zcql, profile.name);
+		if (sameName && String(sameName.id) !== String(id)) {
+			return res.status(409).json({ success: false, error: `A profile named "${profile.name}" already exists` });
+		}
+		const updated = await mappingProfiles.updateProfile(app, id, profile);
+		return res.status(200).json({ success: true, profile: updated });
+	} catch (err) {
+		console.error('[updateMappingProfile] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to update mapping profile: ${err.message}` });
+	}
+};
+
+exports.deleteMappingProfile = async (req, res) => {
+	try {
+		const app = req.catalystApp;
+		if (!app) {
+			return res.status(500).json({ success: false, error: 'Catalyst app context missing' });
+		}
+		const { id } = req.params;
+		if (!(await mappingProfiles.getProfile(app.zcql(), id))) {
+			return res.status(404).json({ success: false, error: 'Mapping profile not found' });
+		}
+		await mappingProfiles.deleteProfile(app, id);
+		return res.status(200).json({ success: true });
+	} catch (err) {
+		console.error('[deleteMappingProfile] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to delete mapping profile: ${err.message}` });
+	}
+};
+
+// Headers of a sample file with their default column matches and the profile it would pick
+exports.inspectImportFile = async (req, res) => {
+	try {
+		const app = req.catalystApp;
+		if (!app) {
+			return res.status(500).json({ success: false, error: 'Catalyst app context missing' });
+		}
+		if (!req.file) {
+			return res.status(400).json({ success: false, error: 'No file uploaded' });
+		}
+		const { headers, sample } = await previewUpload(req.file);
+		if (headers.length === 0) {
+			return res.status(400).json({ success: false, error: 'No header row found in file' });
+		}
+		const mapping = await profileForUpload(req, app, headers);
+		return res.status(200).json({
+			success: true,
+			fileName: req.file.originalname,
+			headers: headers.map((header) => {
+				const column = normalizeColumnName(header);
+				return {
+					header,
+					column: ALLOWED_COLUMNS.has(column) ? column : null,
+					sample: sample[header] ?? null
+				};
+			}),
+			profile: profileSummary(mapping)
+		});
+	} catch (err) {
+		console.error('[inspectImportFile] Error:', err);
+		return res.status(500).json({ success: false, error: `Failed to read file headers: ${err.message}` });
+	}
+};
+
 // Test endpoint to insert dummy data and verify database insertion works
 exports.testInsert = async (req, res) => {
 	try {
@@ -1020,10 +1967,15 @@ exports.testInsert = async (req, res) => {
 			});
 		}
 
-		// Verify by querying the inserted row
+		// A GET, so the audit trail only sees it through its details
+		setAuditDetails(req, { after: dummyRow, rowCounts: { inserted: 1 } });
+
+		// Verify by querying the inserted row back by its ROWID
 		const zcql = app.zcql();
-		const verifyQuery = `SELECT * FROM ${tableName} WHERE WS_client_id = ? ORDER BY CREATEDTIME DESC LIMIT 1`;
-		const verifyResult = await zcql.executeZCQLQuery(verifyQuery, [dummyRow.WS_client_id]);
+		const insertedRow = Array.isArray(insertResult) ? insertResult[0] : insertResult;
+		const verifyResult = insertedRow && insertedRow.ROWID
+			? await zcql.executeZCQLQuery(select(tableName).where('ROWID', '=', insertedRow.ROWID).limit(1).toString(), [])
+			: [];
 
 		return res.status(200).json({
 			success: true,
@@ -1209,8 +2161,9 @@ exports.importBonus = async (req, res) => {
 
 		// Start async import and return importId immediately
 		const importId = newImportId();
+		auditImport(req, importId);
 
-		IMPORT_PROGRESS.set(importId, {
+		setProgress(importId, {
 			stage: 'parsing',
 			progress: 5,
 			message: 'Parsing Bonus Excel...',
@@ -1227,7 +2180,7 @@ exports.importBonus = async (req, res) => {
 			const progress = IMPORT_PROGRESS.get(importId);
 			try {
 				// Re-initialize Catalyst app in async context
-				const appAsync = catalyst.initialize(req);
+				const appAsync = initializeApp(req);
 				if (!appAsync) {
 					throw new Error('Failed to initialize Catalyst app');
 				}
@@ -1294,8 +2247,8 @@ exports.importBonus = async (req, res) => {
 					}
 				};
 
-				for (let i = 0; i < mappedRows.length; i += BATCH_SIZE) {
-					const batch = mappedRows.slice(i, i + BATCH_SIZE);
+				for (let i = 0; i < inserts.length; i += BATCH_SIZE) {
+					const batch = inserts.slice(i, i + BATCH_SIZE);
 					const batchNum = Math.floor(i / BATCH_SIZE) + 1;
 					try {
 						await insertBatch(batch);
@@ -1331,7 +2284,7 @@ exports.importBonus = async (req, res) => {
 					progress.errorDetails = errorMessages.slice(0, 10);
 					progress.progress = Math.min(95, Math.round((progress.processedRows / mappedRows.length) * 90) + 5);
 					progress.message = `Inserted ${totalInserted}/${mappedRows.length} bonus records...`;
-					IMPORT_PROGRESS.set(importId, progress);
+					setProgress(importId, progress);
 				}
 
 				console.log(`[Bonus Import ${importId}] Import completed: ${totalInserted} inserted, ${errorCount} errors`);
@@ -1347,7 +2300,7 @@ exports.importBonus = async (req, res) => {
 					console.error(`[Bonus Import ${importId}] Stack:`, err.stack);
 				}
 			}
-			IMPORT_PROGRESS.set(importId, progress);
+			setProgress(importId, progress);
 		});
 
 		return res.status(200).json({
@@ -1365,6 +2318,259 @@ exports.importBonus = async (req, res) => {
 	}
 };
 
+// ---------------------------------------------------------------------------
+// Price master (bhavcopy) import
+// ---------------------------------------------------------------------------
+
+const PRICE_TABLE = 'PriceMaster';
+
+// Header aliases across NSE (old and UDiFF) and BSE bhavcopies
+const PRICE_HEADER_ALIASES = {
+	isin: ['isin', 'isin_code', 'isincode'],
+	code: ['security_code', 'securitycode', 'symbol', 'tckrsymb', 'sc_code'],
+	name: ['security_name', 'securityname', 'sc_name', 'fininstrmnm', 'name'],
+	close: ['close', 'close_price', 'closeprice', 'clspric', 'close price'],
+	date: ['timestamp', 'traddt', 'date', 'price_date', 'pricedate', 'trading_date'],
+	series: ['series', 'sctysrs', 'sc_group']
+};
+
+// Equity series preferred when a symbol is listed under several series
+const PREFERRED_SERIES = new Set(['EQ', 'BE', 'BZ', 'A', 'B']);
+
+// First non-empty value among a field's aliases, in alias order
+function pickPriceField(row, field) {
+	const byHeader = new Map(Object.entries(row).map(([key, value]) => [String(key).trim().toLowerCase(), value]));
+	for (const alias of PRICE_HEADER_ALIASES[field]) {
+		const value = byHeader.get(alias);
+		if (value !== undefined && value !== null && String(value).trim() !== '') {
+			return value;
+		}
+	}
+	return undefined;
+}
+
+// Map a bhavcopy row to a PriceMaster record, or null when it cannot be used
+function mapPriceRow(row, fallbackDate) {
+	const isin = String(pickPriceField(row, 'isin') || '').trim().toUpperCase();
+	const code = String(pickPriceField(row, 'code') || '').trim().toUpperCase();
+	const close = Number(String(pickPriceField(row, 'close') || '').replace(/,/g, ''));
+	const priceDate = fallbackDate || parseBonusDate(pickPriceField(row, 'date'));
+
+	if ((!isin && !code) || !priceDate || !Number.isFinite(close) || close <= 0) {
+		return null;
+	}
+	return {
+		record: {
+			ISIN: isin || null,
+			SecurityCode: code || null,
+			SecurityName: String(pickPriceField(row, 'name') || '').trim() || null,
+			PriceDate: priceDate,
+			ClosePrice: close
+		},
+		series: String(pickPriceField(row, 'series') || '').trim().toUpperCase()
+	};
+}
+
+const priceKey = (record) => `${record.PriceDate}|${record.ISIN || ''}|${record.SecurityCode || ''}`;
+
+function readCsvRows(filePath) {
+	return new Promise((resolve, reject) => {
+		const rows = [];
+		fs.createReadStream(filePath)
+			.pipe(csv({ mapHeaders: ({ header }) => String(header).replace(/^\uFEFF/, '').trim() }))
+			.on('data', (row) => rows.push(row))
+			.on('end', () => resolve(rows))
+			.on('error', reject);
+	});
+}
+
+// Existing PriceMaster ROWIDs for one price date, keyed like priceKey()
+async function loadExistingPrices(zcql, priceDate) {
+	const existing = new Map();
+	const query = select(PRICE_TABLE)
+		.columns('ROWID', 'ISIN', 'SecurityCode', 'PriceDate')
+		.where('PriceDate', '=', priceDate);
+	const rows = await fetchRows(zcql, query, { label: 'loadExistingPrices' });
+	rows.forEach((row) => {
+		const r = row[PRICE_TABLE] || row;
+		existing.set(priceKey({
+			PriceDate: r.PriceDate,
+			ISIN: r.ISIN ? String(r.ISIN).toUpperCase() : null,
+			SecurityCode: r.SecurityCode ? String(r.SecurityCode).toUpperCase() : null
+		}), r.ROWID);
+	});
+	return existing;
+}
+
+// Import a bhavcopy-style CSV of closing prices. Re-uploading the same day
+// updates the existing prices instead of duplicating them.
+exports.importPrices = async (req, res) => {
+	try {
+		const app = req.catalystApp;
+		if (!app) {
+			return res.status(500).json({
+				success: false,
+				error: 'Catalyst app context missing'
+			});
+		}
+
+		if (!req.file || !req.file.path) {
+			return res.status(400).json({
+				success: false,
+				error: 'No file uploaded'
+			});
+		}
+
+		const filePath = req.file.path;
+		// Optional override for bhavcopies without a date column
+		const overrideDate = req.body && req.body.priceDate ? parseBonusDate(req.body.priceDate) : null;
+
+		const importId = newImportId();
+		auditImport(req, importId);
+		setProgress(importId, {
+			stage: 'parsing',
+			progress: 5,
+			message: 'Parsing price file...',
+			totalRows: 0,
+			processedRows: 0,
+			imported: 0,
+			errors: 0,
+			errorDetails: []
+		});
+
+		setImmediate(async () => {
+			const progress = IMPORT_PROGRESS.get(importId);
+			try {
+				const appAsync = initializeApp(req);
+				if (!appAsync) {
+					throw new Error('Failed to initialize Catalyst app');
+				}
+
+				const csvRows = await readCsvRows(filePath);
+				if (csvRows.length === 0) {
+					throw new Error('Price file is empty or has no data rows');
+				}
+				progress.totalRows = csvRows.length;
+				progress.stage = 'mapping';
+				progress.progress = 15;
+				progress.message = 'Mapping price columns...';
+
+				// One price per security per day; prefer equity series
+				const byKey = new Map();
+				let skipped = 0;
+				csvRows.forEach((row) => {
+					const mapped = mapPriceRow(row, overrideDate);
+					if (!mapped) {
+						skipped++;
+						return;
+					}
+					const key = priceKey(mapped.record);
+					const current = byKey.get(key);
+					if (!current || (!PREFERRED_SERIES.has(current.series) && PREFERRED_SERIES.has(mapped.series))) {
+						byKey.set(key, mapped);
+					}
+				});
+				const records = Array.from(byKey.values()).map((mapped) => mapped.record);
+				if (records.length === 0) {
+					throw new Error('No valid price rows found. Expected ISIN or security code, close price and date columns.');
+				}
+
+				progress.stage = 'inserting';
+				progress.progress = 25;
+				progress.message = 'Saving prices...';
+
+				const zcql = appAsync.zcql();
+				const table = appAsync.datastore().table(PRICE_TABLE);
+				const existingByDate = new Map();
+				for (const priceDate of new Set(records.map((record) => record.PriceDate))) {
+					existingByDate.set(priceDate, await loadExistingPrices(zcql, priceDate));
+				}
+
+				const toInsert = [];
+				const toUpdate = [];
+				records.forEach((record) => {
+					const rowId = existingByDate.get(record.PriceDate).get(priceKey(record));
+					if (rowId) {
+						toUpdate.push({ ROWID: rowId, ...record });
+					} else {
+						toInsert.push(record);
+					}
+				});
+
+				const BATCH_SIZE = 200; // Zoho Catalyst limit
+				const work = [
+					...toUpdate.map((row) => ({ row, update: true })),
+					...toInsert.map((row) => ({ row, update: false }))
+				];
+				let saved = 0;
+				let errorCount = 0;
+				const errorMessages = [];
+				for (let i = 0; i < work.length; i += BATCH_SIZE) {
+					const batch = work.slice(i, i + BATCH_SIZE);
+					const updates = batch.filter((item) => item.update).map((item) => item.row);
+					const inserts = batch.filter((item) => !item.update).map((item) => item.row);
+					try {
+						if (updates.length > 0) await table.updateRows(updates);
+						if (inserts.length > 0) await table.insertRows(inserts);
+						saved += batch.length;
+					} catch (batchErr) {
+						console.error(`[Price Import ${importId}] Batch ${Math.floor(i / BATCH_SIZE) + 1} failed:`, batchErr.message);
+						for (const item of batch) {
+							try {
+								if (item.update) {
+									await table.updateRow(item.row);
+								} else {
+									await table.insertRow(item.row);
+								}
+								saved++;
+							} catch (rowErr) {
+								errorCount++;
+								errorMessages.push(`${item.row.ISIN || item.row.SecurityCode} ${item.row.PriceDate}: ${rowErr.message}`);
+							}
+						}
+					}
+					progress.processedRows = Math.min(i + batch.length, work.length);
+					progress.imported = saved;
+					progress.errors = errorCount;
+					progress.errorDetails = errorMessages.slice(0, 10);
+					progress.progress = Math.min(95, Math.round((progress.processedRows / work.length) * 70) + 25);
+					progress.message = `Saved ${saved}/${work.length} prices...`;
+					setProgress(importId, progress);
+				}
+
+				console.log(`[Price Import ${importId}] Completed: ${toInsert.length} new, ${toUpdate.length} updated, ${skipped} skipped, ${errorCount} errors`);
+				progress.stage = 'completed';
+				progress.progress = 100;
+				progress.message = `Imported ${saved} prices (${toUpdate.length} updated)${skipped > 0 ? `, ${skipped} rows skipped` : ''}${errorCount > 0 ? `, ${errorCount} errors` : ''}`;
+			} catch (err) {
+				console.error(`[Price Import ${importId}] Fatal error:`, err);
+				progress.stage = 'error';
+				progress.message = err.message || 'Price import failed';
+				progress.errorDetails = [err.toString()];
+			} finally {
+				try {
+					fs.unlinkSync(filePath);
+				} catch (unlinkErr) {
+					console.warn(`[Price Import ${importId}] Could not delete temp file:`, unlinkErr.message);
+				}
+			}
+			setProgress(importId, progress);
+		});
+
+		return res.status(200).json({
+			success: true,
+			importId,
+			message: 'Price import started'
+		});
+	} catch (err) {
+		console.error('Price import error:', err);
+		return res.status(500).json({
+			success: false,
+			error: `Failed to import price file: ${err.message}`
+		});
+	}
+};
+
 // Seed bonus data from Stocks-bouns.txt file
 exports.seedBonus = async (req, res) => {
 	console.log('[Seed Bonus] Route called');
@@ -1381,6 +2587,8 @@ exports.seedBonus = async (req, res) => {
 
 		console.log('[Seed Bonus] Catalyst app initialized, starting background process');
 
+		const finishAudit = auditInBackground(req);
+
 		// Return immediately and process in background
 		res.status(202).json({
 			success: true,
@@ -1392,7 +2600,7 @@ exports.seedBonus = async (req, res) => {
 		setImmediate(async () => {
 			try {
 				// Re-initialize Catalyst app in async context
-				const appAsync = catalyst.initialize(req);
+				const appAsync = initializeApp(req);
 				if (!appAsync) {
 					throw new Error('Failed to initialize Catalyst app');
 				}
@@ -1403,7 +2611,6 @@ exports.seedBonus = async (req, res) => {
 				const path = require('path');
 
 				const BONUS_TABLE = 'Bonus';
-				const CLIENT_IDS_TABLE = 'clientIds';
 				const BATCH_SIZE = 200;
 
 				// Parse date function
@@ -1506,43 +2713,25 @@ exports.seedBonus = async (req, res) => {
 				console.log(`[Seed Bonus] Parsed ${bonusRows.length} bonus rows`);
 
 				// Load clientIds mapping
-				const zcql = appAsync.zcql();
+				const repos = repositoriesFor(appAsync);
 				const mapping = new Map();
-				const batchSize = 250;
-				let offset = 0;
-				let hasMore = true;
 				
 				console.log('[Seed Bonus] Loading clientIds mapping...');
-				while (hasMore) {
-					const query = `SELECT * FROM ${CLIENT_IDS_TABLE} WHERE ${CLIENT_IDS_TABLE}.ws_account_code IS NOT NULL LIMIT ${batchSize} OFFSET ${offset}`;
-					const rows = await zcql.executeZCQLQuery(query, []);
-					
-					if (!rows || rows.length === 0) {
-						hasMore = false;
-						break;
-					}
+				const clientRows = await repos.clientIds.find(repos.clientIds.select().whereNotNull('ws_account_code'), {
+					label: 'Seed Bonus clientIds'
+				});
+				clientRows.forEach((r) => {
+					const wsAccountCode = r.ws_account_code || r.WS_Account_code || r['ws_account_code'];
+					const clientId = r.clientId || r.ClientId || r.client_id;
 					
-					rows.forEach((row) => {
-						const r = row.clientIds || row[CLIENT_IDS_TABLE] || row;
-						const wsAccountCode = r.ws_account_code || r.WS_Account_code || r['ws_account_code'];
-						const clientId = r.clientId || r.ClientId || r.client_id;
-						
-						if (wsAccountCode && clientId) {
-							const accountCode = String(wsAccountCode).trim();
-							const clientIdNum = Number(clientId);
-							if (!isNaN(clientIdNum)) {
-								mapping.set(accountCode, clientIdNum);
-							}
+					if (wsAccountCode && clientId) {
+						const accountCode = String(wsAccountCode).trim();
+						const clientIdNum = Number(clientId);
+						if (!isNaN(clientIdNum)) {
+							mapping.set(accountCode, clientIdNum);
 						}
-					});
-					
-					if (rows.length < batchSize) {
-						hasMore = false;
-					} else {
-						offset += batchSize;
-						if (offset > 100000) hasMore = false;
 					}
-				}
+				});
 
 				console.log(`[Seed Bonus] Loaded ${mapping.size} client ID mappings`);
 
@@ -1606,47 +2795,28 @@ exports.seedBonus = async (req, res) => {
 				console.log('[Seed Bonus] Updating existing bonus rows...');
 				let totalUpdated = 0;
 				let updateErrors = 0;
-				offset = 0;
-				hasMore = true;
 
-				while (hasMore) {
-					const query = `SELECT * FROM ${BONUS_TABLE} WHERE ${BONUS_TABLE}.wsAccountCode IS NOT NULL LIMIT ${batchSize} OFFSET ${offset}`;
-					const rows = await zcql.executeZCQLQuery(query, []);
-					
-					if (!rows || rows.length === 0) {
-						hasMore = false;
-						break;
-					}
+				const bonusQuery = repos.bonuses.select().whereNotNull('wsAccountCode').orderBy('ROWID');
+				for await (const r of repos.bonuses.iterate(bonusQuery, { label: 'Seed Bonus update' })) {
+					const rowId = r.ROWID || r.rowid;
+					const wsAccountCode = r.wsAccountCode || r['wsAccountCode'];
 					
-					for (const row of rows) {
-						const r = row.Bonus || row[BONUS_TABLE] || row;
-						const rowId = r.ROWID || r.rowid;
-						const wsAccountCode = r.wsAccountCode || r['wsAccountCode'];
-						
-						if (rowId && wsAccountCode) {
-							const accountCode = String(wsAccountCode).trim();
-							const clientId = mapping.get(accountCode);
-							if (clientId && (!r.ClientId || r.ClientId === null)) {
-								try {
-									await table.updateRow({
-										ROWID: rowId,
-										ClientId: clientId
-									});
-									totalUpdated++;
-								} catch (err) {
-									updateErrors++;
-									console.error(`[Seed Bonus] Error updating row ${rowId}:`, err.message);
-								}
+					if (rowId && wsAccountCode) {
+						const accountCode = String(wsAccountCode).trim();
+						const clientId = mapping.get(accountCode);
+						if (clientId && (!r.ClientId || r.ClientId === null)) {
+							try {
+								await table.updateRow({
+									ROWID: rowId,
+									ClientId: clientId
+								});
+								totalUpdated++;
+							} catch (err) {
+								updateErrors++;
+								console.error(`[Seed Bonus] Error updating row ${rowId}:`, err.message);
 							}
 						}
 					}
-					
-					if (rows.length < batchSize) {
-						hasMore = false;
-					} else {
-						offset += batchSize;
-						if (offset > 100000) hasMore = false;
-					}
 				}
 
 				console.log('[Seed Bonus] ===== COMPLETED =====');
@@ -1658,10 +2828,19 @@ exports.seedBonus = async (req, res) => {
 				console.log(`[Seed Bonus] Existing rows updated: ${totalUpdated}`);
 				console.log(`[Seed Bonus] Update errors: ${updateErrors}`);
 				console.log('[Seed Bonus] =======================');
+				finishAudit({
+					rowCounts: {
+						inserted: totalInserted,
+						updated: totalUpdated,
+						skipped: unmatchedCount,
+						errors: totalErrors + updateErrors
+					}
+				});
 
 			} catch (err) {
 				console.error('[Seed Bonus] Fatal error:', err);
 				console.error('[Seed Bonus] Stack:', err.stack);
+				finishAudit({ error: err.message });
 			}
 		});
 
@@ -1690,6 +2869,8 @@ exports.seedSecurityList = async (req, res) => {
 
 		console.log('[Seed Security List] Catalyst app initialized, starting background process');
 
+		const finishAudit = auditInBackground(req);
+
 		res.status(202).json({
 			success: true,
 			message: 'Security List seed process started. This may take several minutes. Check server logs for progress.',
@@ -1698,7 +2879,7 @@ exports.seedSecurityList = async (req, res) => {
 
 		setImmediate(async () => {
 			try {
-				const appAsync = catalyst.initialize(req);
+				const appAsync = initializeApp(req);
 				if (!appAsync) {
 					throw new Error('Failed to initialize Catalyst app');
 				}
@@ -1790,6 +2971,7 @@ exports.seedSecurityList = async (req, res) => {
 
 				if (securityRows.length === 0) {
 					console.warn('[Seed Security List] No security data found in the file after parsing.');
+					finishAudit({ rowCounts: { inserted: 0 }, message: 'No security data found in the file' });
 					return;
 				}
 
@@ -1841,10 +3023,12 @@ exports.seedSecurityList = async (req, res) => {
 				if (errors.length > 0) {
 					console.error('[Seed Security List] Sample errors:', errors.slice(0, 5));
 				}
+				finishAudit({ rowCounts: { inserted: totalInserted, skipped: totalSkipped, errors: totalErrors } });
 
 			} catch (err) {
 				console.error('[Seed Security List] Background process error:', err);
 				console.error('[Seed Security List] Stack:', err.stack);
+				finishAudit({ error: err.message });
 			}
 		});
 
@@ -0,0 +1,148 @@
+"use strict";
+
+const {
+  validateOpeningBalance,
+  parseOpeningBalanceFile,
+  loadOpeningBalances,
+  getOpeningBalance,
+  saveOpeningBalances,
+  updateOpeningBalance,
+  deleteOpeningBalance,
+} = require("../services/openingBalances");
+
+// GET /api/opening-balances?clientId=
+exports.listOpeningBalances = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    const clientId = String(req.query.clientId || "").trim();
+    if (!/^\d+$/.test(clientId)) {
+      return res.status(400).json({ message: "Valid clientId is required" });
+    }
+    return res.status(200).json(await loadOpeningBalances(app.zcql(), Number(clientId)));
+  } catch (err) {
+    console.error("[listOpeningBalances] Error:", err);
+    return res.status(500).json({
+      message: "Failed to fetch opening balances",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// POST /api/opening-balances
+// Body: { clientId, isin, securityName?, securityCode?, qty, cost | unitCost, acquiredOn }
+exports.createOpeningBalance = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    const { balance, error } = validateOpeningBalance(req.body || {});
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await saveOpeningBalances(app, [balance]);
+    if (result.errors.length > 0) {
+      return res.status(400).json({ message: result.errors[0].message });
+    }
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    console.error("[createOpeningBalance] Error:", err);
+    return res.status(500).json({
+      message: "Failed to save opening balance",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// PUT /api/opening-balances/:id
+exports.updateOpeningBalance = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    const existing = await getOpeningBalance(app.zcql(), req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: "Opening balance not found" });
+    }
+    const { balance, error } = validateOpeningBalance({ ...existing, ...(req.body || {}) });
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const result = await updateOpeningBalance(app, existing.id, balance);
+    if (result.error) {
+      return res.status(400).json({ message: result.error });
+    }
+    return res.status(200).json(result.balance);
+  } catch (err) {
+    console.error("[updateOpeningBalance] Error:", err);
+    return res.status(500).json({
+      message: "Failed to update opening balance",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// DELETE /api/opening-balances/:id
+exports.deleteOpeningBalance = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    const existing = await getOpeningBalance(app.zcql(), req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: "Opening balance not found" });
+    }
+    await deleteOpeningBalance(app, existing.id);
+    return res.status(200).json({ success: true });
+  } catch (err) {
+    console.error("[deleteOpeningBalance] Error:", err);
+    return res.status(500).json({
+      message: "Failed to delete opening balance",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// POST /api/opening-balances/import (multipart: file)
+exports.importOpeningBalances = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: "Opening balance file is required" });
+    }
+
+    const parsed = parseOpeningBalanceFile(req.file.buffer);
+    if (parsed.error) {
+      return res.status(400).json({ message: parsed.error });
+    }
+    const result = await saveOpeningBalances(app, parsed.balances);
+    const errors = [...parsed.errors, ...result.errors].sort((a, b) => a.row - b.row);
+
+    console.log(
+      `[importOpeningBalances] ${req.file.originalname}: ${result.inserted} inserted, ${result.updated} updated, ${errors.length} rejected`
+    );
+    return res.status(200).json({
+      success: true,
+      fileName: req.file.originalname,
+      inserted: result.inserted,
+      updated: result.updated,
+      errors,
+    });
+  } catch (err) {
+    console.error("[importOpeningBalances] Error:", err);
+    return res.status(500).json({
+      message: "Failed to import opening balances",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
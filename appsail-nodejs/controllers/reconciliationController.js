@@ -0,0 +1,113 @@
+"use strict";
+
+const XLSX = require("xlsx");
+const { isValidDate } = require("../services/portfolioEvents");
+const { parseCustodianFile, reconcileHoldings } = require("../services/reconciliation");
+
+/**
+ * Parse the uploaded statement and reconcile it; asOfDate covers rows
+ * without a date column. Resolves to { report } or { error }.
+ */
+const runReconciliation = async (req) => {
+  const asOfDate = String((req.body && req.body.asOfDate) || req.query.asOfDate || "").trim();
+  const parsed = parseCustodianFile(req.file.buffer, { defaultAsOfDate: isValidDate(asOfDate) ? asOfDate : null });
+  if (parsed.error) return { error: parsed.error };
+  return { report: await reconcileHoldings(req.catalystApp.zcql(), parsed) };
+};
+
+const describeCauses = (causes) => causes.map((cause) => cause.message).join("; ");
+
+// POST /api/reconciliation/holdings (multipart: file, asOfDate)
+exports.reconcileHoldings = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: "Custodian holdings file is required" });
+    }
+
+    const { report, error } = await runReconciliation(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    console.log(
+      `[reconcileHoldings] ${req.file.originalname}: ${report.summary.positions} positions, ${report.summary.breaks} breaks`
+    );
+    return res.status(200).json({ fileName: req.file.originalname, ...report });
+  } catch (err) {
+    console.error("[reconcileHoldings] Error:", err);
+    return res.status(500).json({
+      message: "Failed to reconcile holdings",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// POST /api/reconciliation/holdings/export -> same break report as an Excel download
+exports.exportReconciliation = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    if (!req.file) {
+      return res.status(400).json({ message: "Custodian holdings file is required" });
+    }
+
+    const { report, error } = await runReconciliation(req);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    const { summary } = report;
+    const summaryRows = [
+      { ITEM: "Custodian file", VALUE: req.file.originalname },
+      { ITEM: "As of", VALUE: summary.asOfDates.join(", ") },
+      { ITEM: "Clients", VALUE: summary.clients },
+      { ITEM: "Positions compared", VALUE: summary.positions },
+      { ITEM: "Matched", VALUE: summary.matched },
+      { ITEM: "Breaks", VALUE: summary.breaks },
+      { ITEM: "Rows skipped", VALUE: summary.skippedRows },
+    ];
+    const breakRows = report.breaks.map((row) => ({
+      "AS OF": row.asOfDate,
+      "CLIENT ID": row.clientId,
+      "ACCOUNT CODE": row.accountCode || "",
+      ISIN: row.isin || "",
+      "STOCK NAME": row.stockName || "",
+      "STOCK CODE": row.stockCode || "",
+      "CUSTODIAN QTY": row.custodianQty,
+      "COMPUTED QTY": row.computedQty,
+      DIFFERENCE: row.difference,
+      "BREAK TYPE": row.type,
+      "LIKELY CAUSE": row.suggestedCauses[0] ? row.suggestedCauses[0].cause : "",
+      "SUGGESTED CAUSES": describeCauses(row.suggestedCauses),
+    }));
+    const errorRows = report.errors.map((error) => ({ ROW: error.row, PROBLEM: error.message }));
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryRows), "Summary");
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(breakRows), "Breaks");
+    if (errorRows.length > 0) {
+      XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(errorRows), "Skipped Rows");
+    }
+    const excelBuffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+
+    const fileName = `reconciliation_${summary.asOfDates[summary.asOfDates.length - 1] || "custodian"}.xlsx`;
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Content-Length", excelBuffer.length);
+
+    console.log(`[exportReconciliation] Generated ${fileName} with ${breakRows.length} breaks`);
+    return res.send(excelBuffer);
+  } catch (err) {
+    console.error("[exportReconciliation] Error:", err);
+    return res.status(500).json({
+      message: "Failed to export reconciliation report",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
@@ -0,0 +1,311 @@
+"use strict";
+
+const { loadClientPortfolio, findBook } = require("../services/portfolio");
+const {
+  parseFinancialYear,
+  loadGrandfatherFmv,
+  buildCapitalGains,
+} = require("../services/capitalGains");
+const { isValidDate, loadClientIds, loadGlobalActions } = require("../services/portfolioEvents");
+const { loadCashLedger, summariseLedger } = require("../services/cashLedger");
+const { buildDividendReport } = require("../services/dividends");
+const { buildValuationSeries } = require("../services/performance");
+const { DEFAULT_FEE_RATIO_THRESHOLD, buildFeeReport } = require("../services/fees");
+const { loadSecurityIndex } = require("../services/securityMaster");
+const { inScope } = require("../services/auth");
+
+const parseClientId = (req) => {
+  const raw = String(req.query.clientId || req.query.ws_client_id || "").trim();
+  return /^\d+$/.test(raw) ? parseInt(raw, 10) : null;
+};
+
+// Replay the client up to the end of the FY so sells match all earlier lots
+const loadCapitalGains = async (app, clientId, fyParam) => {
+  const zcql = app.zcql();
+  const fy = parseFinancialYear(fyParam);
+  const portfolio = await loadClientPortfolio(zcql, clientId, { endDate: fy.toDate });
+  const fmvLookup = await loadGrandfatherFmv(zcql, portfolio.books);
+  const report = buildCapitalGains(portfolio, { fromDate: fy.fromDate, toDate: fy.toDate, fmvLookup });
+  return { fy, report, warnings: portfolio.warnings };
+};
+
+// GET /api/reports/capital-gains?clientId=&fy=2023-24
+exports.getCapitalGains = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const clientId = parseClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ message: "Valid clientId is required" });
+    }
+
+    const { fy, report, warnings } = await loadCapitalGains(app, clientId, req.query.fy);
+
+    console.log(
+      `[getCapitalGains] Client ${clientId} FY ${fy.label}: ${report.rows.length} rows, gain ${report.summary.totalGain.toFixed(2)}`
+    );
+
+    return res.status(200).json({
+      clientId,
+      financialYear: fy.label,
+      fromDate: fy.fromDate,
+      toDate: fy.toDate,
+      summary: report.summary,
+      fmvBasis: report.fmvBasis,
+      rows: report.rows,
+      warnings,
+    });
+  } catch (err) {
+    console.error("[getCapitalGains] Error:", err);
+    return res.status(500).json({
+      message: "Failed to build capital gains report",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// GET /api/reports/capital-gains/export?clientId=&fy=2023-24
+exports.exportCapitalGains = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const clientId = parseClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ message: "Valid clientId is required" });
+    }
+
+    const XLSX = require("xlsx");
+    const { fy, report } = await loadCapitalGains(app, clientId, req.query.fy);
+    const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+    const scheduleRows = report.rows.map((row) => ({
+      "SALE DATE": row.saleDate,
+      "STOCK NAME": row.securityName,
+      ISIN: row.isin || "",
+      "ACQUIRED ON": row.acquiredOn || "-",
+      SOURCE: row.lotSource,
+      QUANTITY: row.qty,
+      "SALE PRICE": round2(row.salePrice),
+      "SALE VALUE": round2(row.saleValue),
+      "ACTUAL COST": round2(row.actualCost),
+      "FMV 31-JAN-2018 (CLOSE, APPROX.)": row.fmv31Jan2018 !== null ? round2(row.fmv31Jan2018) : "-",
+      "COST OF ACQUISITION": round2(row.costOfAcquisition),
+      "HOLDING DAYS": row.holdingDays ?? "-",
+      TERM: row.term,
+      GAIN: round2(row.gain),
+    }));
+
+    const { shortTerm, longTerm } = report.summary;
+    const summaryRows = [
+      { TERM: "STCG", "SALE VALUE": round2(shortTerm.saleValue), COST: round2(shortTerm.cost), GAIN: round2(shortTerm.gain) },
+      { TERM: "LTCG", "SALE VALUE": round2(longTerm.saleValue), COST: round2(longTerm.cost), GAIN: round2(longTerm.gain) },
+      {
+        TERM: "TOTAL",
+        "SALE VALUE": round2(shortTerm.saleValue + longTerm.saleValue),
+        COST: round2(shortTerm.cost + longTerm.cost),
+        GAIN: round2(report.summary.totalGain),
+      },
+      { TERM: "FMV BASIS", "SALE VALUE": report.fmvBasis },
+    ];
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(summaryRows), "Summary");
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet(scheduleRows), "Schedule");
+    const excelBuffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+
+    const fileName = `capital_gains_${clientId}_FY${fy.label}.xlsx`;
+    res.setHeader("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    res.setHeader("Content-Disposition", `attachment; filename="${fileName}"`);
+    res.setHeader("Content-Length", excelBuffer.length);
+
+    console.log(`[exportCapitalGains] Generated ${fileName} with ${scheduleRows.length} rows`);
+    return res.send(excelBuffer);
+  } catch (err) {
+    console.error("[exportCapitalGains] Error:", err);
+    return res.status(500).json({
+      message: "Failed to export capital gains report",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// GET /api/reports/cash-ledger?clientId=&fromDate=&endDate=
+exports.getCashLedger = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const clientId = parseClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ message: "Valid clientId is required" });
+    }
+
+    const fromDate = isValidDate(String(req.query.fromDate || "").trim()) ? String(req.query.fromDate).trim() : null;
+    const endDate = isValidDate(String(req.query.endDate || "").trim()) ? String(req.query.endDate).trim() : null;
+    if (fromDate && endDate && fromDate > endDate) {
+      return res.status(400).json({ message: "fromDate must be on or before endDate" });
+    }
+
+    const entries = await loadCashLedger(app.zcql(), clientId, { endDate });
+    const ledger = summariseLedger(entries, { fromDate, toDate: endDate });
+
+    console.log(
+      `[getCashLedger] Client ${clientId}: ${ledger.entries.length} entries, closing balance ${ledger.closingBalance.toFixed(2)}`
+    );
+
+    return res.status(200).json({ clientId, fromDate, endDate, ...ledger });
+  } catch (err) {
+    console.error("[getCashLedger] Error:", err);
+    return res.status(500).json({
+      message: "Failed to build cash ledger",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// GET /api/reports/dividends?clientId=&fy=&stockName=&stockCode=&endDate=
+exports.getDividends = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const clientId = parseClientId(req);
+    if (!clientId) {
+      return res.status(400).json({ message: "Valid clientId is required" });
+    }
+
+    // Either a financial year or everything up to endDate
+    const fy = req.query.fy ? parseFinancialYear(req.query.fy) : null;
+    const endDateStr = String(req.query.endDate || "").trim();
+    const endDate = fy ? fy.toDate : isValidDate(endDateStr) ? endDateStr : null;
+
+    const portfolio = await loadClientPortfolio(app.zcql(), clientId, { endDate });
+
+    let book = null;
+    const stockName = String(req.query.stockName || "").trim();
+    const stockCode = String(req.query.stockCode || "").trim();
+    if (stockName || stockCode) {
+      book = findBook(portfolio, { stockName, stockCode });
+      if (!book) {
+        return res.status(404).json({ message: "Security not found for this client" });
+      }
+    }
+
+    const report = buildDividendReport(portfolio, {
+      fromDate: fy ? fy.fromDate : null,
+      toDate: endDate,
+      book,
+    });
+
+    return res.status(200).json({
+      clientId,
+      financialYear: fy ? fy.label : null,
+      endDate,
+      ...report,
+    });
+  } catch (err) {
+    console.error("[getDividends] Error:", err);
+    return res.status(500).json({
+      message: "Failed to build dividend report",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// GET /api/reports/fees?clientId=&fy=&fromDate=&endDate=&threshold=
+// Without clientId every client is reported, highest fee ratio first.
+exports.getFeeAnalytics = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    const fromDateStr = String(req.query.fromDate || "").trim();
+    const endDateStr = String(req.query.endDate || "").trim();
+    let fy = null;
+    let fromDate;
+    let toDate;
+    if (isValidDate(fromDateStr)) {
+      fromDate = fromDateStr;
+      toDate = isValidDate(endDateStr) ? endDateStr : today;
+    } else {
+      fy = parseFinancialYear(req.query.fy);
+      fromDate = fy.fromDate;
+      // The current FY is only valued up to today
+      toDate = fy.toDate < today ? fy.toDate : today;
+    }
+    if (fromDate > toDate) {
+      return res.status(400).json({ message: "fromDate must be on or before endDate" });
+    }
+
+    let threshold = DEFAULT_FEE_RATIO_THRESHOLD;
+    if (req.query.threshold !== undefined && String(req.query.threshold).trim() !== "") {
+      threshold = Number(req.query.threshold);
+      if (!Number.isFinite(threshold) || threshold <= 0 || threshold >= 1) {
+        return res.status(400).json({ message: "threshold must be a ratio between 0 and 1 (e.g. 0.025)" });
+      }
+    }
+
+    const zcql = app.zcql();
+    let clientIds;
+    if (req.query.clientId || req.query.ws_client_id) {
+      const clientId = parseClientId(req);
+      if (!clientId) {
+        return res.status(400).json({ message: "Valid clientId is required" });
+      }
+      clientIds = [clientId];
+    } else {
+      clientIds = (await loadClientIds(zcql)).filter((clientId) => inScope(req.clientScope, clientId));
+    }
+
+    const globalActions = await loadGlobalActions(zcql, { endDate: toDate });
+    const securityIndex = await loadSecurityIndex(zcql);
+    const clients = [];
+    for (const clientId of clientIds) {
+      try {
+        const portfolio = await loadClientPortfolio(zcql, clientId, { endDate: toDate, globalActions, securityIndex });
+        const { series } = await buildValuationSeries(zcql, portfolio, { asOf: toDate });
+        clients.push(buildFeeReport(portfolio, series, { fromDate, toDate, threshold }));
+      } catch (clientErr) {
+        // One failing client should not hide the rest of the report
+        console.error(`[getFeeAnalytics] Client ${clientId} failed:`, clientErr);
+        clients.push({ clientId, error: String(clientErr && clientErr.message ? clientErr.message : clientErr) });
+      }
+    }
+    clients.sort((a, b) => (b.annualisedFeeRatio ?? -1) - (a.annualisedFeeRatio ?? -1));
+
+    const flagged = clients.filter((client) => client.flagged).length;
+    console.log(`[getFeeAnalytics] ${clients.length} clients ${fromDate}..${toDate}, ${flagged} above ${threshold}`);
+
+    return res.status(200).json({
+      financialYear: fy ? fy.label : null,
+      fromDate,
+      toDate,
+      threshold,
+      summary: {
+        clients: clients.length,
+        flagged,
+        totalFees: clients.reduce((sum, client) => sum + (client.totalFees || 0), 0),
+      },
+      clients,
+    });
+  } catch (err) {
+    console.error("[getFeeAnalytics] Error:", err);
+    return res.status(500).json({
+      message: "Failed to build fee analytics",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
@@ -0,0 +1,179 @@
+"use strict";
+
+const {
+  loadSecurities,
+  loadSecurityIndex,
+  seedSecurityMaster,
+  listUnresolved,
+  getSecurity,
+  saveSecurity,
+  addAlias,
+  mergeSecurities,
+} = require("../services/securityMaster");
+
+const toText = (value) => String(value || "").trim();
+
+const toList = (value) => (Array.isArray(value) ? value.map(toText).filter(Boolean) : null);
+
+// GET /api/securities
+exports.listSecurities = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    return res.status(200).json(await loadSecurities(app.zcql()));
+  } catch (err) {
+    console.error("[listSecurities] Error:", err);
+    return res.status(500).json({
+      message: "Failed to fetch securities",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// POST /api/securities/seed
+exports.seedSecurities = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    const result = await seedSecurityMaster(app);
+    console.log(
+      `[seedSecurities] ${result.securities} securities (${result.created} new, ${result.updated} updated), ` +
+        `${result.securityListUnmatched} Security_List rows unmatched`
+    );
+    return res.status(200).json(result);
+  } catch (err) {
+    console.error("[seedSecurities] Error:", err);
+    return res.status(500).json({
+      message: "Failed to seed security master",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// GET /api/securities/unresolved
+exports.listUnresolvedAliases = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+    const zcql = app.zcql();
+    return res.status(200).json(await listUnresolved(zcql, await loadSecurityIndex(zcql)));
+  } catch (err) {
+    console.error("[listUnresolvedAliases] Error:", err);
+    return res.status(500).json({
+      message: "Failed to fetch unresolved securities",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// PUT /api/securities/:id
+// Body: { name?, code?, aliases?, codes? } - alias lists replace the stored ones
+exports.updateSecurity = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const security = await getSecurity(app.zcql(), req.params.id);
+    if (!security) {
+      return res.status(404).json({ message: "Security not found" });
+    }
+
+    const body = req.body || {};
+    if (body.name !== undefined) {
+      if (!toText(body.name)) {
+        return res.status(400).json({ message: "name cannot be empty" });
+      }
+      security.name = toText(body.name);
+    }
+    if (body.code !== undefined) security.code = toText(body.code).toUpperCase();
+    const aliases = toList(body.aliases);
+    if (aliases) security.aliases = aliases;
+    const codes = toList(body.codes);
+    if (codes) security.codes = codes.map((code) => code.toUpperCase());
+
+    return res.status(200).json(await saveSecurity(app, security));
+  } catch (err) {
+    console.error("[updateSecurity] Error:", err);
+    return res.status(500).json({
+      message: "Failed to update security",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// POST /api/securities/:id/aliases
+// Body: { name?, code? } - typically an unresolved name being assigned
+exports.addSecurityAlias = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const body = req.body || {};
+    const name = toText(body.name);
+    const code = toText(body.code);
+    if (!name && !code) {
+      return res.status(400).json({ message: "name or code is required" });
+    }
+
+    const security = await getSecurity(app.zcql(), req.params.id);
+    if (!security) {
+      return res.status(404).json({ message: "Security not found" });
+    }
+
+    const saved = await addAlias(app, security, { name, code });
+    console.log(`[addSecurityAlias] ${name || code} -> ${saved.isin}`);
+    return res.status(200).json(saved);
+  } catch (err) {
+    console.error("[addSecurityAlias] Error:", err);
+    return res.status(500).json({
+      message: "Failed to add alias",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
+
+// POST /api/securities/:id/merge
+// Body: { sourceId } - the source security is folded into :id and removed
+exports.mergeSecurity = async (req, res) => {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const sourceId = toText(req.body && req.body.sourceId);
+    if (!sourceId) {
+      return res.status(400).json({ message: "sourceId is required" });
+    }
+    if (sourceId === String(req.params.id)) {
+      return res.status(400).json({ message: "Cannot merge a security into itself" });
+    }
+
+    const zcql = app.zcql();
+    const target = await getSecurity(zcql, req.params.id);
+    const source = await getSecurity(zcql, sourceId);
+    if (!target || !source) {
+      return res.status(404).json({ message: "Security not found" });
+    }
+
+    const merged = await mergeSecurities(app, target, source);
+    console.log(`[mergeSecurity] ${source.isin} merged into ${merged.isin}`);
+    return res.status(200).json(merged);
+  } catch (err) {
+    console.error("[mergeSecurity] Error:", err);
+    return res.status(500).json({
+      message: "Failed to merge securities",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+};
@@ -1,26 +1,37 @@
 const Express = require("express");
 const port = process.env.X_ZOHO_CATALYST_LISTEN_PORT || 9000;
-const catalyst = require('zcatalyst-sdk-node');
 const cors = require('cors');
+const { authenticate, requireWriteAccess, requireClientAccess } = require('./middleware/auth');
+const { auditTrail } = require('./middleware/audit');
+const { setRowBudget } = require('./services/rowFetcher');
+const { initializeApp } = require('./services/storage');
 const expressApp = Express();
 
-// Disable etag so progress polling doesn't get 304 Not Modified
-expressApp.set('etag', false);
+// Comma-separated list of browser origins allowed to call the API
+const allowedOrigins = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+	.split(',')
+	.map((origin) => origin.trim())
+	.filter(Boolean);
+
+// Most rows one request may read through ZCQL, summed over all its queries
+const rowBudget = Number(process.env.ZCQL_ROW_BUDGET) || 1000000;
 
 expressApp.use(cors({
-	origin: 'http://localhost:3000',
+	origin: allowedOrigins,
 	credentials: true,
 	methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-	allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control', 'Pragma', 'Expires'],
+	allowedHeaders: ['Content-Type', 'Authorization', 'Cache-Control', 'Pragma', 'Expires', 'X-Checksum-SHA256'],
 }));
 expressApp.use(Express.json());
 
-// Inject Catalyst app per request (following Catalyst SDK pattern)
+// Inject Catalyst app per request (following Catalyst SDK pattern); with
+// STORAGE_BACKEND=memory this is a local app over the in-process store
 expressApp.use((req, res, next) => {
 	try {
-		const app = catalyst.initialize(req);
+		const app = initializeApp(req);
 		// This app variable is used to access the catalyst components
 		req.catalystApp = app;
+		setRowBudget(app.zcql(), rowBudget);
 		next();
 	} catch (err) {
 		console.error('Catalyst initialization error:', err);
@@ -49,8 +60,20 @@ expressApp.get('/', (req, res) => {
 });
 
 // API Routes
+expressApp.use('/api/auth', require('./routes/auth'));
+
+// Everything below needs a signed-in user, limited to the clients they may see,
+// and every data-changing request is written to the audit log
+expressApp.use('/api', authenticate, requireClientAccess, auditTrail);
 expressApp.use('/api/stocks', require('./routes/stocks'));
-expressApp.use('/api/import', require('./routes/import'));
+expressApp.use('/api/import', requireWriteAccess, require('./routes/import'));
+expressApp.use('/api/corporate-actions', require('./routes/corporateActions'));
+expressApp.use('/api/reports', require('./routes/reports'));
+expressApp.use('/api/reconciliation', requireWriteAccess, require('./routes/reconciliation'));
+expressApp.use('/api/securities', require('./routes/securities'));
+expressApp.use('/api/data-quality', require('./routes/dataQuality'));
+expressApp.use('/api/opening-balances', require('./routes/openingBalances'));
+expressApp.use('/api/audit', require('./routes/audit'));
 
 expressApp.listen(port, () => {
   console.log(`Example app listening on port ${port}`);
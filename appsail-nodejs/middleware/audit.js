@@ -0,0 +1,113 @@
+"use strict";
+
+/**
+ * Audit middleware. auditTrail writes an AuditLog entry for every request
+ * that is not a GET once its response has been sent. Handlers add to it:
+ *  - setAuditDetails(req, { before, after, rowCounts }) for snapshots or
+ *    counts the response body does not carry (also audits a GET);
+ *  - auditInBackground(req) when the work continues after the response; it
+ *    returns a function to call with { rowCounts } or { error } at the end.
+ * A failure to write the log is logged and never fails the request.
+ */
+
+const { initializeApp } = require("../services/storage");
+const { AUDIT_STATUS, recordAudit, completeAudit } = require("../services/audit");
+
+// Response fields read as affected row counts; arrays count their items
+const COUNT_FIELDS = ["inserted", "updated", "deleted", "created", "merged", "skipped", "errors"];
+
+// Request fields never written to the log
+const SECRET_FIELDS = new Set(["password", "token", "access_token"]);
+
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== "object") return value;
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [key, SECRET_FIELDS.has(key) ? "[redacted]" : redact(item)])
+  );
+}
+
+function requestParams(req) {
+  const params = { params: { ...req.params }, query: redact(req.query) };
+  // Raw upload parts arrive as a Buffer; only their size is worth keeping
+  if (Buffer.isBuffer(req.body)) params.body = { bytes: req.body.length };
+  else if (req.body && Object.keys(req.body).length > 0) params.body = redact(req.body);
+  if (req.file) params.file = { name: req.file.originalname, size: req.file.size };
+  return params;
+}
+
+function countsFromResponse(body) {
+  if (!body || typeof body !== "object") return null;
+  const counts = {};
+  COUNT_FIELDS.forEach((field) => {
+    const value = body[field];
+    if (typeof value === "number") counts[field] = value;
+    else if (Array.isArray(value)) counts[field] = value.length;
+  });
+  return Object.keys(counts).length > 0 ? counts : null;
+}
+
+function auditTrail(req, res, next) {
+  const audit = { details: {}, forced: false, pending: false, completion: null, responseBody: null, entry: null };
+  req.audit = audit;
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    audit.responseBody = body;
+    return json(body);
+  };
+
+  res.on("finish", () => {
+    if ((req.method === "GET" && !audit.forced) || !req.catalystApp) return;
+
+    const { completion, details } = audit;
+    let status = AUDIT_STATUS.SUCCEEDED;
+    if (res.statusCode >= 400 || (completion && completion.error)) status = AUDIT_STATUS.FAILED;
+    else if (audit.pending && !completion) status = AUDIT_STATUS.RUNNING;
+
+    const body = audit.responseBody || {};
+    audit.entry = recordAudit(req.catalystApp, {
+      user: req.user,
+      // The route pattern (":id") keeps one action per endpoint; the ids are in params
+      action: `${req.method} ${req.route ? req.baseUrl + req.route.path : req.originalUrl.split("?")[0]}`,
+      status,
+      statusCode: res.statusCode,
+      params: requestParams(req),
+      rowCounts: (completion && completion.rowCounts) || details.rowCounts || countsFromResponse(body),
+      before: details.before,
+      after: details.after,
+      message: (completion && completion.error) || (res.statusCode >= 400 ? body.message || body.error : null),
+    }).catch((err) => {
+      console.error(`[auditTrail] Failed to record ${req.method} ${req.originalUrl}:`, err.message);
+      return null;
+    });
+  });
+
+  next();
+}
+
+function setAuditDetails(req, details) {
+  if (!req.audit) return;
+  req.audit.forced = true;
+  Object.assign(req.audit.details, details);
+}
+
+function auditInBackground(req) {
+  const audit = req.audit;
+  if (!audit) return () => Promise.resolve();
+  audit.pending = true;
+  return (result = {}) => {
+    audit.completion = result;
+    // Not written yet: the entry is recorded with this result when the response finishes
+    if (!audit.entry) return Promise.resolve();
+    return audit.entry
+      .then((id) => id && completeAudit(initializeApp(req), id, result))
+      .catch((err) => console.error(`[auditTrail] Failed to complete entry for ${req.originalUrl}:`, err.message));
+  };
+}
+
+module.exports = {
+  auditTrail,
+  setAuditDetails,
+  auditInBackground,
+};
@@ -0,0 +1,82 @@
+"use strict";
+
+/**
+ * Express middleware for signed-in access.
+ *
+ * authenticate resolves the bearer token to req.user and, for relationship
+ * managers, req.clientScope (a Set of client ids; null means every client).
+ * requireClientAccess then rejects requests naming a client outside that
+ * scope, so per-client endpoints need no checks of their own; endpoints
+ * that list several clients filter on req.clientScope themselves.
+ */
+
+const { WRITE_ROLES, getUser, publicUser, verifyToken, loadClientScope, inScope } = require("../services/auth");
+
+// Request fields that name a single client
+const CLIENT_ID_FIELDS = ["clientId", "ws_client_id", "WS_client_id"];
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+  if (match) return match[1].trim();
+  // EventSource cannot send headers, so event streams pass the token in the query string
+  if (String(req.headers.accept || "").includes("text/event-stream")) return req.query.access_token || null;
+  return null;
+}
+
+async function authenticate(req, res, next) {
+  try {
+    const app = req.catalystApp;
+    if (!app) {
+      return res.status(500).json({ message: "Catalyst app context missing" });
+    }
+
+    const userId = verifyToken(bearerToken(req));
+    const user = userId ? await getUser(app.zcql(), userId) : null;
+    if (!user || !user.active) {
+      return res.status(401).json({ message: "Sign in required" });
+    }
+
+    req.user = publicUser(user);
+    req.clientScope = await loadClientScope(app.zcql(), user);
+    next();
+  } catch (err) {
+    console.error("[authenticate] Error:", err);
+    return res.status(500).json({
+      message: "Failed to authenticate request",
+      error: String(err && err.message ? err.message : err),
+    });
+  }
+}
+
+// Allow only users with one of the given roles
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ message: `This action requires one of the roles: ${roles.join(", ")}` });
+  }
+  next();
+};
+
+// Imports, seeding and edits to corporate actions or reference data
+const requireWriteAccess = requireRole(...WRITE_ROLES);
+
+function requireClientAccess(req, res, next) {
+  const sources = [req.query, req.body, req.params];
+  for (const source of sources) {
+    if (!source || typeof source !== "object") continue;
+    for (const field of CLIENT_ID_FIELDS) {
+      const value = source[field];
+      if (value === undefined || value === null || String(value).trim() === "") continue;
+      if (!inScope(req.clientScope, value)) {
+        return res.status(403).json({ message: `You do not have access to client ${String(value).trim()}` });
+      }
+    }
+  }
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireRole,
+  requireWriteAccess,
+  requireClientAccess,
+};
@@ -0,0 +1,17 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const auditController = require('../controllers/auditController');
+const { requireRole } = require('../middleware/auth');
+const { ROLES } = require('../services/auth');
+
+router.use(requireRole(ROLES.ADMIN));
+
+// GET /api/audit -> audit log entries, newest first, filtered by user, action and date
+router.get('/', auditController.listAuditEntries);
+
+// GET /api/audit/filters -> users and actions present in the log
+router.get('/filters', auditController.getAuditFilters);
+
+module.exports = router;
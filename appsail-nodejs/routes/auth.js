@@ -0,0 +1,25 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+const { authenticate, requireRole } = require('../middleware/auth');
+const { auditTrail } = require('../middleware/audit');
+const { ROLES } = require('../services/auth');
+
+// POST /api/auth/login -> exchange email/password for a bearer token
+router.post('/login', authController.login);
+
+// GET /api/auth/me -> the signed-in user, with how many clients they can see
+router.get('/me', authenticate, authController.getCurrentUser);
+
+// GET /api/auth/users -> every user (admin only)
+router.get('/users', authenticate, requireRole(ROLES.ADMIN), authController.listUsers);
+
+// POST /api/auth/users -> create a user with a role and RM assignment (admin only)
+router.post('/users', authenticate, requireRole(ROLES.ADMIN), auditTrail, authController.createUser);
+
+// PUT /api/auth/users/:id -> change role, assignment, password or active flag (admin only)
+router.put('/users/:id', authenticate, requireRole(ROLES.ADMIN), auditTrail, authController.updateUser);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const corporateActionsController = require('../controllers/corporateActionsController');
+const { requireWriteAccess } = require('../middleware/auth');
+
+// POST /api/corporate-actions/bonus -> persist a bonus allocation from the Bonus page
+router.post('/bonus', requireWriteAccess, corporateActionsController.saveBonus);
+
+// GET /api/corporate-actions/split -> splits recorded for a security
+router.get('/split', corporateActionsController.listSplits);
+
+// POST /api/corporate-actions/split -> persist a split (ratio + ex-date)
+router.post('/split', requireWriteAccess, corporateActionsController.saveSplit);
+
+// GET /api/corporate-actions/merger -> mergers involving a security
+router.get('/merger', corporateActionsController.listMergers);
+
+// POST /api/corporate-actions/merger -> persist a merger (old -> new security)
+router.post('/merger', requireWriteAccess, corporateActionsController.saveMerger);
+
+// GET /api/corporate-actions/demerger -> demergers involving a security
+router.get('/demerger', corporateActionsController.listDemergers);
+
+// POST /api/corporate-actions/demerger -> persist a demerger (parent -> child, cost split)
+router.post('/demerger', requireWriteAccess, corporateActionsController.saveDemerger);
+
+module.exports = router;
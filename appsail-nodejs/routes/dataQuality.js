@@ -0,0 +1,14 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const dataQualityController = require('../controllers/dataQualityController');
+const { requireWriteAccess } = require('../middleware/auth');
+
+// POST /api/data-quality/scan -> replay clients and store oversells, unknown types, zero-rate buys, stray bonuses, missing ISINs
+router.post('/scan', requireWriteAccess, dataQualityController.scanDataQuality);
+
+// GET /api/data-quality/issues -> issues from the last scan, filterable by client and type
+router.get('/issues', dataQualityController.listDataQualityIssues);
+
+module.exports = router;
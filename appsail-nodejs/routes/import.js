@@ -73,15 +73,51 @@ const csvUpload = multer({
 	}
 });
 
+// Sample files for mapping profiles: only the header row is read, so keep them in memory
+const sampleUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: 50 * 1024 * 1024 // 50MB limit
+	},
+	fileFilter: (req, file, cb) => {
+		if (/\.(xlsx|xls|xlsb|csv)$/i.test(file.originalname)) {
+			cb(null, true);
+		} else {
+			cb(new Error('Only Excel (.xlsx, .xls, .xlsb) or CSV (.csv) files are allowed'), false);
+		}
+	}
+});
+
 // POST /api/import/excel -> import Excel file
 router.post('/excel', excelUpload.single('file'), importController.importExcel);
 
 // POST /api/import/csv -> import CSV file (streaming, chunked processing)
 router.post('/csv', csvUpload.single('file'), importController.importCSV);
 
+// POST /api/import/uploads -> open a resumable CSV upload (fileName, fileSize, partSize)
+router.post('/uploads', importController.createUpload);
+
+// GET /api/import/uploads/:id -> parts received so far and import state
+router.get('/uploads/:id', importController.getUpload);
+
+// PUT /api/import/uploads/:id/parts/:partNumber -> one raw part, checksum in X-Checksum-SHA256
+router.put('/uploads/:id/parts/:partNumber', express.raw({ type: () => true, limit: '11mb' }), importController.uploadPart);
+
+// POST /api/import/uploads/:id/complete -> assemble the parts and import (?dryRun=true validates only)
+router.post('/uploads/:id/complete', importController.completeUpload);
+
+// POST /api/import/uploads/:id/resume -> restart a failed import after the last committed row
+router.post('/uploads/:id/resume', importController.resumeUpload);
+
+// DELETE /api/import/uploads/:id -> discard an upload
+router.delete('/uploads/:id', importController.cancelUpload);
+
 // POST /api/import/bonus -> import Bonus Excel file
 router.post('/bonus', excelUpload.single('file'), importController.importBonus);
 
+// POST /api/import/prices -> import bhavcopy-style closing prices into the price master
+router.post('/prices', csvUpload.single('file'), importController.importPrices);
+
 // POST /api/import/seed/bonus -> seed bonus data from Stocks-bouns.txt file
 router.post('/seed/bonus', (req, res, next) => {
 	console.log('[Route] /seed/bonus POST request received');
@@ -99,6 +135,30 @@ router.post('/seed/security-list', (req, res, next) => {
 // GET /api/import/progress/:id -> current progress
 router.get('/progress/:id', importController.getImportProgress);
 
+// GET /api/import/progress/:id/stream -> progress as server-sent events
+router.get('/progress/:id/stream', importController.streamImportProgress);
+
+// GET /api/import/jobs -> import job history (newest first)
+router.get('/jobs', importController.listImportJobs);
+
+// DELETE /api/import/jobs/:id -> roll back the rows an import inserted
+router.delete('/jobs/:id', importController.rollbackImportJob);
+
+// GET /api/import/profiles -> saved column-mapping profiles and editor options
+router.get('/profiles', importController.listMappingProfiles);
+
+// POST /api/import/profiles -> create a mapping profile
+router.post('/profiles', importController.createMappingProfile);
+
+// POST /api/import/profiles/inspect -> headers of a sample file and the profile detected for it
+router.post('/profiles/inspect', sampleUpload.single('file'), importController.inspectImportFile);
+
+// PUT /api/import/profiles/:id -> update a mapping profile
+router.put('/profiles/:id', importController.updateMappingProfile);
+
+// DELETE /api/import/profiles/:id -> delete a mapping profile
+router.delete('/profiles/:id', importController.deleteMappingProfile);
+
 // GET /api/import/test -> test database insertion with dummy data
 router.get('/test', importController.testInsert);
 
@@ -0,0 +1,39 @@
+'use strict';
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const openingBalancesController = require('../controllers/openingBalancesController');
+const { requireWriteAccess } = require('../middleware/auth');
+
+// Opening balance files list one line per holding, so keep them in memory
+const balanceUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: 50 * 1024 * 1024 // 50MB limit
+	},
+	fileFilter: (req, file, cb) => {
+		if (/\.(xlsx|xls|xlsb|csv)$/i.test(file.originalname)) {
+			cb(null, true);
+		} else {
+			cb(new Error('Only Excel (.xlsx, .xls, .xlsb) or CSV files are allowed'), false);
+		}
+	}
+});
+
+// GET /api/opening-balances?clientId= -> a client's pre-dataset holdings
+router.get('/', openingBalancesController.listOpeningBalances);
+
+// POST /api/opening-balances -> add one opening balance (replaces same client/ISIN/date)
+router.post('/', requireWriteAccess, openingBalancesController.createOpeningBalance);
+
+// POST /api/opening-balances/import -> bulk import from an Excel/CSV file
+router.post('/import', requireWriteAccess, balanceUpload.single('file'), openingBalancesController.importOpeningBalances);
+
+// PUT /api/opening-balances/:id -> edit quantity, cost, date or security
+router.put('/:id', requireWriteAccess, openingBalancesController.updateOpeningBalance);
+
+// DELETE /api/opening-balances/:id -> remove an opening balance
+router.delete('/:id', requireWriteAccess, openingBalancesController.deleteOpeningBalance);
+
+module.exports = router;
@@ -0,0 +1,29 @@
+'use strict';
+
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const reconciliationController = require('../controllers/reconciliationController');
+
+// Custodian statements are small enough to keep in memory
+const statementUpload = multer({
+	storage: multer.memoryStorage(),
+	limits: {
+		fileSize: 50 * 1024 * 1024 // 50MB limit
+	},
+	fileFilter: (req, file, cb) => {
+		if (/\.(xlsx|xls|xlsb|csv)$/i.test(file.originalname)) {
+			cb(null, true);
+		} else {
+			cb(new Error('Only Excel (.xlsx, .xls, .xlsb) or CSV files are allowed'), false);
+		}
+	}
+});
+
+// POST /api/reconciliation/holdings -> break report for a custodian holdings file
+router.post('/holdings', statementUpload.single('file'), reconciliationController.reconcileHoldings);
+
+// POST /api/reconciliation/holdings/export -> same break report as an Excel download
+router.post('/holdings/export', statementUpload.single('file'), reconciliationController.exportReconciliation);
+
+module.exports = router;
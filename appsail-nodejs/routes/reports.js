@@ -0,0 +1,22 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const reportsController = require('../controllers/reportsController');
+
+// GET /api/reports/capital-gains -> realised STCG/LTCG schedule for a client and FY
+router.get('/capital-gains', reportsController.getCapitalGains);
+
+// GET /api/reports/capital-gains/export -> same schedule as an Excel download
+router.get('/capital-gains/export', reportsController.exportCapitalGains);
+
+// GET /api/reports/cash-ledger -> classified cash entries with running balance for a client
+router.get('/cash-ledger', reportsController.getCashLedger);
+
+// GET /api/reports/dividends -> dividend income by security and FY with yield on cost
+router.get('/dividends', reportsController.getDividends);
+
+// GET /api/reports/fees -> charges per client with fee ratio on average AUM and threshold flag
+router.get('/fees', reportsController.getFeeAnalytics);
+
+module.exports = router;
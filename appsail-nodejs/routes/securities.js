@@ -0,0 +1,26 @@
+'use strict';
+
+const express = require('express');
+const router = express.Router();
+const securitiesController = require('../controllers/securitiesController');
+const { requireWriteAccess } = require('../middleware/auth');
+
+// GET /api/securities -> every security in the ISIN master with its aliases
+router.get('/', securitiesController.listSecurities);
+
+// POST /api/securities/seed -> build/refresh the master from transactions and Security_List
+router.post('/seed', requireWriteAccess, securitiesController.seedSecurities);
+
+// GET /api/securities/unresolved -> corporate-action / Security_List names that match no ISIN
+router.get('/unresolved', securitiesController.listUnresolvedAliases);
+
+// PUT /api/securities/:id -> edit name, code and alias lists
+router.put('/:id', requireWriteAccess, securitiesController.updateSecurity);
+
+// POST /api/securities/:id/aliases -> attach a name/code to this security
+router.post('/:id/aliases', requireWriteAccess, securitiesController.addSecurityAlias);
+
+// POST /api/securities/:id/merge -> fold another security (its ISIN and aliases) into this one
+router.post('/:id/merge', requireWriteAccess, securitiesController.mergeSecurity);
+
+module.exports = router;
@@ -21,8 +21,12 @@ router.get('/meta/clients-by-security', stocksController.getClientsBySecurityHol
 // Holdings endpoints
 router.get('/holdings/summary', stocksController.getHoldingsSummary);
 router.get('/holdings/clients-cumulative', stocksController.getClientsWithCumulativeHoldings);
+router.get('/holdings/xirr', stocksController.getXirr);
 router.get('/holdings/:stockName/transactions', stocksController.getStockTransactionHistory);
 
+// Performance endpoints
+router.get('/performance', stocksController.getPerformance);
+
 // Cost management endpoints
 router.get('/holdings/weighted-average-cost', stocksController.getWeightedAverageCost);
 
@@ -0,0 +1,136 @@
+"use strict";
+
+/**
+ * Audit trail of data-changing requests.
+ *
+ * One AuditLog row per request: who made it, the route, its parameters,
+ * the HTTP status, affected row counts and, for corporate-action edits,
+ * the row before and after. Imports and seeds finish after the response,
+ * so their entry starts as "running" and is updated with the final counts.
+ */
+
+const { fetchAllRows } = require("./portfolioEvents");
+const { select } = require("./queryBuilder");
+
+const AUDIT_TABLE = "AuditLog";
+
+const AUDIT_STATUS = {
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+  RUNNING: "running",
+};
+
+// Longest JSON kept per text column; larger values are cut and flagged
+const MAX_TEXT_LENGTH = 10000;
+const PAGE_SIZE = 200;
+
+// Catalyst datetime columns take "YYYY-MM-DD HH:mm:ss"
+const timestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace("T", " ");
+
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  const text = JSON.stringify(value);
+  return text.length > MAX_TEXT_LENGTH ? `${text.slice(0, MAX_TEXT_LENGTH)}...[truncated]` : text;
+}
+
+function parseText(value) {
+  if (!value) return null;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return String(value);
+  }
+}
+
+function toEntry(row) {
+  const r = (row && (row[AUDIT_TABLE] || row)) || {};
+  return {
+    id: r.ROWID,
+    createdAt: r.CreatedAt || r.CREATEDTIME || null,
+    userId: r.UserId || null,
+    userEmail: r.UserEmail || null,
+    userRole: r.UserRole || null,
+    action: r.Action,
+    status: r.Status,
+    statusCode: Number(r.StatusCode) || null,
+    params: parseText(r.Params),
+    rowCounts: parseText(r.RowCounts),
+    before: parseText(r.Before),
+    after: parseText(r.After),
+    message: r.Message || "",
+    completedAt: r.CompletedAt || null,
+  };
+}
+
+// Insert one entry; returns its ROWID
+async function recordAudit(app, entry) {
+  const row = await app.datastore().table(AUDIT_TABLE).insertRow({
+    CreatedAt: timestamp(),
+    UserId: entry.user ? entry.user.id : null,
+    UserEmail: entry.user ? entry.user.email : null,
+    UserRole: entry.user ? entry.user.role : null,
+    Action: entry.action,
+    Status: entry.status,
+    StatusCode: entry.statusCode,
+    Params: toText(entry.params),
+    RowCounts: toText(entry.rowCounts),
+    Before: toText(entry.before),
+    After: toText(entry.after),
+    Message: entry.message ? String(entry.message).slice(0, 250) : null,
+    CompletedAt: entry.status === AUDIT_STATUS.RUNNING ? null : timestamp(),
+  });
+  return row.ROWID;
+}
+
+// Record how background work that outlived its request ended
+async function completeAudit(app, id, { error = null, rowCounts = null, message = null } = {}) {
+  const update = {
+    ROWID: id,
+    Status: error ? AUDIT_STATUS.FAILED : AUDIT_STATUS.SUCCEEDED,
+    CompletedAt: timestamp(),
+  };
+  if (rowCounts) update.RowCounts = toText(rowCounts);
+  if (error || message) update.Message = String(error || message).slice(0, 250);
+  await app.datastore().table(AUDIT_TABLE).updateRow(update);
+}
+
+/**
+ * Entries newest first, filtered by user email, exact action and an
+ * inclusive YYYY-MM-DD date range, one page of PAGE_SIZE at a time.
+ * Returns { entries, hasMore }.
+ */
+async function listAuditEntries(zcql, { userEmail = null, action = null, fromDate = null, toDate = null, page = 1 } = {}) {
+  const query = select(AUDIT_TABLE);
+  if (userEmail) query.where("UserEmail", "=", userEmail);
+  if (action) query.where("Action", "=", action);
+  if (fromDate) query.where("CreatedAt", ">=", `${fromDate} 00:00:00`);
+  if (toDate) query.where("CreatedAt", "<=", `${toDate} 23:59:59`);
+
+  // One extra row tells whether another page exists
+  const offset = (Math.max(Number(page) || 1, 1) - 1) * PAGE_SIZE;
+  const rows = await zcql.executeZCQLQuery(query.orderBy("CreatedAt", "DESC").page(PAGE_SIZE + 1, offset), []);
+  const entries = (rows || []).map(toEntry);
+  return { entries: entries.slice(0, PAGE_SIZE), hasMore: entries.length > PAGE_SIZE };
+}
+
+// Users and actions that appear in the log, for the filter dropdowns
+async function loadAuditFilters(zcql) {
+  const distinct = async (column) => {
+    const rows = await fetchAllRows(
+      zcql,
+      select(AUDIT_TABLE).distinct().column(column).whereNotNull(column).orderBy(column, "ASC"),
+      { label: "loadAuditFilters", optional: true }
+    );
+    return Array.from(new Set(rows.map((row) => (row[AUDIT_TABLE] || row)[column]).filter(Boolean)));
+  };
+  return { users: await distinct("UserEmail"), actions: await distinct("Action") };
+}
+
+module.exports = {
+  AUDIT_TABLE,
+  AUDIT_STATUS,
+  recordAudit,
+  completeAudit,
+  listAuditEntries,
+  loadAuditFilters,
+};
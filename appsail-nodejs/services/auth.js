@@ -0,0 +1,261 @@
+"use strict";
+
+/**
+ * Users, roles and sign-in tokens.
+ *
+ * Users live in the AppUser table with a scrypt password hash and one role.
+ * Admins and operations staff can change data; relationship managers and
+ * read-only users can only read. A relationship manager is assigned an
+ * RMID, ADVISORID and/or BRANCHID and sees only the clients with at least
+ * one Transaction row carrying one of them.
+ *
+ * Tokens are an HMAC-signed payload (user id and expiry) keyed on
+ * AUTH_TOKEN_SECRET; the user row is re-read on every request so a role
+ * change or deactivation takes effect immediately.
+ */
+
+const crypto = require("crypto");
+const { fetchAllRows } = require("./portfolioEvents");
+const { repositoriesFor } = require("./repositories");
+const { isRowId, select } = require("./queryBuilder");
+
+const USER_TABLE = "AppUser";
+
+const ROLES = {
+  ADMIN: "admin",
+  OPERATIONS: "operations",
+  RELATIONSHIP_MANAGER: "relationship_manager",
+  READ_ONLY: "read_only",
+};
+
+// Roles allowed to import, seed and edit corporate actions and reference data
+const WRITE_ROLES = [ROLES.ADMIN, ROLES.OPERATIONS];
+
+// Transaction columns a relationship manager can be assigned on
+const ASSIGNMENT_COLUMNS = { rmId: "RMID", advisorId: "ADVISORID", branchId: "BRANCHID" };
+
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000;
+const SCOPE_CACHE_TTL_MS = 5 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+
+// userId -> { key, clientIds, expiresAt }; see loadClientScope()
+const scopeCache = new Map();
+
+const base64url = (value) => Buffer.from(value).toString("base64url");
+
+function tokenSecret() {
+  const secret = process.env.AUTH_TOKEN_SECRET;
+  if (!secret) throw new Error("AUTH_TOKEN_SECRET is not configured");
+  return secret;
+}
+
+const sign = (payload) => crypto.createHmac("sha256", tokenSecret()).update(payload).digest("base64url");
+
+function issueToken(user) {
+  const payload = base64url(JSON.stringify({ sub: String(user.id), exp: Date.now() + TOKEN_TTL_MS }));
+  return `${payload}.${sign(payload)}`;
+}
+
+// User id carried by a valid, unexpired token; null otherwise
+function verifyToken(token) {
+  const [payload, signature] = String(token || "").split(".");
+  if (!payload || !signature) return null;
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  try {
+    const { sub, exp } = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    return sub && Number(exp) > Date.now() ? String(sub) : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return `${salt.toString("hex")}:${hash.toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [saltHex, hashHex] = String(stored || "").split(":");
+  if (!saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(String(password), Buffer.from(saltHex, "hex"), expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+const normalizeEmail = (value) => String(value || "").trim().toLowerCase();
+
+function toUser(row) {
+  const r = (row && (row[USER_TABLE] || row)) || {};
+  const assignmentValue = (column) => {
+    const value = String(r[column] ?? "").trim();
+    return value || null;
+  };
+  return {
+    id: String(r.ROWID),
+    email: normalizeEmail(r.Email),
+    name: String(r.Name || "").trim(),
+    role: String(r.Role || "").trim(),
+    rmId: assignmentValue("RMID"),
+    advisorId: assignmentValue("ADVISORID"),
+    branchId: assignmentValue("BRANCHID"),
+    active: r.Active !== false && String(r.Active).toLowerCase() !== "false",
+    passwordHash: r.PasswordHash,
+  };
+}
+
+// The user without its password hash, as sent to the browser
+const publicUser = ({ passwordHash, ...user }) => user;
+
+/**
+ * Check user fields from the API. Everything is optional when partial is
+ * set (an update); password is hashed here. Returns { fields } with
+ * AppUser columns, or { error }.
+ */
+function validateUser(input = {}, { partial = false } = {}) {
+  const fields = {};
+
+  if (!partial || input.email !== undefined) {
+    const email = normalizeEmail(input.email);
+    if (!/^[^\s@]+@[^\s@]+$/.test(email)) return { error: "A valid email is required" };
+    fields.Email = email;
+  }
+  if (!partial || input.role !== undefined) {
+    if (!Object.values(ROLES).includes(input.role)) {
+      return { error: `role must be one of ${Object.values(ROLES).join(", ")}` };
+    }
+    fields.Role = input.role;
+  }
+  if (!partial || input.password !== undefined) {
+    if (String(input.password || "").length < MIN_PASSWORD_LENGTH) {
+      return { error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` };
+    }
+    fields.PasswordHash = hashPassword(input.password);
+  }
+  if (input.name !== undefined) fields.Name = String(input.name || "").trim();
+  if (input.active !== undefined) fields.Active = input.active !== false && input.active !== "false";
+
+  for (const [key, column] of Object.entries(ASSIGNMENT_COLUMNS)) {
+    if (input[key] === undefined) continue;
+    const value = String(input[key] ?? "").trim();
+    if (value && !/^\d+$/.test(value)) return { error: `${column} must be a number` };
+    fields[column] = value || null;
+  }
+
+  return { fields };
+}
+
+async function listUsers(zcql) {
+  const rows = await fetchAllRows(zcql, select(USER_TABLE).orderBy("Email", "ASC"), { label: "listUsers", optional: true });
+  return rows.map(toUser);
+}
+
+async function getUser(zcql, id) {
+  if (!isRowId(id)) return null;
+  const rows = await zcql.executeZCQLQuery(select(USER_TABLE).where("ROWID", "=", id).toString(), []);
+  return rows && rows.length > 0 ? toUser(rows[0]) : null;
+}
+
+async function findUserByEmail(zcql, email) {
+  const rows = await zcql.executeZCQLQuery(select(USER_TABLE).where("Email", "=", normalizeEmail(email)).toString(), []);
+  return rows && rows.length > 0 ? toUser(rows[0]) : null;
+}
+
+// Create a user from validated fields. Returns { user } or { error } when the email is taken
+async function createUser(app, fields) {
+  if (await findUserByEmail(app.zcql(), fields.Email)) {
+    return { error: `A user with email ${fields.Email} already exists` };
+  }
+  const row = await app.datastore().table(USER_TABLE).insertRow({ Active: true, ...fields });
+  return { user: toUser(row) };
+}
+
+async function updateUser(app, id, fields) {
+  if (fields.Email) {
+    const existing = await findUserByEmail(app.zcql(), fields.Email);
+    if (existing && existing.id !== String(id)) {
+      return { error: `A user with email ${fields.Email} already exists` };
+    }
+  }
+  const row = await app.datastore().table(USER_TABLE).updateRow({ ROWID: id, ...fields });
+  scopeCache.delete(String(id));
+  return { user: toUser(row) };
+}
+
+/**
+ * Sign in with email and password. While the AppUser table is empty, the
+ * AUTH_ADMIN_EMAIL / AUTH_ADMIN_PASSWORD pair from the environment creates
+ * the first admin, so a fresh deployment can be bootstrapped.
+ * Returns { user, token } or { error }.
+ */
+async function login(app, email, password) {
+  const zcql = app.zcql();
+  let user = await findUserByEmail(zcql, email);
+
+  if (!user && (await listUsers(zcql)).length === 0) {
+    const adminEmail = normalizeEmail(process.env.AUTH_ADMIN_EMAIL);
+    const adminPassword = process.env.AUTH_ADMIN_PASSWORD;
+    if (adminEmail && adminPassword && normalizeEmail(email) === adminEmail && password === adminPassword) {
+      const { fields, error } = validateUser({ email: adminEmail, password: adminPassword, role: ROLES.ADMIN, name: "Administrator" });
+      if (error) return { error: `Bootstrap admin: ${error}` };
+      ({ user } = await createUser(app, fields));
+      console.log(`[login] Created bootstrap admin ${adminEmail}`);
+    }
+  }
+
+  if (!user || !user.active || !verifyPassword(password, user.passwordHash)) {
+    return { error: "Invalid email or password" };
+  }
+  return { user: publicUser(user), token: issueToken(user) };
+}
+
+/**
+ * Client ids a user may see: null for unrestricted roles, otherwise the
+ * set of WS_client_ids with a Transaction row on one of the relationship
+ * manager's assignments (empty when they have none). Cached for a few
+ * minutes per user since it scans Transaction.
+ */
+async function loadClientScope(zcql, user) {
+  if (user.role !== ROLES.RELATIONSHIP_MANAGER) return null;
+
+  const assignments = Object.entries(ASSIGNMENT_COLUMNS).filter(([field]) => user[field]);
+  if (assignments.length === 0) return new Set();
+
+  const key = assignments.map(([field, column]) => `${column}=${user[field]}`).join("|");
+  const cached = scopeCache.get(user.id);
+  if (cached && cached.key === key && cached.expiresAt > Date.now()) return cached.clientIds;
+
+  const { transactions } = repositoriesFor(zcql);
+  const query = transactions
+    .select()
+    .distinct()
+    .column("WS_client_id")
+    .whereAny((any) => assignments.forEach(([field, column]) => any.where(column, "=", user[field])))
+    .orderBy("WS_client_id");
+  const rows = await transactions.find(query, { label: "loadClientScope" });
+  const clientIds = new Set(rows.map((row) => Number(row.WS_client_id)).filter((id) => !Number.isNaN(id) && id > 0));
+  scopeCache.set(user.id, { key, clientIds, expiresAt: Date.now() + SCOPE_CACHE_TTL_MS });
+  return clientIds;
+}
+
+// Whether a client id is inside a scope from loadClientScope()
+const inScope = (scope, clientId) => scope === null || scope === undefined || scope.has(Number(clientId));
+
+module.exports = {
+  USER_TABLE,
+  ROLES,
+  WRITE_ROLES,
+  issueToken,
+  verifyToken,
+  publicUser,
+  validateUser,
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  login,
+  loadClientScope,
+  inScope,
+};
@@ -0,0 +1,196 @@
+"use strict";
+
+/**
+ * Realised capital gains schedule.
+ *
+ * Works off the lot engine: every sell entry carries the FIFO lots it
+ * consumed (qty, unit cost, acquisition date), so each matched lot becomes
+ * one schedule row with its own holding period and STCG/LTCG class.
+ */
+
+const { getPriceAsOf } = require("./priceMaster");
+
+// Listed equity: long-term when held for more than 12 months
+const LONG_TERM_MONTHS = 12;
+
+// Sec 112A grandfathering applies to shares acquired on or before the
+// cut-off and transferred on or after the date Sec 112A took effect
+const GRANDFATHER_CUTOFF = "2018-01-31";
+const GRANDFATHER_SALES_FROM = "2018-04-01";
+
+// Sec 112A takes the highest price on the cut-off date; PriceMaster keeps
+// closes only, so the FMV used is an approximation and is labelled as one
+const FMV_BASIS = "Closing price on 31-Jan-2018 (approximates the day's high used by Sec 112A)";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const parseDate = (value) => {
+  const match = String(value || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  return new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+};
+
+/**
+ * Financial year (April to March) from "2023-24", "2023" or a date.
+ * Defaults to the financial year containing today.
+ */
+function parseFinancialYear(value) {
+  const text = String(value || "").trim();
+  let startYear = null;
+  const range = text.match(/^(\d{4})\s*-\s*(\d{2}|\d{4})$/);
+  if (range) {
+    startYear = Number(range[1]);
+  } else if (/^\d{4}$/.test(text)) {
+    startYear = Number(text);
+  } else {
+    const date = parseDate(text) || new Date();
+    startYear = date.getUTCMonth() >= 3 ? date.getUTCFullYear() : date.getUTCFullYear() - 1;
+  }
+  return {
+    label: `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`,
+    fromDate: `${startYear}-04-01`,
+    toDate: `${startYear + 1}-03-31`,
+  };
+}
+
+function isLongTerm(acquiredOn, soldOn) {
+  const acquired = parseDate(acquiredOn);
+  const sold = parseDate(soldOn);
+  if (!acquired || !sold) return false;
+  // Same day LONG_TERM_MONTHS later; 29-Feb falls back to 28-Feb, not 1-Mar
+  const month = acquired.getUTCMonth() + LONG_TERM_MONTHS;
+  const lastDay = new Date(Date.UTC(acquired.getUTCFullYear(), month + 1, 0)).getUTCDate();
+  const threshold = Date.UTC(acquired.getUTCFullYear(), month, Math.min(acquired.getUTCDate(), lastDay));
+  return sold.getTime() > threshold;
+}
+
+// Acquired by the cut-off and sold once Sec 112A applied
+const isGrandfathered = (lot, saleDate) =>
+  !!lot.acquiredOn && lot.acquiredOn <= GRANDFATHER_CUTOFF && saleDate >= GRANDFATHER_SALES_FROM;
+
+// Books with a sale that grandfathering applies to
+const soldPreCutoffLots = (book) =>
+  book.entries.some(
+    (entry) =>
+      entry.event.kind === "trade" &&
+      entry.event.side === "sell" &&
+      (entry.matchedLots || []).some((lot) => isGrandfathered(lot, entry.event.date))
+  );
+
+/**
+ * Fair market value per share on 31-Jan-2018 for each book that needs one:
+ * the PriceMaster close on that date, or on the last trading day before it
+ * (see FMV_BASIS). books is portfolio.books; returns fmvLookup(book) for
+ * buildCapitalGains().
+ */
+async function loadGrandfatherFmv(zcql, books) {
+  const fmvByBook = new Map();
+  for (const book of Array.from(books.values()).filter(soldPreCutoffLots)) {
+    const quote = await getPriceAsOf(zcql, book, GRANDFATHER_CUTOFF);
+    if (quote) fmvByBook.set(book.key, quote.price);
+  }
+  return (book) => fmvByBook.get(book.key) ?? null;
+}
+
+const emptyBucket = () => ({ saleValue: 0, cost: 0, gain: 0, rows: 0 });
+
+/**
+ * Build the realised gains schedule for sells dated within the financial
+ * year. fmvLookup(book) returns the 31-Jan-2018 FMV per share or null.
+ */
+function buildCapitalGains(portfolio, { fromDate, toDate, fmvLookup = () => null }) {
+  const rows = [];
+
+  portfolio.books.forEach((book) => {
+    book.entries.forEach((entry) => {
+      const { event } = entry;
+      if (event.kind !== "trade" || event.side !== "sell") return;
+      if (event.date < fromDate || event.date > toDate) return;
+
+      const salePrice = event.qty > 0 ? event.amount / event.qty : 0;
+      const lots = [...(entry.matchedLots || [])];
+      if (entry.unmatchedQty > 0) {
+        // Sold more than the recorded holding: no acquisition to match
+        lots.push({ qty: entry.unmatchedQty, unitCost: 0, acquiredOn: null, source: "UNMATCHED" });
+      }
+
+      lots.forEach((lot) => {
+        const saleValue = lot.qty * salePrice;
+        const actualCost = lot.qty * lot.unitCost;
+        const longTerm = isLongTerm(lot.acquiredOn, event.date);
+
+        let fmv = null;
+        let costOfAcquisition = actualCost;
+        const grandfathered = longTerm && isGrandfathered(lot, event.date);
+        if (grandfathered) {
+          fmv = fmvLookup(book);
+          if (fmv !== null) {
+            // Cost is the higher of actual cost and the lower of FMV and sale value
+            costOfAcquisition = Math.max(actualCost, Math.min(fmv * lot.qty, saleValue));
+          }
+        }
+
+        const acquired = parseDate(lot.acquiredOn);
+        const sold = parseDate(event.date);
+        rows.push({
+          securityName: book.stockName,
+          securityCode: book.stockCode,
+          isin: book.isin,
+          saleDate: event.date,
+          acquiredOn: lot.acquiredOn,
+          lotSource: lot.source,
+          qty: lot.qty,
+          salePrice,
+          saleValue,
+          unitCost: lot.unitCost,
+          actualCost,
+          fmv31Jan2018: fmv,
+          grandfathered: grandfathered && fmv !== null,
+          costOfAcquisition,
+          holdingDays: acquired && sold ? Math.round((sold - acquired) / DAY_MS) : null,
+          term: longTerm ? "LTCG" : "STCG",
+          gain: saleValue - costOfAcquisition,
+          unmatched: lot.source === "UNMATCHED",
+          sellRowId: event.seq,
+        });
+      });
+    });
+  });
+
+  rows.sort(
+    (a, b) =>
+      a.saleDate.localeCompare(b.saleDate) ||
+      a.securityName.localeCompare(b.securityName) ||
+      String(a.acquiredOn || "").localeCompare(String(b.acquiredOn || ""))
+  );
+
+  const summary = { STCG: emptyBucket(), LTCG: emptyBucket() };
+  rows.forEach((row) => {
+    const bucket = summary[row.term];
+    bucket.saleValue += row.saleValue;
+    bucket.cost += row.costOfAcquisition;
+    bucket.gain += row.gain;
+    bucket.rows += 1;
+  });
+
+  return {
+    rows,
+    fmvBasis: FMV_BASIS,
+    summary: {
+      shortTerm: summary.STCG,
+      longTerm: summary.LTCG,
+      totalGain: summary.STCG.gain + summary.LTCG.gain,
+      unmatchedRows: rows.filter((row) => row.unmatched).length,
+    },
+  };
+}
+
+module.exports = {
+  GRANDFATHER_CUTOFF,
+  GRANDFATHER_SALES_FROM,
+  FMV_BASIS,
+  parseFinancialYear,
+  isLongTerm,
+  loadGrandfatherFmv,
+  buildCapitalGains,
+};
@@ -0,0 +1,178 @@
+"use strict";
+
+/**
+ * Client cash ledger.
+ *
+ * Every Tran_Type is classified as a trade, income, expense, capital flow
+ * or tax entry with a signed effect on the client's cash, so the ledger
+ * gives a running cash balance alongside the lot engine's holdings.
+ */
+
+const { classifyTranType, loadClientTransactions } = require("./portfolioEvents");
+
+const CATEGORIES = {
+  TRADE: "TRADE",
+  INCOME: "INCOME",
+  EXPENSE: "EXPENSE",
+  CAPITAL: "CAPITAL",
+  TAX: "TAX",
+  OTHER: "OTHER",
+};
+
+/**
+ * Known non-trade Tran_Types. direction is the sign of the cash effect;
+ * "net" takes the sign from Net_Amount (TDS transfers come in +/- pairs).
+ * external marks money the client adds to or takes out of the account.
+ */
+const TRAN_TYPES = {
+  "CS+": { category: CATEGORIES.CAPITAL, label: "Fund Deposit", direction: 1, external: true },
+  "CS-": { category: CATEGORIES.CAPITAL, label: "Fund Withdrawal", direction: -1, external: true },
+  DI0: { category: CATEGORIES.INCOME, label: "Dividend", direction: 1 },
+  DIO: { category: CATEGORIES.INCOME, label: "Other Income", direction: 1 },
+  DIS: { category: CATEGORIES.INCOME, label: "Gain Distribution", direction: 1 },
+  OI1: { category: CATEGORIES.INCOME, label: "Other Income", direction: 1 },
+  // Paid out as units rather than cash
+  RD0: { category: CATEGORIES.INCOME, label: "Dividend Reinvest", direction: 0 },
+  MGF: { category: CATEGORIES.EXPENSE, label: "Management Fees", direction: -1 },
+  PRF: { category: CATEGORIES.EXPENSE, label: "Performance Fees", direction: -1 },
+  CUS: { category: CATEGORIES.EXPENSE, label: "Custody Charges", direction: -1 },
+  MGE: { category: CATEGORIES.EXPENSE, label: "Fund Accountant Fees", direction: -1 },
+  E01: { category: CATEGORIES.EXPENSE, label: "Other Expenses", direction: -1 },
+  E10: { category: CATEGORIES.EXPENSE, label: "Audit Fee", direction: -1 },
+  E22: { category: CATEGORIES.EXPENSE, label: "Account Opening Charges", direction: -1 },
+  TDI: { category: CATEGORIES.TAX, label: "Transfer to TDS", direction: "net" },
+  TDO: { category: CATEGORIES.TAX, label: "TDS Transfer to Capital", direction: "net" },
+};
+
+const typeOf = (transaction) => String(transaction.tranType || "").toUpperCase().trim();
+
+/**
+ * Classify one transaction. Unlisted E* codes are expenses; anything else
+ * that is neither a known type nor a buy/sell is OTHER with no cash effect.
+ */
+function classifyTransaction(transaction) {
+  const type = typeOf(transaction);
+  if (TRAN_TYPES[type]) return { tranType: type, ...TRAN_TYPES[type] };
+
+  const side = classifyTranType(type);
+  if (side) {
+    return {
+      tranType: type,
+      category: CATEGORIES.TRADE,
+      label: side === "buy" ? "Buy" : "Sell",
+      direction: side === "buy" ? -1 : 1,
+      side,
+    };
+  }
+  if (/^E\d+$/.test(type)) {
+    return { tranType: type, category: CATEGORIES.EXPENSE, label: transaction.tranDesc || "Expense", direction: -1 };
+  }
+  return { tranType: type, category: CATEGORIES.OTHER, label: transaction.tranDesc || type || "Unknown", direction: 0 };
+}
+
+// Signed effect of a transaction on cash
+function cashEffect(transaction, classification) {
+  if (classification.direction === "net") return -transaction.netAmount;
+  const { category } = classification;
+  if (category === CATEGORIES.INCOME || category === CATEGORIES.EXPENSE) {
+    // Charges and income are booked positive; a negative row is a reversal
+    // (fee refund, dividend clawback) and moves cash the other way
+    return classification.direction * (transaction.netAmount || transaction.qty * transaction.rate || 0);
+  }
+  const amount = Math.abs(transaction.netAmount) || Math.abs(transaction.qty * transaction.rate) || 0;
+  return classification.direction * amount;
+}
+
+/**
+ * Ledger entries in date order with a running balance. Each entry keeps
+ * the transaction's date, type, security and amount plus category, label,
+ * cash (signed effect), external (signed client money in/out) and balance.
+ */
+function buildCashLedger(transactions) {
+  const entries = transactions
+    .map((transaction) => {
+      const classification = classifyTransaction(transaction);
+      const cash = cashEffect(transaction, classification);
+      return {
+        date: transaction.trandate,
+        tranType: classification.tranType,
+        tranDesc: transaction.tranDesc || classification.label,
+        category: classification.category,
+        label: classification.label,
+        side: classification.side || null,
+        securityName: transaction.securityName,
+        securityCode: transaction.securityCode,
+        qty: transaction.qty,
+        netAmount: transaction.netAmount,
+        cash,
+        external: classification.external ? cash : 0,
+        rowid: transaction.rowid,
+      };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) || a.rowid - b.rowid);
+
+  let balance = 0;
+  entries.forEach((entry) => {
+    balance += entry.cash;
+    entry.balance = balance;
+  });
+  return entries;
+}
+
+/**
+ * Totals by category and by Tran_Type for entries within [fromDate, toDate],
+ * with the balance carried in from before fromDate.
+ */
+function summariseLedger(entries, { fromDate = null, toDate = null } = {}) {
+  const inRange = (entry) => (!fromDate || entry.date >= fromDate) && (!toDate || entry.date <= toDate);
+  const before = entries.filter((entry) => fromDate && entry.date < fromDate);
+  const period = entries.filter(inRange);
+
+  const openingBalance = before.length > 0 ? before[before.length - 1].balance : 0;
+  const closingBalance = period.length > 0 ? period[period.length - 1].balance : openingBalance;
+
+  const totals = {};
+  Object.values(CATEGORIES).forEach((category) => {
+    totals[category] = { inflow: 0, outflow: 0, net: 0, count: 0 };
+  });
+  const byType = new Map();
+  period.forEach((entry) => {
+    const total = totals[entry.category];
+    if (entry.cash >= 0) total.inflow += entry.cash;
+    else total.outflow -= entry.cash;
+    total.net += entry.cash;
+    total.count += 1;
+
+    const key = `${entry.category}|${entry.tranType}`;
+    if (!byType.has(key)) {
+      byType.set(key, { tranType: entry.tranType, category: entry.category, label: entry.label, count: 0, amount: 0 });
+    }
+    const row = byType.get(key);
+    row.count += 1;
+    row.amount += entry.cash;
+  });
+
+  return {
+    openingBalance,
+    closingBalance,
+    totals,
+    byType: Array.from(byType.values()).sort(
+      (a, b) => a.category.localeCompare(b.category) || a.tranType.localeCompare(b.tranType)
+    ),
+    entries: period,
+  };
+}
+
+async function loadCashLedger(zcql, clientId, { endDate = null } = {}) {
+  const transactions = await loadClientTransactions(zcql, clientId, { endDate });
+  return buildCashLedger(transactions);
+}
+
+module.exports = {
+  CATEGORIES,
+  TRAN_TYPES,
+  classifyTransaction,
+  buildCashLedger,
+  summariseLedger,
+  loadCashLedger,
+};
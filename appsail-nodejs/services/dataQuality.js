@@ -0,0 +1,311 @@
+"use strict";
+
+/**
+ * Data-quality scan over every client's replayed portfolio.
+ *
+ * The lot engine and the cash ledger quietly work around bad rows: a sell
+ * beyond the holding is matched at zero cost, an unknown Tran_Type is
+ * ignored, a bonus for a security the client never held is dropped. A scan
+ * collects those cases as issues and stores them in DataQualityIssue, so
+ * the dashboard lists them without replaying every client on each visit.
+ */
+
+const {
+  isNonEquity,
+  classifyTranType,
+  sideOf,
+  fetchAllRows,
+  loadClientIds,
+  loadGlobalActions,
+} = require("./portfolioEvents");
+const { loadClientPortfolio } = require("./portfolio");
+const { CATEGORIES, classifyTransaction } = require("./cashLedger");
+const { loadSecurityIndex } = require("./securityMaster");
+const { EPSILON } = require("./lotEngine");
+const { select } = require("./queryBuilder");
+
+const ISSUE_TABLE = "DataQualityIssue";
+const WRITE_BATCH_SIZE = 200; // Catalyst datastore write limit
+
+const ISSUE_TYPES = {
+  OVERSELL: "oversell",
+  UNKNOWN_TRAN_TYPE: "unknown_tran_type",
+  ZERO_RATE_BUY: "zero_rate_buy",
+  UNMATCHED_BONUS: "unmatched_bonus",
+  MISSING_ISIN: "missing_isin",
+};
+
+// Oversells and stray bonuses change holdings; the rest only need checking
+const SEVERITY = {
+  [ISSUE_TYPES.OVERSELL]: "error",
+  [ISSUE_TYPES.UNMATCHED_BONUS]: "error",
+  [ISSUE_TYPES.UNKNOWN_TRAN_TYPE]: "warning",
+  [ISSUE_TYPES.ZERO_RATE_BUY]: "warning",
+  [ISSUE_TYPES.MISSING_ISIN]: "warning",
+};
+
+// Catalyst datetime columns take "YYYY-MM-DD HH:mm:ss"
+const timestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace("T", " ");
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const issue = (type, clientId, fields) => ({
+  type,
+  severity: SEVERITY[type],
+  clientId,
+  date: null,
+  stockName: "",
+  stockCode: "",
+  isin: "",
+  rowid: null,
+  qty: null,
+  tranType: "",
+  ...fields,
+});
+
+/**
+ * Issues in one replayed portfolio (from loadClientPortfolio). Missing
+ * ISINs are reported once per security with the number of rows affected;
+ * everything else once per row or bonus.
+ */
+function findIssues(portfolio) {
+  const { clientId } = portfolio;
+  const issues = [];
+
+  portfolio.warnings
+    .filter((warning) => warning.type === "OVERSELL")
+    .forEach((warning) => {
+      issues.push(
+        issue(ISSUE_TYPES.OVERSELL, clientId, {
+          date: warning.date,
+          stockName: warning.security,
+          stockCode: warning.stockCode || "",
+          isin: warning.isin || "",
+          rowid: warning.rowid,
+          qty: round2(warning.qty),
+          message: warning.message,
+        })
+      );
+    });
+
+  const missingIsin = new Map();
+  portfolio.transactions.forEach((t) => {
+    const classification = classifyTransaction(t);
+    if (classification.category === CATEGORIES.OTHER) {
+      const { side, inferred } = sideOf(t);
+      const effect = inferred
+        ? `holdings treat it as a ${side} from the sign of Qty and the cash ledger ignores it`
+        : "the row is ignored by holdings and the cash ledger";
+      issues.push(
+        issue(ISSUE_TYPES.UNKNOWN_TRAN_TYPE, clientId, {
+          date: t.trandate,
+          stockName: t.securityName,
+          stockCode: t.securityCode,
+          isin: t.isin,
+          rowid: t.rowid,
+          qty: t.qty,
+          tranType: t.tranType,
+          message: t.tranType ? `Tran_Type "${t.tranType}" is not recognised; ${effect}` : `Tran_Type is empty; ${effect}`,
+        })
+      );
+      return;
+    }
+
+    const side = classifyTranType(t.tranType);
+    if (!side || !t.securityName || isNonEquity(t.securityName)) return;
+
+    if (side === "buy" && Math.abs(t.qty) > 0 && !t.rate && !t.netrate && !t.netAmount) {
+      issues.push(
+        issue(ISSUE_TYPES.ZERO_RATE_BUY, clientId, {
+          date: t.trandate,
+          stockName: t.securityName,
+          stockCode: t.securityCode,
+          isin: t.isin,
+          rowid: t.rowid,
+          qty: Math.abs(t.qty),
+          tranType: t.tranType,
+          message: `Buy of ${Math.abs(t.qty)} has no rate or amount; the lot is held at zero cost`,
+        })
+      );
+    }
+
+    if (!t.isin) {
+      const key = `${t.securityName}|${t.securityCode}`;
+      const entry = missingIsin.get(key) || { t, rows: 0 };
+      entry.rows++;
+      missingIsin.set(key, entry);
+    }
+  });
+  missingIsin.forEach(({ t, rows }) => {
+    issues.push(
+      issue(ISSUE_TYPES.MISSING_ISIN, clientId, {
+        date: t.trandate,
+        stockName: t.securityName,
+        stockCode: t.securityCode,
+        rowid: t.rowid,
+        qty: rows,
+        message: `${rows} transaction${rows === 1 ? "" : "s"} without an ISIN; corporate actions and prices match this security by name only`,
+      })
+    );
+  });
+
+  // Bonuses for a security the client never held never reach a book
+  portfolio.unmatched
+    .filter((item) => item.kind === "bonus")
+    .forEach((bonus) => {
+      issues.push(
+        issue(ISSUE_TYPES.UNMATCHED_BONUS, clientId, {
+          date: bonus.exDate,
+          stockName: bonus.companyName,
+          stockCode: bonus.securityCode,
+          qty: bonus.qty,
+          message: `Bonus of ${bonus.qty} does not match any security the client holds and was not applied`,
+        })
+      );
+    });
+
+  // ...and bonuses on a security already sold out add shares from nowhere
+  portfolio.books.forEach((book) => {
+    book.entries
+      .filter((entry) => entry.event.kind === "bonus" && entry.holdingBefore <= EPSILON)
+      .forEach((entry) => {
+        issues.push(
+          issue(ISSUE_TYPES.UNMATCHED_BONUS, clientId, {
+            date: entry.event.date,
+            stockName: book.stockName,
+            stockCode: book.stockCode,
+            isin: book.isin,
+            qty: entry.event.qty,
+            message: `Bonus of ${entry.event.qty} was applied on ${entry.event.date} when the holding was zero`,
+          })
+        );
+      });
+  });
+
+  return issues.sort((a, b) => String(a.date || "").localeCompare(String(b.date || "")));
+}
+
+function summarise(issues) {
+  const byType = Object.fromEntries(Object.values(ISSUE_TYPES).map((type) => [type, 0]));
+  issues.forEach((item) => {
+    byType[item.type] = (byType[item.type] || 0) + 1;
+  });
+  return {
+    issues: issues.length,
+    clients: new Set(issues.map((item) => item.clientId)).size,
+    byType,
+  };
+}
+
+/**
+ * Replay the given clients (default: every client with transactions) and
+ * collect their issues. A client that fails to replay is reported in
+ * failures rather than stopping the scan.
+ */
+async function scanClients(zcql, { clientIds = null, endDate = null } = {}) {
+  const ids = clientIds || (await loadClientIds(zcql));
+  const globalActions = await loadGlobalActions(zcql, { endDate });
+  const securityIndex = await loadSecurityIndex(zcql);
+
+  const issues = [];
+  const failures = [];
+  for (const clientId of ids) {
+    try {
+      const portfolio = await loadClientPortfolio(zcql, clientId, { endDate, globalActions, securityIndex });
+      issues.push(...findIssues(portfolio));
+    } catch (err) {
+      console.error(`[DataQuality] Scan failed for client ${clientId}:`, err);
+      failures.push({ clientId, error: err.message });
+    }
+  }
+  return { clientIds: ids, issues, failures };
+}
+
+const toRow = (item, scannedAt) => ({
+  ClientId: item.clientId,
+  IssueType: item.type,
+  Severity: item.severity,
+  TranDate: item.date || null,
+  StockName: item.stockName || "",
+  StockCode: item.stockCode || "",
+  ISIN: item.isin || "",
+  TransactionRowId: item.rowid ? String(item.rowid) : null,
+  Qty: item.qty,
+  TranType: item.tranType || "",
+  Message: item.message,
+  ScannedAt: scannedAt,
+});
+
+function toIssue(row) {
+  const r = (row && (row[ISSUE_TABLE] || row)) || {};
+  return {
+    id: r.ROWID,
+    type: r.IssueType,
+    severity: r.Severity,
+    clientId: Number(r.ClientId),
+    date: r.TranDate || null,
+    stockName: r.StockName || "",
+    stockCode: r.StockCode || "",
+    isin: r.ISIN || "",
+    rowid: r.TransactionRowId || null,
+    qty: r.Qty === null || r.Qty === undefined || r.Qty === "" ? null : Number(r.Qty),
+    tranType: r.TranType || "",
+    message: r.Message || "",
+    scannedAt: r.ScannedAt || null,
+  };
+}
+
+/**
+ * Replace the stored issues of the scanned clients with a new scan. A full
+ * scan (clientId omitted) replaces every stored issue.
+ */
+async function runScan(app, { clientId = null, endDate = null } = {}) {
+  const zcql = app.zcql();
+  const table = app.datastore().table(ISSUE_TABLE);
+  const { clientIds, issues, failures } = await scanClients(zcql, {
+    clientIds: clientId === null ? null : [clientId],
+    endDate,
+  });
+
+  const stored = select(ISSUE_TABLE).column("ROWID");
+  if (clientId !== null) stored.where("ClientId", "=", Number(clientId));
+  // Deleted rows drop out of the result, so always read the first page
+  while (true) {
+    const rows = await zcql.executeZCQLQuery(stored.page(WRITE_BATCH_SIZE, 0), []);
+    const ids = (rows || []).map((row) => (row[ISSUE_TABLE] || row).ROWID).filter(Boolean);
+    if (ids.length === 0) break;
+    await table.deleteRows(ids);
+  }
+
+  const scannedAt = timestamp();
+  const rows = issues.map((item) => toRow(item, scannedAt));
+  for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+    await table.insertRows(rows.slice(i, i + WRITE_BATCH_SIZE));
+  }
+
+  return { scannedAt, clients: clientIds.length, failures, summary: summarise(issues) };
+}
+
+// Stored issues, optionally for one client and/or issue type and limited to
+// the clientScope set of client ids; none before the first scan
+async function listIssues(zcql, { clientId = null, type = null, clientScope = null } = {}) {
+  const query = select(ISSUE_TABLE);
+  if (clientId !== null) query.where("ClientId", "=", Number(clientId));
+  if (type) query.where("IssueType", "=", type);
+  query.orderBy("ClientId", "ASC").orderBy("TranDate", "ASC");
+
+  const rows = await fetchAllRows(zcql, query, { label: "listIssues", optional: true });
+  const issues = rows.map(toIssue).filter((item) => !clientScope || clientScope.has(Number(item.clientId)));
+
+  const scannedAt = issues.reduce((latest, item) => (item.scannedAt && item.scannedAt > latest ? item.scannedAt : latest), "");
+  return { issues, summary: summarise(issues), scannedAt: scannedAt || null };
+}
+
+module.exports = {
+  ISSUE_TABLE,
+  ISSUE_TYPES,
+  findIssues,
+  scanClients,
+  runScan,
+  listIssues,
+};
@@ -0,0 +1,114 @@
+"use strict";
+
+/**
+ * Dividend income per security and financial year.
+ *
+ * Cash dividends (DI0), gain distributions (DIS) and reinvested dividends
+ * (RD0, which also add a lot through the lot engine) are matched
+ * to the client's books. Yield on cost divides each payment by the FIFO
+ * cost of the holding the day before it was paid.
+ */
+
+const { findBook } = require("./portfolio");
+const { classifyTransaction } = require("./cashLedger");
+const { parseFinancialYear } = require("./capitalGains");
+const { EPSILON } = require("./lotEngine");
+
+const DIVIDEND_TRAN_TYPES = ["DI0", "DIS", "RD0"];
+
+// Holding and FIFO cost of a book at the end of the day before date
+function positionBefore(book, date) {
+  let position = { qty: 0, cost: 0 };
+  for (const entry of book.entries) {
+    if (entry.event.date >= date) break;
+    position = { qty: entry.holdingAfter, cost: entry.costAfter };
+  }
+  return position;
+}
+
+/**
+ * Dividend rows and per security/FY totals, optionally limited to one
+ * book and to payments within [fromDate, toDate].
+ */
+function buildDividendReport(portfolio, { fromDate = null, toDate = null, book: onlyBook = null } = {}) {
+  const rows = [];
+  portfolio.transactions.forEach((transaction) => {
+    const classification = classifyTransaction(transaction);
+    if (!DIVIDEND_TRAN_TYPES.includes(classification.tranType)) return;
+    const date = transaction.trandate;
+    if ((fromDate && date < fromDate) || (toDate && date > toDate)) return;
+
+    const book = findBook(portfolio, { stockName: transaction.securityName, stockCode: transaction.securityCode });
+    if (onlyBook && book !== onlyBook) return;
+
+    // Signed, so a reversed dividend takes its amount back off the totals
+    const amount = transaction.netAmount;
+    const position = book ? positionBefore(book, date) : { qty: 0, cost: 0 };
+    rows.push({
+      date,
+      financialYear: parseFinancialYear(date).label,
+      tranType: classification.tranType,
+      label: classification.label,
+      securityName: book ? book.stockName : transaction.securityName,
+      securityCode: book ? book.stockCode : transaction.securityCode,
+      amount,
+      reinvested: classification.tranType === "RD0",
+      reinvestedUnits: classification.tranType === "RD0" ? Math.abs(transaction.qty) : 0,
+      holdingQty: position.qty,
+      costBasis: position.cost,
+      perShare: position.qty > EPSILON ? amount / position.qty : null,
+      yieldOnCost: position.cost > EPSILON ? amount / position.cost : null,
+      rowid: transaction.rowid,
+    });
+  });
+  rows.sort((a, b) => a.date.localeCompare(b.date) || a.securityName.localeCompare(b.securityName));
+
+  const groups = new Map();
+  const years = new Map();
+  rows.forEach((row) => {
+    const key = `${row.securityName}|${row.financialYear}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        securityName: row.securityName,
+        securityCode: row.securityCode,
+        financialYear: row.financialYear,
+        amount: 0,
+        reinvested: 0,
+        payments: 0,
+        yieldOnCost: null,
+      });
+    }
+    const group = groups.get(key);
+    group.amount += row.amount;
+    if (row.reinvested) group.reinvested += row.amount;
+    group.payments += 1;
+    // Sum of per-payment yields, so changes in holding within the year are respected
+    if (row.yieldOnCost !== null) group.yieldOnCost = (group.yieldOnCost || 0) + row.yieldOnCost;
+
+    years.set(row.financialYear, (years.get(row.financialYear) || 0) + row.amount);
+  });
+
+  const total = rows.reduce((sum, row) => sum + row.amount, 0);
+  const reinvested = rows.filter((row) => row.reinvested).reduce((sum, row) => sum + row.amount, 0);
+
+  return {
+    summary: {
+      total,
+      cash: total - reinvested,
+      reinvested,
+      payments: rows.length,
+      byYear: Array.from(years.entries())
+        .map(([financialYear, amount]) => ({ financialYear, amount }))
+        .sort((a, b) => a.financialYear.localeCompare(b.financialYear)),
+    },
+    bySecurity: Array.from(groups.values()).sort(
+      (a, b) => a.financialYear.localeCompare(b.financialYear) || a.securityName.localeCompare(b.securityName)
+    ),
+    rows,
+  };
+}
+
+module.exports = {
+  DIVIDEND_TRAN_TYPES,
+  buildDividendReport,
+};
@@ -0,0 +1,96 @@
+"use strict";
+
+/**
+ * PMS fee and expense analytics.
+ *
+ * Charges come from the cash ledger's EXPENSE entries. The fee ratio is the
+ * period's charges over the average daily AUM from the valuation series,
+ * annualised so that clients with different periods or inception dates
+ * compare against the same threshold.
+ */
+
+const { CATEGORIES, buildCashLedger } = require("./cashLedger");
+const { EPSILON } = require("./lotEngine");
+
+// Charges reported in their own column; other E* expenses are grouped as OTHER
+const FEE_TYPES = {
+  MGF: "Management Fees",
+  PRF: "Performance Fees",
+  CUS: "Custody Charges",
+  MGE: "Fund Accountant Fees",
+  E10: "Audit Fee",
+};
+
+// Annualised fee / average AUM above which a client is flagged (2.5%)
+const DEFAULT_FEE_RATIO_THRESHOLD = Number(process.env.FEE_RATIO_THRESHOLD) || 0.025;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (fromDate, toDate) =>
+  Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS) + 1;
+
+/**
+ * Average of the daily values within [fromDate, toDate]. Days before the
+ * first point (inception) are not counted.
+ */
+function averageAum(series, fromDate, toDate) {
+  const points = series.filter((point) => point.date >= fromDate && point.date <= toDate);
+  if (points.length === 0) return { averageAum: 0, days: 0 };
+  const total = points.reduce((sum, point) => sum + point.value, 0);
+  return { averageAum: total / points.length, days: points.length };
+}
+
+/**
+ * Charges for one client between fromDate and toDate, with fee ratios
+ * against the valuation series.
+ */
+function buildFeeReport(portfolio, series, { fromDate, toDate, threshold = DEFAULT_FEE_RATIO_THRESHOLD }) {
+  const byType = {};
+  Object.keys(FEE_TYPES).forEach((type) => {
+    byType[type] = 0;
+  });
+  byType.OTHER = 0;
+
+  const byMonth = new Map();
+  let totalFees = 0;
+  let entries = 0;
+  buildCashLedger(portfolio.transactions).forEach((entry) => {
+    if (entry.category !== CATEGORIES.EXPENSE) return;
+    if (entry.date < fromDate || entry.date > toDate) return;
+    // Reversals come through as positive cash and reduce the charge
+    const amount = -entry.cash;
+    const type = FEE_TYPES[entry.tranType] ? entry.tranType : "OTHER";
+    byType[type] += amount;
+    const month = entry.date.slice(0, 7);
+    byMonth.set(month, (byMonth.get(month) || 0) + amount);
+    totalFees += amount;
+    entries += 1;
+  });
+
+  const aum = averageAum(series, fromDate, toDate);
+  const feeRatio = aum.averageAum > EPSILON ? totalFees / aum.averageAum : null;
+  const periodDays = aum.days || daysBetween(fromDate, toDate);
+  const annualisedFeeRatio = feeRatio !== null ? (feeRatio * 365) / periodDays : null;
+
+  return {
+    clientId: portfolio.clientId,
+    totalFees,
+    entries,
+    byType,
+    byMonth: Array.from(byMonth.entries())
+      .map(([month, amount]) => ({ month, amount }))
+      .sort((a, b) => a.month.localeCompare(b.month)),
+    averageAum: aum.averageAum,
+    aumDays: aum.days,
+    feeRatio,
+    annualisedFeeRatio,
+    flagged: annualisedFeeRatio !== null && annualisedFeeRatio > threshold,
+  };
+}
+
+module.exports = {
+  FEE_TYPES,
+  DEFAULT_FEE_RATIO_THRESHOLD,
+  averageAum,
+  buildFeeReport,
+};
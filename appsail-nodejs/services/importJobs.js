@@ -0,0 +1,187 @@
+"use strict";
+
+/**
+ * Persistent import job history.
+ *
+ * Each transaction import gets an ImportJob row, and the Transaction rows it
+ * inserts are tagged with Import_Job_Id. Progress therefore survives restarts
+ * and reads the same on every AppSail instance, and a bad import can be
+ * rolled back by deleting the rows carrying its id.
+ */
+
+const { repositoriesFor } = require("./repositories");
+const { select } = require("./queryBuilder");
+
+const JOB_TABLE = "ImportJob";
+const JOB_ID_COLUMN = "Import_Job_Id";
+const MAX_ERROR_DETAILS = 20;
+
+const JOB_STATUS = {
+  RUNNING: "running",
+  COMPLETED: "completed",
+  FAILED: "failed",
+  ROLLED_BACK: "rolled_back",
+};
+
+// Catalyst datetime columns take "YYYY-MM-DD HH:mm:ss"
+const timestamp = (date = new Date()) => date.toISOString().slice(0, 19).replace("T", " ");
+
+const parseDetails = (value) => {
+  if (!value) return [];
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [String(value)];
+  } catch {
+    return [String(value)];
+  }
+};
+
+function toJob(row) {
+  const r = (row && (row[JOB_TABLE] || row)) || {};
+  return {
+    rowId: r.ROWID,
+    importId: r.ImportId,
+    fileName: r.FileName,
+    fileType: r.FileType,
+    uploader: r.Uploader || null,
+    status: r.Status,
+    message: r.Message || "",
+    totalRows: Number(r.TotalRows) || 0,
+    inserted: Number(r.InsertedRows) || 0,
+    updated: Number(r.UpdatedRows) || 0,
+    skipped: Number(r.SkippedRows) || 0,
+    errors: Number(r.ErrorRows) || 0,
+    errorDetails: parseDetails(r.ErrorDetails),
+    startedAt: r.StartedAt || r.CREATEDTIME || null,
+    completedAt: r.CompletedAt || null,
+    rolledBackAt: r.RolledBackAt || null,
+    rolledBackRows: Number(r.RolledBackRows) || 0,
+  };
+}
+
+// Email of the signed-in Catalyst user, when the request has one
+async function currentUploader(app) {
+  try {
+    const user = await app.userManagement().getCurrentUser();
+    return (user && (user.email_id || [user.first_name, user.last_name].filter(Boolean).join(" "))) || null;
+  } catch {
+    return null;
+  }
+}
+
+// uploader is the app's signed-in user; the Catalyst user is the fallback
+async function createJob(app, { importId, fileName, fileType, uploader = null }) {
+  const jobUploader = uploader || (await currentUploader(app));
+  const row = await app.datastore().table(JOB_TABLE).insertRow({
+    ImportId: importId,
+    FileName: fileName,
+    FileType: fileType,
+    Uploader: jobUploader,
+    Status: JOB_STATUS.RUNNING,
+    Message: "Import started",
+    TotalRows: 0,
+    InsertedRows: 0,
+    UpdatedRows: 0,
+    SkippedRows: 0,
+    ErrorRows: 0,
+    StartedAt: timestamp(),
+  });
+  return toJob(row);
+}
+
+/**
+ * Copy an IMPORT_PROGRESS record onto the job row. Failures are logged and
+ * swallowed: job history must never stop an import.
+ */
+async function saveJobProgress(app, job, progress) {
+  if (!job || !job.rowId) return;
+  const finished = progress.stage === "completed" || progress.stage === "error";
+  const update = {
+    ROWID: job.rowId,
+    Status: progress.stage === "error" ? JOB_STATUS.FAILED : finished ? JOB_STATUS.COMPLETED : JOB_STATUS.RUNNING,
+    Message: String(progress.message || "").slice(0, 250),
+    TotalRows: progress.totalRows || 0,
+    InsertedRows: progress.inserted ?? progress.imported ?? 0,
+    UpdatedRows: progress.updated || 0,
+    SkippedRows: progress.skipped || 0,
+    ErrorRows: progress.errors || 0,
+    ErrorDetails: JSON.stringify((progress.errorDetails || []).slice(0, MAX_ERROR_DETAILS)),
+  };
+  if (finished) update.CompletedAt = timestamp();
+  try {
+    await app.datastore().table(JOB_TABLE).updateRow(update);
+  } catch (err) {
+    console.error(`[ImportJob ${job.importId}] Failed to save progress:`, err.message);
+  }
+}
+
+async function findJob(zcql, importId) {
+  const rows = await zcql.executeZCQLQuery(select(JOB_TABLE).where("ImportId", "=", importId).limit(1).toString(), []);
+  return rows && rows.length > 0 ? toJob(rows[0]) : null;
+}
+
+async function listJobs(zcql, { limit = 100 } = {}) {
+  const rows = await zcql.executeZCQLQuery(
+    select(JOB_TABLE).orderBy("CREATEDTIME", "DESC").limit(Number(limit) || 100).toString(),
+    []
+  );
+  return (rows || []).map(toJob);
+}
+
+// The same shape as an IMPORT_PROGRESS entry, for instances that did not run the import
+function jobToProgress(job) {
+  const stage = {
+    [JOB_STATUS.RUNNING]: "inserting",
+    [JOB_STATUS.FAILED]: "error",
+  }[job.status] || "completed";
+  return {
+    stage,
+    progress: stage === "inserting" ? 50 : 100,
+    message: job.message,
+    totalRows: job.totalRows,
+    processedRows: job.inserted + job.updated + job.skipped,
+    imported: job.inserted,
+    inserted: job.inserted,
+    updated: job.updated,
+    skipped: job.skipped,
+    errors: job.errors,
+    errorDetails: job.errorDetails,
+    jobStatus: job.status,
+  };
+}
+
+/**
+ * Delete every Transaction row the job inserted. Rows the job updated keep
+ * their new values: only inserts carry the job id.
+ */
+async function rollbackJob(app, job) {
+  const { transactions } = repositoriesFor(app);
+  const rows = await transactions.find(
+    transactions.select().column("ROWID").where(JOB_ID_COLUMN, "=", job.importId).orderBy("ROWID"),
+    { label: "rollbackJob" }
+  );
+  const ids = rows.map((row) => row.ROWID).filter(Boolean);
+  await transactions.remove(ids);
+  const deleted = ids.length;
+
+  await app.datastore().table(JOB_TABLE).updateRow({
+    ROWID: job.rowId,
+    Status: JOB_STATUS.ROLLED_BACK,
+    Message: `Rolled back ${deleted} inserted rows`,
+    RolledBackAt: timestamp(),
+    RolledBackRows: deleted,
+  });
+  return deleted;
+}
+
+module.exports = {
+  JOB_TABLE,
+  JOB_ID_COLUMN,
+  JOB_STATUS,
+  createJob,
+  saveJobProgress,
+  findJob,
+  listJobs,
+  jobToProgress,
+  rollbackJob,
+};
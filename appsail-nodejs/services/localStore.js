@@ -0,0 +1,148 @@
+"use strict";
+
+/**
+ * In-process data store behind STORAGE_BACKEND=memory (services/storage.js).
+ *
+ * Tables are arrays of plain rows, created on first write; a table nobody
+ * has written to reads as empty. Inserts get the Catalyst system columns
+ * (ROWID, CREATORID, CREATEDTIME, MODIFIEDTIME). Given a file, the store
+ * loads it at start-up and writes every table back to it shortly after
+ * each change, so local data survives a restart.
+ *
+ * createLocalApp(store) wraps a store in the parts of a Catalyst app this
+ * backend calls: zcql().executeZCQLQuery (see services/localZcql.js),
+ * datastore().table(name) row methods and userManagement().
+ */
+
+const fs = require("fs");
+const { runZcql } = require("./localZcql");
+
+const SAVE_DELAY_MS = 500;
+const LOCAL_CREATOR_ID = "1";
+
+const timestamp = () => new Date().toISOString().replace("T", " ").slice(0, 19);
+
+const notFound = (table, rowId) =>
+  Object.assign(new Error(`No row with ROWID ${rowId} in ${table}`), { statusCode: 404 });
+
+function createLocalStore({ file = null } = {}) {
+  const tables = new Map();
+  let nextRowId = 1;
+  let saveTimer = null;
+
+  if (file && fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, "utf8"));
+    Object.entries(saved.tables || {}).forEach(([name, rows]) => tables.set(name, rows));
+    nextRowId = Number(saved.nextRowId) || 1;
+  }
+
+  const flush = () => {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+    if (file) fs.writeFileSync(file, JSON.stringify({ nextRowId, tables: Object.fromEntries(tables) }));
+  };
+
+  // Imports write in 200-row batches; save once they pause, not per batch
+  const changed = () => {
+    if (!file || saveTimer) return;
+    saveTimer = setTimeout(flush, SAVE_DELAY_MS);
+    saveTimer.unref();
+  };
+
+  const rowsOf = (table) => tables.get(table) || [];
+
+  const indexOf = (table, rowId) => rowsOf(table).findIndex((row) => String(row.ROWID) === String(rowId));
+
+  return {
+    query: (sql, options) => runZcql(sql, rowsOf, options),
+
+    get(table, rowId) {
+      const index = indexOf(table, rowId);
+      return index === -1 ? null : { ...rowsOf(table)[index] };
+    },
+
+    insert(table, rows) {
+      if (!tables.has(table)) tables.set(table, []);
+      const now = timestamp();
+      const inserted = rows.map((row) => ({
+        ...row,
+        ROWID: String(nextRowId++),
+        CREATORID: LOCAL_CREATOR_ID,
+        CREATEDTIME: now,
+        MODIFIEDTIME: now,
+      }));
+      inserted.forEach((row) => tables.get(table).push(row));
+      changed();
+      return inserted.map((row) => ({ ...row }));
+    },
+
+    // Rows carry ROWID plus the columns to change; an unknown ROWID fails the whole call
+    update(table, rows) {
+      const indexes = rows.map((row) => {
+        const index = indexOf(table, row.ROWID);
+        if (index === -1) throw notFound(table, row.ROWID);
+        return index;
+      });
+      const now = timestamp();
+      const target = rowsOf(table);
+      const updated = rows.map((row, i) => {
+        const current = target[indexes[i]];
+        target[indexes[i]] = { ...current, ...row, ROWID: current.ROWID, MODIFIEDTIME: now };
+        return { ...target[indexes[i]] };
+      });
+      changed();
+      return updated;
+    },
+
+    // Number of rows removed
+    remove(table, rowIds) {
+      const ids = new Set(rowIds.map(String));
+      const before = rowsOf(table);
+      const kept = before.filter((row) => !ids.has(String(row.ROWID)));
+      if (kept.length === before.length) return 0;
+      tables.set(table, kept);
+      changed();
+      return before.length - kept.length;
+    },
+
+    flush,
+  };
+}
+
+/**
+ * A Catalyst-shaped app over a store. Create one per request, as
+ * catalyst.initialize does, so per-request state keyed on the zcql handle
+ * (the row budget in services/rowFetcher.js) stays per request.
+ */
+function createLocalApp(store) {
+  const zcql = {
+    store,
+    executeZCQLQuery: async (sql) => store.query(sql),
+  };
+  const table = (name) => ({
+    insertRow: async (row) => store.insert(name, [row])[0],
+    insertRows: async (rows) => store.insert(name, rows),
+    updateRow: async (row) => store.update(name, [row])[0],
+    updateRows: async (rows) => store.update(name, rows),
+    deleteRow: async (rowId) => store.remove(name, [rowId]) > 0,
+    deleteRows: async (rowIds) => store.remove(name, rowIds) > 0,
+    getRow: async (rowId) => {
+      const row = store.get(name, rowId);
+      if (!row) throw notFound(name, rowId);
+      return row;
+    },
+  });
+
+  return {
+    store,
+    zcql: () => zcql,
+    datastore: () => ({ table }),
+    // There is no Catalyst user locally; callers fall back to the app's own sign-in
+    userManagement: () => ({ getCurrentUser: async () => null }),
+  };
+}
+
+module.exports = {
+  createLocalStore,
+  createLocalApp,
+};
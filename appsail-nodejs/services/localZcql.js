@@ -0,0 +1,327 @@
+"use strict";
+
+/**
+ * ZCQL over in-memory rows, for the local store (services/localStore.js).
+ *
+ * Understands the SELECT statements services/queryBuilder renders:
+ * SELECT [DISTINCT] *, columns or COUNT/SUM/MIN/MAX/AVG(column)
+ * with optional aliases, FROM one table, WHERE with AND/OR/parentheses,
+ * comparisons, [NOT] LIKE, [NOT] IN and IS [NOT] NULL, then GROUP BY,
+ * ORDER BY, LIMIT and OFFSET. Rows come back wrapped by table name, as
+ * Catalyst returns them, and capped at 300 like ZCQL.
+ */
+
+const ZCQL_MAX_ROWS = 300;
+
+const AGGREGATES = new Set(["COUNT", "SUM", "MIN", "MAX", "AVG"]);
+const COMPARISONS = new Set(["=", "!=", "<>", "<", "<=", ">", ">="]);
+const KEYWORDS = new Set([
+  "SELECT", "DISTINCT", "FROM", "WHERE", "AND", "OR", "NOT", "IN", "IS", "NULL", "LIKE",
+  "AS", "GROUP", "ORDER", "BY", "ASC", "DESC", "LIMIT", "OFFSET",
+]);
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+const TOKEN = /\s*(?:'((?:[^']|'')*)'|(-?\d+(?:\.\d+)?)(?![A-Za-z_])|([A-Za-z_][A-Za-z0-9_]*)|(<=|>=|!=|<>|[=<>(),.*]))/y;
+
+class ZcqlError extends Error {
+  constructor(message) {
+    super(`ZCQL QUERY ERROR - ${message}`);
+    this.name = "ZcqlError";
+    this.statusCode = 400;
+  }
+}
+
+function tokenize(sql) {
+  const tokens = [];
+  const text = String(sql).trim();
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < text.length) {
+    const at = TOKEN.lastIndex;
+    const match = TOKEN.exec(text);
+    if (!match) throw new ZcqlError(`Unexpected character at ${at}: ${text.slice(at, at + 20)}`);
+    const [, string, number, word, punct] = match;
+    if (string !== undefined) tokens.push({ type: "string", value: string.replace(/''/g, "'") });
+    else if (number !== undefined) tokens.push({ type: "number", value: Number(number) });
+    else if (word !== undefined) tokens.push({ type: "word", value: word, upper: word.toUpperCase() });
+    else tokens.push({ type: "punct", value: punct });
+  }
+  return tokens;
+}
+
+// LIKE pattern to a RegExp: % and * match any run of characters, ignoring
+// case as the Catalyst data store does
+function likePattern(pattern) {
+  const source = String(pattern)
+    .split(/[%*]/)
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`, "is");
+}
+
+function parse(sql) {
+  const tokens = tokenize(sql);
+  let pos = 0;
+
+  const peek = (offset = 0) => tokens[pos + offset];
+  const fail = (message) => {
+    const token = peek();
+    throw new ZcqlError(`${message} ${token ? `near '${token.value}'` : "at end of query"}`);
+  };
+  const isWord = (word, token = peek()) => Boolean(token) && token.type === "word" && token.upper === word;
+  const isPunct = (punct, token = peek()) => Boolean(token) && token.type === "punct" && token.value === punct;
+  const accept = (found) => {
+    if (found) pos++;
+    return found;
+  };
+  const acceptWord = (word) => accept(isWord(word));
+  const acceptPunct = (punct) => accept(isPunct(punct));
+  const expectWord = (word) => acceptWord(word) || fail(`Expected ${word}`);
+  const expectPunct = (punct) => acceptPunct(punct) || fail(`Expected '${punct}'`);
+
+  const identifier = () => {
+    const token = peek();
+    if (!token || token.type !== "word" || KEYWORDS.has(token.upper)) fail("Expected a name");
+    pos++;
+    return token.value;
+  };
+
+  // Table.column or column; there are no joins, so the table is implied
+  const columnRef = () => {
+    let name = identifier();
+    if (acceptPunct(".")) name = identifier();
+    return { column: name };
+  };
+
+  // A column or an aggregate over one (COUNT also takes *)
+  const expression = () => {
+    const token = peek();
+    if (token && token.type === "word" && AGGREGATES.has(token.upper) && isPunct("(", peek(1))) {
+      pos += 2;
+      const column = acceptPunct("*") ? null : columnRef().column;
+      expectPunct(")");
+      return { fn: token.upper, column };
+    }
+    return columnRef();
+  };
+
+  const value = () => {
+    const token = peek();
+    if (token && (token.type === "string" || token.type === "number")) {
+      pos++;
+      return token.value;
+    }
+    if (acceptWord("NULL")) return null;
+    return fail("Expected a value");
+  };
+
+  const condition = () => {
+    if (acceptPunct("(")) {
+      const inner = disjunction();
+      expectPunct(")");
+      return inner;
+    }
+    const { column } = columnRef();
+    if (acceptWord("IS")) {
+      const negate = acceptWord("NOT");
+      expectWord("NULL");
+      return { op: negate ? "IS NOT NULL" : "IS NULL", column };
+    }
+    const negate = acceptWord("NOT");
+    if (acceptWord("IN")) {
+      expectPunct("(");
+      const values = [value()];
+      while (acceptPunct(",")) values.push(value());
+      expectPunct(")");
+      return { op: "IN", negate, column, values };
+    }
+    if (acceptWord("LIKE")) return { op: "LIKE", negate, column, pattern: likePattern(value()) };
+    if (negate) fail("Expected IN or LIKE after NOT");
+    const token = peek();
+    if (!token || token.type !== "punct" || !COMPARISONS.has(token.value)) fail("Expected a comparison");
+    pos++;
+    return { op: token.value === "<>" ? "!=" : token.value, column, value: value() };
+  };
+
+  const conjunction = () => {
+    const parts = [condition()];
+    while (acceptWord("AND")) parts.push(condition());
+    return parts.length === 1 ? parts[0] : { op: "AND", parts };
+  };
+
+  function disjunction() {
+    const parts = [conjunction()];
+    while (acceptWord("OR")) parts.push(conjunction());
+    return parts.length === 1 ? parts[0] : { op: "OR", parts };
+  }
+
+  const count = (name) => {
+    const token = peek();
+    if (!token || token.type !== "number" || !Number.isInteger(token.value) || token.value < 0) fail(`Expected a ${name} count`);
+    pos++;
+    return token.value;
+  };
+
+  expectWord("SELECT");
+  const distinct = acceptWord("DISTINCT");
+  const fields = [];
+  if (acceptPunct("*")) {
+    fields.push({ all: true });
+  } else {
+    do {
+      const field = expression();
+      fields.push({ ...field, alias: acceptWord("AS") ? identifier() : null });
+    } while (acceptPunct(","));
+  }
+
+  expectWord("FROM");
+  const table = identifier();
+  const where = acceptWord("WHERE") ? disjunction() : null;
+
+  const groupBy = [];
+  if (acceptWord("GROUP")) {
+    expectWord("BY");
+    do groupBy.push(columnRef().column);
+    while (acceptPunct(","));
+  }
+
+  const orderBy = [];
+  if (acceptWord("ORDER")) {
+    expectWord("BY");
+    do {
+      const field = expression();
+      const desc = acceptWord("DESC");
+      if (!desc) acceptWord("ASC");
+      orderBy.push({ ...field, desc });
+    } while (acceptPunct(","));
+  }
+
+  const limit = acceptWord("LIMIT") ? count("LIMIT") : null;
+  const offset = acceptWord("OFFSET") ? count("OFFSET") : null;
+  if (pos < tokens.length) fail("Unexpected input");
+
+  return { distinct, fields, table, where, groupBy, orderBy, limit, offset };
+}
+
+const isNull = (value) => value === null || value === undefined;
+
+const isNumeric = (value) =>
+  (typeof value === "number" && Number.isFinite(value)) || (typeof value === "string" && NUMERIC.test(value.trim()));
+
+// Numbers compare as numbers (ZCQL returns them as strings), the rest as text
+function compareValues(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  const x = String(a);
+  const y = String(b);
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+// Sort order: nulls first, as ZCQL (MySQL) sorts them ascending
+function compareForSort(a, b) {
+  if (isNull(a) || isNull(b)) return (isNull(a) ? 0 : 1) - (isNull(b) ? 0 : 1);
+  return compareValues(a, b);
+}
+
+function matches(condition, row) {
+  const value = row[condition.column];
+  switch (condition.op) {
+    case "AND":
+      return condition.parts.every((part) => matches(part, row));
+    case "OR":
+      return condition.parts.some((part) => matches(part, row));
+    case "IS NULL":
+      return isNull(value);
+    case "IS NOT NULL":
+      return !isNull(value);
+    case "IN":
+      return !isNull(value) && condition.values.some((item) => !isNull(item) && compareValues(value, item) === 0) !== condition.negate;
+    case "LIKE":
+      return !isNull(value) && condition.pattern.test(String(value)) !== condition.negate;
+    default: {
+      if (isNull(value) || isNull(condition.value)) return false;
+      const order = compareValues(value, condition.value);
+      if (condition.op === "=") return order === 0;
+      if (condition.op === "!=") return order !== 0;
+      if (condition.op === "<") return order < 0;
+      if (condition.op === "<=") return order <= 0;
+      if (condition.op === ">") return order > 0;
+      return order >= 0;
+    }
+  }
+}
+
+function aggregate(fn, column, rows) {
+  if (fn === "COUNT") return column ? rows.filter((row) => !isNull(row[column])).length : rows.length;
+  const values = rows.map((row) => row[column]).filter((value) => !isNull(value));
+  if (values.length === 0) return null;
+  if (fn === "MIN" || fn === "MAX") {
+    const sign = fn === "MIN" ? 1 : -1;
+    return values.reduce((best, value) => (sign * compareValues(value, best) < 0 ? value : best));
+  }
+  const total = values.reduce((sum, value) => sum + (Number(value) || 0), 0);
+  return fn === "SUM" ? total : total / values.length;
+}
+
+// Rows of each GROUP BY key in first-seen order; one group when there is no GROUP BY
+function groupRows(rows, columns) {
+  if (columns.length === 0) return [{ first: rows[0] || {}, rows }];
+  const groups = new Map();
+  rows.forEach((row) => {
+    const key = JSON.stringify(columns.map((column) => (isNull(row[column]) ? null : String(row[column]))));
+    if (!groups.has(key)) groups.set(key, { first: row, rows: [] });
+    groups.get(key).rows.push(row);
+  });
+  return Array.from(groups.values());
+}
+
+/**
+ * Run one SELECT against rowsOf(table). maxRows caps the result when the
+ * query has no LIMIT (ZCQL's 300 by default; Infinity for callers that want
+ * every row without paging).
+ */
+function runZcql(sql, rowsOf, { maxRows = ZCQL_MAX_ROWS } = {}) {
+  const statement = parse(sql);
+  const { table, fields, where, groupBy, orderBy } = statement;
+
+  const rows = rowsOf(table).filter((row) => !where || matches(where, row));
+  const grouped = groupBy.length > 0 || fields.some((field) => field.fn);
+  const records = grouped ? groupRows(rows, groupBy) : rows.map((row) => ({ first: row, rows: [row] }));
+
+  const aliases = new Map(fields.filter((field) => field.alias).map((field) => [field.alias, field]));
+  const valueOf = (record, field) => (field.fn ? aggregate(field.fn, field.column, record.rows) : record.first[field.column]);
+  const sortValue = (record, field) => valueOf(record, !field.fn && aliases.has(field.column) ? aliases.get(field.column) : field);
+  const project = (record) =>
+    fields[0].all
+      ? { ...record.first }
+      : Object.fromEntries(
+          fields.map((field) => [field.alias || (field.fn ? `${field.fn}(${field.column || "*"})` : field.column), valueOf(record, field)])
+        );
+
+  let results = records.map((record) => ({ record, row: project(record) }));
+  if (statement.distinct) {
+    const seen = new Set();
+    results = results.filter(({ row }) => {
+      const key = JSON.stringify(row);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+  if (orderBy.length > 0) {
+    results.sort((a, b) => {
+      for (const field of orderBy) {
+        const order = compareForSort(sortValue(a.record, field), sortValue(b.record, field));
+        if (order !== 0) return field.desc ? -order : order;
+      }
+      return 0;
+    });
+  }
+
+  const start = statement.offset || 0;
+  const size = statement.limit === null ? maxRows : statement.limit;
+  return results.slice(start, start + size).map(({ row }) => ({ [table]: row }));
+}
+
+module.exports = {
+  ZCQL_MAX_ROWS,
+  ZcqlError,
+  runZcql,
+};
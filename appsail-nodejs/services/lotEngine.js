@@ -0,0 +1,240 @@
+"use strict";
+
+/**
+ * FIFO lot engine.
+ *
+ * Replays an event stream from services/portfolioEvents.js and keeps one
+ * book of open lots per security. Every event records an entry with the
+ * holding before/after, remaining cost, weighted average price and, for
+ * sells, the realised P/L and the lots consumed.
+ */
+
+const EPSILON = 1e-9;
+
+const round2 = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+function createBook(info) {
+  return {
+    key: info.key,
+    stockName: info.stockName,
+    stockCode: info.stockCode,
+    isin: info.isin || "",
+    lots: [],
+    holdingQty: 0,
+    cost: 0,
+    avgCost: 0,
+    realizedPL: 0,
+    buyQty: 0,
+    sellQty: 0,
+    buyValue: 0,
+    sellValue: 0,
+    entries: [],
+  };
+}
+
+const sumLots = (lots) =>
+  lots.reduce(
+    (acc, lot) => {
+      acc.qty += lot.qty;
+      acc.cost += lot.qty * lot.unitCost;
+      return acc;
+    },
+    { qty: 0, cost: 0 }
+  );
+
+// Recompute holding/cost/avg from the open lots after every event
+function refresh(book) {
+  book.lots = book.lots.filter((lot) => lot.qty > EPSILON);
+  const totals = sumLots(book.lots);
+  book.holdingQty = totals.qty;
+  book.cost = totals.cost;
+  book.avgCost = totals.qty > EPSILON ? totals.cost / totals.qty : 0;
+}
+
+function consumeLots(book, qty) {
+  let remaining = qty;
+  let costOfSold = 0;
+  const matchedLots = [];
+  while (remaining > EPSILON && book.lots.length > 0) {
+    const lot = book.lots[0];
+    const take = Math.min(lot.qty, remaining);
+    costOfSold += take * lot.unitCost;
+    matchedLots.push({
+      qty: take,
+      unitCost: lot.unitCost,
+      acquiredOn: lot.acquiredOn,
+      source: lot.source,
+    });
+    lot.qty -= take;
+    remaining -= take;
+    if (lot.qty <= EPSILON) book.lots.shift();
+  }
+  return { costOfSold, matchedLots, unmatchedQty: remaining > EPSILON ? remaining : 0 };
+}
+
+/**
+ * Run the engine over an ordered event stream.
+ *
+ * securities is the registry returned by buildEventStream (used for the
+ * display name/code of each book). Returns { books, warnings } where books
+ * is a Map of security key -> book.
+ */
+function runLotEngine(events, securities) {
+  const books = new Map();
+  const warnings = [];
+
+  const bookFor = (key) => {
+    if (!books.has(key)) {
+      const info = (securities && securities.get(key)) || { key, stockName: key, stockCode: "" };
+      books.set(key, createBook(info));
+    }
+    return books.get(key);
+  };
+
+  // Lots arriving from a merger/demerger are slotted in by acquisition date
+  // so later sells still consume the oldest shares first
+  const receive = (target, event, lots) => {
+    const holdingBefore = target.holdingQty;
+    target.lots.push(...lots);
+    target.lots.sort((a, b) => String(a.acquiredOn).localeCompare(String(b.acquiredOn)));
+    refresh(target);
+    target.entries.push({
+      event,
+      incoming: true,
+      holdingBefore,
+      holdingAfter: target.holdingQty,
+      costAfter: target.cost,
+      wap: target.avgCost,
+    });
+  };
+
+  events.forEach((event) => {
+    const book = bookFor(event.key);
+    const holdingBefore = book.holdingQty;
+    const entry = { event, holdingBefore };
+
+    switch (event.kind) {
+      case "trade": {
+        if (event.inferred) {
+          const type = String(event.transaction.tranType || "").trim();
+          warnings.push({
+            type: "INFERRED_SIDE",
+            key: book.key,
+            security: book.stockName,
+            stockCode: book.stockCode,
+            isin: book.isin,
+            date: event.date,
+            rowid: event.seq,
+            qty: event.qty,
+            message: `${type ? `Tran_Type "${type}" is not recognised` : "Tran_Type is empty"}; treated as a ${event.side} of ${round2(event.qty)} from the sign of QTY`,
+          });
+        }
+        if (event.side === "buy" && event.qty > 0) {
+          // Zero-priced buys (gifts, transfers in) still add a lot at zero cost
+          book.lots.push({
+            qty: event.qty,
+            unitCost: event.amount / event.qty,
+            // Opening balances may be queued earlier than they were bought
+            acquiredOn: event.acquiredOn || event.date,
+            source: event.source || "BUY",
+          });
+          book.buyQty += event.qty;
+          book.buyValue += event.amount;
+        } else if (event.side === "sell" && event.qty > 0) {
+          const { costOfSold, matchedLots, unmatchedQty } = consumeLots(book, event.qty);
+          if (unmatchedQty > 0) {
+            warnings.push({
+              type: "OVERSELL",
+              key: book.key,
+              security: book.stockName,
+              stockCode: book.stockCode,
+              isin: book.isin,
+              date: event.date,
+              rowid: event.seq,
+              qty: unmatchedQty,
+              message: `Sell of ${event.qty} exceeds holding of ${round2(holdingBefore)}; ${round2(unmatchedQty)} shares matched at zero cost`,
+            });
+          }
+          const profitLoss = event.amount - costOfSold;
+          book.realizedPL += profitLoss;
+          book.sellQty += event.qty;
+          book.sellValue += event.amount;
+          entry.costOfSold = costOfSold;
+          entry.profitLoss = profitLoss;
+          entry.matchedLots = matchedLots;
+          entry.unmatchedQty = unmatchedQty;
+        }
+        break;
+      }
+      case "bonus": {
+        if (event.qty > 0) {
+          book.lots.push({ qty: event.qty, unitCost: 0, acquiredOn: event.date, source: "BONUS" });
+        }
+        break;
+      }
+      case "split": {
+        book.lots.forEach((lot) => {
+          lot.qty *= event.factor;
+          lot.unitCost /= event.factor;
+        });
+        break;
+      }
+      case "merger": {
+        // Lots move to the new security with cost and acquisition date intact
+        const target = bookFor(event.targetKey);
+        if (target !== book) {
+          const moved = book.lots.map((lot) => ({
+            qty: lot.qty * event.factor,
+            unitCost: lot.unitCost / event.factor,
+            acquiredOn: lot.acquiredOn,
+            source: lot.source,
+          }));
+          book.lots = [];
+          receive(target, event, moved);
+        }
+        entry.transferredTo = target.key;
+        break;
+      }
+      case "demerger": {
+        // Child lots inherit the parent's acquisition date and a share of its cost
+        const target = bookFor(event.targetKey);
+        const costShare = event.costShare || 0;
+        if (target !== book) {
+          const childLots = book.lots.map((lot) => {
+            const childQty = lot.qty * event.factor;
+            const childCost = lot.qty * lot.unitCost * costShare;
+            return {
+              qty: childQty,
+              unitCost: childQty > 0 ? childCost / childQty : 0,
+              acquiredOn: lot.acquiredOn,
+              source: "DEMERGER",
+            };
+          });
+          book.lots.forEach((lot) => {
+            lot.unitCost *= 1 - costShare;
+          });
+          receive(target, event, childLots);
+          entry.childQty = sumLots(childLots).qty;
+        }
+        entry.transferredTo = target.key;
+        break;
+      }
+      default:
+        break;
+    }
+
+    refresh(book);
+    entry.holdingAfter = book.holdingQty;
+    entry.costAfter = book.cost;
+    entry.wap = book.avgCost;
+    book.entries.push(entry);
+  });
+
+  return { books, warnings };
+}
+
+module.exports = {
+  EPSILON,
+  round2,
+  runLotEngine,
+};
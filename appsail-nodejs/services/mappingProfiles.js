@@ -0,0 +1,278 @@
+"use strict";
+
+/**
+ * Column-mapping profiles for custodian transaction files.
+ *
+ * A profile describes one custodian layout: header aliases onto Transaction
+ * columns, the date format, the number locale and a Tran_Type translation.
+ * The headers of the sample file the profile was built from are kept as its
+ * signature, so an upload can be matched to a profile without the user
+ * picking one.
+ */
+
+const { isRowId, select } = require("./queryBuilder");
+
+const PROFILE_TABLE = "MappingProfile";
+
+const DATE_FORMATS = ["auto", "YYYY-MM-DD", "DD-MM-YYYY", "MM-DD-YYYY", "DD-MMM-YYYY", "YYYYMMDD"];
+
+// Grouping and decimal separators; "en-IN" also covers lakh grouping (1,23,456.78)
+const NUMBER_LOCALES = {
+  "en-IN": { group: ",", decimal: "." },
+  "en-US": { group: ",", decimal: "." },
+  "de-DE": { group: ".", decimal: "," },
+  "fr-FR": { group: " ", decimal: "," },
+};
+const DEFAULT_NUMBER_LOCALE = "en-IN";
+
+const MONTHS = ["JAN", "FEB", "MAR", "APR", "MAY", "JUN", "JUL", "AUG", "SEP", "OCT", "NOV", "DEC"];
+
+// Shared headers over all headers of file and signature needed to detect a profile
+const MIN_SIGNATURE_OVERLAP = 0.8;
+
+// Lower-case alphanumerics only, so "WS Client id", "ws_client_id" and a BOM-prefixed header match
+const canonicalize = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return fallback;
+  }
+};
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function isoDate(year, month, day) {
+  let y = Number(year);
+  const m = Number(month);
+  const d = Number(day);
+  if (String(year).length === 2) y += 2000;
+  if (!Number.isInteger(y) || !Number.isInteger(m) || !Number.isInteger(d)) return null;
+  const date = new Date(Date.UTC(y, m - 1, d));
+  // Rejects 31-02-2024 and friends instead of rolling over
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) return null;
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+/**
+ * "YYYY-MM-DD" for a date written in the given format, or null when the value
+ * does not match it. "-", "/" and "." are accepted as separators and a time
+ * part after the date is ignored.
+ */
+function parseDate(value, format) {
+  const text = String(value).trim().split(/[\sT]/)[0];
+  if (format === "YYYYMMDD") {
+    const m = /^(\d{4})(\d{2})(\d{2})$/.exec(text);
+    return m ? isoDate(m[1], m[2], m[3]) : null;
+  }
+  const parts = text.split(/[-/.]/);
+  if (parts.length !== 3) return null;
+  switch (format) {
+    case "YYYY-MM-DD":
+      return isoDate(parts[0], parts[1], parts[2]);
+    case "DD-MM-YYYY":
+      return isoDate(parts[2], parts[1], parts[0]);
+    case "MM-DD-YYYY":
+      return isoDate(parts[2], parts[0], parts[1]);
+    case "DD-MMM-YYYY": {
+      const month = MONTHS.indexOf(parts[1].slice(0, 3).toUpperCase()) + 1;
+      return month > 0 ? isoDate(parts[2], month, parts[0]) : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Number written with the locale's separators; "(1,234.50)" is negative.
+ * Returns the input unchanged when it is not a number, so validation can
+ * still report it.
+ */
+function parseNumber(value, locale) {
+  if (typeof value === "number") return value;
+  const { group, decimal } = NUMBER_LOCALES[locale] || NUMBER_LOCALES[DEFAULT_NUMBER_LOCALE];
+  let text = String(value).trim();
+  const negative = /^\(.*\)$/.test(text);
+  if (negative) text = text.slice(1, -1);
+  // \s also covers the non-breaking spaces spreadsheets group with
+  text = text.replace(group === " " ? /\s/g : new RegExp(`\\${group}`, "g"), "");
+  if (decimal !== ".") text = text.replace(decimal, ".");
+  if (text === "" || isNaN(Number(text))) return value;
+  return negative ? -Number(text) : Number(text);
+}
+
+function toProfile(row) {
+  const r = (row && (row[PROFILE_TABLE] || row)) || {};
+  return {
+    id: r.ROWID,
+    name: r.Name,
+    columnAliases: parseJson(r.ColumnAliases, {}),
+    dateFormat: r.DateFormat || "auto",
+    numberLocale: r.NumberLocale || DEFAULT_NUMBER_LOCALE,
+    tranTypeMap: parseJson(r.TranTypeMap, {}),
+    headers: parseJson(r.HeaderSignature, []),
+    modifiedAt: r.MODIFIEDTIME || null,
+  };
+}
+
+/**
+ * Check and tidy a profile from the API. allowedColumns is the Transaction
+ * schema; returns { profile } or { error }.
+ */
+function normalizeProfileInput(input, allowedColumns) {
+  const name = String((input && input.name) || "").trim();
+  if (!name) return { error: "Profile name is required" };
+
+  const dateFormat = input.dateFormat || "auto";
+  if (!DATE_FORMATS.includes(dateFormat)) {
+    return { error: `dateFormat must be one of ${DATE_FORMATS.join(", ")}` };
+  }
+  const numberLocale = input.numberLocale || DEFAULT_NUMBER_LOCALE;
+  if (!NUMBER_LOCALES[numberLocale]) {
+    return { error: `numberLocale must be one of ${Object.keys(NUMBER_LOCALES).join(", ")}` };
+  }
+
+  const columnAliases = {};
+  for (const [header, column] of Object.entries(input.columnAliases || {})) {
+    if (!String(header).trim() || !column) continue;
+    if (!allowedColumns.has(column)) return { error: `Unknown column "${column}" for header "${header}"` };
+    columnAliases[String(header).trim()] = column;
+  }
+
+  const tranTypeMap = {};
+  for (const [from, to] of Object.entries(input.tranTypeMap || {})) {
+    const source = String(from).trim().toUpperCase();
+    const target = String(to || "").trim().toUpperCase();
+    if (source && target) tranTypeMap[source] = target;
+  }
+
+  const headers = Array.isArray(input.headers) ? input.headers.map((h) => String(h).trim()).filter(Boolean) : [];
+
+  return { profile: { name, columnAliases, dateFormat, numberLocale, tranTypeMap, headers } };
+}
+
+/**
+ * Attach the parsing helpers the importer calls per cell. A profile only
+ * overrides what it sets: unaliased headers keep the default matching and
+ * an "auto" date format keeps the default date parsing.
+ */
+function compileProfile(profile) {
+  const aliases = new Map(Object.entries(profile.columnAliases).map(([header, column]) => [canonicalize(header), column]));
+  const tranTypes = new Map(Object.entries(profile.tranTypeMap));
+  return {
+    ...profile,
+    columnFor: (header) => aliases.get(canonicalize(header)) || null,
+    parseDate: (value) => (profile.dateFormat === "auto" ? null : parseDate(value, profile.dateFormat)),
+    parseNumber: (value) => parseNumber(value, profile.numberLocale),
+    translateTranType: (value) => {
+      const code = String(value).trim().toUpperCase();
+      return tranTypes.get(code) || value;
+    },
+  };
+}
+
+/**
+ * Best profile for a file's headers. The header set must overlap the
+ * signature by MIN_SIGNATURE_OVERLAP; among those, headers in the same
+ * position break ties, which separates layouts that only reorder columns.
+ */
+function detectProfile(headers, profiles) {
+  const fileHeaders = headers.map(canonicalize).filter(Boolean);
+  if (fileHeaders.length === 0) return null;
+  const fileSet = new Set(fileHeaders);
+
+  let best = null;
+  profiles.forEach((profile) => {
+    const signature = (profile.headers || []).map(canonicalize).filter(Boolean);
+    if (signature.length === 0) return;
+    const signatureSet = new Set(signature);
+    const shared = [...fileSet].filter((h) => signatureSet.has(h)).length;
+    const overlap = shared / new Set([...fileSet, ...signatureSet]).size;
+    if (overlap < MIN_SIGNATURE_OVERLAP) return;
+    const inPlace = signature.filter((h, i) => fileHeaders[i] === h).length / Math.max(signature.length, fileHeaders.length);
+    const score = overlap + inPlace;
+    if (!best || score > best.score) best = { profile, score, exact: overlap === 1 && inPlace === 1 };
+  });
+  return best;
+}
+
+async function listProfiles(zcql) {
+  const rows = await zcql.executeZCQLQuery(select(PROFILE_TABLE).orderBy("Name").toString(), []);
+  return (rows || []).map(toProfile);
+}
+
+async function getProfile(zcql, id) {
+  if (!isRowId(id)) return null;
+  const rows = await zcql.executeZCQLQuery(select(PROFILE_TABLE).where("ROWID", "=", id).toString(), []);
+  return rows && rows.length > 0 ? toProfile(rows[0]) : null;
+}
+
+async function findProfileByName(zcql, name) {
+  const rows = await zcql.executeZCQLQuery(select(PROFILE_TABLE).where("Name", "=", name).toString(), []);
+  return rows && rows.length > 0 ? toProfile(rows[0]) : null;
+}
+
+const toRow = (profile) => ({
+  Name: profile.name,
+  ColumnAliases: JSON.stringify(profile.columnAliases),
+  DateFormat: profile.dateFormat,
+  NumberLocale: profile.numberLocale,
+  TranTypeMap: JSON.stringify(profile.tranTypeMap),
+  HeaderSignature: JSON.stringify(profile.headers),
+});
+
+async function createProfile(app, profile) {
+  const row = await app.datastore().table(PROFILE_TABLE).insertRow(toRow(profile));
+  return toProfile(row);
+}
+
+async function updateProfile(app, id, profile) {
+  const row = await app.datastore().table(PROFILE_TABLE).updateRow({ ROWID: id, ...toRow(profile) });
+  return toProfile(row);
+}
+
+async function deleteProfile(app, id) {
+  await app.datastore().table(PROFILE_TABLE).deleteRow(id);
+}
+
+/**
+ * Profile for an upload: the requested one, none when profileId is "none",
+ * otherwise the saved profile detected from the headers. Resolves to
+ * { profile, detected } with a compiled profile or null; a requested id
+ * that does not exist rejects.
+ */
+async function resolveProfile(zcql, { profileId, headers }) {
+  if (profileId === "none") return { profile: null, detected: false };
+  if (profileId) {
+    const profile = await getProfile(zcql, profileId);
+    if (!profile) throw new Error(`Mapping profile ${profileId} not found`);
+    return { profile: compileProfile(profile), detected: false };
+  }
+  const match = detectProfile(headers || [], await listProfiles(zcql));
+  return match ? { profile: compileProfile(match.profile), detected: true } : { profile: null, detected: false };
+}
+
+module.exports = {
+  PROFILE_TABLE,
+  DATE_FORMATS,
+  NUMBER_LOCALES,
+  DEFAULT_NUMBER_LOCALE,
+  canonicalize,
+  parseDate,
+  parseNumber,
+  normalizeProfileInput,
+  compileProfile,
+  detectProfile,
+  listProfiles,
+  getProfile,
+  findProfileByName,
+  createProfile,
+  updateProfile,
+  deleteProfile,
+  resolveProfile,
+};
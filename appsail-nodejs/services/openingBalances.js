@@ -0,0 +1,239 @@
+"use strict";
+
+/**
+ * Opening balances: holdings a client already had before the first
+ * transaction in the dataset.
+ *
+ * Without them a client whose history starts mid-life sells shares the lot
+ * engine has no lots for, and the excess is matched at zero cost. Each
+ * OpeningBalance row (client, ISIN, quantity, total cost, acquisition date)
+ * becomes a synthetic OPI buy that buildEventStream() queues ahead of the
+ * client's first transaction, keeping the real acquisition date on the lot
+ * for holding-period purposes.
+ */
+
+const { canonicalize, parseNumber } = require("./mappingProfiles");
+const { readSheetRows, parseSheetDate } = require("./spreadsheet");
+const { isValidDate, fetchAllRows } = require("./portfolioEvents");
+const { isIsin, normalizeIsin, loadSecurityIndex } = require("./securityMaster");
+const { isRowId, select } = require("./queryBuilder");
+
+const OPENING_BALANCE_TABLE = "OpeningBalance";
+const WRITE_BATCH_SIZE = 200; // Catalyst datastore write limit
+
+// Canonical header names accepted for each field of an opening-balance file
+const OPENING_COLUMNS = {
+  clientId: ["clientid", "wsclientid", "client"],
+  isin: ["isin", "isincode"],
+  securityName: ["securityname", "scripname", "security", "stockname", "companyname"],
+  securityCode: ["securitycode", "scripcode", "code", "symbol"],
+  qty: ["qty", "quantity", "holding", "holdingqty", "openingqty"],
+  cost: ["cost", "totalcost", "costvalue", "bookvalue", "amount", "investedamount"],
+  unitCost: ["unitcost", "rate", "price", "avgcost", "averagecost", "costperunit"],
+  acquiredOn: ["acquiredon", "acquisitiondate", "purchasedate", "buydate", "date"],
+};
+
+function fieldFor(header) {
+  const key = canonicalize(header);
+  return Object.keys(OPENING_COLUMNS).find((field) => OPENING_COLUMNS[field].includes(key)) || null;
+}
+
+const toAmount = (value) => {
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const parsed = parseNumber(value, "en-IN");
+  return typeof parsed === "number" ? parsed : NaN;
+};
+
+function toOpeningBalance(row) {
+  const r = (row && (row[OPENING_BALANCE_TABLE] || row)) || {};
+  return {
+    id: r.ROWID,
+    clientId: Number(r.ClientId),
+    isin: normalizeIsin(r.ISIN),
+    securityName: String(r.SecurityName || "").trim(),
+    securityCode: String(r.SecurityCode || "").trim(),
+    qty: Number(r.Qty) || 0,
+    cost: Number(r.Cost) || 0,
+    acquiredOn: String(r.AcquiredOn || "").trim(),
+  };
+}
+
+const toRow = (balance) => ({
+  ClientId: balance.clientId,
+  ISIN: balance.isin,
+  SecurityName: balance.securityName,
+  SecurityCode: balance.securityCode,
+  Qty: balance.qty,
+  Cost: balance.cost,
+  AcquiredOn: balance.acquiredOn,
+});
+
+/**
+ * Check one opening balance from the API or a file row. cost is the total
+ * cost; unitCost is accepted instead and multiplied out. Returns
+ * { balance } or { error }.
+ */
+function validateOpeningBalance(input = {}) {
+  const clientId = String(input.clientId ?? "").trim();
+  const isin = normalizeIsin(input.isin);
+  const qty = toAmount(input.qty);
+  const cost = toAmount(input.cost);
+  const unitCost = toAmount(input.unitCost);
+  const acquiredOn = parseSheetDate(input.acquiredOn);
+
+  if (!/^\d+$/.test(clientId)) return { error: "Client ID is missing or not a number" };
+  if (!isIsin(isin)) return { error: isin ? `"${isin}" is not a valid ISIN` : "ISIN is missing" };
+  if (qty === null || Number.isNaN(qty) || qty <= 0) return { error: "Quantity must be a positive number" };
+  if (cost === null && unitCost === null) return { error: "Cost or unit cost is required" };
+  if (Number.isNaN(cost) || Number.isNaN(unitCost) || (cost ?? unitCost) < 0) {
+    return { error: "Cost must be a non-negative number" };
+  }
+  if (!acquiredOn) {
+    return { error: input.acquiredOn ? `Acquisition date "${input.acquiredOn}" is not a date` : "Acquisition date is missing" };
+  }
+
+  return {
+    balance: {
+      clientId: Number(clientId),
+      isin,
+      securityName: String(input.securityName || "").trim(),
+      securityCode: String(input.securityCode || "").trim(),
+      qty,
+      cost: cost !== null ? cost : unitCost * qty,
+      acquiredOn,
+    },
+  };
+}
+
+/**
+ * Read an opening-balance file (xlsx/xls/csv) from a buffer. Returns
+ * { balances, errors } with 1-based file row numbers on errors, or
+ * { error } when a required column is missing.
+ */
+function parseOpeningBalanceFile(buffer) {
+  const rows = readSheetRows(buffer);
+
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const fields = new Map(headers.map((header) => [header, fieldFor(header)]));
+  const present = new Set(fields.values());
+  const missing = ["clientId", "isin", "qty", "acquiredOn"].filter((field) => !present.has(field));
+  if (!present.has("cost") && !present.has("unitCost")) missing.push("cost");
+  if (missing.length > 0) {
+    return { error: `Opening balance file needs client, ISIN, quantity, cost and acquisition date columns (missing: ${missing.join(", ")})` };
+  }
+
+  const balances = [];
+  const errors = [];
+  rows.forEach((raw, index) => {
+    const rowNumber = index + 2; // header is row 1
+    const row = {};
+    fields.forEach((field, header) => {
+      if (field && row[field] === undefined) row[field] = String(raw[header] ?? "").trim();
+    });
+    if (Object.values(row).every((value) => !value)) return; // blank line
+
+    const { balance, error } = validateOpeningBalance(row);
+    if (error) return errors.push({ row: rowNumber, message: error });
+    balances.push({ row: rowNumber, ...balance });
+  });
+
+  return { balances, errors };
+}
+
+// Opening balances of one client acquired on or before endDate; none when the table does not exist yet
+async function loadOpeningBalances(zcql, clientId, { endDate = null } = {}) {
+  const rows = await fetchAllRows(
+    zcql,
+    select(OPENING_BALANCE_TABLE).where("ClientId", "=", Number(clientId)).orderBy("AcquiredOn", "ASC"),
+    { label: "loadOpeningBalances", optional: true }
+  );
+  return rows
+    .map(toOpeningBalance)
+    .filter((balance) => !isValidDate(endDate) || balance.acquiredOn <= endDate);
+}
+
+async function getOpeningBalance(zcql, id) {
+  if (!isRowId(id)) return null;
+  const rows = await zcql.executeZCQLQuery(select(OPENING_BALANCE_TABLE).where("ROWID", "=", id).toString(), []);
+  return rows && rows.length > 0 ? toOpeningBalance(rows[0]) : null;
+}
+
+// Security name/code from the master for balances given by ISIN only
+function fillSecurityDetails(balance, securityIndex) {
+  const security = securityIndex.resolve({ isin: balance.isin });
+  if (!security) return balance;
+  return {
+    ...balance,
+    securityName: balance.securityName || security.name,
+    securityCode: balance.securityCode || security.code,
+  };
+}
+
+/**
+ * Insert or update opening balances. A balance for the same client, ISIN
+ * and acquisition date as a stored one replaces it, so re-importing a
+ * corrected file does not duplicate lots. Balances whose ISIN has no name
+ * in the file or the security master are returned as errors: holdings are
+ * matched by name when transactions lack ISINs.
+ */
+async function saveOpeningBalances(app, balances) {
+  const zcql = app.zcql();
+  const table = app.datastore().table(OPENING_BALANCE_TABLE);
+  const securityIndex = await loadSecurityIndex(zcql);
+
+  const keyOf = (balance) => `${balance.clientId}|${balance.isin}|${balance.acquiredOn}`;
+  const existing = new Map();
+  for (const clientId of new Set(balances.map((balance) => balance.clientId))) {
+    (await loadOpeningBalances(zcql, clientId)).forEach((balance) => existing.set(keyOf(balance), balance));
+  }
+
+  const errors = [];
+  const toInsert = new Map();
+  const toUpdate = new Map();
+  balances.forEach((input) => {
+    const balance = fillSecurityDetails(input, securityIndex);
+    if (!balance.securityName) {
+      errors.push({ row: input.row, message: `No security name for ISIN ${balance.isin}; add a name column or seed the security master` });
+      return;
+    }
+    const stored = existing.get(keyOf(balance));
+    if (stored) toUpdate.set(keyOf(balance), { ROWID: stored.id, ...toRow(balance) });
+    else toInsert.set(keyOf(balance), toRow(balance));
+  });
+
+  const inserts = Array.from(toInsert.values());
+  const updates = Array.from(toUpdate.values());
+  for (let i = 0; i < inserts.length; i += WRITE_BATCH_SIZE) {
+    await table.insertRows(inserts.slice(i, i + WRITE_BATCH_SIZE));
+  }
+  for (let i = 0; i < updates.length; i += WRITE_BATCH_SIZE) {
+    await table.updateRows(updates.slice(i, i + WRITE_BATCH_SIZE));
+  }
+
+  return { inserted: inserts.length, updated: updates.length, errors };
+}
+
+// Replace one stored opening balance with validated values. Returns { balance } or { error }
+async function updateOpeningBalance(app, id, input) {
+  const balance = fillSecurityDetails(input, await loadSecurityIndex(app.zcql()));
+  if (!balance.securityName) {
+    return { error: `No security name for ISIN ${balance.isin}; enter one or seed the security master` };
+  }
+  const row = await app.datastore().table(OPENING_BALANCE_TABLE).updateRow({ ROWID: id, ...toRow(balance) });
+  return { balance: toOpeningBalance(row) };
+}
+
+async function deleteOpeningBalance(app, id) {
+  await app.datastore().table(OPENING_BALANCE_TABLE).deleteRow(id);
+}
+
+module.exports = {
+  OPENING_BALANCE_TABLE,
+  validateOpeningBalance,
+  parseOpeningBalanceFile,
+  loadOpeningBalances,
+  getOpeningBalance,
+  saveOpeningBalances,
+  updateOpeningBalance,
+  deleteOpeningBalance,
+};
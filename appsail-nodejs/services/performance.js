@@ -0,0 +1,148 @@
+"use strict";
+
+/**
+ * Time-weighted returns (TWR) from a daily valuation series.
+ *
+ * Each day's value is the holdings marked at the latest close on or before
+ * that day (cost until a security's first price) plus cash. Daily returns
+ * strip out that day's external flows and are chained, so deposits and
+ * withdrawals do not move the return. Clients without CS+/CS- rows have no
+ * cash to track: trades and income are then the external flows instead.
+ */
+
+const { EPSILON } = require("./lotEngine");
+const { loadPriceHistory } = require("./priceMaster");
+const { clientCashMovements, incomeByBook } = require("./xirr");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toTime = (date) => Date.parse(`${date}T00:00:00Z`);
+const toDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+// Sum values by date into a Map
+const byDate = (items, valueOf) => {
+  const totals = new Map();
+  items.forEach((item) => totals.set(item.date, (totals.get(item.date) || 0) + valueOf(item)));
+  return totals;
+};
+
+/**
+ * Daily valuation series for a portfolio, from its first event to asOf.
+ * Returns { basis, series: [{ date, value, flow, dailyReturn, index }],
+ * unpricedSecurities }. index is the growth of 1 since inception.
+ */
+async function buildValuationSeries(zcql, portfolio, { asOf }) {
+  const books = Array.from(portfolio.books.values()).filter((book) => book.entries.length > 0);
+
+  const movements = clientCashMovements(portfolio);
+  const hasCapitalFlows = movements.some((movement) => movement.external !== 0);
+
+  let cashByDate = new Map();
+  let flowByDate;
+  if (hasCapitalFlows) {
+    cashByDate = byDate(movements, (movement) => movement.cash);
+    flowByDate = byDate(
+      movements.filter((movement) => movement.external !== 0),
+      (movement) => movement.external
+    );
+  } else {
+    // Money into the holdings is a buy; sells and income leave the portfolio
+    const income = [];
+    incomeByBook(portfolio).forEach((items) => income.push(...items));
+    flowByDate = byDate(
+      [
+        ...portfolio.events
+          .filter((event) => event.kind === "trade" && event.side)
+          .map((event) => ({ date: event.date, amount: event.side === "buy" ? event.amount : -event.amount })),
+        ...income.map((item) => ({ date: item.date, amount: -item.amount })),
+      ],
+      (item) => item.amount
+    );
+  }
+
+  const states = [];
+  const unpricedSecurities = [];
+  for (const book of books) {
+    const prices = await loadPriceHistory(zcql, book, asOf);
+    if (prices.length === 0 && book.holdingQty > EPSILON) unpricedSecurities.push(book.stockName);
+    states.push({ book, prices, entryIndex: 0, priceIndex: -1, qty: 0, cost: 0 });
+  }
+
+  const dates = [
+    ...books.map((book) => book.entries[0].event.date),
+    ...movements.map((movement) => movement.date),
+  ].filter((date) => date && date <= asOf);
+  if (dates.length === 0) {
+    return { basis: hasCapitalFlows ? "CAPITAL_FLOWS" : "TRADES", series: [], unpricedSecurities };
+  }
+  const start = toTime(dates.reduce((min, date) => (date < min ? date : min)));
+  const end = toTime(asOf);
+
+  const series = [];
+  let cash = 0;
+  let previousValue = 0;
+  let index = 1;
+  for (let time = start; time <= end; time += DAY_MS) {
+    const date = toDate(time);
+    cash += cashByDate.get(date) || 0;
+
+    let holdingsValue = 0;
+    states.forEach((state) => {
+      const { entries } = state.book;
+      while (state.entryIndex < entries.length && entries[state.entryIndex].event.date <= date) {
+        state.qty = entries[state.entryIndex].holdingAfter;
+        state.cost = entries[state.entryIndex].costAfter;
+        state.entryIndex++;
+      }
+      while (state.priceIndex + 1 < state.prices.length && state.prices[state.priceIndex + 1].date <= date) {
+        state.priceIndex++;
+      }
+      if (state.qty <= EPSILON) return;
+      holdingsValue += state.priceIndex >= 0 ? state.qty * state.prices[state.priceIndex].price : state.cost;
+    });
+
+    const value = holdingsValue + cash;
+    const flow = flowByDate.get(date) || 0;
+    // Flows are taken at the end of the day
+    const dailyReturn = previousValue > EPSILON ? (value - flow) / previousValue - 1 : 0;
+    index *= 1 + dailyReturn;
+    series.push({ date, value, flow, dailyReturn, index });
+    previousValue = value;
+  }
+
+  return { basis: hasCapitalFlows ? "CAPITAL_FLOWS" : "TRADES", series, unpricedSecurities };
+}
+
+// Chained return between the close before fromDate and the last point
+function periodReturn(series, fromDate) {
+  if (series.length === 0) return null;
+  const last = series[series.length - 1];
+  if (fromDate > last.date) return null;
+  let base = 1;
+  for (const point of series) {
+    if (point.date >= fromDate) break;
+    base = point.index;
+  }
+  return last.index / base - 1;
+}
+
+/**
+ * MTD, QTD, YTD (calendar) and since-inception TWR as of asOf.
+ */
+function buildReturns(series, asOf) {
+  const [year, month] = asOf.split("-").map(Number);
+  const quarterStartMonth = Math.floor((month - 1) / 3) * 3 + 1;
+  const pad = (value) => String(value).padStart(2, "0");
+  return {
+    mtd: periodReturn(series, `${year}-${pad(month)}-01`),
+    qtd: periodReturn(series, `${year}-${pad(quarterStartMonth)}-01`),
+    ytd: periodReturn(series, `${year}-01-01`),
+    sinceInception: series.length > 0 ? series[series.length - 1].index - 1 : null,
+    inceptionDate: series.length > 0 ? series[0].date : null,
+  };
+}
+
+module.exports = {
+  buildValuationSeries,
+  buildReturns,
+};
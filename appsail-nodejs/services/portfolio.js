@@ -0,0 +1,158 @@
+"use strict";
+
+/**
+ * Client portfolio built from the unified event stream.
+ *
+ * loadClientPortfolio() is the single entry point the stock endpoints use to
+ * get holdings, cost and history for a client as of a date, so holdings,
+ * history, WAP and export always agree with each other.
+ */
+
+const {
+  normalizeName,
+  coreName,
+  loadClientTransactions,
+  loadBonuses,
+  loadGlobalActions,
+  buildEventStream,
+} = require("./portfolioEvents");
+const { runLotEngine, EPSILON } = require("./lotEngine");
+const { loadSecurityIndex } = require("./securityMaster");
+const { loadOpeningBalances } = require("./openingBalances");
+
+/**
+ * @param zcql          ZCQL instance
+ * @param clientId      WS_client_id
+ * @param endDate       optional YYYY-MM-DD cut-off (inclusive)
+ * @param globalActions optional { splits, mergers, demergers } from
+ *                      loadGlobalActions, to avoid reloading per client
+ * @param securityIndex optional security master index from
+ *                      loadSecurityIndex, likewise shared across clients
+ */
+async function loadClientPortfolio(zcql, clientId, { endDate = null, globalActions = null, securityIndex = null } = {}) {
+  const transactions = await loadClientTransactions(zcql, clientId, { endDate });
+  const openingBalances = await loadOpeningBalances(zcql, clientId, { endDate });
+  const bonuses = await loadBonuses(zcql, clientId, { endDate });
+  const actions = globalActions || (await loadGlobalActions(zcql, { endDate }));
+  const index = securityIndex || (await loadSecurityIndex(zcql));
+
+  const { events, securities, unmatched } = buildEventStream({
+    clientId,
+    transactions,
+    openingBalances,
+    bonuses,
+    splits: actions.splits,
+    mergers: actions.mergers,
+    demergers: actions.demergers,
+    securityIndex: index,
+  });
+  const { books, warnings } = runLotEngine(events, securities);
+
+  return { clientId, endDate, transactions, events, books, securities, warnings, unmatched };
+}
+
+// Books that still hold shares, sorted by name
+function openBooks(portfolio) {
+  return Array.from(portfolio.books.values())
+    .filter((book) => book.holdingQty > EPSILON)
+    .sort((a, b) => a.stockName.localeCompare(b.stockName));
+}
+
+// Find the book for a security by ISIN or any of its names, then by name (exact, then without suffixes) or code
+function findBook(portfolio, { stockName, stockCode } = {}) {
+  const resolved = portfolio.securities ? portfolio.securities.resolve(stockName, stockCode) : null;
+  if (resolved && portfolio.books.has(resolved)) return portfolio.books.get(resolved);
+  const books = Array.from(portfolio.books.values());
+  const key = normalizeName(stockName);
+  if (key && portfolio.books.has(key)) return portfolio.books.get(key);
+  const core = coreName(stockName);
+  if (core) {
+    const byCore = books.find((book) => coreName(book.stockName) === core);
+    if (byCore) return byCore;
+  }
+  const code = String(stockCode || "").trim().toUpperCase();
+  if (code) {
+    const byCode = books.find((book) => String(book.stockCode || "").toUpperCase() === code);
+    if (byCode) return byCode;
+  }
+  return null;
+}
+
+const ratioLabel = (action) => `${action.ratioFrom}:${action.ratioTo}`;
+
+/**
+ * Turn a book's engine entries into transaction-history rows: the stored
+ * transaction fields plus holding/WAP after each event, and synthetic rows
+ * for bonus, split, merger and demerger events.
+ */
+function buildHistoryRows(portfolio, book) {
+  return book.entries.map((entry) => {
+    const { event } = entry;
+    const common = {
+      holdingAfter: entry.holdingAfter,
+      wap: entry.wap,
+      averageCostOfHoldings: entry.costAfter,
+    };
+
+    if (event.kind === "trade") {
+      const row = { ...event.transaction, ...common };
+      if (entry.profitLoss !== undefined) row.profitLoss = entry.profitLoss;
+      return row;
+    }
+
+    const action = event.action || {};
+    const row = {
+      wsClientId: portfolio.clientId,
+      wsAccountCode: null,
+      trandate: event.date,
+      tranType: event.kind.toUpperCase(),
+      corporateAction: event.kind.toUpperCase(),
+      securityName: book.stockName,
+      securityCode: book.stockCode || action.securityCode || null,
+      exchg: "-",
+      qty: entry.holdingAfter - entry.holdingBefore,
+      rate: 0,
+      netrate: 0,
+      netAmount: 0,
+      rowid: 0,
+      ...common,
+    };
+
+    if (event.kind === "bonus") {
+      return {
+        ...row,
+        qty: event.qty,
+        isBonus: true,
+        bonusShare: event.qty,
+        holdingsBeforeBonus: entry.holdingBefore,
+        holdingsAfterBonus: entry.holdingAfter,
+      };
+    }
+    if (event.kind === "split") {
+      return {
+        ...row,
+        isSplit: true,
+        splitRatio: ratioLabel(action),
+        splitFactor: event.factor,
+        holdingsBeforeSplit: entry.holdingBefore,
+        holdingsAfterSplit: entry.holdingAfter,
+      };
+    }
+    // Merger/demerger: the same event appears on both securities, with
+    // fromSecurity/toSecurity telling the two sides apart
+    return {
+      ...row,
+      ratio: ratioLabel(action),
+      fromSecurity: action.fromName,
+      toSecurity: action.toName,
+      incoming: !!entry.incoming,
+    };
+  });
+}
+
+module.exports = {
+  loadClientPortfolio,
+  openBooks,
+  findBook,
+  buildHistoryRows,
+};
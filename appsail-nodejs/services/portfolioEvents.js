@@ -0,0 +1,511 @@
+"use strict";
+
+/**
+ * Portfolio event stream.
+ *
+ * Loads a client's transactions plus every corporate action that can touch
+ * their lots (Bonus, Split, Merger, Demerger) and merges them into a single
+ * chronologically ordered stream. The stream is consumed by the lot engine
+ * in services/lotEngine.js; holdings, history, cost and export endpoints all
+ * read from the same stream so they agree for a given client and date.
+ */
+
+const { fetchRows } = require("./rowFetcher");
+const { repositoriesFor } = require("./repositories");
+const { select } = require("./queryBuilder");
+
+const TRANSACTION_TABLE = "Transaction";
+const SPLIT_TABLE = "Split";
+const MERGER_TABLE = "Merger";
+const DEMERGER_TABLE = "Demerger";
+
+// Security_Name values that are cash/tax entries rather than holdings
+const NON_EQUITY_NAMES = ["CASH", "TAX", "TDS", "TAX DEDUCTED AT SOURCE"];
+
+// Events on the same date. Trades on an ex-date are already quoted
+// post-split/merger, so those actions reshape the lots before the day's
+// trades; bonus shares are credited after them.
+const EVENT_ORDER = { split: 0, merger: 1, demerger: 2, trade: 3, bonus: 4 };
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toNumber = (value) => {
+  if (value === null || value === undefined || value === "") return 0;
+  const parsed = Number(String(value).replace(/,/g, "").trim());
+  return Number.isNaN(parsed) ? 0 : parsed;
+};
+
+const toTime = (date) => {
+  if (!date) return 0;
+  const time = new Date(date).getTime();
+  return Number.isNaN(time) ? 0 : time;
+};
+
+const isValidDate = (value) => DATE_PATTERN.test(String(value || "").trim());
+
+// Security names differ between sources ("Astral Ltd." vs "ASTRAL LIMITED"),
+// so every cross-table match goes through this normalisation
+const normalizeName = (name) => {
+  if (!name) return "";
+  return String(name)
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, " ")
+    .replace(/[^\w\s]/g, "")
+    .replace(/\bLIMITED\b/g, "LTD")
+    .replace(/\bINCORPORATED\b/g, "INC")
+    .replace(/\bCORPORATION\b/g, "CORP")
+    .replace(/\bPRIVATE\b/g, "PVT")
+    .replace(/\s+/g, " ");
+};
+
+// Normalised name without company suffixes ("HDFC BANK LTD" -> "HDFC BANK")
+const coreName = (name) =>
+  normalizeName(name)
+    .replace(/\b(LTD|INC|CORP|PVT)\b/g, "")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const isNonEquity = (name) =>
+  NON_EQUITY_NAMES.includes(String(name || "").trim().toUpperCase());
+
+/**
+ * Classify a Tran_Type as "buy", "sell" or null (no effect on lots).
+ * Dividend rows never touch lots even though some start with B/S-like codes.
+ */
+const classifyTranType = (tranType) => {
+  const type = String(tranType || "").toUpperCase().trim();
+  if (!type) return null;
+  // Dividend reinvestment pays out in units, so it adds a lot like a buy
+  if (type === "RD0") return "buy";
+  if (type === "DIO" || type.includes("DIVIDEND")) return null;
+  if (type.startsWith("B") || type.includes("BUY") || type === "PURCHASE" || type === "SQB" || type === "OPI") {
+    return "buy";
+  }
+  if (
+    type.startsWith("S") ||
+    type.includes("SELL") ||
+    type === "SALE" ||
+    type === "SQS" ||
+    type === "OPO" ||
+    type.startsWith("NF-")
+  ) {
+    return "sell";
+  }
+  return null;
+};
+
+const unwrap = (row, tableName) => (row && (row[tableName] || row)) || {};
+
+const parseClientId = (value) => {
+  if (value === undefined || value === null || String(value).trim() === "") return null;
+  const parsed = Number(value);
+  return Number.isNaN(parsed) ? null : parsed;
+};
+
+// Paging, retries and the request row budget live in services/rowFetcher;
+// fetchAllRows(zcql, (limit, offset) => sql, { label, optional }) is its
+// fetchRows under the name the services already import.
+const fetchAllRows = fetchRows;
+
+// Flatten a Transaction row into the shape the history endpoints return
+function toTransaction(row) {
+  const r = unwrap(row, TRANSACTION_TABLE);
+  return {
+    wsClientId: r.WS_client_id ?? r.ws_client_id,
+    wsAccountCode: r.WS_Account_code ?? r.ws_account_code,
+    trandate: String(r.TRANDATE ?? r.trandate ?? "").trim(),
+    tranType: String(r.Tran_Type ?? r.tran_type ?? "").trim(),
+    tranDesc: String(r.Tran_Desc ?? r.tran_desc ?? "").trim(),
+    securityName: String(r.Security_Name ?? r.security_name ?? "").trim(),
+    securityCode: String(r.Security_code ?? r.security_code ?? "").trim(),
+    isin: String(r.ISIN ?? r.isin ?? "").trim(),
+    exchg: r.EXCHG ?? r.exchg,
+    qty: toNumber(r.QTY ?? r.qty),
+    rate: toNumber(r.RATE ?? r.rate),
+    netrate: toNumber(r.NETRATE ?? r.netrate),
+    netAmount: toNumber(r.Net_Amount ?? r.net_amount),
+    rowid: toNumber(r.ROWID ?? r.rowid),
+  };
+}
+
+async function loadClientTransactions(zcql, clientId, { endDate = null } = {}) {
+  const { transactions } = repositoriesFor(zcql);
+  const query = transactions.select().where("WS_client_id", "=", Number(clientId));
+  if (isValidDate(endDate)) query.where("TRANDATE", "<=", endDate);
+  query.orderBy("TRANDATE", "ASC").orderBy("ROWID", "ASC");
+  const rows = await transactions.find(query, { label: "loadClientTransactions" });
+  return rows.map(toTransaction);
+}
+
+// Every WS_client_id with at least one transaction
+async function loadClientIds(zcql) {
+  const { transactions } = repositoriesFor(zcql);
+  const rows = await transactions.find(
+    transactions.select().distinct().column("WS_client_id").whereNotNull("WS_client_id").orderBy("WS_client_id"),
+    { label: "loadClientIds" }
+  );
+  const ids = rows.map((row) => parseClientId(row.WS_client_id)).filter((id) => id !== null);
+  return Array.from(new Set(ids));
+}
+
+async function loadBonuses(zcql, clientId, { endDate = null } = {}) {
+  const { bonuses } = repositoriesFor(zcql);
+  const rows = await bonuses.find(bonuses.select().where("ClientId", "=", Number(clientId)), {
+    label: "loadBonuses",
+    optional: true,
+  });
+  return rows
+    .map((b) => {
+      const exDate = String(b.ExDate || "").trim();
+      return {
+        companyName: String(b.CompanyName || "").trim(),
+        securityCode: String(b.SecurityCode || "").trim(),
+        // Bonuses without an ex-date are applied from the start of history
+        exDate: exDate || "1900-01-01",
+        qty: toNumber(b.BonusShare),
+        clientId: parseClientId(b.ClientId),
+      };
+    })
+    .filter((b) => b.companyName || b.securityCode)
+    .filter((b) => !isValidDate(endDate) || b.exDate <= endDate);
+}
+
+const ratioOf = (from, to) => (from > 0 && to > 0 ? to / from : 0);
+
+// Every row of a corporate-action table with ExDate on or before endDate, oldest first
+const actionsUpTo = (table, endDate) => {
+  const query = select(table);
+  if (isValidDate(endDate)) query.where("ExDate", "<=", endDate);
+  return query.orderBy("ExDate", "ASC");
+};
+
+// Splits: every RatioFrom shares become RatioTo shares
+async function loadSplits(zcql, { endDate = null } = {}) {
+  const rows = await fetchAllRows(zcql, actionsUpTo(SPLIT_TABLE, endDate), { label: "loadSplits", optional: true });
+  return rows
+    .map((row) => {
+      const s = unwrap(row, SPLIT_TABLE);
+      const ratioFrom = toNumber(s.RatioFrom);
+      const ratioTo = toNumber(s.RatioTo);
+      return {
+        companyName: String(s.CompanyName || "").trim(),
+        securityCode: String(s.SecurityCode || "").trim(),
+        exDate: String(s.ExDate || "").trim(),
+        ratioFrom,
+        ratioTo,
+        factor: ratioOf(ratioFrom, ratioTo),
+        clientId: parseClientId(s.ClientId),
+      };
+    })
+    .filter((s) => isValidDate(s.exDate) && s.factor > 0 && s.factor !== 1);
+}
+
+// Mergers: every RatioFrom shares of the old security become RatioTo shares
+// of the new one; lots keep their cost and acquisition date
+async function loadMergers(zcql, { endDate = null } = {}) {
+  const rows = await fetchAllRows(zcql, actionsUpTo(MERGER_TABLE, endDate), { label: "loadMergers", optional: true });
+  return rows
+    .map((row) => {
+      const m = unwrap(row, MERGER_TABLE);
+      const ratioFrom = toNumber(m.RatioFrom);
+      const ratioTo = toNumber(m.RatioTo);
+      return {
+        fromName: String(m.OldCompanyName || "").trim(),
+        fromCode: String(m.OldSecurityCode || "").trim(),
+        toName: String(m.NewCompanyName || "").trim(),
+        toCode: String(m.NewSecurityCode || "").trim(),
+        exDate: String(m.ExDate || "").trim(),
+        ratioFrom,
+        ratioTo,
+        factor: ratioOf(ratioFrom, ratioTo),
+        clientId: parseClientId(m.ClientId),
+      };
+    })
+    .filter((m) => isValidDate(m.exDate) && m.factor > 0 && m.toName);
+}
+
+// Demergers: parent holders receive RatioTo child shares per RatioFrom parent
+// shares and CostAllocationPct percent of the parent cost moves to the child
+async function loadDemergers(zcql, { endDate = null } = {}) {
+  const rows = await fetchAllRows(zcql, actionsUpTo(DEMERGER_TABLE, endDate), { label: "loadDemergers", optional: true });
+  return rows
+    .map((row) => {
+      const d = unwrap(row, DEMERGER_TABLE);
+      const ratioFrom = toNumber(d.RatioFrom);
+      const ratioTo = toNumber(d.RatioTo);
+      const costPct = toNumber(d.CostAllocationPct);
+      return {
+        fromName: String(d.ParentCompanyName || "").trim(),
+        fromCode: String(d.ParentSecurityCode || "").trim(),
+        toName: String(d.ChildCompanyName || "").trim(),
+        toCode: String(d.ChildSecurityCode || "").trim(),
+        exDate: String(d.ExDate || "").trim(),
+        ratioFrom,
+        ratioTo,
+        factor: ratioOf(ratioFrom, ratioTo),
+        costShare: Math.min(Math.max(costPct, 0), 100) / 100,
+        clientId: parseClientId(d.ClientId),
+      };
+    })
+    .filter((d) => isValidDate(d.exDate) && d.factor > 0 && d.toName);
+}
+
+// Security-wide actions, loaded once and shared across clients
+async function loadGlobalActions(zcql, { endDate = null } = {}) {
+  const splits = await loadSplits(zcql, { endDate });
+  const mergers = await loadMergers(zcql, { endDate });
+  const demergers = await loadDemergers(zcql, { endDate });
+  return { splits, mergers, demergers };
+}
+
+/**
+ * Registry of securities seen in a stream, keyed by normalised name.
+ *
+ * With a security master index (services/securityMaster.js) every name is
+ * first resolved to an ISIN: names sharing an ISIN share one book, and
+ * resolve() finds the key for a corporate-action name/code by ISIN. Names
+ * the master does not know fall back to exact normalised name, then name
+ * without company suffixes, then code.
+ */
+function createSecurityRegistry(securityIndex = null) {
+  const byKey = new Map();
+  const byIsin = new Map();
+  // Names whose book is another name's, because both resolve to the same ISIN
+  const aliasKeys = new Map();
+
+  const isinOf = (name, code, isin) => {
+    if (securityIndex) return securityIndex.isinFor({ isin, name, code });
+    return String(isin || "").trim().toUpperCase() || null;
+  };
+
+  const add = (name, code, isin) => {
+    const key = normalizeName(name);
+    if (!key) return null;
+    if (aliasKeys.has(key)) return aliasKeys.get(key);
+    const resolvedIsin = isinOf(name, code, isin);
+    const existing = byKey.get(key);
+    if (existing) {
+      if (!existing.stockCode && code) existing.stockCode = code;
+      if (!existing.isin && resolvedIsin) existing.isin = resolvedIsin;
+      if (existing.isin && !byIsin.has(existing.isin)) byIsin.set(existing.isin, key);
+      return key;
+    }
+    if (resolvedIsin && byIsin.has(resolvedIsin)) {
+      aliasKeys.set(key, byIsin.get(resolvedIsin));
+      return byIsin.get(resolvedIsin);
+    }
+    byKey.set(key, {
+      key,
+      stockName: String(name).trim(),
+      stockCode: code || "",
+      isin: resolvedIsin || "",
+    });
+    if (resolvedIsin) byIsin.set(resolvedIsin, key);
+    return key;
+  };
+
+  const resolve = (name, code, isin) => {
+    const resolvedIsin = isinOf(name, code, isin);
+    if (resolvedIsin && byIsin.has(resolvedIsin)) return byIsin.get(resolvedIsin);
+    const key = normalizeName(name);
+    if (key && byKey.has(key)) return key;
+    if (key && aliasKeys.has(key)) return aliasKeys.get(key);
+    const core = coreName(name);
+    if (core) {
+      for (const info of byKey.values()) {
+        if (coreName(info.stockName) === core) return info.key;
+      }
+    }
+    const upperCode = String(code || "").trim().toUpperCase();
+    if (upperCode) {
+      for (const info of byKey.values()) {
+        if (info.stockCode && info.stockCode.toUpperCase() === upperCode) return info.key;
+      }
+    }
+    return null;
+  };
+
+  return { add, resolve, get: (key) => byKey.get(key), all: () => Array.from(byKey.values()) };
+}
+
+// Cash-only Tran_Types (services/cashLedger.js); a QTY on these is never a position change
+const CASH_ONLY_TYPE = /^(CS[+-]|DI[0OS]|OI\d|MGF|MGE|PRF|CUS|TD[IO]|E\d+)$/;
+
+/**
+ * Side of a transaction for the lot engine. A Tran_Type nobody recognises
+ * falls back on the sign of QTY, as it did before the lot engine; inferred
+ * is set so the engine can warn about it.
+ */
+const sideOf = (t) => {
+  const side = classifyTranType(t.tranType);
+  if (side) return { side, inferred: false };
+  const type = String(t.tranType || "").toUpperCase().trim();
+  if (!t.qty || type.includes("DIVIDEND") || CASH_ONLY_TYPE.test(type)) {
+    return { side: null, inferred: false };
+  }
+  return { side: t.qty < 0 ? "sell" : "buy", inferred: true };
+};
+
+const appliesToClient = (action, clientId) =>
+  action.clientId === null || clientId === null || clientId === undefined || action.clientId === Number(clientId);
+
+/**
+ * Merge transactions and corporate actions into one ordered event stream.
+ *
+ * Returns { events, securities, unmatched } where securities is the
+ * registry of every security in the stream and unmatched lists client
+ * bonuses whose company could not be matched to any holding.
+ * securityIndex is the optional security master used to match by ISIN.
+ * openingBalances (services/openingBalances.js) become OPI buys queued
+ * before the first transaction.
+ */
+function buildEventStream({
+  clientId = null,
+  transactions = [],
+  openingBalances = [],
+  bonuses = [],
+  splits = [],
+  mergers = [],
+  demergers = [],
+  securityIndex = null,
+}) {
+  const registry = createSecurityRegistry(securityIndex);
+  const events = [];
+  const unmatched = [];
+
+  transactions.forEach((t) => {
+    if (!t.securityName || isNonEquity(t.securityName)) return;
+    const key = registry.add(t.securityName, t.securityCode, t.isin);
+    const qty = Math.abs(t.qty);
+    let price = Math.abs(t.netrate) || Math.abs(t.rate);
+    if (!price && qty > 0) price = Math.abs(t.netAmount) / qty;
+    const { side, inferred } = sideOf(t);
+    events.push({
+      kind: "trade",
+      date: t.trandate,
+      seq: t.rowid,
+      key,
+      side,
+      inferred,
+      source: String(t.tranType || "").toUpperCase().trim() === "RD0" ? "REINVEST" : "BUY",
+      qty,
+      price,
+      amount: Math.abs(t.netAmount) || qty * price,
+      transaction: t,
+    });
+  });
+
+  // Holdings from before the dataset: dated at acquisition, but never later
+  // than the first transaction so sells always find them
+  const firstTradeDate = events.reduce((min, event) => (!min || event.date < min ? event.date : min), null);
+  openingBalances.forEach((balance) => {
+    const key =
+      registry.resolve(balance.securityName, balance.securityCode, balance.isin) ||
+      registry.add(balance.securityName, balance.securityCode, balance.isin);
+    if (!key) return;
+    const date = firstTradeDate && firstTradeDate < balance.acquiredOn ? firstTradeDate : balance.acquiredOn;
+    events.push({
+      kind: "trade",
+      date,
+      acquiredOn: balance.acquiredOn,
+      seq: -1,
+      key,
+      side: "buy",
+      source: "OPENING",
+      qty: balance.qty,
+      price: balance.qty > 0 ? balance.cost / balance.qty : 0,
+      amount: balance.cost,
+      transaction: {
+        wsClientId: balance.clientId,
+        wsAccountCode: null,
+        trandate: date,
+        tranType: "OPI",
+        tranDesc: "Opening balance",
+        securityName: balance.securityName,
+        securityCode: balance.securityCode,
+        isin: balance.isin,
+        exchg: "-",
+        qty: balance.qty,
+        rate: balance.qty > 0 ? balance.cost / balance.qty : 0,
+        netrate: balance.qty > 0 ? balance.cost / balance.qty : 0,
+        netAmount: balance.cost,
+        rowid: 0,
+        isOpeningBalance: true,
+        openingBalanceId: balance.id,
+      },
+    });
+  });
+
+  bonuses.forEach((b) => {
+    if (!appliesToClient(b, clientId)) return;
+    const key = registry.resolve(b.companyName, b.securityCode);
+    if (!key) {
+      unmatched.push({ kind: "bonus", ...b });
+      return;
+    }
+    events.push({ kind: "bonus", date: b.exDate, seq: 0, key, qty: Math.abs(b.qty), action: b });
+  });
+
+  splits.forEach((s) => {
+    if (!appliesToClient(s, clientId)) return;
+    const key = registry.resolve(s.companyName, s.securityCode);
+    if (!key) return; // Client never held this security
+    events.push({ kind: "split", date: s.exDate, seq: 0, key, factor: s.factor, action: s });
+  });
+
+  // Mergers and demergers can create new securities that later actions
+  // refer to (A -> B, then B -> C), so resolve them in date order
+  const transfers = [
+    ...mergers.map((m) => ({ kind: "merger", ...m })),
+    ...demergers.map((d) => ({ kind: "demerger", ...d })),
+  ].sort((a, b) => toTime(a.exDate) - toTime(b.exDate) || EVENT_ORDER[a.kind] - EVENT_ORDER[b.kind]);
+
+  transfers.forEach((action) => {
+    if (!appliesToClient(action, clientId)) return;
+    const key = registry.resolve(action.fromName, action.fromCode);
+    if (!key) return;
+    const targetKey =
+      registry.resolve(action.toName, action.toCode) || registry.add(action.toName, action.toCode, "");
+    events.push({
+      kind: action.kind,
+      date: action.exDate,
+      seq: 0,
+      key,
+      targetKey,
+      factor: action.factor,
+      costShare: action.costShare,
+      action,
+    });
+  });
+
+  events.sort(
+    (a, b) =>
+      toTime(a.date) - toTime(b.date) ||
+      EVENT_ORDER[a.kind] - EVENT_ORDER[b.kind] ||
+      (a.seq || 0) - (b.seq || 0)
+  );
+
+  return { events, securities: registry, unmatched };
+}
+
+module.exports = {
+  NON_EQUITY_NAMES,
+  toNumber,
+  isValidDate,
+  normalizeName,
+  coreName,
+  isNonEquity,
+  classifyTranType,
+  sideOf,
+  fetchAllRows,
+  toTransaction,
+  loadClientTransactions,
+  loadClientIds,
+  loadBonuses,
+  loadSplits,
+  loadMergers,
+  loadDemergers,
+  loadGlobalActions,
+  buildEventStream,
+};
@@ -0,0 +1,129 @@
+"use strict";
+
+/**
+ * Local closing-price master, populated from bhavcopy-style uploads.
+ *
+ * One row per security per PriceDate. Holdings are valued at the latest
+ * close on or before the as-of date, matched by ISIN first and then by
+ * security code.
+ */
+
+const { toNumber, fetchAllRows } = require("./portfolioEvents");
+const { EPSILON } = require("./lotEngine");
+const { select } = require("./queryBuilder");
+
+const PRICE_TABLE = "PriceMaster";
+
+// Closes for one security (column = ISIN or SecurityCode) up to toDate
+const pricesOf = (column, value, toDate) => {
+  const query = select(PRICE_TABLE).where(column, "=", value);
+  if (toDate) query.where("PriceDate", "<=", toDate);
+  return query;
+};
+
+async function latestPrice(zcql, column, value, asOf) {
+  const query = pricesOf(column, value, asOf).orderBy("PriceDate", "DESC").limit(1).toString();
+  const rows = await zcql.executeZCQLQuery(query, []);
+  if (!rows || rows.length === 0) return null;
+  const r = rows[0][PRICE_TABLE] || rows[0];
+  const close = toNumber(r.ClosePrice);
+  if (close <= 0) return null;
+  return { price: close, priceDate: r.PriceDate, isin: r.ISIN || null, securityCode: r.SecurityCode || null };
+}
+
+/**
+ * Closing price for a book as of a date, or null when no price is known.
+ * A missing PriceMaster table is treated as no prices.
+ */
+async function getPriceAsOf(zcql, { isin, stockCode }, asOf = null) {
+  try {
+    const isinKey = String(isin || "").trim().toUpperCase();
+    if (isinKey) {
+      const byIsin = await latestPrice(zcql, "ISIN", isinKey, asOf);
+      if (byIsin) return byIsin;
+    }
+    const code = String(stockCode || "").trim().toUpperCase();
+    if (code) return await latestPrice(zcql, "SecurityCode", code, asOf);
+    return null;
+  } catch (err) {
+    console.warn("[getPriceAsOf] Price lookup failed:", err && err.message ? err.message : err);
+    return null;
+  }
+}
+
+/**
+ * Market value and unrealised gain for a book's current holding. Fields
+ * are null when the security has no price on or before asOf.
+ */
+function valueHolding(book, quote) {
+  const costValue = book.cost;
+  const avgCost = book.holdingQty > 0 ? book.cost / book.holdingQty : 0;
+  if (!quote) {
+    return {
+      avgCost,
+      costValue,
+      marketPrice: null,
+      priceDate: null,
+      marketValue: null,
+      unrealizedGain: null,
+      unrealizedGainPct: null,
+    };
+  }
+  const marketValue = book.holdingQty * quote.price;
+  const unrealizedGain = marketValue - costValue;
+  return {
+    avgCost,
+    costValue,
+    marketPrice: quote.price,
+    priceDate: quote.priceDate,
+    marketValue,
+    unrealizedGain,
+    unrealizedGainPct: costValue > 0 ? (unrealizedGain / costValue) * 100 : null,
+  };
+}
+
+/**
+ * Every close for a book up to toDate, oldest first, as [{ date, price }].
+ * Uses the ISIN when the book has one and it has prices, else the code.
+ */
+async function loadPriceHistory(zcql, { isin, stockCode }, toDate = null) {
+  const load = (column, value) =>
+    fetchAllRows(zcql, pricesOf(column, value, toDate).orderBy("PriceDate", "ASC"), {
+      label: "loadPriceHistory",
+      optional: true,
+    });
+
+  let rows = [];
+  const isinKey = String(isin || "").trim().toUpperCase();
+  if (isinKey) rows = await load("ISIN", isinKey);
+  const code = String(stockCode || "").trim().toUpperCase();
+  if (rows.length === 0 && code) rows = await load("SecurityCode", code);
+
+  return rows
+    .map((row) => {
+      const r = row[PRICE_TABLE] || row;
+      return { date: String(r.PriceDate || "").trim(), price: toNumber(r.ClosePrice) };
+    })
+    .filter((point) => point.date && point.price > 0);
+}
+
+/**
+ * Valuation for every book, keyed by book key. Closed books are not
+ * priced.
+ */
+async function valueBooks(zcql, books, asOf = null) {
+  const valuations = new Map();
+  for (const book of books) {
+    const quote = book.holdingQty > EPSILON ? await getPriceAsOf(zcql, book, asOf) : null;
+    valuations.set(book.key, valueHolding(book, quote));
+  }
+  return valuations;
+}
+
+module.exports = {
+  PRICE_TABLE,
+  getPriceAsOf,
+  valueHolding,
+  valueBooks,
+  loadPriceHistory,
+};
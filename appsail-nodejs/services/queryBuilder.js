@@ -0,0 +1,392 @@
+"use strict";
+
+/**
+ * ZCQL query builder for the app's tables.
+ *
+ * executeZCQLQuery takes a bare SQL string (the SDK has no placeholders), so
+ * every value ends up inline. Going through select() makes that safe:
+ *  - tables and columns must be listed in SCHEMA or APP_SCHEMA; anything
+ *    else throws;
+ *  - each value is checked against its column's type before it is written:
+ *    numbers must be finite, dates YYYY-MM-DD, text has quotes doubled and
+ *    may not contain backslashes or control characters;
+ *  - LIMIT is capped at ZCQL's 300-row maximum and page(limit, offset)
+ *    renders one page; services/rowFetcher takes the query and pages it.
+ * Rejections throw a QueryError, which controllers answer with a 400.
+ *
+ *   select("Transaction")
+ *     .where("WS_client_id", "=", clientId)
+ *     .whereNotNull("ISIN")
+ *     .orderBy("TRANDATE", "DESC")
+ *     .limit(50)
+ *     .toString();
+ */
+
+const TYPES = {
+  NUMBER: "number",
+  TEXT: "text",
+  DATE: "date",
+  DATETIME: "datetime",
+};
+
+const SYSTEM_COLUMNS = {
+  ROWID: TYPES.NUMBER,
+  CREATORID: TYPES.NUMBER,
+  CREATEDTIME: TYPES.DATETIME,
+  MODIFIEDTIME: TYPES.DATETIME,
+};
+
+const columnsOf = (type, names) => Object.fromEntries(names.map((name) => [name, type]));
+
+const transferColumns = (from, to) => ({
+  ...columnsOf(TYPES.TEXT, [`${from}CompanyName`, `${from}SecurityCode`, `${to}CompanyName`, `${to}SecurityCode`]),
+  ...columnsOf(TYPES.NUMBER, ["ClientId", "RatioFrom", "RatioTo"]),
+  ExDate: TYPES.DATE,
+});
+
+// Whitelisted tables and the type of every column a query may name
+const SCHEMA = {
+  Transaction: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.NUMBER, [
+      "WS_client_id", "QTY", "RATE", "BROKERAGE", "SERVICETAX", "NETRATE", "Net_Amount", "STT",
+      "TRFRATE", "TRFAMT", "TOTAL_TRXNFEE", "TOTAL_TRXNFEE_STAX", "ACCRUEDINTEREST", "TDSAMOUNT",
+      "STAMPDUTY", "TPMSGAIN", "RMID", "ADVISORID", "BRANCHID",
+    ]),
+    ...columnsOf(TYPES.DATE, ["TRANDATE", "SETDATE", "TRFDATE", "DELIVERYDATE", "PAYMENTDATE"]),
+    ...columnsOf(TYPES.TEXT, [
+      "WS_Account_code", "Tran_Type", "Tran_Desc", "Security_Type", "Security_Type_Description",
+      "DETAILTYPENAME", "ISIN", "Security_code", "Security_Name", "EXCHG", "BROKERCODE",
+      "Depository_Registrar", "DPID_AMC", "Dp_Client_id_Folio", "BANKCODE", "BANKACID", "Txn_Ref_No",
+      "DESCMEMO", "CHEQUENO", "CHEQUEDTL", "PORTFOLIOID", "ISSUER", "ISSUERNAME", "RMNAME",
+      "ADVISORNAME", "BRANCHNAME", "GROUPID", "GROUPNAME", "OWNERID", "OWNERNAME",
+      "WEALTHADVISOR_NAME", "SCHEMEID", "SCHEMENAME", "Import_Job_Id",
+    ]),
+  },
+  clientIds: {
+    ...SYSTEM_COLUMNS,
+    clientId: TYPES.NUMBER,
+    ws_account_code: TYPES.TEXT,
+  },
+  Bonus: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.NUMBER, ["ClientId", "BonusShare"]),
+    ...columnsOf(TYPES.TEXT, ["wsAccountCode", "CompanyName", "SecurityCode", "EXCHG", "SCHEMENAME", "Series"]),
+    ExDate: TYPES.DATE,
+  },
+  Split: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.NUMBER, ["ClientId", "RatioFrom", "RatioTo"]),
+    ...columnsOf(TYPES.TEXT, ["CompanyName", "SecurityCode"]),
+    ExDate: TYPES.DATE,
+  },
+  Merger: { ...SYSTEM_COLUMNS, ...transferColumns("Old", "New") },
+  Demerger: { ...SYSTEM_COLUMNS, ...transferColumns("Parent", "Child"), CostAllocationPct: TYPES.NUMBER },
+  PriceMaster: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.TEXT, ["ISIN", "SecurityCode", "SecurityName"]),
+    PriceDate: TYPES.DATE,
+    ClosePrice: TYPES.NUMBER,
+  },
+  Security_List: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.TEXT, ["Security_Code", "Security_Name"]),
+  },
+  SecurityMaster: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.TEXT, ["ISIN", "Name", "SecurityCode", "AliasNames", "AliasCodes", "AliasIsins"]),
+  },
+  OpeningBalance: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.NUMBER, ["ClientId", "Qty", "Cost"]),
+    ...columnsOf(TYPES.TEXT, ["ISIN", "SecurityName", "SecurityCode"]),
+    AcquiredOn: TYPES.DATE,
+  },
+};
+
+// The app's own bookkeeping tables. select() takes them but hasTable() does
+// not, so ?table= on the stock endpoints can never reach users or the audit log
+const APP_SCHEMA = {
+  // Active is a boolean, which no query filters on
+  AppUser: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.TEXT, ["Email", "Name", "Role", "PasswordHash"]),
+    ...columnsOf(TYPES.NUMBER, ["RMID", "ADVISORID", "BRANCHID"]),
+  },
+  AuditLog: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.TEXT, [
+      "UserId", "UserEmail", "UserRole", "Action", "Status", "Params", "RowCounts", "Before", "After", "Message",
+    ]),
+    StatusCode: TYPES.NUMBER,
+    ...columnsOf(TYPES.DATETIME, ["CreatedAt", "CompletedAt"]),
+  },
+  ImportJob: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.TEXT, ["ImportId", "FileName", "FileType", "Uploader", "Status", "Message", "ErrorDetails"]),
+    ...columnsOf(TYPES.NUMBER, ["TotalRows", "InsertedRows", "UpdatedRows", "SkippedRows", "ErrorRows", "RolledBackRows"]),
+    ...columnsOf(TYPES.DATETIME, ["StartedAt", "CompletedAt", "RolledBackAt"]),
+  },
+  MappingProfile: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.TEXT, ["Name", "ColumnAliases", "DateFormat", "NumberLocale", "TranTypeMap", "HeaderSignature"]),
+  },
+  DataQualityIssue: {
+    ...SYSTEM_COLUMNS,
+    ...columnsOf(TYPES.NUMBER, ["ClientId", "Qty"]),
+    ...columnsOf(TYPES.TEXT, [
+      "IssueType", "Severity", "StockName", "StockCode", "ISIN", "TransactionRowId", "TranType", "Message",
+    ]),
+    TranDate: TYPES.DATE,
+    ScannedAt: TYPES.DATETIME,
+  },
+};
+
+const MAX_LIMIT = 300; // ZCQL returns at most 300 rows per query
+const COMPARISONS = new Set(["=", "!=", "<", "<=", ">", ">="]);
+const ALIAS_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/;
+// Backslashes could escape the closing quote; control characters have no business in a filter
+const UNSAFE_TEXT = /[\\\u0000-\u001f]/;
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "QueryError";
+  }
+}
+
+const own = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const hasTable = (table) => own(SCHEMA, table);
+
+const schemaOf = (table) => (own(SCHEMA, table) ? SCHEMA[table] : own(APP_SCHEMA, table) ? APP_SCHEMA[table] : null);
+
+// ROWIDs arrive as strings from URLs; anything else cannot name a row
+const isRowId = (value) => /^\d+$/.test(String(value ?? "").trim());
+
+function columnType(table, column) {
+  const columns = schemaOf(table);
+  if (!own(columns, column)) {
+    throw new QueryError(`Unknown column ${column} on ${table}`);
+  }
+  return columns[column];
+}
+
+function validDate(text) {
+  const date = new Date(`${text.slice(0, 10)}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === text.slice(0, 10);
+}
+
+// One value as a ZCQL literal for a column of the given type
+function literal(type, value, column) {
+  if (value === null || value === undefined) {
+    throw new QueryError(`Missing value for ${column}; use whereNull/whereNotNull`);
+  }
+  const text = String(value).trim();
+  if (type === TYPES.NUMBER) {
+    if (typeof value === "number" ? !Number.isFinite(value) : !NUMBER_PATTERN.test(text)) {
+      throw new QueryError(`${column} must be a number`);
+    }
+    return String(Number(text));
+  }
+  if (type === TYPES.DATE && (!DATE_PATTERN.test(text) || !validDate(text))) {
+    throw new QueryError(`${column} must be a date in YYYY-MM-DD format`);
+  }
+  if (type === TYPES.DATETIME && (!DATETIME_PATTERN.test(text) || !validDate(text))) {
+    throw new QueryError(`${column} must be a date/time in YYYY-MM-DD HH:mm:ss format`);
+  }
+  if (UNSAFE_TEXT.test(String(value))) {
+    throw new QueryError(`${column} contains characters that are not allowed`);
+  }
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function nonNegativeInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) throw new QueryError(`${name} must be a non-negative integer`);
+  return number;
+}
+
+function assertLimit(limit) {
+  const number = nonNegativeInteger(limit, "LIMIT");
+  if (number < 1 || number > MAX_LIMIT) throw new QueryError(`LIMIT must be between 1 and ${MAX_LIMIT}`);
+  return number;
+}
+
+/**
+ * Conditions joined by AND (or OR for whereAny). Each method returns the
+ * group so calls chain; whereAny/whereAll take a callback that fills a
+ * nested group, e.g. (name = x AND code = y) OR ISIN = z.
+ */
+function conditionGroup(table, joiner) {
+  const parts = [];
+  const qualified = (column) => `${table}.${column}`;
+
+  const group = {
+    where(column, operator, value) {
+      const op = String(operator).toUpperCase();
+      const type = columnType(table, column);
+      if (op === "IN" || op === "NOT IN") return group[op === "IN" ? "whereIn" : "whereNotIn"](column, value);
+      if (op === "LIKE") {
+        if (type !== TYPES.TEXT) throw new QueryError(`LIKE needs a text column, not ${column}`);
+      } else if (!COMPARISONS.has(op)) {
+        throw new QueryError(`Unsupported operator: ${operator}`);
+      }
+      parts.push(`${qualified(column)} ${op} ${literal(type, value, column)}`);
+      return group;
+    },
+    whereIn: (column, values) => inList(column, values, "IN"),
+    whereNotIn: (column, values) => inList(column, values, "NOT IN"),
+    whereNull(column) {
+      columnType(table, column);
+      parts.push(`${qualified(column)} IS NULL`);
+      return group;
+    },
+    whereNotNull(column) {
+      columnType(table, column);
+      parts.push(`${qualified(column)} IS NOT NULL`);
+      return group;
+    },
+    whereAny(build) {
+      return nest("OR", build);
+    },
+    whereAll(build) {
+      return nest("AND", build);
+    },
+    isEmpty: () => parts.length === 0,
+    toString: () => parts.join(` ${joiner} `),
+  };
+
+  // An empty list matches nothing (numeric columns only: ids are never -1)
+  function inList(column, values, op) {
+    const type = columnType(table, column);
+    const list = Array.from(values || []);
+    if (list.length === 0 && type !== TYPES.NUMBER) {
+      throw new QueryError(`${op} on ${column} needs at least one value`);
+    }
+    const items = list.length > 0 ? list.map((value) => literal(type, value, column)) : ["-1"];
+    parts.push(`${qualified(column)} ${op} (${items.join(", ")})`);
+    return group;
+  }
+
+  function nest(nestedJoiner, build) {
+    const nested = conditionGroup(table, nestedJoiner);
+    build(nested);
+    if (!nested.isEmpty()) parts.push(`(${nested.toString()})`);
+    return group;
+  }
+
+  return group;
+}
+
+/**
+ * SELECT on a whitelisted table. Columns default to *; column(), count(),
+ * sum() and friends add to the select list, each with an optional alias.
+ * orderBy takes a column or the alias of an aggregate. toString() renders
+ * the query; page(limit, offset) renders it with that LIMIT/OFFSET.
+ */
+function select(table) {
+  if (!schemaOf(table)) throw new QueryError(`Unknown table: ${table}`);
+  const selected = [];
+  const aggregates = new Map();
+  const conditions = conditionGroup(table, "AND");
+  const groups = [];
+  const order = [];
+  let distinct = false;
+  let limitValue = null;
+  let offsetValue = null;
+
+  const alias = (name) => {
+    if (!ALIAS_PATTERN.test(String(name))) throw new QueryError(`Invalid alias: ${name}`);
+    return String(name);
+  };
+
+  const aggregate = (fn) => (column = "ROWID", as = null) => {
+    columnType(table, column);
+    const expression = `${fn}(${table}.${column})`;
+    if (as) aggregates.set(alias(as), expression);
+    selected.push(as ? `${expression} AS ${as}` : expression);
+    return query;
+  };
+
+  const render = (limit, offset) => {
+    let sql = `SELECT ${distinct ? "DISTINCT " : ""}${selected.length > 0 ? selected.join(", ") : "*"} FROM ${table}`;
+    if (!conditions.isEmpty()) sql += ` WHERE ${conditions.toString()}`;
+    if (groups.length > 0) sql += ` GROUP BY ${groups.join(", ")}`;
+    if (order.length > 0) sql += ` ORDER BY ${order.join(", ")}`;
+    if (limit !== null) sql += ` LIMIT ${limit}`;
+    if (offset !== null) sql += ` OFFSET ${offset}`;
+    return sql;
+  };
+
+  const query = {
+    table,
+    distinct() {
+      distinct = true;
+      return query;
+    },
+    column(column, as = null) {
+      columnType(table, column);
+      selected.push(as ? `${table}.${column} AS ${alias(as)}` : `${table}.${column}`);
+      return query;
+    },
+    columns(...names) {
+      names.flat().forEach((name) => query.column(name));
+      return query;
+    },
+    count: aggregate("COUNT"),
+    sum: aggregate("SUM"),
+    min: aggregate("MIN"),
+    max: aggregate("MAX"),
+    avg: aggregate("AVG"),
+    groupBy(column) {
+      columnType(table, column);
+      groups.push(`${table}.${column}`);
+      return query;
+    },
+    orderBy(column, direction = "ASC") {
+      const dir = String(direction).toUpperCase();
+      if (dir !== "ASC" && dir !== "DESC") throw new QueryError(`Unsupported sort direction: ${direction}`);
+      if (aggregates.has(column)) {
+        order.push(`${aggregates.get(column)} ${dir}`);
+      } else {
+        columnType(table, column);
+        order.push(`${table}.${column} ${dir}`);
+      }
+      return query;
+    },
+    limit(limit) {
+      limitValue = assertLimit(limit);
+      return query;
+    },
+    offset(offset) {
+      offsetValue = nonNegativeInteger(offset, "OFFSET");
+      return query;
+    },
+    page: (limit, offset) => render(assertLimit(limit), nonNegativeInteger(offset, "OFFSET")),
+    toString: () => render(limitValue, offsetValue),
+  };
+
+  ["where", "whereIn", "whereNotIn", "whereNull", "whereNotNull", "whereAny", "whereAll"].forEach((method) => {
+    query[method] = (...args) => {
+      conditions[method](...args);
+      return query;
+    };
+  });
+
+  return query;
+}
+
+module.exports = {
+  TYPES,
+  SCHEMA,
+  APP_SCHEMA,
+  MAX_LIMIT,
+  QueryError,
+  hasTable,
+  isRowId,
+  select,
+};
@@ -0,0 +1,300 @@
+"use strict";
+
+/**
+ * Reconciliation of computed holdings against a custodian holding statement.
+ *
+ * The custodian file lists client, ISIN and quantity as of a date. Each
+ * client in the file is replayed with loadClientPortfolio() up to that date
+ * and every position that differs becomes a break. Breaks carry suggested
+ * causes worked out from the size of the difference: a quantity that is a
+ * clean multiple of ours points at an unrecorded split, a clean fraction on
+ * top of ours at a missing bonus, anything else at a missing transaction.
+ */
+
+const { canonicalize, parseNumber } = require("./mappingProfiles");
+const { readSheetRows, parseSheetDate } = require("./spreadsheet");
+const { normalizeName, coreName, loadGlobalActions } = require("./portfolioEvents");
+const { loadClientPortfolio } = require("./portfolio");
+const { loadSecurityIndex } = require("./securityMaster");
+const { EPSILON } = require("./lotEngine");
+const { repositoriesFor } = require("./repositories");
+
+// Canonical header names accepted for each field of a custodian statement
+const CUSTODIAN_COLUMNS = {
+  clientId: ["clientid", "wsclientid", "client", "ucc"],
+  accountCode: ["accountcode", "wsaccountcode", "account", "clientcode"],
+  isin: ["isin", "isincode"],
+  securityName: ["securityname", "scripname", "security", "stockname", "companyname"],
+  qty: ["qty", "quantity", "holding", "holdingqty", "balance", "balanceqty", "totalqty", "position"],
+  asOfDate: ["asofdate", "asof", "date", "holdingdate", "statementdate", "balancedate"],
+};
+
+const BREAK_TYPES = {
+  QTY_MISMATCH: "qty_mismatch",
+  MISSING_IN_BOOKS: "missing_in_books",
+  MISSING_AT_CUSTODIAN: "missing_at_custodian",
+};
+
+const CAUSES = {
+  UNRECORDED_SPLIT: "unrecorded_split",
+  MISSING_BONUS: "missing_bonus",
+  MISSING_TRANSACTION: "missing_transaction",
+};
+
+// Largest term of a ratio still treated as a corporate action rather than trading
+const MAX_RATIO_TERM = 10;
+
+const QTY_TOLERANCE = 1e-6;
+
+function fieldFor(header) {
+  const key = canonicalize(header);
+  return Object.keys(CUSTODIAN_COLUMNS).find((field) => CUSTODIAN_COLUMNS[field].includes(key)) || null;
+}
+
+/**
+ * Read a custodian statement (xlsx/xls/csv) from a buffer. Rows without a
+ * date use defaultAsOfDate. Returns { positions, errors } where errors lists
+ * rows that could not be used, with their 1-based file row number, or
+ * { error } when the file lacks a required column.
+ */
+function parseCustodianFile(buffer, { defaultAsOfDate = null } = {}) {
+  const rows = readSheetRows(buffer);
+
+  const headers = rows.length > 0 ? Object.keys(rows[0]) : [];
+  const fields = new Map(headers.map((header) => [header, fieldFor(header)]));
+  const present = new Set(fields.values());
+  if (!present.has("isin") || !present.has("qty") || (!present.has("clientId") && !present.has("accountCode"))) {
+    return { error: "Custodian file needs client (or account code), ISIN and quantity columns" };
+  }
+
+  const positions = [];
+  const errors = [];
+  rows.forEach((raw, index) => {
+    const rowNumber = index + 2; // header is row 1
+    const row = {};
+    fields.forEach((field, header) => {
+      if (field && row[field] === undefined) row[field] = String(raw[header] ?? "").trim();
+    });
+
+    const isin = String(row.isin || "").toUpperCase();
+    const clientId = /^\d+$/.test(row.clientId || "") ? Number(row.clientId) : null;
+    const accountCode = row.accountCode || null;
+    const qty = parseNumber(row.qty, "en-IN");
+    const asOfDate = row.asOfDate ? parseSheetDate(row.asOfDate) : defaultAsOfDate;
+
+    if (!isin && !row.securityName && !row.qty) return; // blank line
+    if (clientId === null && !accountCode) return errors.push({ row: rowNumber, message: "Client is missing" });
+    if (!isin) return errors.push({ row: rowNumber, message: "ISIN is missing" });
+    if (typeof qty !== "number") return errors.push({ row: rowNumber, message: `Quantity "${row.qty}" is not a number` });
+    if (!asOfDate) {
+      return errors.push({
+        row: rowNumber,
+        message: row.asOfDate ? `As-of date "${row.asOfDate}" is not a date` : "As-of date is missing",
+      });
+    }
+
+    positions.push({ row: rowNumber, clientId, accountCode, isin, securityName: row.securityName || "", qty, asOfDate });
+  });
+
+  return { positions, errors };
+}
+
+// WS_client_id for each account code, from the clientIds table
+async function resolveAccountCodes(zcql, accountCodes) {
+  const resolved = new Map();
+  const { clientIds } = repositoriesFor(zcql);
+  for (const code of accountCodes) {
+    const r = await clientIds.findOne(clientIds.select().where("ws_account_code", "=", code));
+    const clientId = r ? Number(r.clientId || r.ClientId || r.client_id) : NaN;
+    if (!Number.isNaN(clientId) && clientId > 0) resolved.set(code, clientId);
+  }
+  return resolved;
+}
+
+// "a:b" with small terms whose quotient is value, or null
+function smallRatio(value) {
+  if (!(value > 0)) return null;
+  for (let b = 1; b <= MAX_RATIO_TERM; b++) {
+    const a = Math.round(value * b);
+    if (a >= 1 && a <= MAX_RATIO_TERM && Math.abs(a / b - value) < QTY_TOLERANCE) return { a, b };
+  }
+  return null;
+}
+
+/**
+ * Likely causes of a break, most likely first. A split and a bonus can
+ * produce the same quantity (1:2 split = 1:1 bonus), so both are offered
+ * and the one the portfolio has not recorded for this security leads.
+ */
+function suggestCauses({ custodianQty, computedQty, book, unmatchedBonuses }) {
+  const causes = [];
+  const difference = custodianQty - computedQty;
+
+  if (computedQty > EPSILON && custodianQty > EPSILON) {
+    const splitRatio = smallRatio(custodianQty / computedQty);
+    const bonusRatio = difference > 0 ? smallRatio(difference / computedQty) : null;
+    const recorded = new Set((book ? book.entries : []).map((entry) => entry.event.kind));
+    // Splits go one share into N (or N into one for a consolidation)
+    const split = splitRatio && splitRatio.a !== splitRatio.b && (splitRatio.a === 1 || splitRatio.b === 1)
+      ? {
+          cause: CAUSES.UNRECORDED_SPLIT,
+          message: `Custodian quantity is ${splitRatio.a}/${splitRatio.b} of ours: a ${splitRatio.b}:${splitRatio.a} split (old:new) may be missing`,
+        }
+      : null;
+    const bonus = bonusRatio
+      ? {
+          cause: CAUSES.MISSING_BONUS,
+          message: `Difference is a ${bonusRatio.a}:${bonusRatio.b} bonus on our holding (${bonusRatio.a} new for every ${bonusRatio.b} held)`,
+        }
+      : null;
+    if (split && bonus && recorded.has("split") && !recorded.has("bonus")) causes.push(bonus, split);
+    else causes.push(...[split, bonus].filter(Boolean));
+  }
+
+  // A bonus on file whose company name did not match any holding
+  const stray = (unmatchedBonuses || []).find((bonus) => Math.abs(Math.abs(bonus.qty) - difference) < QTY_TOLERANCE);
+  if (stray) {
+    causes.unshift({
+      cause: CAUSES.MISSING_BONUS,
+      message: `A bonus of ${stray.qty} shares for "${stray.companyName}" is recorded but did not match this security`,
+    });
+  }
+
+  causes.push({
+    cause: CAUSES.MISSING_TRANSACTION,
+    message:
+      difference > 0
+        ? `${difference} shares more at the custodian: a buy or transfer-in may be missing`
+        : `${-difference} shares fewer at the custodian: a sell or transfer-out may be missing`,
+  });
+  return causes;
+}
+
+// The client's book for a custodian position: same ISIN, else same security name
+function findPositionBook(books, position, securityIndex) {
+  // The custodian may report a security under an ISIN merged into another in the master
+  const isin = securityIndex.isinFor({ isin: position.isin }) || position.isin;
+  const byIsin = books.find((book) => book.isin && book.isin.toUpperCase() === isin);
+  if (byIsin || !position.securityName) return byIsin || null;
+  const key = normalizeName(position.securityName);
+  const core = coreName(position.securityName);
+  return books.find((book) => !book.isin && (book.key === key || coreName(book.stockName) === core)) || null;
+}
+
+const round6 = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * Compare custodian positions with computed holdings. Only clients in the
+ * statement are reconciled, each as of the statement date(s) given for it.
+ * Returns { summary, breaks, errors }.
+ */
+async function reconcileHoldings(zcql, { positions, errors = [] }) {
+  const unresolved = [];
+  const accountCodes = Array.from(new Set(positions.filter((p) => p.clientId === null).map((p) => p.accountCode)));
+  const accountClients = await resolveAccountCodes(zcql, accountCodes);
+  const resolvedPositions = positions.filter((position) => {
+    if (position.clientId !== null) return true;
+    const clientId = accountClients.get(position.accountCode);
+    if (clientId === undefined) {
+      unresolved.push({ row: position.row, message: `Account code ${position.accountCode} not found` });
+      return false;
+    }
+    position.clientId = clientId;
+    return true;
+  });
+
+  // Group as date -> client -> ISIN, summing duplicate lines for the same holding
+  const groups = new Map();
+  resolvedPositions.forEach((position) => {
+    if (!groups.has(position.asOfDate)) groups.set(position.asOfDate, new Map());
+    const clients = groups.get(position.asOfDate);
+    if (!clients.has(position.clientId)) clients.set(position.clientId, new Map());
+    const holdings = clients.get(position.clientId);
+    const existing = holdings.get(position.isin);
+    if (existing) existing.qty += position.qty;
+    else holdings.set(position.isin, { ...position });
+  });
+
+  const breaks = [];
+  let matched = 0;
+  let compared = 0;
+  const securityIndex = await loadSecurityIndex(zcql);
+  for (const [asOfDate, clients] of groups) {
+    const globalActions = await loadGlobalActions(zcql, { endDate: asOfDate });
+    for (const [clientId, holdings] of clients) {
+      const portfolio = await loadClientPortfolio(zcql, clientId, { endDate: asOfDate, globalActions, securityIndex });
+      const books = Array.from(portfolio.books.values());
+      const unmatchedBonuses = portfolio.unmatched.filter((item) => item.kind === "bonus");
+      const seen = new Set();
+
+      holdings.forEach((position) => {
+        const book = findPositionBook(books, position, securityIndex);
+        if (book) seen.add(book.key);
+        const computedQty = book ? round6(book.holdingQty) : 0;
+        compared++;
+        if (Math.abs(position.qty - computedQty) < QTY_TOLERANCE) {
+          matched++;
+          return;
+        }
+        breaks.push({
+          type: computedQty > EPSILON ? BREAK_TYPES.QTY_MISMATCH : BREAK_TYPES.MISSING_IN_BOOKS,
+          asOfDate,
+          clientId,
+          accountCode: position.accountCode,
+          isin: position.isin,
+          stockName: book ? book.stockName : position.securityName,
+          stockCode: book ? book.stockCode : "",
+          custodianQty: position.qty,
+          computedQty,
+          difference: round6(position.qty - computedQty),
+          suggestedCauses: suggestCauses({ custodianQty: position.qty, computedQty, book, unmatchedBonuses }),
+        });
+      });
+
+      // Holdings we carry that the custodian does not report
+      books
+        .filter((book) => book.holdingQty > EPSILON && !seen.has(book.key))
+        .forEach((book) => {
+          compared++;
+          const computedQty = round6(book.holdingQty);
+          breaks.push({
+            type: BREAK_TYPES.MISSING_AT_CUSTODIAN,
+            asOfDate,
+            clientId,
+            accountCode: null,
+            isin: book.isin,
+            stockName: book.stockName,
+            stockCode: book.stockCode,
+            custodianQty: 0,
+            computedQty,
+            difference: -computedQty,
+            suggestedCauses: suggestCauses({ custodianQty: 0, computedQty, book, unmatchedBonuses }),
+          });
+        });
+    }
+  }
+
+  breaks.sort((a, b) => a.clientId - b.clientId || String(a.stockName).localeCompare(String(b.stockName)));
+  const allErrors = [...errors, ...unresolved].sort((a, b) => a.row - b.row);
+
+  return {
+    summary: {
+      asOfDates: Array.from(groups.keys()).sort(),
+      clients: new Set(resolvedPositions.map((p) => p.clientId)).size,
+      positions: compared,
+      matched,
+      breaks: breaks.length,
+      skippedRows: allErrors.length,
+    },
+    breaks,
+    errors: allErrors,
+  };
+}
+
+module.exports = {
+  BREAK_TYPES,
+  CAUSES,
+  parseCustodianFile,
+  suggestCauses,
+  reconcileHoldings,
+};
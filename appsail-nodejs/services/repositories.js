@@ -0,0 +1,130 @@
+"use strict";
+
+/**
+ * Repositories for the core tables: Transaction, Bonus, clientIds and
+ * Security_List.
+ *
+ * A repository takes select() queries on its own table (see
+ * services/queryBuilder.js) and returns plain rows, already unwrapped from
+ * ZCQL's { Table: {...} } shape:
+ *   select()                a select() on the repository's table
+ *   find(query, options)    every matching row; options as for fetchRows
+ *   iterate(query, options) the same rows as an async iterator
+ *                           (paging is the repository's job: leave
+ *                           limit()/offset() off these queries)
+ *   findOne(query)          the first matching row, or null
+ *   insert(rows)            the inserted rows, with their ROWIDs
+ *   update(rows)            rows carrying ROWID and the columns to change
+ *   remove(rowIds)
+ *
+ * repositoriesFor(handle) takes an app from initializeApp or its zcql().
+ * Catalyst repositories read through ZCQL, paged by services/rowFetcher,
+ * and write through the data store 200 rows at a time; writes need the
+ * app, not just zcql. Memory repositories work on the local store
+ * directly. Aggregate and ad-hoc queries still go through zcql, which the
+ * local store answers too.
+ */
+
+const { QueryError, select } = require("./queryBuilder");
+const { iterateRows, fetchRows } = require("./rowFetcher");
+
+const TABLES = {
+  transactions: "Transaction",
+  bonuses: "Bonus",
+  clientIds: "clientIds",
+  securities: "Security_List",
+};
+
+const WRITE_BATCH_SIZE = 200; // Catalyst datastore write limit
+
+// handle -> repositories, so each request builds them once
+const cache = new WeakMap();
+
+function assertQuery(table, query) {
+  if (!query || query.table !== table) {
+    throw new QueryError(`Expected a select() on ${table}, got ${query && query.table ? query.table : typeof query}`);
+  }
+  return query;
+}
+
+function catalystRepository(table, zcql, datastore) {
+  const unwrap = (row) => row[table] || row;
+  const writer = () => {
+    if (!datastore) throw new Error(`Writing ${table} needs the Catalyst app, not just its zcql handle`);
+    return datastore.table(table);
+  };
+  const inBatches = async (items, write) => {
+    const results = [];
+    for (let i = 0; i < items.length; i += WRITE_BATCH_SIZE) {
+      const result = await write(items.slice(i, i + WRITE_BATCH_SIZE));
+      if (Array.isArray(result)) results.push(...result);
+    }
+    return results;
+  };
+
+  return {
+    table,
+    select: () => select(table),
+    async find(query, options = {}) {
+      const rows = await fetchRows(zcql, assertQuery(table, query), { label: table, ...options });
+      return rows.map(unwrap);
+    },
+    async *iterate(query, options = {}) {
+      for await (const row of iterateRows(zcql, assertQuery(table, query), { label: table, ...options })) {
+        yield unwrap(row);
+      }
+    },
+    async findOne(query) {
+      const rows = await zcql.executeZCQLQuery(assertQuery(table, query).page(1, 0), []);
+      return rows && rows.length > 0 ? unwrap(rows[0]) : null;
+    },
+    insert: (rows) => inBatches(rows, (batch) => writer().insertRows(batch)),
+    update: (rows) => inBatches(rows, (batch) => writer().updateRows(batch)),
+    async remove(rowIds) {
+      await inBatches(rowIds, (batch) => writer().deleteRows(batch));
+    },
+  };
+}
+
+function memoryRepository(table, store) {
+  const unwrap = (row) => row[table];
+  const all = (query) => store.query(assertQuery(table, query).toString(), { maxRows: Infinity }).map(unwrap);
+
+  return {
+    table,
+    select: () => select(table),
+    find: async (query) => all(query),
+    async *iterate(query) {
+      yield* all(query);
+    },
+    async findOne(query) {
+      const rows = store.query(assertQuery(table, query).page(1, 0));
+      return rows.length > 0 ? unwrap(rows[0]) : null;
+    },
+    insert: async (rows) => store.insert(table, rows),
+    update: async (rows) => store.update(table, rows),
+    async remove(rowIds) {
+      store.remove(table, rowIds);
+    },
+  };
+}
+
+function repositoriesFor(handle) {
+  if (!cache.has(handle)) {
+    let build;
+    if (handle.store) {
+      build = (table) => memoryRepository(table, handle.store);
+    } else {
+      const zcql = typeof handle.zcql === "function" ? handle.zcql() : handle;
+      const datastore = typeof handle.datastore === "function" ? handle.datastore() : null;
+      build = (table) => catalystRepository(table, zcql, datastore);
+    }
+    cache.set(handle, Object.fromEntries(Object.entries(TABLES).map(([name, table]) => [name, build(table)])));
+  }
+  return cache.get(handle);
+}
+
+module.exports = {
+  TABLES,
+  repositoriesFor,
+};
@@ -0,0 +1,127 @@
+"use strict";
+
+/**
+ * Paged reads through ZCQL, which returns at most 300 rows per query.
+ *
+ * iterateRows(zcql, query) is an async iterator over every row of a query,
+ * in order; fetchRows collects them into an array. query is a select() from
+ * services/queryBuilder or a (limit, offset) => sql function. Around the
+ * "LIMIT n OFFSET m until a short page" loop it adds:
+ *  - up to `concurrency` pages fetched in parallel once the first page
+ *    comes back full (one page is the common case, so it goes alone);
+ *  - retries with backoff when a page fails with a rate limit, a 5xx or a
+ *    dropped connection;
+ *  - a row budget per request: setRowBudget(zcql, n) caps the rows all
+ *    queries on that zcql handle may read (index.js sets one per request);
+ *    going over throws a RowBudgetError.
+ */
+
+const PAGE_SIZE = 250; // ZCQL max is 300, use 250 to be safe
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_RETRIES = 2;
+const RETRY_DELAY_MS = 250;
+const MAX_ROWS = 100000; // Per-query safety limit
+
+const TRANSIENT_CODES = new Set(["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN", "EPIPE", "ESOCKETTIMEDOUT"]);
+
+class RowBudgetError extends Error {
+  constructor(limit, label) {
+    super(`Row budget of ${limit} rows for this request exceeded while reading ${label}`);
+    this.name = "RowBudgetError";
+  }
+}
+
+// Keyed by zcql handle: Catalyst creates one app, and so one zcql, per request
+const budgets = new WeakMap();
+
+function setRowBudget(zcql, limit) {
+  budgets.set(zcql, { limit, used: 0 });
+}
+
+function isTransientError(err) {
+  if (!err) return false;
+  const status = Number(err.statusCode || err.status);
+  if (status === 429 || status >= 500) return true;
+  const code = err.code || (err.cause && err.cause.code);
+  if (TRANSIENT_CODES.has(code)) return true;
+  return /socket hang up|ECONNRESET|ETIMEDOUT/i.test(String(err.message || ""));
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function withRetry(run, { retries, label }) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await run();
+    } catch (err) {
+      if (attempt >= retries || !isTransientError(err)) throw err;
+      const delay = RETRY_DELAY_MS * 2 ** attempt;
+      console.warn(`[${label}] ${err.message}; retrying in ${delay}ms (${attempt + 1}/${retries})`);
+      await sleep(delay);
+    }
+  }
+}
+
+async function* iterateRows(
+  zcql,
+  query,
+  {
+    label = "iterateRows",
+    pageSize = PAGE_SIZE,
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = DEFAULT_RETRIES,
+    maxRows = MAX_ROWS,
+  } = {}
+) {
+  const render = typeof query === "function" ? query : (limit, offset) => query.page(limit, offset);
+  const budget = budgets.get(zcql);
+  const fetchPage = (offset) =>
+    withRetry(() => zcql.executeZCQLQuery(render(pageSize, offset), []), { retries, label: `${label} @${offset}` });
+
+  let offset = 0;
+  let width = 1;
+  while (offset < maxRows) {
+    const offsets = [];
+    for (let i = 0; i < width && offset + i * pageSize < maxRows; i++) offsets.push(offset + i * pageSize);
+
+    const pages = await Promise.all(offsets.map(fetchPage));
+    for (const page of pages) {
+      const rows = page || [];
+      if (budget) {
+        budget.used += rows.length;
+        if (budget.used > budget.limit) throw new RowBudgetError(budget.limit, label);
+      }
+      yield* rows;
+      // A short page is the end; any pages fetched alongside it are empty
+      if (rows.length < pageSize) return;
+    }
+    offset += offsets.length * pageSize;
+    width = Math.max(1, concurrency);
+  }
+  console.warn(`[${label}] Reached safety limit of ${maxRows} rows, stopping`);
+}
+
+/**
+ * Every row of a query as an array. When optional is set a failing query
+ * (e.g. a table that has not been created yet) logs and yields the rows read
+ * so far instead of failing the request; a spent row budget always throws.
+ */
+async function fetchRows(zcql, query, options = {}) {
+  const rows = [];
+  try {
+    for await (const row of iterateRows(zcql, query, options)) rows.push(row);
+  } catch (err) {
+    if (!options.optional || err instanceof RowBudgetError) throw err;
+    console.error(`[${options.label || "fetchRows"}] Error after ${rows.length} rows:`, err.message);
+  }
+  return rows;
+}
+
+module.exports = {
+  PAGE_SIZE,
+  RowBudgetError,
+  setRowBudget,
+  isTransientError,
+  iterateRows,
+  fetchRows,
+};
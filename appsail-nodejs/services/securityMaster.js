@@ -0,0 +1,320 @@
+"use strict";
+
+/**
+ * Security master keyed on ISIN.
+ *
+ * Transactions carry an ISIN but bonuses, splits, mergers, demergers and
+ * the Security_List only carry a company name and/or code. Each master row
+ * holds one ISIN with every name and code it has been seen under, so those
+ * records resolve to an ISIN through an exact alias instead of fuzzy name
+ * matching. Names nothing resolves are listed as unresolved for the user to
+ * attach to the right security.
+ */
+
+const { normalizeName, coreName, fetchAllRows } = require("./portfolioEvents");
+const { repositoriesFor } = require("./repositories");
+const { isRowId, select } = require("./queryBuilder");
+
+const SECURITY_MASTER_TABLE = "SecurityMaster";
+const SECURITY_LIST_TABLE = "Security_List";
+const WRITE_BATCH_SIZE = 200; // Catalyst datastore write limit
+
+// Tables whose security names/codes should resolve, with their name/code column pairs
+const ALIAS_SOURCES = [
+  { table: "Bonus", columns: [["CompanyName", "SecurityCode"]] },
+  { table: "Split", columns: [["CompanyName", "SecurityCode"]] },
+  {
+    table: "Merger",
+    columns: [
+      ["OldCompanyName", "OldSecurityCode"],
+      ["NewCompanyName", "NewSecurityCode"],
+    ],
+  },
+  {
+    table: "Demerger",
+    columns: [
+      ["ParentCompanyName", "ParentSecurityCode"],
+      ["ChildCompanyName", "ChildSecurityCode"],
+    ],
+  },
+  { table: SECURITY_LIST_TABLE, columns: [["Security_Name", "Security_Code"]] },
+];
+
+const ISIN_PATTERN = /^[A-Z]{2}[A-Z0-9]{9}[0-9]$/;
+
+const normalizeIsin = (isin) => String(isin || "").trim().toUpperCase();
+const normalizeCode = (code) => String(code || "").trim().toUpperCase();
+const isIsin = (isin) => ISIN_PATTERN.test(normalizeIsin(isin));
+
+const parseList = (value) => {
+  if (!value) return [];
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? list : [];
+  } catch {
+    return [];
+  }
+};
+
+// Append value unless an equivalent (same key) is already there
+const addUnique = (list, value, keyOf) => {
+  const text = String(value || "").trim();
+  if (!text || !keyOf(text)) return false;
+  if (list.some((item) => keyOf(item) === keyOf(text))) return false;
+  list.push(text);
+  return true;
+};
+
+function toSecurity(row) {
+  const r = (row && (row[SECURITY_MASTER_TABLE] || row)) || {};
+  return {
+    id: r.ROWID,
+    isin: normalizeIsin(r.ISIN),
+    name: String(r.Name || "").trim(),
+    code: normalizeCode(r.SecurityCode),
+    aliases: parseList(r.AliasNames),
+    codes: parseList(r.AliasCodes),
+    isins: parseList(r.AliasIsins),
+  };
+}
+
+const toRow = (security) => ({
+  ISIN: security.isin,
+  Name: security.name,
+  SecurityCode: security.code,
+  AliasNames: JSON.stringify(security.aliases),
+  AliasCodes: JSON.stringify(security.codes),
+  AliasIsins: JSON.stringify(security.isins),
+});
+
+/**
+ * Lookup over master rows. resolve() tries, in order: ISIN (own or merged),
+ * code, normalised name, then name without company suffixes; a code or
+ * name shared by two ISINs is ambiguous and does not resolve.
+ */
+function createSecurityIndex(securities = []) {
+  const byIsin = new Map();
+  const byCode = new Map();
+  const byName = new Map();
+  const byCore = new Map();
+
+  const put = (map, key, security) => {
+    if (!key) return;
+    const existing = map.get(key);
+    if (existing === undefined) map.set(key, security);
+    else if (existing && existing.isin !== security.isin) map.set(key, null);
+  };
+
+  securities.forEach((security) => {
+    byIsin.set(security.isin, security);
+    security.isins.forEach((isin) => byIsin.set(normalizeIsin(isin), security));
+    [security.code, ...security.codes].forEach((code) => put(byCode, normalizeCode(code), security));
+    [security.name, ...security.aliases].forEach((name) => {
+      put(byName, normalizeName(name), security);
+      put(byCore, coreName(name), security);
+    });
+  });
+
+  const resolve = ({ isin, name, code } = {}) => {
+    const isinKey = normalizeIsin(isin);
+    if (isinKey && byIsin.has(isinKey)) return byIsin.get(isinKey);
+    return (
+      byCode.get(normalizeCode(code)) ||
+      byName.get(normalizeName(name)) ||
+      byCore.get(coreName(name)) ||
+      null
+    );
+  };
+
+  // The master's ISIN for a security, or the given ISIN when it is not in the master
+  const isinFor = (ref = {}) => {
+    const security = resolve(ref);
+    if (security) return security.isin;
+    return isIsin(ref.isin) ? normalizeIsin(ref.isin) : null;
+  };
+
+  /**
+   * Whether two name/code references are the same security: by ISIN when
+   * both resolve, otherwise by normalised name.
+   */
+  const sameSecurity = (a, b) => {
+    const left = isinFor(a);
+    const right = isinFor(b);
+    if (left && right) return left === right;
+    const leftName = normalizeName(a && a.name);
+    return Boolean(leftName) && leftName === normalizeName(b && b.name);
+  };
+
+  return { resolve, isinFor, sameSecurity, all: () => securities.slice() };
+}
+
+// A missing SecurityMaster table resolves nothing, so lookups fall back to names
+async function loadSecurities(zcql) {
+  const rows = await fetchAllRows(zcql, select(SECURITY_MASTER_TABLE).orderBy("Name", "ASC"), {
+    label: "loadSecurities",
+    optional: true,
+  });
+  return rows.map(toSecurity).filter((security) => security.isin);
+}
+
+async function loadSecurityIndex(zcql) {
+  return createSecurityIndex(await loadSecurities(zcql));
+}
+
+async function writeInBatches(rows, write) {
+  for (let i = 0; i < rows.length; i += WRITE_BATCH_SIZE) {
+    await write(rows.slice(i, i + WRITE_BATCH_SIZE));
+  }
+}
+
+/**
+ * Build or refresh the master from Transaction (every ISIN with the names
+ * and codes it was traded under) and Security_List (names/codes attached
+ * to the ISIN they resolve to). Existing aliases are kept, so re-running
+ * after manual fixes only adds.
+ */
+async function seedSecurityMaster(app) {
+  const zcql = app.zcql();
+  const repos = repositoriesFor(app);
+  const securities = await loadSecurities(zcql);
+  const byIsin = new Map(securities.map((security) => [security.isin, security]));
+  const changed = new Set();
+
+  const traded = await repos.transactions.find(
+    repos.transactions.select().distinct().columns("ISIN", "Security_Name", "Security_code").whereNotNull("ISIN"),
+    { label: "seedSecurityMaster" }
+  );
+  traded.forEach((t) => {
+    const isin = normalizeIsin(t.ISIN);
+    if (!isIsin(isin)) return;
+    let security = byIsin.get(isin);
+    if (!security) {
+      security = { isin, name: String(t.Security_Name || "").trim(), code: normalizeCode(t.Security_code), aliases: [], codes: [], isins: [] };
+      byIsin.set(isin, security);
+      changed.add(security);
+    }
+    if (!security.name && t.Security_Name) {
+      security.name = String(t.Security_Name).trim();
+      changed.add(security);
+    }
+    if (!security.code && t.Security_code) {
+      security.code = normalizeCode(t.Security_code);
+      changed.add(security);
+    }
+    if (normalizeName(t.Security_Name) !== normalizeName(security.name) && addUnique(security.aliases, t.Security_Name, normalizeName)) {
+      changed.add(security);
+    }
+    if (normalizeCode(t.Security_code) !== security.code && addUnique(security.codes, normalizeCode(t.Security_code), normalizeCode)) {
+      changed.add(security);
+    }
+  });
+
+  // Security_List has no ISIN: attach its names/codes where the code or name resolves
+  const index = createSecurityIndex(Array.from(byIsin.values()));
+  const listed = await repos.securities.find(repos.securities.select(), { label: "seedSecurityMaster", optional: true });
+  let listMatched = 0;
+  listed.forEach((s) => {
+    const security = index.resolve({ name: s.Security_Name, code: s.Security_Code });
+    if (!security) return;
+    listMatched++;
+    const nameAdded =
+      normalizeName(s.Security_Name) !== normalizeName(security.name) && addUnique(security.aliases, s.Security_Name, normalizeName);
+    const codeAdded =
+      normalizeCode(s.Security_Code) !== security.code && addUnique(security.codes, normalizeCode(s.Security_Code), normalizeCode);
+    if (nameAdded || codeAdded) changed.add(security);
+  });
+
+  const toInsert = Array.from(changed).filter((security) => !security.id);
+  const toUpdate = Array.from(changed).filter((security) => security.id);
+  const table = app.datastore().table(SECURITY_MASTER_TABLE);
+  await writeInBatches(toInsert.map(toRow), (batch) => table.insertRows(batch));
+  await writeInBatches(
+    toUpdate.map((security) => ({ ROWID: security.id, ...toRow(security) })),
+    (batch) => table.updateRows(batch)
+  );
+
+  return {
+    securities: byIsin.size,
+    created: toInsert.length,
+    updated: toUpdate.length,
+    securityListMatched: listMatched,
+    securityListUnmatched: listed.length - listMatched,
+  };
+}
+
+/**
+ * Names/codes used by corporate actions and the Security_List that do not
+ * resolve to any ISIN, most referenced first.
+ */
+async function listUnresolved(zcql, index) {
+  const unresolved = new Map();
+  for (const source of ALIAS_SOURCES) {
+    const rows = await fetchAllRows(zcql, select(source.table).orderBy("ROWID"), { label: "listUnresolved", optional: true });
+    rows.forEach((row) => {
+      const r = row[source.table] || row;
+      source.columns.forEach(([nameColumn, codeColumn]) => {
+        const name = String(r[nameColumn] || "").trim();
+        const code = normalizeCode(r[codeColumn]);
+        if (!name && !code) return;
+        if (index.resolve({ name, code })) return;
+        const key = `${normalizeName(name)}|${code}`;
+        const entry = unresolved.get(key) || { name, code, sources: [], references: 0 };
+        if (!entry.sources.includes(source.table)) entry.sources.push(source.table);
+        entry.references++;
+        unresolved.set(key, entry);
+      });
+    });
+  }
+  return Array.from(unresolved.values()).sort((a, b) => b.references - a.references || a.name.localeCompare(b.name));
+}
+
+async function getSecurity(zcql, id) {
+  if (!isRowId(id)) return null;
+  const rows = await zcql.executeZCQLQuery(select(SECURITY_MASTER_TABLE).where("ROWID", "=", id).toString(), []);
+  return rows && rows.length > 0 ? toSecurity(rows[0]) : null;
+}
+
+async function saveSecurity(app, security) {
+  const row = await app.datastore().table(SECURITY_MASTER_TABLE).updateRow({ ROWID: security.id, ...toRow(security) });
+  return toSecurity(row);
+}
+
+// Attach a name and/or code to a security; returns the updated security
+async function addAlias(app, security, { name, code }) {
+  if (normalizeName(name) !== normalizeName(security.name)) addUnique(security.aliases, name, normalizeName);
+  if (normalizeCode(code) !== security.code) addUnique(security.codes, normalizeCode(code), normalizeCode);
+  return saveSecurity(app, security);
+}
+
+/**
+ * Fold source into target: target keeps its own ISIN and name and takes
+ * over the source's ISIN, names and codes as aliases; the source row is
+ * deleted.
+ */
+async function mergeSecurities(app, target, source) {
+  [source.isin, ...source.isins].forEach((isin) => addUnique(target.isins, isin, normalizeIsin));
+  [source.name, ...source.aliases].forEach((name) => {
+    if (normalizeName(name) !== normalizeName(target.name)) addUnique(target.aliases, name, normalizeName);
+  });
+  [source.code, ...source.codes].forEach((code) => {
+    if (normalizeCode(code) !== target.code) addUnique(target.codes, code, normalizeCode);
+  });
+  const merged = await saveSecurity(app, target);
+  await app.datastore().table(SECURITY_MASTER_TABLE).deleteRow(source.id);
+  return merged;
+}
+
+module.exports = {
+  SECURITY_MASTER_TABLE,
+  isIsin,
+  normalizeIsin,
+  createSecurityIndex,
+  loadSecurities,
+  loadSecurityIndex,
+  seedSecurityMaster,
+  listUnresolved,
+  getSecurity,
+  saveSecurity,
+  addAlias,
+  mergeSecurities,
+};
@@ -0,0 +1,41 @@
+"use strict";
+
+/**
+ * Reading uploaded spreadsheets (xlsx/xls/csv) into rows of text.
+ *
+ * Dates need care. With cellDates SheetJS turns CSV dates into UTC Dates
+ * but xlsx date cells into local ones, and its default text for a date cell
+ * is "12/31/25". So cells are read as numbers, date cells come out as
+ * YYYY-MM-DD through dateNF, and CSV text is left exactly as written (raw)
+ * rather than guessed at, since SheetJS reads 31-12-2025 as 2031-12-25.
+ */
+
+const XLSX = require("xlsx");
+const { parseDate } = require("./mappingProfiles");
+
+// Layouts tried, in order, for a date cell that came through as text
+const SHEET_DATE_FORMATS = ["YYYY-MM-DD", "DD-MM-YYYY", "DD-MMM-YYYY", "YYYYMMDD"];
+
+// Rows of the first sheet as { header: text }, blanks as ""
+function readSheetRows(buffer) {
+  const workbook = XLSX.read(buffer, { type: "buffer", raw: true, dateNF: "yyyy-mm-dd" });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  return XLSX.utils.sheet_to_json(sheet, { raw: false, defval: "" });
+}
+
+// "YYYY-MM-DD" for a date cell's text, or null
+function parseSheetDate(value) {
+  const text = String(value || "").trim();
+  if (!text) return null;
+  for (const format of SHEET_DATE_FORMATS) {
+    const date = parseDate(text, format);
+    if (date) return date;
+  }
+  return null;
+}
+
+module.exports = {
+  SHEET_DATE_FORMATS,
+  readSheetRows,
+  parseSheetDate,
+};
@@ -0,0 +1,44 @@
+"use strict";
+
+/**
+ * Storage backend, chosen by STORAGE_BACKEND:
+ *  - catalyst (default): the Catalyst data store through zcatalyst-sdk-node;
+ *  - memory: every table in process (services/localStore.js), optionally
+ *    saved to LOCAL_DATA_FILE, so the API and the import pipeline run on a
+ *    laptop without Catalyst or a network connection.
+ *
+ * initializeApp(req) stands in for catalyst.initialize(req) and returns an
+ * app with the same zcql()/datastore() surface for either backend.
+ */
+
+const catalyst = require("zcatalyst-sdk-node");
+const { createLocalStore, createLocalApp } = require("./localStore");
+
+const BACKENDS = ["catalyst", "memory"];
+
+let localStore = null;
+
+function storageBackend() {
+  const backend = String(process.env.STORAGE_BACKEND || "catalyst").trim().toLowerCase();
+  if (!BACKENDS.includes(backend)) {
+    throw new Error(`Unknown STORAGE_BACKEND "${backend}"; expected one of ${BACKENDS.join(", ")}`);
+  }
+  return backend;
+}
+
+// One store for the whole process, shared by every request's local app
+function sharedLocalStore() {
+  if (!localStore) {
+    localStore = createLocalStore({ file: process.env.LOCAL_DATA_FILE || null });
+  }
+  return localStore;
+}
+
+function initializeApp(req) {
+  return storageBackend() === "memory" ? createLocalApp(sharedLocalStore()) : catalyst.initialize(req);
+}
+
+module.exports = {
+  storageBackend,
+  initializeApp,
+};
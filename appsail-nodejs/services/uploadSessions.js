@@ -0,0 +1,208 @@
+"use strict";
+
+/**
+ * Resumable uploads for large transaction files.
+ *
+ * The client opens a session, sends the file in numbered parts (each with a
+ * SHA-256 checksum) and then completes it. Parts land in
+ * temp/uploads/<uploadId>/ as they arrive, so an interrupted upload only
+ * re-sends the parts the server does not have. The session also keeps the
+ * last file row the import committed, so a failed import resumes from there
+ * instead of from the top of the file.
+ *
+ * Sessions are on this instance's local disk, so every request for an upload
+ * has to reach the instance that opened it: run a single AppSail instance
+ * while resumable uploads are in use. Upload ids start with a tag for the
+ * instance, so a request that lands elsewhere is told so (heldElsewhere)
+ * rather than finding nothing.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+
+const UPLOAD_ROOT = path.join(process.cwd(), "temp", "uploads");
+const SESSION_FILE = "session.json";
+const ASSEMBLED_FILE = "upload.csv";
+
+const DEFAULT_PART_SIZE = 5 * 1024 * 1024;
+const MIN_PART_SIZE = 256 * 1024;
+const MAX_PART_SIZE = 10 * 1024 * 1024;
+const MAX_FILE_SIZE = 2 * 1024 * 1024 * 1024;
+// Abandoned sessions are removed when a new one is opened
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const UPLOAD_STATUS = {
+  UPLOADING: "uploading",
+  ASSEMBLED: "assembled",
+  IMPORTING: "importing",
+  FAILED: "failed",
+};
+
+const sha256 = (buffer) => crypto.createHash("sha256").update(buffer).digest("hex");
+
+// UPLOAD_INSTANCE_ID names the instance when the host name does not tell them apart
+const INSTANCE_TAG = sha256(process.env.UPLOAD_INSTANCE_ID || os.hostname()).slice(0, 8);
+
+const sessionDir = (uploadId) => path.join(UPLOAD_ROOT, uploadId);
+const partPath = (uploadId, partNumber) => path.join(sessionDir(uploadId), `part-${String(partNumber).padStart(5, "0")}`);
+const isUploadId = (uploadId) => /^[a-f0-9]{32}$/.test(String(uploadId));
+
+// Expected byte length of a part; only the last one may be short
+const expectedPartLength = (session, partNumber) =>
+  partNumber < session.totalParts ? session.partSize : session.fileSize - session.partSize * (session.totalParts - 1);
+
+function saveSession(session) {
+  session.updatedAt = new Date().toISOString();
+  const file = path.join(sessionDir(session.uploadId), SESSION_FILE);
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(session));
+  fs.renameSync(`${file}.tmp`, file);
+  return session;
+}
+
+function pruneSessions() {
+  if (!fs.existsSync(UPLOAD_ROOT)) return;
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  fs.readdirSync(UPLOAD_ROOT).forEach((uploadId) => {
+    try {
+      if (fs.statSync(sessionDir(uploadId)).mtimeMs < cutoff) removeSession(uploadId);
+    } catch (err) {
+      console.warn(`[Upload ${uploadId}] Could not prune session:`, err.message);
+    }
+  });
+}
+
+// fileSize is checked by the caller; partSize is clamped to MIN/MAX_PART_SIZE
+function createSession({ fileName, fileSize, partSize }) {
+  const size = Number(fileSize);
+  const chunk = Math.min(Math.max(Number(partSize) || DEFAULT_PART_SIZE, MIN_PART_SIZE), MAX_PART_SIZE);
+
+  pruneSessions();
+  const uploadId = INSTANCE_TAG + crypto.randomBytes(12).toString("hex");
+  fs.mkdirSync(sessionDir(uploadId), { recursive: true });
+  return saveSession({
+    uploadId,
+    fileName: String(fileName),
+    fileSize: size,
+    partSize: chunk,
+    totalParts: Math.ceil(size / chunk),
+    status: UPLOAD_STATUS.UPLOADING,
+    importId: null,
+    committedRows: 0,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+// Session by id, or null; ids are hex so they cannot point outside UPLOAD_ROOT
+function loadSession(uploadId) {
+  if (!isUploadId(uploadId)) return null;
+  const file = path.join(sessionDir(uploadId), SESSION_FILE);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+// True for an upload opened by another instance, whose parts are on that instance's disk
+const heldElsewhere = (uploadId) => isUploadId(uploadId) && !String(uploadId).startsWith(INSTANCE_TAG);
+
+function updateSession(session, changes) {
+  return saveSession(Object.assign(session, changes));
+}
+
+// Part numbers (1-based) already stored; parts are only renamed into place once verified
+function receivedParts(session) {
+  if (session.status !== UPLOAD_STATUS.UPLOADING) {
+    return Array.from({ length: session.totalParts }, (_, i) => i + 1);
+  }
+  return fs
+    .readdirSync(sessionDir(session.uploadId))
+    .map((name) => /^part-(\d+)$/.exec(name))
+    .filter(Boolean)
+    .map((match) => Number(match[1]))
+    .sort((a, b) => a - b);
+}
+
+function missingParts(session) {
+  const received = new Set(receivedParts(session));
+  const missing = [];
+  for (let n = 1; n <= session.totalParts; n++) {
+    if (!received.has(n)) missing.push(n);
+  }
+  return missing;
+}
+
+/**
+ * Store one verified part. Sending a part again replaces it, so a retry
+ * after a lost response is harmless.
+ */
+function writePart(session, partNumber, buffer) {
+  const target = partPath(session.uploadId, partNumber);
+  fs.writeFileSync(`${target}.tmp`, buffer);
+  fs.renameSync(`${target}.tmp`, target);
+}
+
+const assembledPath = (session) => path.join(sessionDir(session.uploadId), ASSEMBLED_FILE);
+
+// Join the parts into one file (once, after every part has arrived) and return its path
+async function assembleSession(session) {
+  const filePath = assembledPath(session);
+  if (session.status !== UPLOAD_STATUS.UPLOADING) return filePath;
+
+  const out = fs.createWriteStream(`${filePath}.tmp`);
+  for (let n = 1; n <= session.totalParts; n++) {
+    await new Promise((resolve, reject) => {
+      const part = fs.createReadStream(partPath(session.uploadId, n));
+      part.on("error", reject);
+      part.on("end", resolve);
+      part.pipe(out, { end: false });
+    });
+  }
+  await new Promise((resolve, reject) => {
+    out.on("error", reject);
+    out.end(resolve);
+  });
+  const size = fs.statSync(`${filePath}.tmp`).size;
+  if (size !== session.fileSize) {
+    fs.unlinkSync(`${filePath}.tmp`);
+    throw new Error(`Assembled file is ${size} bytes, expected ${session.fileSize}`);
+  }
+  fs.renameSync(`${filePath}.tmp`, filePath);
+  for (let n = 1; n <= session.totalParts; n++) {
+    fs.unlinkSync(partPath(session.uploadId, n));
+  }
+  updateSession(session, { status: UPLOAD_STATUS.ASSEMBLED });
+  return filePath;
+}
+
+function removeSession(uploadId) {
+  fs.rmSync(sessionDir(uploadId), { recursive: true, force: true });
+}
+
+const sessionSummary = (session) => ({
+  uploadId: session.uploadId,
+  fileName: session.fileName,
+  fileSize: session.fileSize,
+  partSize: session.partSize,
+  totalParts: session.totalParts,
+  receivedParts: receivedParts(session),
+  status: session.status,
+  importId: session.importId,
+  committedRows: session.committedRows,
+});
+
+module.exports = {
+  UPLOAD_STATUS,
+  MAX_FILE_SIZE,
+  sha256,
+  expectedPartLength,
+  createSession,
+  loadSession,
+  heldElsewhere,
+  updateSession,
+  missingParts,
+  writePart,
+  assembledPath,
+  assembleSession,
+  removeSession,
+  sessionSummary,
+};
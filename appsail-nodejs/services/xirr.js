@@ -0,0 +1,223 @@
+"use strict";
+
+/**
+ * Money-weighted (XIRR) returns from dated cash flows.
+ *
+ * Per security: buys are outflows, sells and dividends are inflows, merger
+ * and demerger transfers move cost between securities on the ex-date, and
+ * the holding's market value on the as-of date closes the series.
+ *
+ * Per client: when the client has fund deposits (CS+) and withdrawals (CS-)
+ * those are the only external flows and the terminal value is holdings plus
+ * the residual cash balance; otherwise the security flows are aggregated.
+ */
+
+const { EPSILON } = require("./lotEngine");
+const { findBook } = require("./portfolio");
+const { CATEGORIES, classifyTransaction, buildCashLedger } = require("./cashLedger");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_ITERATIONS = 100;
+const TOLERANCE = 1e-7;
+
+const toTime = (date) => Date.parse(`${date}T00:00:00Z`);
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function presentValue(flows, rate, t0) {
+  let value = 0;
+  let derivative = 0;
+  flows.forEach((flow) => {
+    const years = (toTime(flow.date) - t0) / DAY_MS / 365;
+    const factor = Math.pow(1 + rate, years);
+    value += flow.amount / factor;
+    derivative -= (years * flow.amount) / (factor * (1 + rate));
+  });
+  return { value, derivative };
+}
+
+/**
+ * Annualised internal rate of return for [{ date: "YYYY-MM-DD", amount }]
+ * (negative = money in, positive = money out). Returns null when the flows
+ * have no sign change or the solver does not converge.
+ */
+function xirr(flows) {
+  const valid = flows.filter((flow) => Math.abs(flow.amount) > EPSILON && !Number.isNaN(toTime(flow.date)));
+  if (!valid.some((flow) => flow.amount < 0) || !valid.some((flow) => flow.amount > 0)) return null;
+  const t0 = Math.min(...valid.map((flow) => toTime(flow.date)));
+
+  // Newton-Raphson from 10%, falling back to bisection
+  let rate = 0.1;
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const { value, derivative } = presentValue(valid, rate, t0);
+    if (Math.abs(value) < TOLERANCE) return rate;
+    if (!derivative) break;
+    const next = rate - value / derivative;
+    if (!Number.isFinite(next) || next <= -1) break;
+    if (Math.abs(next - rate) < TOLERANCE) return next;
+    rate = next;
+  }
+
+  let low = -0.9999;
+  let high = 10;
+  let lowValue = presentValue(valid, low, t0).value;
+  if (lowValue * presentValue(valid, high, t0).value > 0) return null;
+  for (let i = 0; i < 200; i++) {
+    const mid = (low + high) / 2;
+    const midValue = presentValue(valid, mid, t0).value;
+    if (Math.abs(midValue) < TOLERANCE || (high - low) / 2 < TOLERANCE) return mid;
+    if (midValue * lowValue > 0) {
+      low = mid;
+      lowValue = midValue;
+    } else {
+      high = mid;
+    }
+  }
+  return null;
+}
+
+// Dividend and distribution income grouped by the book it belongs to.
+// Reinvested dividends count too: they offset the reinvestment buy.
+function incomeByBook(portfolio) {
+  const byBook = new Map();
+  portfolio.transactions.forEach((transaction) => {
+    if (classifyTransaction(transaction).category !== CATEGORIES.INCOME) return;
+    const book = findBook(portfolio, {
+      stockName: transaction.securityName,
+      stockCode: transaction.securityCode,
+    });
+    if (!book) return;
+    if (!byBook.has(book.key)) byBook.set(book.key, []);
+    byBook.get(book.key).push({ date: transaction.trandate, amount: transaction.netAmount });
+  });
+  return byBook;
+}
+
+// Dated cash flows for one book, before the terminal value
+function securityFlows(book, income = []) {
+  const flows = [];
+  let costBefore = 0;
+  book.entries.forEach((entry) => {
+    const { event } = entry;
+    if (event.kind === "trade") {
+      // Dividend rows ride along as side-less trade events; income is added separately
+      if (event.side) flows.push({ date: event.date, amount: event.side === "buy" ? -event.amount : event.amount });
+    } else if (event.kind === "merger" || event.kind === "demerger") {
+      // Transfers carry cost basis across: out of the source, into the target
+      const moved = costBefore - entry.costAfter;
+      if (Math.abs(moved) > EPSILON) flows.push({ date: event.date, amount: moved });
+    }
+    costBefore = entry.costAfter;
+  });
+  return flows.concat(income);
+}
+
+/**
+ * Every dated movement of the client's cash from the cash ledger: cash is
+ * the signed change to the balance, external the signed money added (+) or
+ * taken out (-) by the client.
+ */
+function clientCashMovements(portfolio) {
+  return buildCashLedger(portfolio.transactions)
+    .filter((entry) => entry.cash !== 0)
+    .map((entry) => ({ date: entry.date, cash: entry.cash, external: entry.external }));
+}
+
+const summarise = (flows) => ({
+  invested: flows.filter((flow) => flow.amount < 0).reduce((sum, flow) => sum - flow.amount, 0),
+  returned: flows.filter((flow) => flow.amount > 0).reduce((sum, flow) => sum + flow.amount, 0),
+  flowCount: flows.length,
+});
+
+/**
+ * XIRR per book. valuations is the Map from priceMaster.valueBooks; open
+ * holdings without a price have no XIRR (reason "NO_PRICE").
+ */
+function buildSecurityXirr(portfolio, valuations, { asOf = null } = {}) {
+  const terminalDate = asOf || today();
+  const income = incomeByBook(portfolio);
+  const results = new Map();
+
+  portfolio.books.forEach((book) => {
+    const flows = securityFlows(book, income.get(book.key));
+    const open = book.holdingQty > EPSILON;
+    const valuation = valuations.get(book.key);
+    const terminalValue = open ? (valuation ? valuation.marketValue : null) : 0;
+
+    if (open && (terminalValue === null || terminalValue === undefined)) {
+      results.set(book.key, { xirr: null, reason: "NO_PRICE", terminalValue: null, ...summarise(flows) });
+      return;
+    }
+    if (terminalValue > 0) flows.push({ date: terminalDate, amount: terminalValue });
+    const rate = xirr(flows);
+    results.set(book.key, {
+      xirr: rate,
+      reason: rate === null ? "NO_SOLUTION" : null,
+      terminalValue,
+      ...summarise(flows),
+    });
+  });
+
+  return results;
+}
+
+/**
+ * Client-level XIRR. Unpriced open holdings are valued at cost and counted
+ * in unpricedHoldings so the caller can flag the figure as approximate.
+ */
+function buildClientXirr(portfolio, valuations, { asOf = null } = {}) {
+  const terminalDate = asOf || today();
+
+  let holdingsValue = 0;
+  let unpricedHoldings = 0;
+  portfolio.books.forEach((book) => {
+    if (book.holdingQty <= EPSILON) return;
+    const valuation = valuations.get(book.key);
+    if (valuation && valuation.marketValue !== null) {
+      holdingsValue += valuation.marketValue;
+    } else {
+      holdingsValue += book.cost;
+      unpricedHoldings++;
+    }
+  });
+
+  const movements = clientCashMovements(portfolio);
+  const cashBalance = movements.reduce((sum, movement) => sum + movement.cash, 0);
+  const capitalFlows = movements
+    .filter((movement) => movement.external !== 0)
+    .map((movement) => ({ date: movement.date, amount: -movement.external }));
+
+  let flows;
+  let basis;
+  if (capitalFlows.length > 0) {
+    flows = [...capitalFlows, { date: terminalDate, amount: holdingsValue + cashBalance }];
+    basis = "CAPITAL_FLOWS";
+  } else {
+    const income = incomeByBook(portfolio);
+    flows = [];
+    portfolio.books.forEach((book) => {
+      flows.push(...securityFlows(book, income.get(book.key)));
+    });
+    flows.push({ date: terminalDate, amount: holdingsValue });
+    basis = "TRADES";
+  }
+
+  const rate = xirr(flows);
+  return {
+    xirr: rate,
+    basis,
+    asOf: terminalDate,
+    holdingsValue,
+    cashBalance: basis === "CAPITAL_FLOWS" ? cashBalance : null,
+    unpricedHoldings,
+    ...summarise(flows),
+  };
+}
+
+module.exports = {
+  xirr,
+  incomeByBook,
+  clientCashMovements,
+  buildSecurityXirr,
+  buildClientXirr,
+};
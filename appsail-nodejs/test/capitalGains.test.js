@@ -0,0 +1,142 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildEventStream } = require("../services/portfolioEvents");
+const { runLotEngine } = require("../services/lotEngine");
+const { isLongTerm, loadGrandfatherFmv, buildCapitalGains } = require("../services/capitalGains");
+const { createLocalStore, createLocalApp } = require("../services/localStore");
+
+let rowid = 0;
+const trade = (trandate, tranType, qty, rate, name = "Astral Ltd.") => ({
+  trandate,
+  tranType,
+  securityName: name,
+  securityCode: name === "Astral Ltd." ? "ASTRAL" : "INFY",
+  isin: name === "Astral Ltd." ? "INE006I01046" : "INE009A01021",
+  qty,
+  rate,
+  netrate: rate,
+  netAmount: qty * rate,
+  rowid: ++rowid,
+});
+
+const portfolioOf = (transactions, actions = {}) => {
+  const { events, securities } = buildEventStream({ transactions, ...actions });
+  return runLotEngine(events, securities);
+};
+
+const FY_2019 = { fromDate: "2019-04-01", toDate: "2020-03-31" };
+
+test("grandfathers pre-2018 lots at the 31-Jan-2018 price from PriceMaster", async () => {
+  const store = createLocalStore();
+  store.insert("PriceMaster", [
+    { ISIN: "INE006I01046", SecurityCode: "ASTRAL", PriceDate: "2018-01-30", ClosePrice: 140 },
+    { ISIN: "INE006I01046", SecurityCode: "ASTRAL", PriceDate: "2018-01-31", ClosePrice: 150 },
+    { ISIN: "INE006I01046", SecurityCode: "ASTRAL", PriceDate: "2018-02-01", ClosePrice: 160 },
+  ]);
+  const zcql = createLocalApp(store).zcql();
+
+  const portfolio = portfolioOf([
+    trade("2016-05-10", "BY-", 10, 100),
+    trade("2018-06-01", "BY-", 10, 120),
+    trade("2019-08-01", "SL+", 20, 200),
+  ]);
+  const fmvLookup = await loadGrandfatherFmv(zcql, portfolio.books);
+  const { rows, summary } = buildCapitalGains(portfolio, { ...FY_2019, fmvLookup });
+
+  const [old, recent] = rows;
+  assert.equal(old.grandfathered, true);
+  assert.equal(old.fmv31Jan2018, 150);
+  assert.equal(old.costOfAcquisition, 1500);
+  assert.equal(old.gain, 500);
+  // Bought after the cut-off: actual cost only
+  assert.equal(recent.grandfathered, false);
+  assert.equal(recent.costOfAcquisition, 1200);
+  assert.equal(summary.longTerm.gain, 1300);
+});
+
+test("grandfathering never raises cost above the sale value or lowers it below actual cost", () => {
+  const fmvLookup = () => 300;
+  const belowFmv = buildCapitalGains(
+    portfolioOf([trade("2017-01-02", "BY-", 10, 100), trade("2019-06-03", "SL+", 10, 250)]),
+    { ...FY_2019, fmvLookup }
+  ).rows[0];
+  assert.equal(belowFmv.costOfAcquisition, 2500);
+  assert.equal(belowFmv.gain, 0);
+
+  const aboveCost = buildCapitalGains(
+    portfolioOf([trade("2017-01-02", "BY-", 10, 400), trade("2019-06-03", "SL+", 10, 350)]),
+    { ...FY_2019, fmvLookup }
+  ).rows[0];
+  assert.equal(aboveCost.costOfAcquisition, 4000);
+  assert.equal(aboveCost.gain, -500);
+});
+
+test("without a 31-Jan-2018 price the actual cost stands", async () => {
+  const zcql = createLocalApp(createLocalStore()).zcql();
+  const portfolio = portfolioOf([trade("2016-05-10", "BY-", 10, 100), trade("2019-08-01", "SL+", 10, 200)]);
+  const fmvLookup = await loadGrandfatherFmv(zcql, portfolio.books);
+  const [row] = buildCapitalGains(portfolio, { ...FY_2019, fmvLookup }).rows;
+  assert.equal(row.grandfathered, false);
+  assert.equal(row.fmv31Jan2018, null);
+  assert.equal(row.gain, 1000);
+});
+
+test("sales before 1-Apr-2018 are not grandfathered", async () => {
+  const store = createLocalStore();
+  store.insert("PriceMaster", [
+    { ISIN: "INE006I01046", SecurityCode: "ASTRAL", PriceDate: "2018-01-31", ClosePrice: 150 },
+  ]);
+  const zcql = createLocalApp(store).zcql();
+  const portfolio = portfolioOf([trade("2016-05-10", "BY-", 10, 100), trade("2018-03-28", "SL+", 10, 200)]);
+  const fmvLookup = await loadGrandfatherFmv(zcql, portfolio.books);
+  const { rows, fmvBasis } = buildCapitalGains(portfolio, { fromDate: "2017-04-01", toDate: "2018-03-31", fmvLookup });
+  assert.equal(fmvLookup(portfolio.books.values().next().value), null);
+  assert.equal(rows[0].term, "LTCG");
+  assert.equal(rows[0].grandfathered, false);
+  assert.equal(rows[0].costOfAcquisition, 1000);
+  assert.match(fmvBasis, /Closing price/);
+});
+
+test("is long-term only after more than 12 months", () => {
+  assert.equal(isLongTerm("2022-03-15", "2023-03-15"), false);
+  assert.equal(isLongTerm("2022-03-15", "2023-03-16"), true);
+  assert.equal(isLongTerm("2024-02-29", "2025-02-28"), false);
+  assert.equal(isLongTerm("2024-02-29", "2025-03-01"), true);
+  assert.equal(isLongTerm(null, "2025-03-01"), false);
+});
+
+test("bonus shares are held from the ex-date at zero cost, and split lots keep their purchase date", () => {
+  const bonus = { companyName: "Astral Ltd.", securityCode: "ASTRAL", exDate: "2024-03-01", qty: 10, clientId: null };
+  const split = { ...bonus, exDate: "2024-06-03", ratioFrom: 1, ratioTo: 2, factor: 2 };
+  const portfolio = portfolioOf([trade("2023-01-02", "BY-", 10, 300), trade("2024-09-02", "SL+", 40, 200)], {
+    bonuses: [bonus],
+    splits: [split],
+  });
+  const { rows, summary } = buildCapitalGains(portfolio, { fromDate: "2024-04-01", toDate: "2025-03-31" });
+  assert.deepEqual(
+    rows.map((row) => [row.acquiredOn, row.lotSource, row.qty, row.costOfAcquisition, row.term]),
+    [
+      ["2023-01-02", "BUY", 20, 3000, "LTCG"],
+      ["2024-03-01", "BONUS", 20, 0, "STCG"],
+    ]
+  );
+  assert.equal(summary.longTerm.gain, 1000);
+  assert.equal(summary.shortTerm.gain, 4000);
+});
+
+test("an oversold quantity is reported as an unmatched short-term row at zero cost", () => {
+  const portfolio = portfolioOf([trade("2019-05-02", "BY-", 10, 100), trade("2020-01-15", "SL+", 12, 150)]);
+  const { rows, summary } = buildCapitalGains(portfolio, FY_2019);
+  assert.deepEqual(
+    rows.map((row) => [row.qty, row.costOfAcquisition, row.gain, row.term, row.unmatched]),
+    [
+      [2, 0, 300, "STCG", true],
+      [10, 1000, 500, "STCG", false],
+    ]
+  );
+  assert.equal(summary.unmatchedRows, 1);
+  assert.equal(summary.shortTerm.gain, 800);
+});
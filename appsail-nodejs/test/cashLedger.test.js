@@ -0,0 +1,36 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildCashLedger } = require("../services/cashLedger");
+
+let rowid = 0;
+const row = (tranType, netAmount, qty = netAmount) => ({
+  trandate: "2023-03-31",
+  tranType,
+  securityName: "CASH",
+  securityCode: "CASH",
+  qty,
+  rate: 1,
+  netAmount,
+  rowid: ++rowid,
+});
+
+test("a negative charge or income row is a reversal, not another charge", () => {
+  const entries = buildCashLedger([
+    row("CS+", 10000),
+    row("MGF", 2134.59),
+    row("E01", -1.5),
+    row("DI0", 300),
+    row("DI0", -300),
+    row("CS-", -2000),
+    row("TDI", 233),
+    row("TDO", -233),
+  ]);
+  assert.deepEqual(
+    entries.map((entry) => entry.cash),
+    [10000, -2134.59, 1.5, 300, -300, -2000, -233, 233]
+  );
+  assert.equal(Math.round(entries[entries.length - 1].balance * 100) / 100, 5866.91);
+});
@@ -0,0 +1,115 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const { createLocalStore, createLocalApp } = require("../services/localStore");
+const { ZCQL_MAX_ROWS, ZcqlError } = require("../services/localZcql");
+const { select } = require("../services/queryBuilder");
+
+const seeded = () => {
+  const store = createLocalStore();
+  store.insert("Transaction", [
+    { WS_client_id: 7, Security_Name: "Astral Ltd.", ISIN: "INE006I01046", Tran_Type: "BY-", QTY: 10, TRANDATE: "2023-01-05" },
+    { WS_client_id: 7, Security_Name: "Astral Ltd.", ISIN: "INE006I01046", Tran_Type: "SL+", QTY: 4, TRANDATE: "2023-03-01" },
+    { WS_client_id: 12, Security_Name: "Infosys Ltd", ISIN: "INE009A01021", Tran_Type: "BY-", QTY: 25, TRANDATE: "2022-11-20" },
+    { WS_client_id: 12, Security_Name: "Bharti Airtel", ISIN: null, Tran_Type: "BY-", QTY: 3, TRANDATE: "2023-02-10" },
+  ]);
+  return store;
+};
+
+const values = (rows, table, column) => rows.map((row) => row[table][column]);
+
+test("answers the query builder's own SQL", () => {
+  const store = seeded();
+  const query = select("Transaction")
+    .column("ROWID")
+    .where("WS_client_id", "=", 7)
+    .where("TRANDATE", "<=", "2023-12-31")
+    .orderBy("TRANDATE", "DESC");
+  assert.deepEqual(values(store.query(query.toString()), "Transaction", "ROWID"), ["2", "1"]);
+
+  const holders = select("Transaction")
+    .distinct()
+    .column("WS_client_id")
+    .whereAny((any) => {
+      any.where("Security_Name", "=", "Astral Ltd.");
+      any.where("ISIN", "=", "INE009A01021");
+    })
+    .orderBy("WS_client_id");
+  assert.deepEqual(store.query(holders.toString()), [{ Transaction: { WS_client_id: 7 } }, { Transaction: { WS_client_id: 12 } }]);
+});
+
+test("supports LIKE, IN, IS NULL, GROUP BY and aggregates", () => {
+  const store = seeded();
+  const run = (sql) => store.query(sql);
+
+  assert.deepEqual(values(run("SELECT ROWID FROM Transaction WHERE Security_Name LIKE '*ltd*'"), "Transaction", "ROWID"), ["1", "2", "3"]);
+  assert.deepEqual(values(run("SELECT ROWID FROM Transaction WHERE WS_client_id IN (12, 99) AND ISIN IS NULL"), "Transaction", "ROWID"), ["4"]);
+  assert.deepEqual(run("SELECT COUNT(ROWID) FROM Transaction"), [{ Transaction: { "COUNT(ROWID)": 4 } }]);
+  assert.deepEqual(
+    run("SELECT WS_client_id, SUM(QTY) AS total FROM Transaction WHERE Tran_Type = 'BY-' GROUP BY WS_client_id ORDER BY total DESC"),
+    [{ Transaction: { WS_client_id: 12, total: 28 } }, { Transaction: { WS_client_id: 7, total: 10 } }]
+  );
+});
+
+test("caps unbounded reads like ZCQL and rejects what it cannot parse", () => {
+  const store = createLocalStore();
+  store.insert("Bonus", Array.from({ length: ZCQL_MAX_ROWS + 5 }, (_, i) => ({ BonusShare: i })));
+  assert.equal(store.query("SELECT * FROM Bonus").length, ZCQL_MAX_ROWS);
+  assert.equal(store.query("SELECT * FROM Bonus LIMIT 10 OFFSET 300").length, 5);
+  assert.equal(store.query("SELECT * FROM Bonus", { maxRows: Infinity }).length, ZCQL_MAX_ROWS + 5);
+  assert.deepEqual(store.query("SELECT * FROM Missing"), []);
+
+  assert.throws(() => store.query("DELETE FROM Bonus"), ZcqlError);
+  assert.throws(() => store.query("SELECT * FROM Bonus WHERE"), (err) => err instanceof ZcqlError && err.statusCode === 400);
+});
+
+test("inserts, updates and removes rows with Catalyst system columns", () => {
+  const store = createLocalStore();
+  const [row] = store.insert("Split", [{ CompanyName: "Astral Ltd.", Ratio: 2 }]);
+  assert.equal(row.ROWID, "1");
+  assert.ok(row.CREATEDTIME && row.MODIFIEDTIME && row.CREATORID);
+
+  const [updated] = store.update("Split", [{ ROWID: row.ROWID, Ratio: 5 }]);
+  assert.equal(updated.Ratio, 5);
+  assert.equal(updated.CompanyName, "Astral Ltd.");
+  assert.throws(() => store.update("Split", [{ ROWID: "404", Ratio: 1 }]), (err) => err.statusCode === 404);
+
+  assert.equal(store.remove("Split", [row.ROWID, "404"]), 1);
+  assert.equal(store.get("Split", row.ROWID), null);
+});
+
+test("saves to and reloads from its data file", () => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "local-store-")), "data.json");
+  try {
+    const store = createLocalStore({ file });
+    store.insert("clientIds", [{ clientId: 7, ws_account_code: "WS007" }]);
+    store.flush();
+
+    const reloaded = createLocalStore({ file });
+    assert.equal(reloaded.get("clientIds", "1").ws_account_code, "WS007");
+    assert.equal(reloaded.insert("clientIds", [{ clientId: 8 }])[0].ROWID, "2");
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
+
+test("local apps expose the Catalyst zcql and datastore calls", async () => {
+  const store = createLocalStore();
+  const app = createLocalApp(store);
+  const table = app.datastore().table("Bonus");
+
+  const inserted = await table.insertRows([{ ClientId: 7, BonusShare: 1 }, { ClientId: 12, BonusShare: 2 }]);
+  await table.updateRow({ ROWID: inserted[1].ROWID, BonusShare: 3 });
+  assert.equal(await table.deleteRow(inserted[0].ROWID), true);
+
+  const rows = await app.zcql().executeZCQLQuery("SELECT ClientId, BonusShare FROM Bonus", []);
+  assert.deepEqual(rows, [{ Bonus: { ClientId: 12, BonusShare: 3 } }]);
+  await assert.rejects(table.getRow(inserted[0].ROWID), (err) => err.statusCode === 404);
+  assert.equal(app.zcql(), app.zcql());
+  assert.equal(await app.userManagement().getCurrentUser(), null);
+});
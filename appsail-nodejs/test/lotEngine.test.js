@@ -0,0 +1,153 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildEventStream } = require("../services/portfolioEvents");
+const { runLotEngine } = require("../services/lotEngine");
+
+let rowid = 0;
+const trade = (trandate, tranType, qty, rate) => ({
+  trandate,
+  tranType,
+  securityName: "Astral Ltd.",
+  securityCode: "ASTRAL",
+  isin: "INE006I01046",
+  qty,
+  rate,
+  netrate: rate,
+  netAmount: Math.abs(qty) * rate,
+  rowid: ++rowid,
+});
+
+const replay = (transactions, actions = {}) => {
+  const { events, securities } = buildEventStream({ transactions, ...actions });
+  const { books, warnings } = runLotEngine(events, securities);
+  return { book: books.values().next().value, warnings };
+};
+
+test("an unknown Tran_Type with a quantity moves the position by the sign of QTY and warns", () => {
+  const { book, warnings } = replay([
+    trade("2024-01-10", "BY-", 100, 10),
+    trade("2024-02-10", "TRF", -30, 12),
+    trade("2024-03-10", "", 5, 11),
+    trade("2024-04-10", "DI0", 100, 2),
+  ]);
+  assert.equal(book.holdingQty, 75);
+  assert.equal(book.sellQty, 30);
+  assert.deepEqual(
+    warnings.map((w) => [w.type, w.qty, w.message]),
+    [
+      ["INFERRED_SIDE", 30, 'Tran_Type "TRF" is not recognised; treated as a sell of 30 from the sign of QTY'],
+      ["INFERRED_SIDE", 5, "Tran_Type is empty; treated as a buy of 5 from the sign of QTY"],
+    ]
+  );
+});
+
+const bonus = (exDate, qty) => ({ companyName: "Astral Ltd.", securityCode: "ASTRAL", exDate, qty, clientId: null });
+const split = (exDate, ratioFrom, ratioTo) => ({
+  companyName: "Astral Ltd.",
+  securityCode: "ASTRAL",
+  exDate,
+  ratioFrom,
+  ratioTo,
+  factor: ratioTo / ratioFrom,
+  clientId: null,
+});
+
+test("bonuses add zero-cost lots and splits rescale lots without changing cost", () => {
+  const { book, warnings } = replay([trade("2023-01-10", "BY-", 100, 200)], {
+    bonuses: [bonus("2023-03-01", 100)],
+    splits: [split("2023-06-01", 1, 5)],
+  });
+  assert.deepEqual(warnings, []);
+  assert.equal(book.holdingQty, 1000);
+  assert.equal(book.cost, 20000);
+  assert.equal(book.avgCost, 20);
+  assert.deepEqual(
+    book.lots.map((lot) => [lot.qty, lot.unitCost, lot.acquiredOn, lot.source]),
+    [
+      [500, 40, "2023-01-10", "BUY"],
+      [500, 0, "2023-03-01", "BONUS"],
+    ]
+  );
+});
+
+test("sells after a bonus and split consume the rescaled lots oldest first", () => {
+  const { book } = replay([trade("2023-01-10", "BY-", 100, 200), trade("2023-09-01", "SL+", 600, 50)], {
+    bonuses: [bonus("2023-03-01", 100)],
+    splits: [split("2023-06-01", 1, 5)],
+  });
+  const sell = book.entries[book.entries.length - 1];
+  assert.deepEqual(
+    sell.matchedLots.map((lot) => [lot.qty, lot.unitCost, lot.source]),
+    [
+      [500, 40, "BUY"],
+      [100, 0, "BONUS"],
+    ]
+  );
+  assert.equal(sell.costOfSold, 20000);
+  assert.equal(sell.profitLoss, 10000);
+  assert.equal(book.holdingQty, 400);
+  assert.equal(book.cost, 0);
+});
+
+test("a bonus on the day of a buy applies after the buy", () => {
+  const { book } = replay([trade("2023-03-01", "BY-", 10, 100)], { bonuses: [bonus("2023-03-01", 10)] });
+  assert.equal(book.holdingQty, 20);
+  assert.equal(book.avgCost, 50);
+});
+
+test("an oversell matches what is held, warns, and leaves the book empty", () => {
+  const { book, warnings } = replay([trade("2023-01-10", "BY-", 10, 100), trade("2023-02-10", "SL+", 15, 120)]);
+  const sell = book.entries[book.entries.length - 1];
+  assert.equal(sell.unmatchedQty, 5);
+  assert.equal(sell.costOfSold, 1000);
+  assert.equal(sell.profitLoss, 800);
+  assert.equal(book.holdingQty, 0);
+  assert.equal(book.lots.length, 0);
+  assert.deepEqual(
+    warnings.map((w) => [w.type, w.qty, w.date, w.message]),
+    [["OVERSELL", 5, "2023-02-10", "Sell of 15 exceeds holding of 10; 5 shares matched at zero cost"]]
+  );
+
+  // A later buy starts a fresh lot rather than paying back the shortfall
+  const { book: rebought } = replay([
+    trade("2023-01-10", "BY-", 10, 100),
+    trade("2023-02-10", "SL+", 15, 120),
+    trade("2023-03-10", "BY-", 4, 90),
+  ]);
+  assert.equal(rebought.holdingQty, 4);
+  assert.equal(rebought.cost, 360);
+});
+
+test("trades on a split ex-date are already post-split", () => {
+  const { book, warnings } = replay(
+    [
+      trade("2023-01-10", "BY-", 100, 200),
+      trade("2023-06-01", "BY-", 50, 40),
+      trade("2023-06-01", "SL+", 520, 45),
+    ],
+    { splits: [split("2023-06-01", 1, 5)] }
+  );
+  assert.deepEqual(warnings, []);
+  assert.deepEqual(
+    book.entries.map((entry) => [entry.event.kind, entry.holdingAfter]),
+    [
+      ["trade", 100],
+      ["split", 500],
+      ["trade", 550],
+      ["trade", 30],
+    ]
+  );
+  const sell = book.entries[3];
+  assert.deepEqual(
+    sell.matchedLots.map((lot) => [lot.qty, lot.unitCost]),
+    [
+      [500, 40],
+      [20, 40],
+    ]
+  );
+  assert.equal(sell.profitLoss, 520 * 45 - 520 * 40);
+  assert.deepEqual(book.lots.map((lot) => [lot.qty, lot.unitCost, lot.acquiredOn]), [[30, 40, "2023-06-01"]]);
+});
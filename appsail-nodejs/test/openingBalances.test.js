@@ -0,0 +1,41 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx");
+
+const { parseOpeningBalanceFile, validateOpeningBalance } = require("../services/openingBalances");
+
+test("reads acquisition dates from CSV text and xlsx date cells", () => {
+  const csv = Buffer.from(
+    "Client ID,ISIN,Qty,Total Cost,Acquisition Date\n" +
+      "8800001,INE670A01012,100,\"12,500\",2020-01-15\n" +
+      "8800001,INE009A01021,10,9000,15-01-2020\n"
+  );
+  const fromCsv = parseOpeningBalanceFile(csv);
+  assert.deepEqual(fromCsv.errors, []);
+  assert.deepEqual(fromCsv.balances.map((b) => [b.isin, b.cost, b.acquiredOn]), [
+    ["INE670A01012", 12500, "2020-01-15"],
+    ["INE009A01021", 9000, "2020-01-15"],
+  ]);
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet([
+      ["Client ID", "ISIN", "Qty", "Unit Cost", "Acquisition Date"],
+      [8800001, "INE670A01012", 100, 125, new Date(2020, 0, 15)],
+    ]),
+    "Opening"
+  );
+  const fromXlsx = parseOpeningBalanceFile(XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }));
+  assert.deepEqual(fromXlsx.errors, []);
+  assert.equal(fromXlsx.balances[0].acquiredOn, "2020-01-15");
+  assert.equal(fromXlsx.balances[0].cost, 12500);
+});
+
+test("rejects dates it cannot read", () => {
+  const input = { clientId: "8800001", isin: "INE670A01012", qty: 1, cost: 1 };
+  assert.equal(validateOpeningBalance({ ...input, acquiredOn: "2020-02-30" }).error, 'Acquisition date "2020-02-30" is not a date');
+  assert.equal(validateOpeningBalance(input).error, "Acquisition date is missing");
+});
@@ -0,0 +1,100 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildEventStream } = require("../services/portfolioEvents");
+const { runLotEngine } = require("../services/lotEngine");
+const { buildValuationSeries, buildReturns } = require("../services/performance");
+const { createLocalStore, createLocalApp } = require("../services/localStore");
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} is not ${expected}`);
+
+let rowid = 0;
+const row = (trandate, tranType, qty, rate, name = "Astral Ltd.") => ({
+  trandate,
+  tranType,
+  securityName: name,
+  securityCode: name === "CASH" ? "CASH" : "ASTRAL",
+  isin: name === "CASH" ? "" : "INE006I01046",
+  qty,
+  rate,
+  netrate: rate,
+  netAmount: qty * rate,
+  rowid: ++rowid,
+});
+const deposit = (trandate, amount) => row(trandate, "CS+", amount, 1, "CASH");
+
+const portfolioOf = (transactions) => {
+  const { events, securities } = buildEventStream({ transactions });
+  return { transactions, events, ...runLotEngine(events, securities) };
+};
+
+// Astral closes 100, then 10% up on each of the next two days
+const zcqlWithPrices = () => {
+  const store = createLocalStore();
+  store.insert("PriceMaster", [
+    { ISIN: "INE006I01046", SecurityCode: "ASTRAL", PriceDate: "2024-01-30", ClosePrice: 100 },
+    { ISIN: "INE006I01046", SecurityCode: "ASTRAL", PriceDate: "2024-01-31", ClosePrice: 110 },
+    { ISIN: "INE006I01046", SecurityCode: "ASTRAL", PriceDate: "2024-02-01", ClosePrice: 121 },
+  ]);
+  return createLocalApp(store).zcql();
+};
+
+test("buys do not move the time-weighted return of a client without deposits", async () => {
+  const portfolio = portfolioOf([row("2024-01-30", "BY-", 10, 100), row("2024-02-01", "BY-", 10, 121)]);
+  const { basis, series, unpricedSecurities } = await buildValuationSeries(zcqlWithPrices(), portfolio, {
+    asOf: "2024-02-01",
+  });
+  assert.equal(basis, "TRADES");
+  assert.deepEqual(unpricedSecurities, []);
+  assert.deepEqual(
+    series.map((point) => [point.date, point.value, point.flow]),
+    [
+      ["2024-01-30", 1000, 1000],
+      ["2024-01-31", 1100, 0],
+      ["2024-02-01", 2420, 1210],
+    ]
+  );
+  near(series[2].index, 1.21);
+});
+
+test("deposits and withdrawals are the only flows once the client has them", async () => {
+  const portfolio = portfolioOf([
+    deposit("2024-01-30", 1500),
+    row("2024-01-30", "BY-", 10, 100),
+    deposit("2024-02-01", 500),
+  ]);
+  const { basis, series } = await buildValuationSeries(zcqlWithPrices(), portfolio, { asOf: "2024-02-01" });
+  assert.equal(basis, "CAPITAL_FLOWS");
+  // Cash left over from the first deposit earns nothing and dilutes the return
+  assert.deepEqual(
+    series.map((point) => [point.value, point.flow]),
+    [
+      [1500, 1500],
+      [1600, 0],
+      [2210, 500],
+    ]
+  );
+  near(series[1].dailyReturn, 100 / 1500);
+  near(series[2].dailyReturn, 110 / 1600);
+  near(series[2].index, (1600 / 1500) * (1710 / 1600));
+});
+
+test("period returns chain from the close before the period starts", async () => {
+  const portfolio = portfolioOf([row("2024-01-30", "BY-", 10, 100)]);
+  const { series } = await buildValuationSeries(zcqlWithPrices(), portfolio, { asOf: "2024-02-01" });
+  const returns = buildReturns(series, "2024-02-01");
+  near(returns.sinceInception, 0.21);
+  near(returns.ytd, 0.21);
+  near(returns.qtd, 0.21);
+  near(returns.mtd, 0.1);
+  assert.equal(returns.inceptionDate, "2024-01-30");
+  assert.deepEqual(buildReturns([], "2024-02-01"), {
+    mtd: null,
+    qtd: null,
+    ytd: null,
+    sinceInception: null,
+    inceptionDate: null,
+  });
+});
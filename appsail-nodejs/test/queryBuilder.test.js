@@ -0,0 +1,146 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { QueryError, MAX_LIMIT, hasTable, isRowId, select } = require("../services/queryBuilder");
+
+const rejects = (build, pattern) => assert.throws(build, (err) => err instanceof QueryError && pattern.test(err.message));
+
+test("renders a filtered, ordered page with qualified columns", () => {
+  const sql = select("Transaction")
+    .where("WS_client_id", "=", "8800001")
+    .where("TRANDATE", "<=", "2024-03-31")
+    .whereNotNull("ISIN")
+    .orderBy("TRANDATE", "desc")
+    .limit(50)
+    .offset(100)
+    .toString();
+  assert.equal(
+    sql,
+    "SELECT * FROM Transaction WHERE Transaction.WS_client_id = 8800001 AND Transaction.TRANDATE <= '2024-03-31' " +
+      "AND Transaction.ISIN IS NOT NULL ORDER BY Transaction.TRANDATE DESC LIMIT 50 OFFSET 100"
+  );
+});
+
+test("renders aggregates with aliases and orders by an aggregate alias", () => {
+  const sql = select("Transaction")
+    .column("Security_Name", "_id")
+    .count("ROWID", "tradeCount")
+    .sum("Net_Amount", "totalValue")
+    .groupBy("Security_Name")
+    .orderBy("totalValue", "DESC")
+    .limit(10)
+    .toString();
+  assert.equal(
+    sql,
+    "SELECT Transaction.Security_Name AS _id, COUNT(Transaction.ROWID) AS tradeCount, SUM(Transaction.Net_Amount) AS totalValue " +
+      "FROM Transaction GROUP BY Transaction.Security_Name ORDER BY SUM(Transaction.Net_Amount) DESC LIMIT 10"
+  );
+});
+
+test("nests OR and AND groups", () => {
+  const sql = select("Transaction")
+    .distinct()
+    .column("WS_client_id")
+    .whereAny((any) =>
+      any
+        .whereAll((all) => all.where("Security_Name", "=", "Astral Ltd.").where("Security_code", "=", "ASTRAL"))
+        .where("ISIN", "=", "INE006I01046")
+    )
+    .toString();
+  assert.equal(
+    sql,
+    "SELECT DISTINCT Transaction.WS_client_id FROM Transaction WHERE ((Transaction.Security_Name = 'Astral Ltd.' " +
+      "AND Transaction.Security_code = 'ASTRAL') OR Transaction.ISIN = 'INE006I01046')"
+  );
+});
+
+test("page() renders LIMIT/OFFSET for each page of the same query", () => {
+  const query = select("clientIds").whereNotNull("ws_account_code");
+  assert.equal(query.page(250, 0), "SELECT * FROM clientIds WHERE clientIds.ws_account_code IS NOT NULL LIMIT 250 OFFSET 0");
+  assert.equal(query.page(250, 500), "SELECT * FROM clientIds WHERE clientIds.ws_account_code IS NOT NULL LIMIT 250 OFFSET 500");
+});
+
+test("an empty numeric IN list matches nobody", () => {
+  assert.equal(
+    select("Transaction").whereIn("WS_client_id", []).toString(),
+    "SELECT * FROM Transaction WHERE Transaction.WS_client_id IN (-1)"
+  );
+  rejects(() => select("Transaction").whereIn("ISIN", []), /needs at least one value/);
+});
+
+test("doubles single quotes so text cannot close the literal", () => {
+  const sql = select("Transaction").where("Security_Name", "=", "x' OR '1'='1").toString();
+  assert.equal(sql, "SELECT * FROM Transaction WHERE Transaction.Security_Name = 'x'' OR ''1''=''1'");
+});
+
+test("rejects backslashes and control characters in text values", () => {
+  rejects(() => select("Transaction").where("Security_Name", "=", "x\\' OR 1=1 --"), /not allowed/);
+  rejects(() => select("clientIds").where("ws_account_code", "=", "A1\u0000"), /not allowed/);
+  rejects(() => select("clientIds").where("ws_account_code", "=", "A1\n; DELETE FROM clientIds"), /not allowed/);
+});
+
+test("rejects non-numeric values for numeric columns", () => {
+  rejects(() => select("Transaction").where("WS_client_id", "=", "1 OR 1=1"), /must be a number/);
+  rejects(() => select("Transaction").where("WS_client_id", "=", "8800001; DROP TABLE Transaction"), /must be a number/);
+  rejects(() => select("Transaction").where("ROWID", "=", Number.NaN), /must be a number/);
+  rejects(() => select("Transaction").whereIn("WS_client_id", [1, "2) OR (1=1"]), /must be a number/);
+});
+
+test("rejects malformed and impossible dates", () => {
+  rejects(() => select("Transaction").where("TRANDATE", ">=", "2024-01-01' OR '1'='1"), /YYYY-MM-DD/);
+  rejects(() => select("Transaction").where("TRANDATE", ">=", "2024-02-30"), /YYYY-MM-DD/);
+  rejects(() => select("Bonus").where("ExDate", "=", "yesterday"), /YYYY-MM-DD/);
+});
+
+test("rejects tables and columns outside the schema", () => {
+  assert.equal(hasTable("Transaction"), true);
+  assert.equal(hasTable("AppUser"), false);
+  assert.equal(hasTable("__proto__"), false);
+  rejects(() => select("Transaction; DROP TABLE Bonus"), /Unknown table/);
+  rejects(() => select("Transaction").where("WS_client_id = 1 OR 1", "=", 1), /Unknown column/);
+  rejects(() => select("Transaction").whereNotNull("PasswordHash"), /Unknown column/);
+  rejects(() => select("Transaction").orderBy("TRANDATE; --"), /Unknown column/);
+  rejects(() => select("Transaction").column("constructor"), /Unknown column/);
+});
+
+test("queries the app's own tables without exposing them as stock tables", () => {
+  assert.equal(hasTable("AppUser"), false);
+  assert.equal(hasTable("AuditLog"), false);
+  assert.equal(
+    select("AppUser").where("Email", "=", "o'neil@example.com").toString(),
+    "SELECT * FROM AppUser WHERE AppUser.Email = 'o''neil@example.com'"
+  );
+  assert.equal(
+    select("AuditLog").where("CreatedAt", ">=", "2025-04-01 00:00:00").orderBy("CreatedAt", "DESC").page(51, 50),
+    "SELECT * FROM AuditLog WHERE AuditLog.CreatedAt >= '2025-04-01 00:00:00' ORDER BY AuditLog.CreatedAt DESC LIMIT 51 OFFSET 50"
+  );
+  rejects(() => select("AuditLog").where("CreatedAt", ">=", "2025-04-01' OR '1'='1"), /YYYY-MM-DD/);
+  rejects(() => select("AppUser").where("Password", "=", "x"), /Unknown column/);
+});
+
+test("recognises ROWIDs", () => {
+  assert.equal(isRowId("3245000000012345"), true);
+  assert.equal(isRowId(" 42 "), true);
+  ["", null, "12a", "1 OR 1=1", "-1", "1.5"].forEach((value) => assert.equal(isRowId(value), false, String(value)));
+});
+
+test("rejects unknown operators, directions and aliases", () => {
+  rejects(() => select("Transaction").where("QTY", "= 1 OR 1 =", 1), /Unsupported operator/);
+  rejects(() => select("Transaction").where("QTY", "LIKE", "1%"), /LIKE needs a text column/);
+  rejects(() => select("Transaction").orderBy("TRANDATE", "DESC; DROP TABLE Transaction"), /sort direction/);
+  rejects(() => select("Transaction").count("ROWID", "n FROM Bonus --"), /Invalid alias/);
+});
+
+test("rejects null values instead of rendering = NULL", () => {
+  rejects(() => select("Transaction").where("ISIN", "=", null), /whereNull/);
+});
+
+test("caps LIMIT at the ZCQL maximum and requires integer offsets", () => {
+  assert.equal(select("Bonus").limit(MAX_LIMIT).toString(), `SELECT * FROM Bonus LIMIT ${MAX_LIMIT}`);
+  rejects(() => select("Bonus").limit(MAX_LIMIT + 1), /LIMIT must be between/);
+  rejects(() => select("Bonus").limit(0), /LIMIT must be between/);
+  rejects(() => select("Bonus").offset(-1), /OFFSET/);
+  rejects(() => select("Bonus").page(250, "0; DROP TABLE Bonus"), /OFFSET/);
+});
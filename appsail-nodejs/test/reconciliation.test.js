@@ -0,0 +1,59 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const XLSX = require("xlsx");
+
+const { parseCustodianFile } = require("../services/reconciliation");
+
+const xlsxBuffer = (rows, bookType = "xlsx") => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), "Holdings");
+  return XLSX.write(workbook, { type: "buffer", bookType });
+};
+
+test("reads ISO and day-first as-of dates from a CSV statement", () => {
+  const csv = Buffer.from(
+    "Client ID,ISIN,Qty,As of date\n" +
+      "8800001,INE670A01012,82,2025-12-31\n" +
+      "8800002,INE670A01012,\"1,250\",31-12-2025\n" +
+      "8800003,INE670A01012,5,31-Dec-2025\n"
+  );
+  const { positions, errors } = parseCustodianFile(csv);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(
+    positions.map((p) => [p.clientId, p.qty, p.asOfDate]),
+    [
+      [8800001, 82, "2025-12-31"],
+      [8800002, 1250, "2025-12-31"],
+      [8800003, 5, "2025-12-31"],
+    ]
+  );
+});
+
+test("reads xlsx and xls date cells as the calendar date, whatever their display format", () => {
+  const sheet = [
+    ["Client ID", "ISIN", "Qty", "As of date"],
+    [8800001, "INE670A01012", 82, new Date(2025, 11, 31)],
+    [8800002, "INE670A01012", 10, new Date(2024, 1, 29)],
+  ];
+  ["xlsx", "xls"].forEach((bookType) => {
+    const { positions, errors } = parseCustodianFile(xlsxBuffer(sheet, bookType));
+    assert.deepEqual(errors, [], bookType);
+    assert.deepEqual(positions.map((p) => p.asOfDate), ["2025-12-31", "2024-02-29"], bookType);
+  });
+
+  const formatted = XLSX.utils.aoa_to_sheet(sheet);
+  formatted.D2.z = "dd/mm/yyyy";
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, formatted, "Holdings");
+  const { positions } = parseCustodianFile(XLSX.write(workbook, { type: "buffer", bookType: "xlsx" }));
+  assert.equal(positions[0].asOfDate, "2025-12-31");
+});
+
+test("falls back to the default as-of date and reports rows it cannot use", () => {
+  const csv = Buffer.from("UCC,ISIN,Quantity,Date\n8800001,INE670A01012,82,\n8800002,INE670A01012,4,12/31/25\n");
+  const { positions, errors } = parseCustodianFile(csv, { defaultAsOfDate: "2025-06-30" });
+  assert.deepEqual(positions.map((p) => p.asOfDate), ["2025-06-30"]);
+  assert.deepEqual(errors, [{ row: 3, message: 'As-of date "12/31/25" is not a date' }]);
+});
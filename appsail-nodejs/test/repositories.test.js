@@ -0,0 +1,100 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { repositoriesFor } = require("../services/repositories");
+const { createLocalStore, createLocalApp } = require("../services/localStore");
+const { QueryError } = require("../services/queryBuilder");
+
+// A Catalyst app stand-in: ZCQL over in-memory Bonus rows, plus a datastore
+// that records every write call
+const fakeCatalystApp = (bonusRows) => {
+  const writes = [];
+  const zcql = {
+    async executeZCQLQuery(sql) {
+      const [, limit, offset] = sql.match(/LIMIT (\d+) OFFSET (\d+)/).map(Number);
+      return bonusRows.slice(offset, offset + limit).map((row) => ({ Bonus: row }));
+    },
+  };
+  const table = (name) => ({
+    insertRows: async (rows) => {
+      writes.push({ name, op: "insert", size: rows.length });
+      return rows.map((row, i) => ({ ...row, ROWID: String(i + 1) }));
+    },
+    updateRows: async (rows) => writes.push({ name, op: "update", size: rows.length }),
+    deleteRows: async (ids) => writes.push({ name, op: "delete", size: ids.length }),
+  });
+  return { writes, zcql: () => zcql, datastore: () => ({ table }) };
+};
+
+test("memory repositories read and write the local store", async () => {
+  const app = createLocalApp(createLocalStore());
+  const { transactions, clientIds } = repositoriesFor(app);
+
+  const rows = Array.from({ length: 450 }, (_, i) => ({ WS_client_id: i % 3, QTY: i }));
+  const inserted = await transactions.insert(rows);
+  assert.equal(inserted.length, 450);
+
+  // No 300-row ZCQL cap and no { Transaction: ... } wrapper
+  const client0 = await transactions.find(transactions.select().where("WS_client_id", "=", 0).orderBy("ROWID"));
+  assert.equal(client0.length, 150);
+  assert.equal(client0[0].QTY, 0);
+
+  let seen = 0;
+  for await (const row of transactions.iterate(transactions.select().where("WS_client_id", "=", 1))) {
+    assert.equal(row.WS_client_id, 1);
+    seen++;
+  }
+  assert.equal(seen, 150);
+
+  await transactions.update([{ ROWID: inserted[0].ROWID, QTY: 99 }]);
+  await transactions.remove(inserted.slice(1).map((row) => row.ROWID));
+  assert.deepEqual(
+    (await transactions.find(transactions.select())).map((row) => row.QTY),
+    [99]
+  );
+
+  await clientIds.insert([{ clientId: 7, ws_account_code: "WS007" }]);
+  const found = await clientIds.findOne(clientIds.select().where("ws_account_code", "=", "WS007"));
+  assert.equal(found.clientId, 7);
+  assert.equal(await clientIds.findOne(clientIds.select().where("ws_account_code", "=", "nope")), null);
+});
+
+test("an app and its zcql handle share memory repositories", () => {
+  const app = createLocalApp(createLocalStore());
+  assert.equal(repositoriesFor(app), repositoriesFor(app));
+  assert.equal(repositoriesFor(app.zcql()).bonuses.table, "Bonus");
+});
+
+test("repositories only take queries on their own table", async () => {
+  const { bonuses, transactions } = repositoriesFor(createLocalApp(createLocalStore()));
+  await assert.rejects(bonuses.find(transactions.select()), QueryError);
+  await assert.rejects(bonuses.find("SELECT * FROM Bonus"), QueryError);
+});
+
+test("catalyst repositories page reads, unwrap rows and write in batches of 200", async () => {
+  const bonusRows = Array.from({ length: 350 }, (_, i) => ({ ROWID: String(i + 1), ClientId: i }));
+  const app = fakeCatalystApp(bonusRows);
+  const { bonuses, transactions } = repositoriesFor(app);
+
+  const rows = await bonuses.find(bonuses.select().orderBy("ROWID"));
+  assert.equal(rows.length, 350);
+  assert.deepEqual(rows[349], { ROWID: "350", ClientId: 349 });
+  assert.deepEqual(await bonuses.findOne(bonuses.select()), { ROWID: "1", ClientId: 0 });
+
+  const inserted = await transactions.insert(Array.from({ length: 450 }, () => ({ QTY: 1 })));
+  assert.equal(inserted.length, 450);
+  await transactions.remove(["1", "2"]);
+  assert.deepEqual(
+    app.writes.map((w) => `${w.name} ${w.op} ${w.size}`),
+    ["Transaction insert 200", "Transaction insert 200", "Transaction insert 50", "Transaction delete 2"]
+  );
+});
+
+test("catalyst repositories built from a zcql handle can read but not write", async () => {
+  const app = fakeCatalystApp([{ ROWID: "1" }]);
+  const { bonuses } = repositoriesFor(app.zcql());
+  assert.deepEqual(await bonuses.find(bonuses.select()), [{ ROWID: "1" }]);
+  await assert.rejects(bonuses.insert([{ ClientId: 1 }]), /needs the Catalyst app/);
+});
@@ -0,0 +1,111 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { RowBudgetError, setRowBudget, isTransientError, iterateRows, fetchRows } = require("../services/rowFetcher");
+const { select } = require("../services/queryBuilder");
+
+// A zcql stand-in over `total` numbered rows that records every query and
+// can fail chosen offsets a set number of times
+const fakeZcql = (total, { failures = {} } = {}) => {
+  const queries = [];
+  let inFlight = 0;
+  const zcql = {
+    queries,
+    maxInFlight: 0,
+    async executeZCQLQuery(sql) {
+      queries.push(sql);
+      const [, limit, offset] = sql.match(/LIMIT (\d+) OFFSET (\d+)/).map(Number);
+      inFlight++;
+      zcql.maxInFlight = Math.max(zcql.maxInFlight, inFlight);
+      await new Promise((resolve) => setImmediate(resolve));
+      inFlight--;
+      if (failures[offset] && failures[offset].count-- > 0) throw failures[offset].error;
+      const rows = [];
+      for (let id = offset; id < Math.min(offset + limit, total); id++) rows.push({ Bonus: { ROWID: id } });
+      return rows;
+    },
+  };
+  return zcql;
+};
+
+const ids = (rows) => rows.map((row) => row.Bonus.ROWID);
+const range = (n) => Array.from({ length: n }, (_, i) => i);
+
+test("reads every page in order and stops at the first short page", async () => {
+  const zcql = fakeZcql(23);
+  const rows = await fetchRows(zcql, select("Bonus").orderBy("ROWID"), { pageSize: 5, concurrency: 2 });
+  assert.deepEqual(ids(rows), range(23));
+  assert.equal(zcql.queries[0], "SELECT * FROM Bonus ORDER BY Bonus.ROWID ASC LIMIT 5 OFFSET 0");
+  assert.equal(zcql.queries.length, 5);
+});
+
+test("fetches the first page alone, then up to `concurrency` pages at once", async () => {
+  const zcql = fakeZcql(5);
+  await fetchRows(zcql, select("Bonus"), { pageSize: 10, concurrency: 4 });
+  assert.equal(zcql.queries.length, 1);
+
+  const big = fakeZcql(100);
+  const rows = await fetchRows(big, select("Bonus"), { pageSize: 10, concurrency: 3 });
+  assert.deepEqual(ids(rows), range(100));
+  assert.equal(big.maxInFlight, 3);
+});
+
+test("accepts a (limit, offset) => sql function", async () => {
+  const zcql = fakeZcql(7);
+  const rows = await fetchRows(zcql, (limit, offset) => `SELECT ROWID FROM Bonus LIMIT ${limit} OFFSET ${offset}`, {
+    pageSize: 3,
+  });
+  assert.deepEqual(ids(rows), range(7));
+});
+
+test("iterates lazily so a caller can stop early", async () => {
+  const zcql = fakeZcql(1000);
+  const seen = [];
+  for await (const row of iterateRows(zcql, select("Bonus"), { pageSize: 10, concurrency: 1 })) {
+    seen.push(row.Bonus.ROWID);
+    if (seen.length === 15) break;
+  }
+  assert.deepEqual(seen, range(15));
+  assert.equal(zcql.queries.length, 2);
+});
+
+test("retries transient errors and gives up on the rest", async () => {
+  const unavailable = Object.assign(new Error("Service Unavailable"), { statusCode: 503 });
+  const zcql = fakeZcql(12, { failures: { 5: { count: 2, error: unavailable } } });
+  const rows = await fetchRows(zcql, select("Bonus"), { pageSize: 5, concurrency: 1, retries: 2 });
+  assert.deepEqual(ids(rows), range(12));
+
+  const badQuery = Object.assign(new Error("Invalid column"), { statusCode: 400 });
+  const failing = fakeZcql(12, { failures: { 0: { count: 1, error: badQuery } } });
+  await assert.rejects(fetchRows(failing, select("Bonus"), { pageSize: 5 }), /Invalid column/);
+  assert.equal(failing.queries.length, 1);
+});
+
+test("classifies rate limits, 5xx and dropped connections as transient", () => {
+  assert.equal(isTransientError({ statusCode: 429 }), true);
+  assert.equal(isTransientError({ statusCode: 502 }), true);
+  assert.equal(isTransientError({ code: "ECONNRESET" }), true);
+  assert.equal(isTransientError(new Error("socket hang up")), true);
+  assert.equal(isTransientError({ statusCode: 400, message: "ZCQL syntax error" }), false);
+});
+
+test("optional queries keep the rows read before a failure", async () => {
+  const zcql = fakeZcql(20, { failures: { 10: { count: 9, error: new Error("No such table") } } });
+  const rows = await fetchRows(zcql, select("Bonus"), { pageSize: 5, concurrency: 1, optional: true });
+  assert.deepEqual(ids(rows), range(10));
+});
+
+test("the row budget spans every query on the same zcql handle", async () => {
+  const zcql = fakeZcql(30);
+  setRowBudget(zcql, 50);
+  assert.equal((await fetchRows(zcql, select("Bonus"), { pageSize: 10 })).length, 30);
+  await assert.rejects(fetchRows(zcql, select("Bonus"), { pageSize: 10, optional: true }), RowBudgetError);
+});
+
+test("stops paging once the offset reaches maxRows", async () => {
+  const zcql = fakeZcql(100);
+  const rows = await fetchRows(zcql, select("Bonus"), { pageSize: 10, maxRows: 25 });
+  assert.deepEqual(ids(rows), range(30));
+});
@@ -0,0 +1,114 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Upload sessions live under the working directory; chunks of three rows
+// make a ten-row file span four chunks
+process.chdir(fs.mkdtempSync(path.join(os.tmpdir(), "upload-import-")));
+process.env.STORAGE_BACKEND = "memory";
+process.env.IMPORT_CHUNK_SIZE = "3";
+
+const importController = require("../controllers/importController");
+const uploadSessions = require("../services/uploadSessions");
+const { initializeApp } = require("../services/storage");
+
+// A handler's status and JSON body
+const call = async (handler, req) => {
+  const res = {
+    statusCode: 200,
+    body: null,
+    set() {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  await handler({ query: {}, body: {}, user: { email: "ops@example.com" }, catalystApp: initializeApp({}), ...req }, res);
+  return res;
+};
+
+const finished = async (importId) => {
+  for (;;) {
+    const { body } = await call(importController.getImportProgress, { params: { id: importId } });
+    if (["completed", "error"].includes(body.progress.stage)) return body.progress;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+};
+
+// Row n is client ceil(n / 3) at rate n, so every chunk loads a new client
+const csvFile = (rows) =>
+  [
+    "WS_client_id,TRANDATE,Tran_Type,Security_code,ISIN,QTY,RATE,Net Amount",
+    ...Array.from({ length: rows }, (_, i) => {
+      const n = i + 1;
+      return `${Math.ceil(n / 3)},2024-01-${String(n).padStart(2, "0")},BY-,ASTRAL,INE006I01046,1,${n},${n}`;
+    }),
+  ].join("\n");
+
+test("an import stopped by a failed chunk resumes after the last committed row", async () => {
+  const content = Buffer.from(csvFile(10));
+  const session = uploadSessions.createSession({ fileName: "trades.csv", fileSize: content.length });
+  uploadSessions.writePart(session, 1, content);
+
+  // The third chunk (rows 7-9, client 3) fails once while its client is loaded
+  const { store } = initializeApp({});
+  const query = store.query;
+  let failures = 0;
+  store.query = (sql, options) => {
+    if (failures === 0 && /WS_client_id = 3\b/.test(sql)) {
+      failures++;
+      throw new Error("ZCQL request timed out");
+    }
+    return query(sql, options);
+  };
+
+  const started = await call(importController.completeUpload, { params: { id: session.uploadId } });
+  assert.equal(started.statusCode, 200);
+  const failed = await finished(started.body.importId);
+  assert.equal(failed.stage, "error");
+  assert.equal(failed.resumable, true);
+  assert.equal(failed.committedRows, 6);
+  assert.equal(failed.inserted, 6);
+  assert.match(failed.message, /resume to continue from row 7/);
+
+  const stopped = uploadSessions.loadSession(session.uploadId);
+  assert.equal(stopped.status, uploadSessions.UPLOAD_STATUS.FAILED);
+  assert.equal(stopped.committedRows, 6);
+
+  const resumed = await call(importController.resumeUpload, { params: { id: session.uploadId } });
+  assert.equal(resumed.statusCode, 200);
+  assert.equal(resumed.body.resumedFrom, 6);
+  const done = await finished(started.body.importId);
+  assert.equal(done.stage, "completed");
+  // Rows 1-6 are not read again, so none of them comes back as unchanged
+  assert.equal(done.inserted, 10);
+  assert.equal(done.skipped, 0);
+  assert.equal(done.errors, 0);
+
+  const rows = store.query("SELECT * FROM Transaction");
+  assert.deepEqual(
+    rows.map((row) => Number((row.Transaction || row).RATE)).sort((a, b) => a - b),
+    [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]
+  );
+  assert.equal(uploadSessions.loadSession(session.uploadId), null);
+});
+
+test("an upload opened on another instance is reported as such, not as missing", async () => {
+  const { uploadId } = uploadSessions.createSession({ fileName: "trades.csv", fileSize: 10 });
+  const tag = uploadId.slice(0, 8);
+  const elsewhere = (tag === "00000000" ? "ffffffff" : "00000000") + uploadId.slice(8);
+
+  assert.equal(uploadSessions.heldElsewhere(uploadId), false);
+  assert.equal(uploadSessions.heldElsewhere(elsewhere), true);
+  assert.equal((await call(importController.getUpload, { params: { id: elsewhere } })).statusCode, 421);
+  assert.equal((await call(importController.getUpload, { params: { id: `${tag}${"0".repeat(24)}` } })).statusCode, 404);
+  assert.equal((await call(importController.getUpload, { params: { id: uploadId } })).statusCode, 200);
+});
@@ -0,0 +1,75 @@
+"use strict";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { buildEventStream } = require("../services/portfolioEvents");
+const { runLotEngine } = require("../services/lotEngine");
+const { xirr, buildSecurityXirr } = require("../services/xirr");
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-6, `${actual} is not ${expected}`);
+
+let rowid = 0;
+const trade = (trandate, tranType, qty, rate) => ({
+  trandate,
+  tranType,
+  securityName: "Astral Ltd.",
+  securityCode: "ASTRAL",
+  isin: "INE006I01046",
+  qty,
+  rate,
+  netrate: rate,
+  netAmount: qty * rate,
+  rowid: ++rowid,
+});
+
+const portfolioOf = (transactions) => {
+  const { events, securities } = buildEventStream({ transactions });
+  return { transactions, events, ...runLotEngine(events, securities) };
+};
+
+test("solves the annual rate for dated flows", () => {
+  near(xirr([{ date: "2023-01-01", amount: -1000 }, { date: "2024-01-01", amount: 1100 }]), 0.1);
+  near(xirr([{ date: "2023-01-01", amount: -1000 }, { date: "2024-01-01", amount: 900 }]), -0.1);
+  // Half a year at 10% a year
+  near(
+    xirr([{ date: "2023-01-01", amount: -1000 }, { date: "2023-07-02", amount: 1000 * Math.pow(1.1, 182 / 365) }]),
+    0.1
+  );
+});
+
+test("returns null when the flows have no rate to find", () => {
+  // Nothing ever comes back, or nothing was ever put in
+  assert.equal(xirr([{ date: "2023-01-01", amount: -1000 }]), null);
+  assert.equal(xirr([{ date: "2023-01-01", amount: 500 }, { date: "2024-01-01", amount: 600 }]), null);
+  assert.equal(xirr([]), null);
+  // Two sign changes whose present value never reaches zero
+  assert.equal(
+    xirr([
+      { date: "2023-01-01", amount: 100 },
+      { date: "2024-01-01", amount: -250 },
+      { date: "2025-01-01", amount: 160 },
+    ]),
+    null
+  );
+});
+
+test("per-security XIRR from the lot engine, with NO_PRICE for unpriced open holdings", () => {
+  const closed = portfolioOf([trade("2023-01-01", "BY-", 100, 10), trade("2024-01-01", "SL+", 100, 11)]);
+  const [result] = buildSecurityXirr(closed, new Map(), { asOf: "2024-06-30" }).values();
+  near(result.xirr, 0.1);
+  assert.equal(result.invested, 1000);
+  assert.equal(result.returned, 1100);
+
+  const open = portfolioOf([trade("2023-01-01", "BY-", 100, 10)]);
+  const [key] = open.books.keys();
+  const [unpriced] = buildSecurityXirr(open, new Map(), { asOf: "2024-01-01" }).values();
+  assert.equal(unpriced.xirr, null);
+  assert.equal(unpriced.reason, "NO_PRICE");
+
+  const valuations = new Map([[key, { marketValue: 1210 }]]);
+  const [priced] = buildSecurityXirr(open, valuations, { asOf: "2025-01-01" }).values();
+  // 2024 is a leap year, so two years here are 731 days
+  near(priced.xirr, Math.pow(1.21, 365 / 731) - 1);
+  assert.equal(priced.terminalValue, 1210);
+});
@@ -1,18 +1,62 @@
-import React from 'react';
-import { HashRouter, Routes, Route } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { HashRouter, Routes, Route, Navigate } from 'react-router-dom';
+import { authAPI, getAuthToken, canWrite, AUTH_EXPIRED_EVENT } from './services/api';
 import Navigation from './components/Navigation';
 import Dashboard from './pages/Dashboard';
 import Analytics from './pages/Analytics';
 import Bonus from './pages/Bonus';
 import Split from './pages/Split';
+import CapitalGains from './pages/CapitalGains';
+import ImportHistory from './pages/ImportHistory';
+import MappingProfiles from './pages/MappingProfiles';
+import Reconciliation from './pages/Reconciliation';
+import SecurityMaster from './pages/SecurityMaster';
+import DataQuality from './pages/DataQuality';
+import Login from './pages/Login';
+import Users from './pages/Users';
+import Audit from './pages/Audit';
 import './App.css';
 
 function App() {
+  const [user, setUser] = useState(null);
+  // A stored token is checked against /api/auth/me before showing the app
+  const [checking, setChecking] = useState(() => !!getAuthToken());
+
+  useEffect(() => {
+    if (!getAuthToken()) return;
+    authAPI
+      .getCurrentUser()
+      .then((res) => setUser(res.data))
+      .catch(() => setUser(null))
+      .finally(() => setChecking(false));
+  }, []);
+
+  useEffect(() => {
+    const handleExpired = () => setUser(null);
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  const handleLogout = () => {
+    authAPI.logout();
+    setUser(null);
+  };
+
+  if (checking) {
+    return <div className="app-loading">Loading...</div>;
+  }
+  if (!user) {
+    return <Login onLogin={setUser} />;
+  }
+
+  // Pages that only change data are hidden from roles that cannot write
+  const writerOnly = (element) => (canWrite(user) ? element : <Navigate to="/" replace />);
+
   return (
     <HashRouter>
       <div className="App">
         {/* Navigation Sidebar - Always Visible */}
-        <Navigation />
+        <Navigation user={user} onLogout={handleLogout} />
 
         {/* Main Content Wrapper */}
         <div className="app-content-wrapper">
@@ -21,6 +65,17 @@ function App() {
             <Route path="/analytics" element={<Analytics />} />
             <Route path="/bonus" element={<Bonus />} />
             <Route path="/split" element={<Split />} />
+            <Route path="/capital-gains" element={<CapitalGains />} />
+            <Route path="/import-history" element={writerOnly(<ImportHistory />)} />
+            <Route path="/mapping-profiles" element={writerOnly(<MappingProfiles />)} />
+            <Route path="/reconciliation" element={writerOnly(<Reconciliation />)} />
+            <Route path="/security-master" element={<SecurityMaster />} />
+            <Route path="/data-quality" element={<DataQuality />} />
+            <Route
+              path="/users"
+              element={user.role === 'admin' ? <Users currentUser={user} /> : <Navigate to="/" replace />}
+            />
+            <Route path="/audit" element={user.role === 'admin' ? <Audit /> : <Navigate to="/" replace />} />
           </Routes>
         </div>
       </div>
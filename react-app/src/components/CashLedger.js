@@ -0,0 +1,194 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Wallet, RefreshCw } from 'lucide-react';
+import { tradesAPI } from '../services/api';
+import './CashLedger.css';
+
+const CATEGORY_LABELS = {
+  CAPITAL: 'Capital Flows',
+  INCOME: 'Income',
+  EXPENSE: 'Charges',
+  TAX: 'Tax',
+  TRADE: 'Trades',
+  OTHER: 'Other',
+};
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+}).format(Number(value) || 0);
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const CashLedger = ({ clientId, endDate }) => {
+  const [ledger, setLedger] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [fromDate, setFromDate] = useState('');
+  const [category, setCategory] = useState('ALL');
+
+  const fetchLedger = useCallback(async () => {
+    if (!clientId) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await tradesAPI.getCashLedger(clientId, { fromDate: fromDate || undefined, endDate });
+      setLedger(res.data);
+    } catch (err) {
+      console.error('[CashLedger] Error fetching ledger:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to load cash ledger');
+      setLedger(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId, endDate, fromDate]);
+
+  useEffect(() => {
+    fetchLedger();
+  }, [fetchLedger]);
+
+  const entries = (ledger?.entries || []).filter((entry) => category === 'ALL' || entry.category === category);
+  // Per-type totals for everything except trades
+  const typeRows = (ledger?.byType || []).filter((row) => row.category !== 'TRADE');
+
+  return (
+    <div className="cash-ledger">
+      <div className="cash-ledger-header">
+        <div className="cash-ledger-title">
+          <Wallet size={22} />
+          <h2>Cash &amp; Charges</h2>
+        </div>
+        <div className="cash-ledger-controls">
+          <label htmlFor="cash-ledger-from">From</label>
+          <input
+            id="cash-ledger-from"
+            type="date"
+            value={fromDate}
+            max={endDate || undefined}
+            onChange={(e) => setFromDate(e.target.value)}
+          />
+          <select value={category} onChange={(e) => setCategory(e.target.value)}>
+            <option value="ALL">All entries</option>
+            {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="cash-ledger-error">
+          <span>{error}</span>
+          <button onClick={fetchLedger}>
+            <RefreshCw size={14} /> Retry
+          </button>
+        </div>
+      )}
+
+      {loading && <div className="cash-ledger-empty">Loading cash ledger...</div>}
+
+      {!loading && ledger && (
+        <>
+          <div className="cash-ledger-cards">
+            <div className="cash-ledger-card">
+              <h4>Opening Balance</h4>
+              <p>{formatCurrency(ledger.openingBalance)}</p>
+            </div>
+            <div className="cash-ledger-card">
+              <h4>Income</h4>
+              <p className="inflow">{formatCurrency(ledger.totals.INCOME.net)}</p>
+            </div>
+            <div className="cash-ledger-card">
+              <h4>Charges</h4>
+              <p className="outflow">{formatCurrency(ledger.totals.EXPENSE.net)}</p>
+            </div>
+            <div className="cash-ledger-card">
+              <h4>Net Capital</h4>
+              <p>{formatCurrency(ledger.totals.CAPITAL.net)}</p>
+            </div>
+            <div className="cash-ledger-card">
+              <h4>Closing Balance</h4>
+              <p className={ledger.closingBalance >= 0 ? '' : 'outflow'}>{formatCurrency(ledger.closingBalance)}</p>
+            </div>
+          </div>
+
+          {typeRows.length > 0 && (
+            <div className="cash-ledger-table-wrapper">
+              <table className="cash-ledger-table">
+                <thead>
+                  <tr>
+                    <th>CATEGORY</th>
+                    <th>TYPE</th>
+                    <th>DESCRIPTION</th>
+                    <th>ENTRIES</th>
+                    <th>AMOUNT</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {typeRows.map((row) => (
+                    <tr key={`${row.category}-${row.tranType}`}>
+                      <td>
+                        <span className={`cash-ledger-badge ${row.category.toLowerCase()}`}>
+                          {CATEGORY_LABELS[row.category] || row.category}
+                        </span>
+                      </td>
+                      <td>{row.tranType}</td>
+                      <td>{row.label}</td>
+                      <td className="number-cell">{row.count}</td>
+                      <td className={`number-cell ${row.amount >= 0 ? 'inflow' : 'outflow'}`}>
+                        {formatCurrency(row.amount)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {entries.length === 0 ? (
+            <div className="cash-ledger-empty">No ledger entries for this period.</div>
+          ) : (
+            <div className="cash-ledger-table-wrapper">
+              <table className="cash-ledger-table">
+                <thead>
+                  <tr>
+                    <th>DATE</th>
+                    <th>TYPE</th>
+                    <th>DESCRIPTION</th>
+                    <th>SECURITY</th>
+                    <th>AMOUNT</th>
+                    <th>BALANCE</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry, index) => (
+                    <tr key={`${entry.rowid}-${index}`}>
+                      <td>{formatDate(entry.date)}</td>
+                      <td>
+                        <span className={`cash-ledger-badge ${entry.category.toLowerCase()}`}>{entry.tranType}</span>
+                      </td>
+                      <td>{entry.tranDesc}</td>
+                      <td>{entry.category === 'TRADE' || entry.category === 'INCOME' ? entry.securityName : '-'}</td>
+                      <td className={`number-cell ${entry.cash >= 0 ? 'inflow' : 'outflow'}`}>
+                        {entry.cash === 0 ? '-' : formatCurrency(entry.cash)}
+                      </td>
+                      <td className="number-cell">{formatCurrency(entry.balance)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CashLedger;
@@ -277,5 +277,80 @@ const Charts = ({ stats }) => {
   );
 };
 
+// Cumulative time-weighted return and portfolio value over time
+export const PerformanceChart = ({ series = [] }) => {
+  const data = series.map((point) => ({
+    date: point.date,
+    cumulativeReturn: Number((point.cumulativeReturn * 100).toFixed(2)),
+    value: point.value,
+  }));
+
+  return (
+    <div className="chart-card performance-chart-card">
+      <div className="chart-card-header">
+        <div>
+          <h3>Portfolio Performance</h3>
+          <p>Time-weighted return since inception, excluding deposits and withdrawals.</p>
+        </div>
+      </div>
+      {data.length === 0 ? (
+        <div className="chart-empty-state">
+          <div className="chart-empty-icon">📈</div>
+          <p>No valuation history available.</p>
+          <span>Upload prices to value holdings over time.</span>
+        </div>
+      ) : (
+        <ResponsiveContainer width="100%" height={300}>
+          <LineChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#e2e8f0" />
+            <XAxis dataKey="date" stroke="#718096" tick={{ fontSize: 12 }} minTickGap={40} />
+            <YAxis
+              yAxisId="return"
+              stroke="#718096"
+              tick={{ fontSize: 12 }}
+              tickFormatter={(value) => `${value}%`}
+            />
+            <YAxis
+              yAxisId="value"
+              orientation="right"
+              stroke="#718096"
+              tick={{ fontSize: 12 }}
+              tickFormatter={(value) => formatCompactNumber(value, true)}
+            />
+            <Tooltip
+              contentStyle={{
+                backgroundColor: 'white',
+                border: '1px solid #e2e8f0',
+                borderRadius: '8px',
+              }}
+              formatter={(value, name) => (
+                name === 'TWR (%)' ? [`${value}%`, name] : [formatCompactNumber(value, true), name]
+              )}
+            />
+            <Line
+              yAxisId="return"
+              type="monotone"
+              dataKey="cumulativeReturn"
+              stroke="#667eea"
+              strokeWidth={2}
+              name="TWR (%)"
+              dot={false}
+            />
+            <Line
+              yAxisId="value"
+              type="monotone"
+              dataKey="value"
+              stroke="#43e97b"
+              strokeWidth={2}
+              name="Value (₹)"
+              dot={false}
+            />
+          </LineChart>
+        </ResponsiveContainer>
+      )}
+    </div>
+  );
+};
+
 export default Charts;
 
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import { Download, Loader, Scale } from 'lucide-react';
+import { tradesAPI } from '../services/api';
+import './CustodianReconciliation.css';
+
+const BREAK_LABELS = {
+  qty_mismatch: 'Quantity differs',
+  missing_in_books: 'Not in our books',
+  missing_at_custodian: 'Not at custodian',
+};
+
+const CAUSE_LABELS = {
+  unrecorded_split: 'Unrecorded split',
+  missing_bonus: 'Missing bonus',
+  missing_transaction: 'Missing transaction',
+};
+
+const formatQty = (value) => new Intl.NumberFormat('en-IN', { maximumFractionDigits: 4 }).format(Number(value) || 0);
+
+const formatDifference = (value) => `${value > 0 ? '+' : ''}${formatQty(value)}`;
+
+/**
+ * Upload a custodian holdings statement and show the breaks against our
+ * computed holdings. With focusCause set (e.g. 'missing_bonus' on the Bonus
+ * page) only breaks that could have that cause are listed until the user
+ * asks for all of them.
+ */
+const CustodianReconciliation = ({ focusCause = null }) => {
+  const [file, setFile] = useState(null);
+  const [asOfDate, setAsOfDate] = useState('');
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [showAll, setShowAll] = useState(!focusCause);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files?.[0] || null);
+    setReport(null);
+    setError(null);
+  };
+
+  const handleReconcile = async () => {
+    if (!file) return;
+    try {
+      setRunning(true);
+      setError(null);
+      const res = await tradesAPI.reconcileHoldings(file, asOfDate);
+      setReport(res.data);
+    } catch (err) {
+      console.error('[CustodianReconciliation] Reconciliation failed:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to reconcile holdings');
+      setReport(null);
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const res = await tradesAPI.exportReconciliation(file, asOfDate);
+      const url = window.URL.createObjectURL(new Blob([res.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `reconciliation_${file.name.replace(/\.[^.]+$/, '')}.xlsx`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('[CustodianReconciliation] Export failed:', err);
+      setError('Failed to export reconciliation report');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const breaks = report?.breaks || [];
+  const visibleBreaks = showAll
+    ? breaks
+    : breaks.filter((row) => row.suggestedCauses.some((cause) => cause.cause === focusCause));
+
+  return (
+    <div className="custodian-reconciliation">
+      <label htmlFor="custodianFile">Custodian File</label>
+      <p className="reconciliation-hint">
+        Holdings statement (Excel or CSV) with client or account code, ISIN, quantity and an as-of date column.
+      </p>
+      <div className="reconciliation-controls">
+        <input
+          id="custodianFile"
+          type="file"
+          accept=".xlsx,.xls,.xlsb,.csv"
+          onChange={handleFileChange}
+        />
+        <div className="reconciliation-date">
+          <label htmlFor="custodianAsOf">As of (if the file has no date)</label>
+          <input
+            id="custodianAsOf"
+            type="date"
+            value={asOfDate}
+            onChange={(e) => setAsOfDate(e.target.value)}
+          />
+        </div>
+        <button
+          type="button"
+          className="reconciliation-run-btn"
+          onClick={handleReconcile}
+          disabled={!file || running}
+        >
+          {running ? <Loader size={16} className="spinning" /> : <Scale size={16} />}
+          {running ? 'Reconciling...' : 'Reconcile'}
+        </button>
+      </div>
+
+      {error && <div className="reconciliation-error">{error}</div>}
+
+      {report && (
+        <div className="reconciliation-results">
+          <div className="reconciliation-summary">
+            <span>As of <strong>{report.summary.asOfDates.join(', ') || '-'}</strong></span>
+            <span><strong>{report.summary.clients}</strong> clients</span>
+            <span><strong>{report.summary.positions}</strong> positions</span>
+            <span className="matched"><strong>{report.summary.matched}</strong> matched</span>
+            <span className={report.summary.breaks > 0 ? 'breaks' : 'matched'}>
+              <strong>{report.summary.breaks}</strong> breaks
+            </span>
+            {report.summary.skippedRows > 0 && (
+              <span className="skipped"><strong>{report.summary.skippedRows}</strong> rows skipped</span>
+            )}
+            <button
+              type="button"
+              className="reconciliation-export-btn"
+              onClick={handleExport}
+              disabled={exporting}
+            >
+              <Download size={14} />
+              {exporting ? 'Exporting...' : 'Export Excel'}
+            </button>
+          </div>
+
+          {focusCause && breaks.length > 0 && (
+            <label className="reconciliation-filter">
+              <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+              Show all breaks ({breaks.length}), not only possible {CAUSE_LABELS[focusCause].toLowerCase()}s
+            </label>
+          )}
+
+          {visibleBreaks.length === 0 ? (
+            <p className="reconciliation-empty">
+              {breaks.length === 0 ? 'Every position matches the custodian.' : 'No breaks of this kind.'}
+            </p>
+          ) : (
+            <div className="reconciliation-table-wrapper">
+              <table className="reconciliation-table">
+                <thead>
+                  <tr>
+                    <th>Client</th>
+                    <th>Security</th>
+                    <th>ISIN</th>
+                    <th className="num">Custodian</th>
+                    <th className="num">Computed</th>
+                    <th className="num">Difference</th>
+                    <th>Break</th>
+                    <th>Suggested cause</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleBreaks.map((row) => (
+                    <tr key={`${row.asOfDate}-${row.clientId}-${row.isin || row.stockName}`}>
+                      <td>{row.accountCode || row.clientId}</td>
+                      <td>{row.stockName || '-'}</td>
+                      <td>{row.isin || '-'}</td>
+                      <td className="num">{formatQty(row.custodianQty)}</td>
+                      <td className="num">{formatQty(row.computedQty)}</td>
+                      <td className={`num ${row.difference > 0 ? 'positive' : 'negative'}`}>
+                        {formatDifference(row.difference)}
+                      </td>
+                      <td>{BREAK_LABELS[row.type] || row.type}</td>
+                      <td>
+                        {row.suggestedCauses.map((cause, index) => (
+                          <div
+                            key={cause.cause + index}
+                            className={`reconciliation-cause ${index === 0 ? 'primary' : ''}`}
+                            title={cause.message}
+                          >
+                            {CAUSE_LABELS[cause.cause] || cause.cause}
+                            <span className="reconciliation-cause-detail">{cause.message}</span>
+                          </div>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {report.errors.length > 0 && (
+            <details className="reconciliation-skipped">
+              <summary>Skipped rows ({report.errors.length})</summary>
+              <ul>
+                {report.errors.map((item) => (
+                  <li key={`${item.row}-${item.message}`}>Row {item.row}: {item.message}</li>
+                ))}
+              </ul>
+            </details>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CustodianReconciliation;
@@ -0,0 +1,169 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Percent, AlertTriangle, RefreshCw } from 'lucide-react';
+import { tradesAPI } from '../services/api';
+import './FeeAnalytics.css';
+
+const FEE_COLUMNS = [
+  { type: 'MGF', label: 'MGMT' },
+  { type: 'PRF', label: 'PERF' },
+  { type: 'CUS', label: 'CUSTODY' },
+  { type: 'MGE', label: 'FUND ACCT' },
+  { type: 'E10', label: 'AUDIT' },
+  { type: 'OTHER', label: 'OTHER' },
+];
+
+// Financial years run April to March; offer the current one and the last few
+const buildFinancialYears = (count = 6) => {
+  const today = new Date();
+  const currentStart = today.getMonth() >= 3 ? today.getFullYear() : today.getFullYear() - 1;
+  return Array.from({ length: count }, (_, i) => {
+    const start = currentStart - i;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+  });
+};
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  maximumFractionDigits: 0,
+}).format(Number(value) || 0);
+
+const formatPercent = (value) => (value === null || value === undefined ? '-' : `${(value * 100).toFixed(2)}%`);
+
+const FeeAnalytics = () => {
+  const financialYears = buildFinancialYears();
+  const [fy, setFy] = useState(financialYears[0]);
+  // Threshold is entered as a percentage; empty uses the server default
+  const [thresholdInput, setThresholdInput] = useState('');
+  const [threshold, setThreshold] = useState(null);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await tradesAPI.getFeeAnalytics({ fy, threshold });
+      setReport(res.data);
+      if (threshold === null) setThresholdInput(String(res.data.threshold * 100));
+    } catch (err) {
+      console.error('[FeeAnalytics] Error fetching fee analytics:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to load fee analytics');
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  }, [fy, threshold]);
+
+  useEffect(() => {
+    fetchReport();
+  }, [fetchReport]);
+
+  const applyThreshold = () => {
+    const pct = Number(thresholdInput);
+    if (!Number.isFinite(pct) || pct <= 0 || pct >= 100) return;
+    setThreshold(pct / 100);
+  };
+
+  const clients = report?.clients || [];
+
+  return (
+    <div className="fee-analytics">
+      <div className="fee-analytics-header">
+        <div className="fee-analytics-title">
+          <Percent size={22} />
+          <h2>Fees &amp; Charges</h2>
+        </div>
+        <div className="fee-analytics-controls">
+          <select value={fy} onChange={(e) => setFy(e.target.value)}>
+            {financialYears.map((year) => (
+              <option key={year} value={year}>FY {year}</option>
+            ))}
+          </select>
+          <label htmlFor="fee-threshold">Flag above</label>
+          <input
+            id="fee-threshold"
+            type="number"
+            min="0"
+            step="0.1"
+            value={thresholdInput}
+            onChange={(e) => setThresholdInput(e.target.value)}
+            onBlur={applyThreshold}
+            onKeyDown={(e) => e.key === 'Enter' && applyThreshold()}
+          />
+          <span>% p.a.</span>
+        </div>
+      </div>
+
+      {error && (
+        <div className="fee-analytics-error">
+          <span>{error}</span>
+          <button onClick={fetchReport}>
+            <RefreshCw size={14} /> Retry
+          </button>
+        </div>
+      )}
+
+      {loading && <div className="fee-analytics-empty">Calculating fee ratios...</div>}
+
+      {!loading && report && (
+        clients.length === 0 ? (
+          <div className="fee-analytics-empty">No clients found for this period.</div>
+        ) : (
+          <>
+            <p className="fee-analytics-summary">
+              {formatCurrency(report.summary.totalFees)} charged across {report.summary.clients} clients
+              {' · '}
+              <strong className={report.summary.flagged > 0 ? 'flagged' : ''}>
+                {report.summary.flagged} above {formatPercent(report.threshold)}
+              </strong>
+            </p>
+            <div className="fee-analytics-table-wrapper">
+              <table className="fee-analytics-table">
+                <thead>
+                  <tr>
+                    <th>CLIENT</th>
+                    {FEE_COLUMNS.map((column) => <th key={column.type}>{column.label}</th>)}
+                    <th>TOTAL</th>
+                    <th>AVG AUM</th>
+                    <th>FEE % P.A.</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {clients.map((client) => (
+                    client.error ? (
+                      <tr key={client.clientId}>
+                        <td>{client.clientId}</td>
+                        <td colSpan={FEE_COLUMNS.length + 3} className="fee-analytics-row-error">{client.error}</td>
+                      </tr>
+                    ) : (
+                      <tr key={client.clientId} className={client.flagged ? 'flagged-row' : ''}>
+                        <td>
+                          {client.clientId}
+                          {client.flagged && <AlertTriangle size={14} className="fee-flag-icon" />}
+                        </td>
+                        {FEE_COLUMNS.map((column) => (
+                          <td key={column.type} className="number-cell">
+                            {client.byType[column.type] ? formatCurrency(client.byType[column.type]) : '-'}
+                          </td>
+                        ))}
+                        <td className="number-cell">{formatCurrency(client.totalFees)}</td>
+                        <td className="number-cell">{client.averageAum ? formatCurrency(client.averageAum) : '-'}</td>
+                        <td className={`number-cell ${client.flagged ? 'flagged' : ''}`}>
+                          {formatPercent(client.annualisedFeeRatio)}
+                        </td>
+                      </tr>
+                    )
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+export default FeeAnalytics;
@@ -8,6 +8,12 @@ const HoldingsList = ({ holdings, loading, onViewStock }) => {
     return new Intl.NumberFormat('en-IN').format(value);
   };
 
+  const formatCurrency = (value) => new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 2,
+  }).format(Number(value) || 0);
+
   if (loading) {
     return (
       <div className="holdings-list">
@@ -60,6 +66,37 @@ const HoldingsList = ({ holdings, loading, onViewStock }) => {
                   <span className="fully-sold-badge">Fully Sold</span>
                 )}
               </div>
+              {holding.currentHolding > 0 && (
+                holding.marketValue !== null && holding.marketValue !== undefined ? (
+                  <>
+                    <div className="holding-metric">
+                      <span className="metric-label">Market Value:</span>
+                      <span className="metric-value" title={`Close ${formatCurrency(holding.marketPrice)} on ${holding.priceDate}`}>
+                        {formatCurrency(holding.marketValue)}
+                      </span>
+                    </div>
+                    <div className="holding-metric">
+                      <span className="metric-label">Unrealized:</span>
+                      <span className={`metric-value ${holding.unrealizedGain >= 0 ? 'gain' : 'loss'}`}>
+                        {formatCurrency(holding.unrealizedGain)}
+                        {holding.unrealizedGainPct !== null && holding.unrealizedGainPct !== undefined && (
+                          <span className="gain-pct"> ({holding.unrealizedGainPct.toFixed(2)}%)</span>
+                        )}
+                      </span>
+                    </div>
+                  </>
+                ) : (
+                  <p className="no-price-note">No price available</p>
+                )
+              )}
+              {holding.xirr !== null && holding.xirr !== undefined && (
+                <div className="holding-metric">
+                  <span className="metric-label">XIRR:</span>
+                  <span className={`metric-value ${holding.xirr >= 0 ? 'gain' : 'loss'}`}>
+                    {(holding.xirr * 100).toFixed(2)}%
+                  </span>
+                </div>
+              )}
             </div>
 
             <div className="holding-card-footer">
@@ -1,16 +1,79 @@
-import React, { useState, useRef } from 'react';
-import { Upload, CheckCircle, XCircle, Loader } from 'lucide-react';
+import React, { useState, useRef, useEffect } from 'react';
+import { Upload, CheckCircle, XCircle, Loader, AlertTriangle, Download, Pause, Play, RotateCcw } from 'lucide-react';
 import { tradesAPI } from '../services/api';
 import './ImportButton.css';
 
-const ImportButton = ({ onImportSuccess, onProgressUpdate }) => {
+const isCSVFile = (file) => (
+  file.name.endsWith('.csv') ||
+  file.type === 'text/csv' ||
+  file.type === 'application/csv' ||
+  file.type === 'text/plain'
+);
+
+// Quote a value for the downloadable validation report
+const csvCell = (value) => `"${String(value ?? '').replace(/"/g, '""')}"`;
+
+// CSV files go up in parts so a dropped connection only re-sends what the server is missing
+const PART_SIZE = 5 * 1024 * 1024;
+const MAX_PART_ATTEMPTS = 3;
+
+// Upload sessions are remembered per file, so picking the same file again (even after a reload) resumes it
+const uploadKey = (file) => `import-upload:${file.name}:${file.size}:${file.lastModified}`;
+
+const sha256Hex = async (buffer) => {
+  const digest = await window.crypto.subtle.digest('SHA-256', buffer);
+  return Array.from(new Uint8Array(digest)).map((b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+// A checksum mismatch or a flaky request is retried before the upload pauses
+const sendPart = async (uploadId, partNumber, data) => {
+  const checksum = await sha256Hex(data);
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await tradesAPI.uploadPart(uploadId, partNumber, data, checksum);
+      return;
+    } catch (err) {
+      if (attempt >= MAX_PART_ATTEMPTS) throw err;
+    }
+  }
+};
+
+const describeProfile = (profile) => (
+  profile
+    ? `Mapping profile: ${profile.name}${profile.detected ? ' (auto-detected)' : ''}`
+    : 'Default column mapping'
+);
+
+const ImportButton = ({ onImportSuccess, onTrackImport }) => {
   const [isImporting, setIsImporting] = useState(false);
   const [importStatus, setImportStatus] = useState(null);
   const [error, setError] = useState(null);
   const [progress, setProgress] = useState(null);
+  const [isValidating, setIsValidating] = useState(false);
+  // Dry-run report for a file with problems, waiting for the user to confirm
+  const [validation, setValidation] = useState(null);
+  const [pendingFile, setPendingFile] = useState(null);
+  // '' auto-detects a mapping profile from the headers, 'none' forces the default mapping
+  const [profiles, setProfiles] = useState([]);
+  const [profileId, setProfileId] = useState('');
+  // Part-by-part CSV upload: { fileName, sentParts, totalParts, paused, message }
+  const [upload, setUpload] = useState(null);
+  // A CSV import that failed part-way and can restart after its last committed row
+  const [failedImport, setFailedImport] = useState(null);
   const fileInputRef = useRef(null);
-  const progressIntervalRef = useRef(null);
   const importIdRef = useRef(null);
+  const uploadIdRef = useRef(null);
+  const uploadFileRef = useRef(null);
+  const pauseRequestedRef = useRef(false);
+
+  useEffect(() => {
+    tradesAPI.getMappingProfiles()
+      .then((res) => setProfiles(res.data?.profiles || []))
+      .catch((err) => {
+        // Without profiles the import still works with auto-detection and the default mapping
+        console.error('[ImportButton] Error fetching mapping profiles:', err);
+      });
+  }, []);
 
   const handleFileSelect = async (event) => {
     const file = event.target.files[0];
@@ -25,12 +88,7 @@ const ImportButton = ({ onImportSuccess, onProgressUpdate }) => {
       file.type === 'application/vnd.ms-excel' ||
       file.type === 'application/vnd.ms-excel.sheet.binary.macroEnabled.12'
     );
-    const isCSV = (
-      file.name.endsWith('.csv') ||
-      file.type === 'text/csv' ||
-      file.type === 'application/csv' ||
-      file.type === 'text/plain'
-    );
+    const isCSV = isCSVFile(file);
 
     if (!isExcel && !isCSV) {
       setError('Please select a valid Excel file (.xlsx, .xls, .xlsb) or CSV file (.csv)');
@@ -45,7 +103,183 @@ const ImportButton = ({ onImportSuccess, onProgressUpdate }) => {
       return;
     }
 
-    await importFile(file);
+    await validateFile(file);
+  };
+
+  /**
+   * Send the parts of a CSV file the server does not have yet. Resolves with
+   * the upload id once every part is stored, or null when paused.
+   */
+  const uploadInParts = async (file) => {
+    const key = uploadKey(file);
+    let session = null;
+    const savedId = window.localStorage.getItem(key);
+    if (savedId) {
+      try {
+        const res = await tradesAPI.getUpload(savedId);
+        // An upload that has already been imported cannot take the file again
+        if (['uploading', 'assembled'].includes(res.data.status)) session = res.data;
+      } catch (err) {
+        console.log('Saved upload is gone, starting a new one:', err.message);
+      }
+    }
+    if (!session) {
+      const res = await tradesAPI.createUpload({ fileName: file.name, fileSize: file.size, partSize: PART_SIZE });
+      session = res.data;
+      window.localStorage.setItem(key, session.uploadId);
+    }
+    uploadIdRef.current = session.uploadId;
+    uploadFileRef.current = file;
+
+    const received = new Set(session.receivedParts);
+    setUpload({ fileName: file.name, sentParts: received.size, totalParts: session.totalParts, paused: false, message: null });
+    for (let partNumber = 1; partNumber <= session.totalParts; partNumber++) {
+      if (received.has(partNumber)) continue;
+      if (pauseRequestedRef.current) {
+        setUpload((prev) => ({ ...prev, paused: true, message: null }));
+        return null;
+      }
+      const data = await file.slice((partNumber - 1) * session.partSize, partNumber * session.partSize).arrayBuffer();
+      try {
+        await sendPart(session.uploadId, partNumber, data);
+      } catch (err) {
+        console.error(`Upload of part ${partNumber} failed:`, err);
+        setUpload((prev) => ({
+          ...prev,
+          paused: true,
+          message: `Upload interrupted (${err.response?.data?.error || err.message}). Resume to continue.`,
+        }));
+        return null;
+      }
+      received.add(partNumber);
+      setUpload((prev) => ({ ...prev, sentParts: received.size }));
+    }
+    setUpload(null);
+    return session.uploadId;
+  };
+
+  const pauseUpload = () => {
+    pauseRequestedRef.current = true;
+  };
+
+  const resumeUpload = async () => {
+    pauseRequestedRef.current = false;
+    if (uploadFileRef.current) await validateFile(uploadFileRef.current);
+  };
+
+  const discardUpload = async () => {
+    const uploadId = uploadIdRef.current;
+    const file = uploadFileRef.current;
+    uploadIdRef.current = null;
+    uploadFileRef.current = null;
+    pauseRequestedRef.current = false;
+    setUpload(null);
+    if (file) window.localStorage.removeItem(uploadKey(file));
+    if (uploadId) {
+      try {
+        await tradesAPI.cancelUpload(uploadId);
+      } catch (err) {
+        console.log('Could not discard upload (ignored):', err.message);
+      }
+    }
+  };
+
+  // Validate the whole file first; clean files import straight away
+  const validateFile = async (file) => {
+    setIsValidating(true);
+    setError(null);
+    setImportStatus(null);
+    setValidation(null);
+    setFailedImport(null);
+    try {
+      let response;
+      if (isCSVFile(file)) {
+        const uploadId = await uploadInParts(file);
+        if (!uploadId) return;
+        response = await tradesAPI.completeUpload(uploadId, { dryRun: true, profileId });
+      } else {
+        uploadIdRef.current = null;
+        const formData = new FormData();
+        formData.append('file', file);
+        response = await tradesAPI.importExcel(formData, { dryRun: true, profileId });
+      }
+      const report = response.data;
+      if (report.errorRows === 0 && report.warningRows === 0) {
+        setIsValidating(false);
+        await importFile(file);
+        return;
+      }
+      setValidation(report);
+      setPendingFile(file);
+    } catch (err) {
+      console.error('Validation error:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to validate file');
+    } finally {
+      setIsValidating(false);
+      if (fileInputRef.current) {
+        fileInputRef.current.value = '';
+      }
+    }
+  };
+
+  const confirmImport = async () => {
+    const file = pendingFile;
+    setValidation(null);
+    setPendingFile(null);
+    if (file) await importFile(file);
+  };
+
+  const cancelImport = () => {
+    const file = pendingFile;
+    setValidation(null);
+    setPendingFile(null);
+    if (file && isCSVFile(file)) discardUpload();
+  };
+
+  const downloadReport = () => {
+    if (!validation) return;
+    const lines = [
+      ['Row', 'Severity', 'Column', 'Value', 'Message'].join(','),
+      ...validation.issues.map((issue) =>
+        [issue.row, issue.severity, issue.column, issue.value, issue.message].map(csvCell).join(',')
+      ),
+    ];
+    const url = window.URL.createObjectURL(new Blob([lines.join('\n')], { type: 'text/csv' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${(validation.fileName || 'import').replace(/\.[^.]+$/, '')}_validation.csv`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+  };
+
+  // The page's progress banner follows the import; its updates drive the inline bar
+  const followImport = (importId, message) => {
+    importIdRef.current = importId;
+    onTrackImport(importId, message, (progressData) => {
+      // Updates for an import this button has since moved on from
+      if (importIdRef.current !== importId) return;
+      setProgress(progressData);
+
+      // A part-uploaded CSV keeps its file on the server, so a failed import can pick up where it stopped
+      if (progressData.stage === 'error' && uploadIdRef.current) {
+        setFailedImport({ uploadId: uploadIdRef.current, message: progressData.message });
+      }
+    });
+  };
+
+  const resumeFailedImport = async () => {
+    if (!failedImport) return;
+    try {
+      setError(null);
+      const response = await tradesAPI.resumeUpload(failedImport.uploadId);
+      setFailedImport(null);
+      followImport(response.data.importId, 'Resuming import...');
+    } catch (err) {
+      console.error('Resume error:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to resume import');
+    }
   };
 
   const importFile = async (file) => {
@@ -55,99 +289,45 @@ const ImportButton = ({ onImportSuccess, onProgressUpdate }) => {
     setProgress(null);
     importIdRef.current = null;
 
-    // Clear any existing progress interval
-    if (progressIntervalRef.current) {
-      clearInterval(progressIntervalRef.current);
-      progressIntervalRef.current = null;
-    }
-
     try {
       const formData = new FormData();
       formData.append('file', file);
 
-      // Start polling for progress
-      const startProgressPolling = (importId) => {
-        progressIntervalRef.current = setInterval(async () => {
-          try {
-            const progressResponse = await tradesAPI.getImportProgress(importId);
-            if (progressResponse.data.success) {
-              const progressData = progressResponse.data.progress;
-              setProgress(progressData);
-              
-              // Notify parent component about progress update
-              if (onProgressUpdate) {
-                onProgressUpdate(progressData);
-              }
-              
-              // Stop polling if completed or error
-              if (progressData.stage === 'completed' || 
-                  progressData.stage === 'error') {
-                clearInterval(progressIntervalRef.current);
-                progressIntervalRef.current = null;
-                // Clear progress in parent after completion
-                if (onProgressUpdate) {
-                  setTimeout(() => onProgressUpdate(null), 2000);
-                }
-              }
-            }
-          } catch (err) {
-            // Progress endpoint might not be available yet, ignore
-            console.log('Progress polling error (ignored):', err.message);
-          }
-        }, 500); // Poll every 500ms
-      };
-
       // Determine if file is CSV or Excel
-      const isCSV = file.name.endsWith('.csv') || 
-                    file.type === 'text/csv' || 
-                    file.type === 'application/csv' ||
-                    file.type === 'text/plain';
-      
+      const isCSV = isCSVFile(file);
+
+      // CSV files were already sent in parts during validation
       const response = isCSV 
-        ? await tradesAPI.importCSV(formData)
-        : await tradesAPI.importExcel(formData);
+        ? await tradesAPI.completeUpload(uploadIdRef.current, { profileId })
+        : await tradesAPI.importExcel(formData, { profileId });
+      if (isCSV) {
+        // The upload now belongs to this import; picking the file again starts a fresh one
+        window.localStorage.removeItem(uploadKey(file));
+      }
 
       if (response.data.success) {
-        // Start polling if importId is provided
+        // Imports that run in the background refresh the page when the banner sees them complete
         if (response.data.importId) {
-          importIdRef.current = response.data.importId;
-          // Initialize progress immediately
-          if (onProgressUpdate) {
-            onProgressUpdate({
-              stage: 'uploading',
-              progress: 5,
-              message: 'File uploaded, starting import...',
-              totalRows: 0,
-              processedRows: 0,
-              imported: 0,
-              errors: 0
-            });
-          }
-          startProgressPolling(response.data.importId);
+          followImport(response.data.importId, 'File uploaded, starting import...');
+        } else if (onImportSuccess) {
+          setTimeout(() => {
+            onImportSuccess();
+          }, 1000);
         }
 
         setImportStatus({
           success: true,
           message: response.data.message,
+          profile: describeProfile(response.data.profile),
           imported: response.data.imported,
           totalRows: response.data.totalRows,
           errors: response.data.errors,
         });
 
-        // Call success callback to refresh data
-        if (onImportSuccess) {
-          setTimeout(() => {
-            onImportSuccess();
-          }, 1000);
-        }
-
         // Clear status after 5 seconds
         setTimeout(() => {
           setImportStatus(null);
           setProgress(null);
-          if (onProgressUpdate) {
-            onProgressUpdate(null);
-          }
         }, 5000);
       } else {
         setError(response.data.error || 'Failed to import file');
@@ -182,9 +362,6 @@ const ImportButton = ({ onImportSuccess, onProgressUpdate }) => {
       // Clear progress after a delay
       setTimeout(() => {
         setProgress(null);
-        if (onProgressUpdate) {
-          onProgressUpdate(null);
-        }
       }, 3000);
     }
   };
@@ -202,26 +379,48 @@ const ImportButton = ({ onImportSuccess, onProgressUpdate }) => {
         onChange={handleFileSelect}
         style={{ display: 'none' }}
       />
-      <button
-        className="import-button"
-        onClick={handleButtonClick}
-        disabled={isImporting}
-      >
-        {isImporting ? (
-          <>
-            <Loader className="import-icon spinning" />
-            <span>Importing...</span>
-            {progress && (
-              <span className="progress-text">{progress.progress}%</span>
-            )}
-          </>
-        ) : (
-          <>
-            <Upload className="import-icon" />
-            <span>Import File (Excel/CSV)</span>
-          </>
+      <div className="import-controls">
+        {profiles.length > 0 && (
+          <select
+            className="import-profile-select"
+            value={profileId}
+            onChange={(e) => setProfileId(e.target.value)}
+            disabled={isImporting || isValidating}
+            title="Column-mapping profile"
+          >
+            <option value="">Auto-detect profile</option>
+            <option value="none">Default mapping</option>
+            {profiles.map((profile) => (
+              <option key={profile.id} value={profile.id}>{profile.name}</option>
+            ))}
+          </select>
         )}
-      </button>
+        <button
+          className="import-button"
+          onClick={handleButtonClick}
+          disabled={isImporting || isValidating || Boolean(upload)}
+        >
+          {isValidating ? (
+            <>
+              <Loader className="import-icon spinning" />
+              <span>{upload ? 'Uploading...' : 'Validating...'}</span>
+            </>
+          ) : isImporting ? (
+            <>
+              <Loader className="import-icon spinning" />
+              <span>Importing...</span>
+              {progress && (
+                <span className="progress-text">{progress.progress}%</span>
+              )}
+            </>
+          ) : (
+            <>
+              <Upload className="import-icon" />
+              <span>Import File (Excel/CSV)</span>
+            </>
+          )}
+        </button>
+      </div>
 
       {/* Progress Bar */}
       {isImporting && progress && (
@@ -238,12 +437,100 @@ const ImportButton = ({ onImportSuccess, onProgressUpdate }) => {
               <span className="progress-stats">
                 {progress.processedRows}/{progress.totalRows} rows
                 {progress.imported > 0 && ` • ${progress.imported} imported`}
+                {progress.updated > 0 && ` • ${progress.updated} updated`}
+                {progress.skipped > 0 && ` • ${progress.skipped} unchanged`}
               </span>
             )}
           </div>
         </div>
       )}
 
+      {upload && (
+        <div className="progress-container">
+          <div className="progress-bar-wrapper">
+            <div
+              className="progress-bar-fill"
+              style={{ width: `${Math.round((upload.sentParts / Math.max(upload.totalParts, 1)) * 100)}%` }}
+            />
+          </div>
+          <div className="progress-info">
+            <span className="progress-message">
+              {upload.message || (upload.paused ? `Upload of ${upload.fileName} paused` : `Uploading ${upload.fileName}...`)}
+            </span>
+            <span className="progress-stats">
+              {upload.sentParts}/{upload.totalParts} parts
+            </span>
+          </div>
+          <div className="upload-controls">
+            {upload.paused ? (
+              <>
+                <button onClick={resumeUpload}>
+                  <Play size={14} /> Resume
+                </button>
+                <button onClick={discardUpload}>Cancel</button>
+              </>
+            ) : (
+              <button onClick={pauseUpload}>
+                <Pause size={14} /> Pause
+              </button>
+            )}
+          </div>
+        </div>
+      )}
+
+      {failedImport && (
+        <div className="import-status error">
+          <XCircle className="status-icon" />
+          <div className="status-content">
+            <p className="status-message">{failedImport.message || 'Import failed'}</p>
+            <p className="status-details">Rows already written are kept; resuming continues after the last one.</p>
+            <div className="validation-actions">
+              <button className="validation-cancel" onClick={() => setFailedImport(null)}>Dismiss</button>
+              <button className="validation-confirm" onClick={resumeFailedImport}>
+                <RotateCcw size={14} /> Resume import
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {validation && (
+        <div className="import-status validation-report">
+          <AlertTriangle className="status-icon" />
+          <div className="status-content">
+            <p className="status-message">
+              {validation.errorRows > 0
+                ? `${validation.errorRows} of ${validation.totalRows} rows have errors`
+                : `${validation.warningRows} of ${validation.totalRows} rows have warnings`}
+            </p>
+            <p className="status-details">
+              {validation.validRows} clean, {validation.warningRows} with warnings, {validation.errorRows} with errors
+            </p>
+            <p className="status-details">{describeProfile(validation.profile)}</p>
+            <ul className="validation-issues">
+              {validation.byIssue.slice(0, 8).map((issue) => (
+                <li key={`${issue.severity}-${issue.column}-${issue.message}`} className={issue.severity}>
+                  <strong>{issue.column}</strong>: {issue.message} ({issue.count})
+                </li>
+              ))}
+            </ul>
+            {validation.unknownColumns.length > 0 && (
+              <p className="status-details">Ignored columns: {validation.unknownColumns.join(', ')}</p>
+            )}
+            {validation.truncated && (
+              <p className="status-details">Report lists the first {validation.issues.length} of {validation.issueCount} issues.</p>
+            )}
+            <div className="validation-actions">
+              <button className="validation-download" onClick={downloadReport}>
+                <Download size={14} /> Report
+              </button>
+              <button className="validation-cancel" onClick={cancelImport}>Cancel</button>
+              <button className="validation-confirm" onClick={confirmImport}>Import anyway</button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {importStatus && (
         <div className={`import-status ${importStatus.success ? 'success' : 'error'}`}>
           {importStatus.success ? (
@@ -253,6 +540,7 @@ const ImportButton = ({ onImportSuccess, onProgressUpdate }) => {
           )}
           <div className="status-content">
             <p className="status-message">{importStatus.message}</p>
+            {importStatus.profile && <p className="status-details">{importStatus.profile}</p>}
             {importStatus.imported && (
               <p className="status-details">
                 Imported {importStatus.imported} of {importStatus.totalRows} rows
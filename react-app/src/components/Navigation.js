@@ -1,9 +1,10 @@
 import React from 'react';
 import { Link, useLocation } from 'react-router-dom';
-import { BarChart3, LayoutDashboard, Gift, Scissors } from 'lucide-react';
+import { BarChart3, LayoutDashboard, Gift, Scissors, Receipt, History, FileCog, ClipboardCheck, Fingerprint, ShieldAlert, UserCog, ScrollText, LogOut } from 'lucide-react';
+import { ROLE_LABELS, canWrite } from '../services/api';
 import './Navigation.css';
 
-const Navigation = () => {
+const Navigation = ({ user, onLogout }) => {
   const location = useLocation();
   
   // HashRouter uses hash-based routing (e.g., #/analytics)
@@ -46,6 +47,81 @@ const Navigation = () => {
           <Scissors size={20} />
           <span>Split</span>
         </Link>
+        <Link 
+          to="/capital-gains"
+          className={`navigation-item ${isActive('/capital-gains') ? 'active' : ''}`}
+        >
+          <Receipt size={20} />
+          <span>Capital Gains</span>
+        </Link>
+        {canWrite(user) && (
+          <Link 
+            to="/reconciliation"
+            className={`navigation-item ${isActive('/reconciliation') ? 'active' : ''}`}
+          >
+            <ClipboardCheck size={20} />
+            <span>Reconciliation</span>
+          </Link>
+        )}
+        <Link 
+          to="/security-master"
+          className={`navigation-item ${isActive('/security-master') ? 'active' : ''}`}
+        >
+          <Fingerprint size={20} />
+          <span>Security Master</span>
+        </Link>
+        <Link 
+          to="/data-quality"
+          className={`navigation-item ${isActive('/data-quality') ? 'active' : ''}`}
+        >
+          <ShieldAlert size={20} />
+          <span>Data Quality</span>
+        </Link>
+        {canWrite(user) && (
+          <>
+            <Link 
+              to="/import-history"
+              className={`navigation-item ${isActive('/import-history') ? 'active' : ''}`}
+            >
+              <History size={20} />
+              <span>Import History</span>
+            </Link>
+            <Link 
+              to="/mapping-profiles"
+              className={`navigation-item ${isActive('/mapping-profiles') ? 'active' : ''}`}
+            >
+              <FileCog size={20} />
+              <span>Import Profiles</span>
+            </Link>
+          </>
+        )}
+        {user.role === 'admin' && (
+          <>
+            <Link 
+              to="/users"
+              className={`navigation-item ${isActive('/users') ? 'active' : ''}`}
+            >
+              <UserCog size={20} />
+              <span>Users</span>
+            </Link>
+            <Link 
+              to="/audit"
+              className={`navigation-item ${isActive('/audit') ? 'active' : ''}`}
+            >
+              <ScrollText size={20} />
+              <span>Audit Log</span>
+            </Link>
+          </>
+        )}
+      </div>
+      <div className="navigation-footer">
+        <div className="navigation-user">
+          <span className="navigation-user-name">{user.name || user.email}</span>
+          <span className="navigation-user-role">{ROLE_LABELS[user.role] || user.role}</span>
+        </div>
+        <button className="navigation-logout" onClick={onLogout} aria-label="Sign out" title="Sign out">
+          <LogOut size={18} />
+        </button>
       </div>
     </nav>
   );
@@ -0,0 +1,267 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Archive, Plus, Upload, Pencil, Trash2, Save, X } from 'lucide-react';
+import { tradesAPI } from '../services/api';
+import './OpeningBalances.css';
+
+const formatCurrency = (value) => new Intl.NumberFormat('en-IN', {
+  style: 'currency',
+  currency: 'INR',
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2,
+}).format(Number(value) || 0);
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const emptyForm = () => ({ isin: '', securityName: '', securityCode: '', qty: '', cost: '', acquiredOn: '' });
+
+const formFromBalance = (balance) => ({
+  isin: balance.isin,
+  securityName: balance.securityName,
+  securityCode: balance.securityCode,
+  qty: String(balance.qty),
+  cost: String(balance.cost),
+  acquiredOn: balance.acquiredOn,
+});
+
+/**
+ * Opening balances of one client: holdings from before the first imported
+ * transaction. onChange lets the page reload holdings after an edit.
+ */
+const OpeningBalances = ({ clientId, onChange }) => {
+  const [balances, setBalances] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [rejected, setRejected] = useState([]);
+  // 'new', a balance id, or null when nothing is being edited
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const fetchBalances = useCallback(async () => {
+    if (!clientId) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await tradesAPI.getOpeningBalances(clientId);
+      setBalances(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error('[OpeningBalances] Error fetching opening balances:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to load opening balances');
+      setBalances([]);
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId]);
+
+  useEffect(() => {
+    setEditing(null);
+    setNotice(null);
+    setRejected([]);
+    fetchBalances();
+  }, [fetchBalances]);
+
+  const afterChange = async (message) => {
+    setNotice(message);
+    setEditing(null);
+    await fetchBalances();
+    if (onChange) onChange();
+  };
+
+  const startEdit = (balance) => {
+    setError(null);
+    setEditing(balance ? balance.id : 'new');
+    setForm(balance ? formFromBalance(balance) : emptyForm());
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setNotice(null);
+      const payload = { ...form, clientId };
+      if (editing === 'new') {
+        await tradesAPI.createOpeningBalance(payload);
+      } else {
+        await tradesAPI.updateOpeningBalance(editing, payload);
+      }
+      await afterChange(`Saved opening balance for ${form.securityName || form.isin}.`);
+    } catch (err) {
+      console.error('[OpeningBalances] Error saving opening balance:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to save opening balance');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (balance) => {
+    if (!window.confirm(`Delete the opening balance of ${balance.qty} ${balance.securityName}?`)) return;
+    try {
+      setError(null);
+      setNotice(null);
+      await tradesAPI.deleteOpeningBalance(balance.id);
+      await afterChange(`Deleted opening balance for ${balance.securityName}.`);
+    } catch (err) {
+      console.error('[OpeningBalances] Error deleting opening balance:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to delete opening balance');
+    }
+  };
+
+  const handleImport = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+      setSaving(true);
+      setError(null);
+      setNotice(null);
+      const res = await tradesAPI.importOpeningBalances(file);
+      setRejected(res.data.errors || []);
+      await afterChange(
+        `Imported ${file.name}: ${res.data.inserted} added, ${res.data.updated} updated` +
+          (res.data.errors.length > 0 ? `, ${res.data.errors.length} rejected.` : '.')
+      );
+    } catch (err) {
+      console.error('[OpeningBalances] Error importing opening balances:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to import opening balances');
+    } finally {
+      setSaving(false);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  };
+
+  const updateForm = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+
+  const renderEditRow = (key) => (
+    <tr key={key} className="opening-balances-edit-row">
+      <td>
+        <input value={form.securityName} onChange={(e) => updateForm({ securityName: e.target.value })} placeholder="Security name" />
+        <input value={form.isin} onChange={(e) => updateForm({ isin: e.target.value.toUpperCase() })} placeholder="ISIN" />
+      </td>
+      <td>
+        <input value={form.securityCode} onChange={(e) => updateForm({ securityCode: e.target.value })} placeholder="Code" />
+      </td>
+      <td>
+        <input type="number" min="0" value={form.qty} onChange={(e) => updateForm({ qty: e.target.value })} />
+      </td>
+      <td>
+        <input type="number" min="0" step="0.01" value={form.cost} onChange={(e) => updateForm({ cost: e.target.value })} />
+      </td>
+      <td className="number-cell">
+        {Number(form.qty) > 0 ? formatCurrency(Number(form.cost) / Number(form.qty)) : '-'}
+      </td>
+      <td>
+        <input type="date" value={form.acquiredOn} onChange={(e) => updateForm({ acquiredOn: e.target.value })} />
+      </td>
+      <td className="opening-balances-actions">
+        <button onClick={handleSave} disabled={saving} aria-label="Save">
+          <Save size={14} />
+        </button>
+        <button onClick={() => setEditing(null)} aria-label="Cancel">
+          <X size={14} />
+        </button>
+      </td>
+    </tr>
+  );
+
+  return (
+    <div className="opening-balances">
+      <div className="opening-balances-header">
+        <div className="opening-balances-title">
+          <Archive size={22} />
+          <div>
+            <h2>Opening Balances</h2>
+            <p>Holdings from before the first transaction, used as the oldest lots for sells.</p>
+          </div>
+        </div>
+        <div className="opening-balances-controls">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".xlsx,.xls,.xlsb,.csv"
+            onChange={handleImport}
+            style={{ display: 'none' }}
+          />
+          <button onClick={() => fileInputRef.current?.click()} disabled={saving}>
+            <Upload size={14} /> Import file
+          </button>
+          <button onClick={() => startEdit(null)} disabled={editing !== null}>
+            <Plus size={14} /> Add
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="opening-balances-error">{error}</div>}
+      {notice && <div className="opening-balances-notice">{notice}</div>}
+      {rejected.length > 0 && (
+        <details className="opening-balances-rejected">
+          <summary>{rejected.length} rejected row{rejected.length === 1 ? '' : 's'}</summary>
+          <ul>
+            {rejected.map((item) => (
+              <li key={item.row}>Row {item.row}: {item.message}</li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {loading ? (
+        <div className="opening-balances-empty">Loading opening balances...</div>
+      ) : balances.length === 0 && editing !== 'new' ? (
+        <div className="opening-balances-empty">
+          No opening balances. Import a file with client, ISIN, quantity, cost and acquisition date columns, or add one.
+        </div>
+      ) : (
+        <div className="opening-balances-table-wrapper">
+          <table className="opening-balances-table">
+            <thead>
+              <tr>
+                <th>SECURITY</th>
+                <th>CODE</th>
+                <th>QTY</th>
+                <th>COST</th>
+                <th>UNIT COST</th>
+                <th>ACQUIRED ON</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {editing === 'new' && renderEditRow('new')}
+              {balances.map((balance) =>
+                editing === balance.id ? (
+                  renderEditRow(balance.id)
+                ) : (
+                  <tr key={balance.id}>
+                    <td>
+                      <div>{balance.securityName}</div>
+                      <div className="opening-balances-isin">{balance.isin}</div>
+                    </td>
+                    <td>{balance.securityCode || '-'}</td>
+                    <td className="number-cell">{balance.qty}</td>
+                    <td className="number-cell">{formatCurrency(balance.cost)}</td>
+                    <td className="number-cell">{formatCurrency(balance.qty > 0 ? balance.cost / balance.qty : 0)}</td>
+                    <td>{formatDate(balance.acquiredOn)}</td>
+                    <td className="opening-balances-actions">
+                      <button onClick={() => startEdit(balance)} disabled={editing !== null} aria-label="Edit">
+                        <Pencil size={14} />
+                      </button>
+                      <button onClick={() => handleDelete(balance)} disabled={editing !== null} aria-label="Delete">
+                        <Trash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                )
+              )}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OpeningBalances;
@@ -1,5 +1,5 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { X, TrendingUp, TrendingDown, DollarSign, Package, Calendar, BarChart3, Gift } from 'lucide-react';
+import { X, TrendingUp, TrendingDown, DollarSign, Package, Calendar, BarChart3, Gift, LineChart } from 'lucide-react';
 import { tradesAPI } from '../services/api';
 import './StockDetailModal.css';
 
@@ -7,6 +7,7 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
   const [transactions, setTransactions] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [dividends, setDividends] = useState(null);
 
   const fetchTransactions = useCallback(async () => {
     if (!stock || !clientId) return;
@@ -33,14 +34,32 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
     }
   }, [stock, clientId, endDate]);
 
+  // Dividends are optional detail: a failure here leaves the section empty
+  const fetchDividends = useCallback(async () => {
+    if (!stock || !clientId) return;
+    try {
+      const response = await tradesAPI.getDividends(clientId, {
+        stockName: stock.stockName,
+        stockCode: stock.stockCode,
+        endDate,
+      });
+      setDividends(response?.data || null);
+    } catch (err) {
+      console.error('Error fetching dividends:', err);
+      setDividends(null);
+    }
+  }, [stock, clientId, endDate]);
+
   useEffect(() => {
     if (isOpen && stock && clientId) {
       fetchTransactions();
+      fetchDividends();
     } else {
       setTransactions([]);
+      setDividends(null);
       setError(null);
     }
-  }, [isOpen, stock, clientId, fetchTransactions]);
+  }, [isOpen, stock, clientId, fetchTransactions, fetchDividends]);
 
   // Helper function to truncate to 2 decimal places (no rounding)
   const truncateTo2Decimals = (value) => {
@@ -79,6 +98,11 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
     return new Intl.NumberFormat('en-IN').format(value);
   };
 
+  const formatPercent = (value) => {
+    if (value === null || value === undefined) return '-';
+    return `${(value * 100).toFixed(2)}%`;
+  };
+
   // Calculate summary from transactions
   // Initialize all variables to ensure they're always defined
   // Note: All dividend-related transactions are excluded from holdings calculation
@@ -88,6 +112,7 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
     const isBuy = type.startsWith('B') || type === 'BUY' || type === 'PURCHASE' || type.includes('BUY');
     const isSQB = type === 'SQB'; // Sell Quantity Buy - treated as buy
     const isOPI = type === 'OPI'; // Opening Position In - treated as buy
+    const isReinvest = type === 'RD0'; // Dividend reinvestment - units added like a buy
     // Exclude all dividend-related transactions from holdings calculation
     const isDividend = type === 'DIO' || 
                        type === 'DIVIDEND' || 
@@ -96,11 +121,13 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
                        type === 'DIVIDEND RECEIVED' ||
                        type.startsWith('DIVIDEND') ||
                        type.includes('DIVIDEND');
-    return (isBuy || isSQB || isOPI) && !isDividend;
+    return (isBuy || isSQB || isOPI || isReinvest) && !isDividend;
   }) : [];
   
   const sellTransactions = Array.isArray(transactions) ? transactions.filter(t => {
     const type = t.tranType ? String(t.tranType).toUpperCase().trim() : '';
+    // Split rows are corporate actions, not sells
+    if (type === 'SPLIT' || t.isSplit === true || t.corporateAction) return false;
     // Include Sell transactions and additional types that reduce holdings
     const isSell = type.startsWith('S') || type === 'SELL' || type === 'SALE' || type.includes('SELL');
     const isSQS = type === 'SQS'; // Sell Quantity Sell - treated as sell
@@ -135,7 +162,14 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
     return sum + absAmount;
   }, 0);
 
-  const currentHolding = totalBuyQty - totalSellQty;
+  // Holding comes from the backend lot engine (bonuses, splits, mergers and
+  // demergers included); the last history row carries the latest value
+  const lastRow = Array.isArray(transactions) && transactions.length > 0
+    ? transactions[transactions.length - 1]
+    : null;
+  const currentHolding = lastRow && lastRow.holdingAfter !== undefined
+    ? Number(lastRow.holdingAfter) || 0
+    : totalBuyQty - totalSellQty;
   
   // Calculate Weighted Average Buy Price
   // Formula: Sum of (Quantity × Price) for all buy transactions / Total Buy Quantity
@@ -201,6 +235,29 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
             <p className="summary-value">{formatNumber(displayCurrentHolding)}</p>
           </div>
 
+          {displayCurrentHolding > 0 && stock.marketValue !== null && stock.marketValue !== undefined && (
+            <div className="summary-card">
+              <div className="summary-card-top">
+                <div className="summary-card-icon market-value">
+                  <LineChart size={24} />
+                </div>
+                <div className="summary-card-header">
+                  <h4>Market Value</h4>
+                  <p className="summary-label">
+                    {formatCurrency(stock.marketPrice)} on {stock.priceDate}
+                  </p>
+                </div>
+              </div>
+              <p className="summary-value">{formatCurrency(stock.marketValue)}</p>
+              <p className={`summary-label ${stock.unrealizedGain >= 0 ? 'positive' : 'negative'}`}>
+                Unrealized {formatCurrency(stock.unrealizedGain)}
+                {stock.unrealizedGainPct !== null && stock.unrealizedGainPct !== undefined
+                  ? ` (${stock.unrealizedGainPct.toFixed(2)}%)`
+                  : ''}
+              </p>
+            </div>
+          )}
+
           <div className="summary-card">
             <div className="summary-card-top">
             <div className="summary-card-icon total-buy">
@@ -283,6 +340,9 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
             const isBuy = type.startsWith('B') || type === 'BUY' || type === 'PURCHASE' || type.includes('BUY');
             const isSell = type.startsWith('S') || type === 'SELL' || type === 'SALE' || type.includes('SELL');
             const isBonus = type === 'BONUS' || t.isBonus === true;
+            const isSplit = type === 'SPLIT' || t.isSplit === true;
+            const isCorporateAction = !!t.corporateAction;
+            const isReinvest = type === 'RD0';
             const isDividend = type === 'DIO' || 
                                type === 'DIVIDEND' || 
                                type === 'DIVIDEND REINVEST' || 
@@ -290,7 +350,7 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
                                type === 'DIVIDEND RECEIVED' ||
                                type.startsWith('DIVIDEND') ||
                                type.includes('DIVIDEND');
-            return (isBuy || isSell || isBonus) && !isDividend;
+            return (isBuy || isSell || isBonus || isSplit || isCorporateAction || isReinvest) && !isDividend;
           }).length === 0 ? (
             <div className="no-transactions">
               <p>No Buy, Sell, or Bonus transactions found for this stock.</p>
@@ -321,11 +381,13 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
                       const isBuy = type.startsWith('B') || type === 'BUY' || type === 'PURCHASE' || type.includes('BUY');
                       const isSell = type.startsWith('S') || type === 'SELL' || type === 'SALE' || type.includes('SELL');
                       const isBonus = type === 'BONUS' || transaction.isBonus === true;
+                      const isCorporateAction = !!transaction.corporateAction;
                       const isSQB = type === 'SQB'; // Sell Quantity Buy
                       const isSQS = type === 'SQS'; // Sell Quantity Sell
                       const isOPI = type === 'OPI'; // Opening Position In
                       const isOPO = type === 'OPO'; // Opening Position Out
                       const isNF = type === 'NF-' || type.startsWith('NF-'); // NF- transaction type
+                      const isReinvest = type === 'RD0'; // Dividend reinvestment
                       // Exclude all dividend-related transactions
                       const isDividend = type === 'DIO' || 
                                          type === 'DIVIDEND' || 
@@ -334,30 +396,28 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
                                          type === 'DIVIDEND RECEIVED' ||
                                          type.startsWith('DIVIDEND') ||
                                          type.includes('DIVIDEND');
-                      return (isBuy || isSell || isBonus || isSQB || isSQS || isOPI || isOPO || isNF) && !isDividend;
+                      return (isBuy || isSell || isBonus || isCorporateAction || isSQB || isSQS || isOPI || isOPO || isNF || isReinvest) && !isDividend;
                     });
 
-                    // Calculate cumulative values chronologically
-                    // Track lots (FIFO) for WAP:
-                    // - BUY adds a lot with cost
-                    // - BONUS adds a lot with zero cost
-                    // - SELL consumes from oldest lots; WAP = totalCost / totalQty after adjustments
-                    const lotQueue = []; // each: { qty, price }
-
                     // Map transactions with calculated values
                     return filteredTransactions.map((transaction, index) => {
                     const tranType = transaction.tranType ? String(transaction.tranType).toUpperCase().trim() : '';
                     const isBuy = tranType.startsWith('B') || tranType === 'BUY' || tranType === 'PURCHASE' || tranType.includes('BUY');
                     const isSell = tranType.startsWith('S') || tranType === 'SELL' || tranType === 'SALE' || tranType.includes('SELL');
                       const isBonus = tranType === 'BONUS' || transaction.isBonus === true;
+                      const isSplit = tranType === 'SPLIT' || transaction.isSplit === true;
+                      // Mergers and demergers: lots moved between securities
+                      const isTransfer = tranType === 'MERGER' || tranType === 'DEMERGER';
+                      const isCorporateAction = isBonus || isSplit || isTransfer;
                       const isSQB = tranType === 'SQB'; // Sell Quantity Buy - treated as buy
                       const isSQS = tranType === 'SQS'; // Sell Quantity Sell - treated as sell
                       const isOPI = tranType === 'OPI'; // Opening Position In - treated as buy
                       const isOPO = tranType === 'OPO'; // Opening Position Out - treated as sell
                       const isNF = tranType === 'NF-' || tranType.startsWith('NF-'); // NF- transaction type - treated as sell
+                      const isReinvest = tranType === 'RD0'; // Dividend reinvestment - treated as buy
                       // Determine if buy or sell for styling
-                      const isBuyType = isBuy || isSQB || isOPI;
-                      const isSellType = isSell || isSQS || isOPO || isNF;
+                      const isBuyType = (isBuy || isSQB || isOPI || isReinvest) && !isCorporateAction;
+                      const isSellType = (isSell || isSQS || isOPO || isNF) && !isCorporateAction;
                       // Display the actual transaction type
                       const displayType = tranType || 'UNKNOWN';
                       
@@ -370,47 +430,13 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
                         price = Math.abs(transaction.netAmount) / Math.abs(transaction.qty);
                       }
                       
-                      // For bonus transactions, show 0 for price/total/net
-                      const totalPrice = isBonus ? 0 : ((Number(transaction.qty) || 0) * price);
-                      
                       // Bonus-specific formatting
                       const bonusQty = isBonus ? (Number(transaction.qty) || 0) : 0;
-                      
-                      // Calculate values AFTER this transaction
-                      const qty = Math.abs(Number(transaction.qty) || 0);
-                      
-                      if (isBuyType && !isBonus) {
-                        // BUY: add lot with cost
-                        if (qty > 0) {
-                          lotQueue.push({ qty, price });
-                        }
-                      } else if (isBonus) {
-                        // BONUS: add zero-cost lot
-                        if (bonusQty > 0) {
-                          lotQueue.push({ qty: bonusQty, price: 0 });
-                        }
-                      } else if (isSellType) {
-                        // SELL: consume from oldest lots (FIFO)
-                        let remaining = qty;
-                        while (remaining > 0 && lotQueue.length > 0) {
-                          const lot = lotQueue[0];
-                          if (lot.qty <= remaining) {
-                            remaining -= lot.qty;
-                            lotQueue.shift();
-                          } else {
-                            lot.qty -= remaining;
-                            remaining = 0;
-                          }
-                        }
-                      }
-                      
-                      // Recompute holding and cost from lotQueue
-                      const holdingAfter = lotQueue.reduce((sum, lot) => sum + lot.qty, 0);
-                      const totalCostBasis = lotQueue.reduce((sum, lot) => sum + (lot.qty * lot.price), 0);
-                      const weightedAvgAfter = holdingAfter > 0 ? (totalCostBasis / holdingAfter) : 0;
-                      
-                      // Calculate Average Cost of Holdings directly: WAP × HOLDING
-                      const averageCostOfHoldings = holdingAfter * weightedAvgAfter;
+
+                      // Holding, WAP and cost after this event come from the backend lot engine
+                      const holdingAfter = Number(transaction.holdingAfter) || 0;
+                      const weightedAvgAfter = Number(transaction.wap) || 0;
+                      const averageCostOfHoldings = Number(transaction.averageCostOfHoldings) || 0;
                       
                       // Use profitLoss from backend (FIFO-based, only for SELL transactions)
                       const profitLossAfter = (isSellType && transaction.profitLoss !== undefined)
@@ -418,7 +444,7 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
                         : null;
                     
                     return (
-                      <tr key={index} className={isBonus ? 'bonus-row' : (isBuyType ? 'buy-row' : (isSellType ? 'sell-row' : ''))}>
+                      <tr key={index} className={isSplit || isTransfer ? 'split-row' : (isBonus ? 'bonus-row' : (isBuyType ? 'buy-row' : (isSellType ? 'sell-row' : '')))}>
                         <td>
                           <div className="date-cell">
                             <Calendar size={14} />
@@ -426,9 +452,17 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
                           </div>
                         </td>
                         <td>
-                          <span className={`trade-type-badge ${isBonus ? 'bonus' : (isBuyType ? 'buy' : (isSellType ? 'sell' : ''))}`}>
+                          <span className={`trade-type-badge ${isSplit || isTransfer ? 'split' : (isBonus ? 'bonus' : (isBuyType ? 'buy' : (isSellType ? 'sell' : '')))}`}>
                             {displayType}
                           </span>
+                          {isSplit && transaction.splitRatio && (
+                            <span className="split-ratio-note">{transaction.splitRatio}</span>
+                          )}
+                          {isTransfer && transaction.ratio && (
+                            <span className="split-ratio-note">
+                              {transaction.ratio} {transaction.fromSecurity} → {transaction.toSecurity}
+                            </span>
+                          )}
                         </td>
                         <td className="stock-name-cell">
                           <strong>{transaction.securityName || '-'}</strong>
@@ -448,13 +482,15 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
                                 </>
                               )}
                             </span>
+                          ) : isSplit || isTransfer ? (
+                            `${Number(transaction.qty) >= 0 ? '+' : ''}${formatNumber(transaction.qty)}`
                           ) : (
                             formatNumber(transaction.qty)
                           )}
                         </td>
-                        <td className="number-cell">{isBonus ? formatCurrency(0) : formatCurrency(price)}</td>
-                        <td className={`number-cell ${isBonus ? '' : (isBuyType ? 'buy-amount' : (isSellType ? 'sell-amount' : ''))}`}>
-                          {isBonus ? formatCurrency(0) : formatCurrency((Number(transaction.qty) || 0) * price)}
+                        <td className="number-cell">{isCorporateAction ? formatCurrency(0) : formatCurrency(price)}</td>
+                        <td className={`number-cell ${isCorporateAction ? '' : (isBuyType ? 'buy-amount' : (isSellType ? 'sell-amount' : ''))}`}>
+                          {isCorporateAction ? formatCurrency(0) : formatCurrency((Number(transaction.qty) || 0) * price)}
                         </td>
                         <td className="number-cell">{formatNumber(holdingAfter)}</td>
                         <td className="number-cell">
@@ -476,6 +512,55 @@ const StockDetailModal = ({ isOpen, onClose, stock, clientId, endDate }) => {
             </div>
           )}
         </div>
+
+        {/* Dividends */}
+        {dividends && dividends.rows.length > 0 && (
+          <div className="transactions-section dividends-section">
+            <h3 className="transactions-title">Dividends</h3>
+            <div className="dividend-years">
+              {dividends.bySecurity.map((group) => (
+                <div key={group.financialYear} className="dividend-year">
+                  <p className="dividend-year-label">{group.financialYear}</p>
+                  <p className="dividend-year-amount">{formatCurrency(group.amount)}</p>
+                  <p className="dividend-year-yield">Yield on cost {formatPercent(group.yieldOnCost)}</p>
+                </div>
+              ))}
+            </div>
+            <div className="table-wrapper">
+              <table className="transactions-table">
+                <thead>
+                  <tr>
+                    <th>DATE</th>
+                    <th>TYPE</th>
+                    <th>AMOUNT</th>
+                    <th>HOLDING</th>
+                    <th>PER SHARE</th>
+                    <th>YIELD ON COST</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {dividends.rows.map((row) => (
+                    <tr key={row.rowid}>
+                      <td>{formatDate(row.date)}</td>
+                      <td>
+                        <span className={`trade-type-badge dividend ${row.reinvested ? 'reinvested' : ''}`}>
+                          {row.tranType}
+                        </span>
+                        {row.reinvested && (
+                          <span className="dividend-reinvest-note">+{formatNumber(row.reinvestedUnits)} units</span>
+                        )}
+                      </td>
+                      <td className="number-cell">{formatCurrency(row.amount)}</td>
+                      <td className="number-cell">{formatNumber(row.holdingQty)}</td>
+                      <td className="number-cell">{row.perShare !== null ? formatCurrency(row.perShare) : '-'}</td>
+                      <td className="number-cell">{formatPercent(row.yieldOnCost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
       </div>
     </div>
   );
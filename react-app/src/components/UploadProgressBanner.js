@@ -1,8 +1,42 @@
-import React from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { Database, Loader } from 'lucide-react';
+import { watchImportProgress } from '../services/api';
 import './UploadProgressBanner.css';
 
-const UploadProgressBanner = ({ progress }) => {
+/**
+ * Live progress of one import, followed through watchImportProgress (the
+ * server-sent event stream, or polling where that is unavailable) from the
+ * moment importId is set. onProgress sees every update, so the page can
+ * react when the import completes or fails; a new importId replaces the
+ * import being followed.
+ */
+const UploadProgressBanner = ({ importId, message, onProgress }) => {
+  const [progress, setProgress] = useState(null);
+  const onProgressRef = useRef(onProgress);
+  onProgressRef.current = onProgress;
+
+  useEffect(() => {
+    if (!importId) {
+      setProgress(null);
+      return undefined;
+    }
+    setProgress({
+      stage: 'uploading',
+      progress: 5,
+      message,
+      totalRows: 0,
+      processedRows: 0,
+      imported: 0,
+      errors: 0
+    });
+    return watchImportProgress(importId, (progressData) => {
+      setProgress(progressData);
+      if (onProgressRef.current) {
+        onProgressRef.current(progressData);
+      }
+    });
+  }, [importId, message]);
+
   if (!progress || progress.stage === 'completed' || progress.stage === 'error') {
     return null;
   }
@@ -20,6 +54,8 @@ const UploadProgressBanner = ({ progress }) => {
         return 'File parsing...';
       case 'processing':
         return 'Data processing...';
+      case 'matching':
+        return 'Checking for previously imported rows...';
       case 'inserting':
         return 'Data Uploading to Catalyst Server...';
       default:
@@ -48,6 +84,18 @@ const UploadProgressBanner = ({ progress }) => {
                 <span className="stat-value">{formatNumber(progress.imported)} records</span>
               </div>
             )}
+            {progress.updated > 0 && (
+              <div className="stat-item">
+                <span className="stat-label">Updated:</span>
+                <span className="stat-value">{formatNumber(progress.updated)}</span>
+              </div>
+            )}
+            {progress.skipped > 0 && (
+              <div className="stat-item">
+                <span className="stat-label">Unchanged:</span>
+                <span className="stat-value">{formatNumber(progress.skipped)}</span>
+              </div>
+            )}
             {progress.totalRows > 0 && (
               <div className="stat-item">
                 <span className="stat-label">Total:</span>
@@ -1,9 +1,13 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { tradesAPI } from '../services/api';
-import { ArrowLeft, Filter, XCircle } from 'lucide-react';
+import { ArrowLeft, Filter, XCircle, Percent, Wallet, PiggyBank, TrendingUp } from 'lucide-react';
 import SearchableSelect from '../components/SearchableSelect';
 import HoldingsList from '../components/HoldingsList';
+import StatCard from '../components/StatCard';
+import { PerformanceChart } from '../components/Charts';
+import CashLedger from '../components/CashLedger';
+import OpeningBalances from '../components/OpeningBalances';
 import StockDetailModal from '../components/StockDetailModal';
 import './Analytics.css';
 
@@ -17,6 +21,9 @@ const Analytics = () => {
   const [holdings, setHoldings] = useState([]);
   const [holdingsLoading, setHoldingsLoading] = useState(false);
   const [holdingsError, setHoldingsError] = useState(null);
+  const [portfolioXirr, setPortfolioXirr] = useState(null);
+  const [performance, setPerformance] = useState(null);
+  const [activeTab, setActiveTab] = useState('holdings');
   const [selectedStock, setSelectedStock] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
 
@@ -29,9 +36,13 @@ const Analytics = () => {
     // Fetch stocks for selected client only
     if (filters.customerId) {
       fetchHoldingsSummary();
+      fetchPortfolioXirr();
+      fetchPerformance();
     } else {
       // Clear holdings when no client is selected
       setHoldings([]);
+      setPortfolioXirr(null);
+      setPerformance(null);
     }
   }, [filters.customerId, filters.endDate]);
 
@@ -187,6 +198,37 @@ const Analytics = () => {
     }
   };
 
+  const fetchPortfolioXirr = async () => {
+    try {
+      const response = await tradesAPI.getXirr(filters.customerId, filters.endDate);
+      setPortfolioXirr(response?.data?.portfolio || null);
+    } catch (error) {
+      // The KPI is optional; holdings still render without it
+      console.error('[Analytics] Error fetching XIRR:', error);
+      setPortfolioXirr(null);
+    }
+  };
+
+  const fetchPerformance = async () => {
+    try {
+      const response = await tradesAPI.getPerformance(filters.customerId, filters.endDate);
+      setPerformance(response?.data || null);
+    } catch (error) {
+      console.error('[Analytics] Error fetching performance:', error);
+      setPerformance(null);
+    }
+  };
+
+  const formatPercent = (rate) => (
+    rate === null || rate === undefined ? '-' : `${(rate * 100).toFixed(2)}%`
+  );
+
+  const formatCurrency = (value) => new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 0,
+  }).format(Number(value) || 0);
+
   const handleViewStock = (stock) => {
     setSelectedStock(stock);
     setIsModalOpen(true);
@@ -334,8 +376,97 @@ const Analytics = () => {
             </div>
           </div>
 
+        {filters.customerId && (
+          <div className="analytics-tabs">
+            <button
+              className={`analytics-tab ${activeTab === 'holdings' ? 'active' : ''}`}
+              onClick={() => setActiveTab('holdings')}
+            >
+              Holdings
+            </button>
+            <button
+              className={`analytics-tab ${activeTab === 'cash' ? 'active' : ''}`}
+              onClick={() => setActiveTab('cash')}
+            >
+              Cash &amp; Charges
+            </button>
+            <button
+              className={`analytics-tab ${activeTab === 'opening' ? 'active' : ''}`}
+              onClick={() => setActiveTab('opening')}
+            >
+              Opening Balances
+            </button>
+          </div>
+        )}
+
+        {filters.customerId && activeTab === 'cash' && (
+          <div className="holdings-section">
+            <CashLedger clientId={filters.customerId} endDate={filters.endDate} />
+          </div>
+        )}
+
+        {filters.customerId && activeTab === 'opening' && (
+          <div className="holdings-section">
+            <OpeningBalances
+              clientId={filters.customerId}
+              onChange={() => {
+                fetchHoldingsSummary();
+                fetchPortfolioXirr();
+                fetchPerformance();
+              }}
+            />
+          </div>
+        )}
+
         {/* Holdings List - Show when client is selected */}
-        {filters.customerId ? (
+        {filters.customerId && portfolioXirr && (
+          <div className="stats-grid analytics-kpis">
+            <StatCard
+              title="Portfolio XIRR"
+              value={formatPercent(portfolioXirr.xirr)}
+              subtitle={`As of ${new Date(portfolioXirr.asOf).toLocaleDateString('en-IN')}${portfolioXirr.unpricedHoldings > 0 ? ` · ${portfolioXirr.unpricedHoldings} holding(s) at cost` : ''}`}
+              icon={Percent}
+            />
+            <StatCard
+              title={portfolioXirr.basis === 'CAPITAL_FLOWS' ? 'Total Deposits' : 'Total Invested'}
+              value={formatCurrency(portfolioXirr.invested)}
+              subtitle={`${portfolioXirr.basis === 'CAPITAL_FLOWS' ? 'Withdrawn' : 'Realised'} ${formatCurrency(portfolioXirr.returned - portfolioXirr.holdingsValue - (portfolioXirr.cashBalance || 0))}`}
+              icon={PiggyBank}
+            />
+            <StatCard
+              title="Holdings Value"
+              value={formatCurrency(portfolioXirr.holdingsValue)}
+              subtitle={portfolioXirr.cashBalance !== null ? `Cash ${formatCurrency(portfolioXirr.cashBalance)}` : null}
+              icon={Wallet}
+            />
+          </div>
+        )}
+
+        {filters.customerId && performance && (
+          <div className="analytics-performance">
+            <div className="stats-grid">
+              <StatCard title="TWR MTD" value={formatPercent(performance.returns.mtd)} icon={TrendingUp} />
+              <StatCard title="TWR QTD" value={formatPercent(performance.returns.qtd)} icon={TrendingUp} />
+              <StatCard title="TWR YTD" value={formatPercent(performance.returns.ytd)} icon={TrendingUp} />
+              <StatCard
+                title="Since Inception"
+                value={formatPercent(performance.returns.sinceInception)}
+                subtitle={performance.returns.inceptionDate
+                  ? `From ${new Date(performance.returns.inceptionDate).toLocaleDateString('en-IN')}`
+                  : null}
+                icon={TrendingUp}
+              />
+            </div>
+            <PerformanceChart series={performance.series} />
+            {performance.unpricedSecurities.length > 0 && (
+              <p className="analytics-performance-note">
+                No prices for {performance.unpricedSecurities.join(', ')}; valued at cost.
+              </p>
+            )}
+          </div>
+        )}
+
+        {filters.customerId && activeTab === 'holdings' ? (
           <div className="holdings-section">
             {holdingsError ? (
               <div className="holdings-error">
@@ -0,0 +1,184 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ScrollText, RefreshCw, ChevronDown, ChevronRight } from 'lucide-react';
+import { tradesAPI } from '../services/api';
+import './Audit.css';
+
+const emptyFilters = { user: '', action: '', fromDate: '', toDate: '' };
+
+const countsText = (rowCounts) =>
+  rowCounts && typeof rowCounts === 'object'
+    ? Object.entries(rowCounts)
+        .map(([key, value]) => `${key} ${value}`)
+        .join(', ')
+    : '-';
+
+const formatJson = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+/**
+ * Audit log of data-changing requests: who made them, with what parameters,
+ * how many rows they touched and, for corporate-action and user edits, the
+ * row before and after. Filters by user, action and date range.
+ */
+const Audit = () => {
+  const [entries, setEntries] = useState([]);
+  const [options, setOptions] = useState({ users: [], actions: [] });
+  const [filters, setFilters] = useState(emptyFilters);
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  const fetchEntries = useCallback(async (nextPage) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await tradesAPI.getAuditLog({ ...filters, page: nextPage });
+      const rows = Array.isArray(res.data?.entries) ? res.data.entries : [];
+      setEntries((prev) => (nextPage === 1 ? rows : [...prev, ...rows]));
+      setHasMore(Boolean(res.data?.hasMore));
+      setPage(nextPage);
+    } catch (err) {
+      console.error('[Audit] Error fetching audit log:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to load audit log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    fetchEntries(1);
+  }, [fetchEntries]);
+
+  useEffect(() => {
+    tradesAPI
+      .getAuditFilters()
+      .then((res) => setOptions({ users: res.data?.users || [], actions: res.data?.actions || [] }))
+      .catch((err) => console.error('[Audit] Error fetching filters:', err));
+  }, []);
+
+  const updateFilters = (changes) => {
+    setExpanded(null);
+    setFilters((prev) => ({ ...prev, ...changes }));
+  };
+
+  const hasDetails = (entry) => entry.params || entry.before || entry.after || entry.message;
+
+  return (
+    <div className="audit-page">
+      <div className="audit-header">
+        <div className="audit-title">
+          <ScrollText size={28} />
+          <div>
+            <h1>Audit Log</h1>
+            <p>Every import, seed, corporate-action edit and other change, with who made it.</p>
+          </div>
+        </div>
+        <button className="audit-refresh-btn" onClick={() => fetchEntries(1)} disabled={loading}>
+          <RefreshCw size={16} /> Refresh
+        </button>
+      </div>
+
+      <div className="audit-filters">
+        <label>
+          User
+          <select value={filters.user} onChange={(e) => updateFilters({ user: e.target.value })}>
+            <option value="">All users</option>
+            {options.users.map((email) => (
+              <option key={email} value={email}>{email}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Action
+          <select value={filters.action} onChange={(e) => updateFilters({ action: e.target.value })}>
+            <option value="">All actions</option>
+            {options.actions.map((action) => (
+              <option key={action} value={action}>{action}</option>
+            ))}
+          </select>
+        </label>
+        <label>
+          From
+          <input type="date" value={filters.fromDate} onChange={(e) => updateFilters({ fromDate: e.target.value })} />
+        </label>
+        <label>
+          To
+          <input type="date" value={filters.toDate} onChange={(e) => updateFilters({ toDate: e.target.value })} />
+        </label>
+        <button className="audit-clear-btn" onClick={() => updateFilters(emptyFilters)}>
+          Clear
+        </button>
+      </div>
+
+      {error && <div className="audit-error">{error}</div>}
+
+      <div className="audit-panel">
+        {entries.length === 0 ? (
+          <div className="audit-empty">{loading ? 'Loading...' : 'No audit entries match these filters.'}</div>
+        ) : (
+          <table className="audit-table">
+            <thead>
+              <tr>
+                <th />
+                <th>Time</th>
+                <th>User</th>
+                <th>Action</th>
+                <th>Status</th>
+                <th>Rows</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <React.Fragment key={entry.id}>
+                  <tr
+                    className={hasDetails(entry) ? 'audit-row expandable' : 'audit-row'}
+                    onClick={() => hasDetails(entry) && setExpanded(expanded === entry.id ? null : entry.id)}
+                  >
+                    <td className="audit-toggle">
+                      {hasDetails(entry) && (expanded === entry.id ? <ChevronDown size={16} /> : <ChevronRight size={16} />)}
+                    </td>
+                    <td>{entry.createdAt || '-'}</td>
+                    <td>{entry.userEmail || '-'}</td>
+                    <td className="audit-action">{entry.action}</td>
+                    <td>
+                      <span className={`audit-status ${entry.status}`}>{entry.status}</span>
+                      {entry.statusCode ? <span className="audit-code">{entry.statusCode}</span> : null}
+                    </td>
+                    <td>{countsText(entry.rowCounts)}</td>
+                  </tr>
+                  {expanded === entry.id && (
+                    <tr className="audit-details">
+                      <td colSpan={6}>
+                        {entry.message && <div className="audit-message">{entry.message}</div>}
+                        <div className="audit-json-grid">
+                          {['params', 'before', 'after'].map((key) =>
+                            entry[key] ? (
+                              <div key={key} className="audit-json">
+                                <h4>{key === 'params' ? 'Parameters' : key === 'before' ? 'Before' : 'After'}</h4>
+                                <pre>{formatJson(entry[key])}</pre>
+                              </div>
+                            ) : null
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+        {hasMore && (
+          <div className="audit-more">
+            <button className="audit-refresh-btn" onClick={() => fetchEntries(page + 1)} disabled={loading}>
+              {loading ? 'Loading...' : 'Load more'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Audit;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import SearchableSelect from '../components/SearchableSelect';
+import CustodianReconciliation from '../components/CustodianReconciliation';
 import { tradesAPI } from '../services/api';
 import './Bonus.css';
 
@@ -22,11 +23,12 @@ const Bonus = () => {
     correctedQty: '',
   });
   const [gridRows, setGridRows] = useState([]);
-  const [custodianFile, setCustodianFile] = useState(null);
   const [securityOptions, setSecurityOptions] = useState([]);
   const [isLoadingOptions, setIsLoadingOptions] = useState(false);
   const [isFormSaved, setIsFormSaved] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveStatus, setSaveStatus] = useState(null);
   const [itemsPerPage] = useState(10);
 
   // Load security names for dropdown
@@ -121,6 +123,7 @@ const Bonus = () => {
       
       console.log('Mapped rows:', rows);
       setGridRows(rows);
+      setSaveStatus(null);
       setCurrentPage(1); // Reset to first page when new data is loaded
       
       if (rows.length === 0) {
@@ -134,6 +137,42 @@ const Bonus = () => {
     setIsFormSaved(true);
   };
 
+  const handleSaveAllocation = async () => {
+    setIsSaving(true);
+    setSaveStatus(null);
+    try {
+      const res = await tradesAPI.saveBonus({
+        securityName: form.securityName,
+        securityCode: form.securityCode,
+        shareUnit: form.shareUnit,
+        allottedUnit: form.allottedUnit,
+        recordDate: form.recordDate,
+        rows: gridRows.map((row) => ({
+          clientId: row.clientId,
+          stockName: row.stockName,
+          securityCode: row.securityCode,
+          currentQty: row.currentQty,
+          correctedQty: row.correctedQty,
+        })),
+      });
+      const { inserted = 0, updated = 0, skipped = [] } = res?.data || {};
+      setSaveStatus({
+        type: 'success',
+        message: `Saved bonus for ${inserted + updated} client(s)` +
+          (updated > 0 ? ` (${updated} updated)` : '') +
+          (skipped.length > 0 ? `, ${skipped.length} skipped` : ''),
+      });
+    } catch (err) {
+      console.error('Failed to save bonus allocation', err);
+      setSaveStatus({
+        type: 'error',
+        message: err?.response?.data?.message || 'Failed to save bonus allocation',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   // Pagination calculations
   const totalPages = Math.ceil((gridRows.length || 0) / itemsPerPage);
   const startIndex = (currentPage - 1) * itemsPerPage;
@@ -400,14 +439,24 @@ const Bonus = () => {
           )}
         </div>
 
+        {gridRows.length > 0 && (
+          <div className="allocation-actions">
+            {saveStatus && (
+              <p className={`save-status ${saveStatus.type}`}>{saveStatus.message}</p>
+            )}
+            <button
+              type="button"
+              className="btn-primary"
+              onClick={handleSaveAllocation}
+              disabled={isSaving}
+            >
+              {isSaving ? 'Saving...' : 'Save Allocation'}
+            </button>
+          </div>
+        )}
+
         <div className="custodian-upload">
-          <label htmlFor="custodianFile">Custodian File</label>
-          <input
-            id="custodianFile"
-            type="file"
-            onChange={(e) => setCustodianFile(e.target.files?.[0] || null)}
-          />
-          {custodianFile && <p className="file-name">{custodianFile.name}</p>}
+          <CustodianReconciliation focusCause="missing_bonus" />
         </div>
       </div>
       )}
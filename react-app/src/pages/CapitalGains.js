@@ -0,0 +1,276 @@
+import React, { useState, useEffect } from 'react';
+import { Receipt, Download, RefreshCw } from 'lucide-react';
+import { tradesAPI } from '../services/api';
+import SearchableSelect from '../components/SearchableSelect';
+import './CapitalGains.css';
+
+// Financial years run April to March; offer the current one and the last few
+const buildFinancialYears = (count = 8) => {
+  const today = new Date();
+  const currentStart = today.getMonth() >= 3 ? today.getFullYear() : today.getFullYear() - 1;
+  return Array.from({ length: count }, (_, i) => {
+    const start = currentStart - i;
+    return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+  });
+};
+
+const formatCurrency = (value) => {
+  const num = Number(value) || 0;
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  }).format(num);
+};
+
+const formatNumber = (value) => new Intl.NumberFormat('en-IN').format(Number(value) || 0);
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const CapitalGains = () => {
+  const financialYears = buildFinancialYears();
+  const [accountCodes, setAccountCodes] = useState([]);
+  const [accountCode, setAccountCode] = useState('');
+  const [clientId, setClientId] = useState(null);
+  const [fy, setFy] = useState(financialYears[0]);
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    tradesAPI.getAccountCodes()
+      .then((res) => {
+        const codes = res?.data?.data || res?.data || [];
+        setAccountCodes(Array.isArray(codes) ? [...new Set(codes)].sort() : []);
+      })
+      .catch((err) => {
+        console.error('[CapitalGains] Error fetching account codes:', err);
+        setError('Failed to load account codes');
+      });
+  }, []);
+
+  useEffect(() => {
+    if (!clientId) {
+      setReport(null);
+      return;
+    }
+    fetchReport(clientId, fy);
+  }, [clientId, fy]);
+
+  const fetchReport = async (id, year) => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await tradesAPI.getCapitalGains(id, year);
+      setReport(res.data);
+    } catch (err) {
+      console.error('[CapitalGains] Error fetching report:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to load capital gains');
+      setReport(null);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAccountCodeChange = async (code) => {
+    setAccountCode(code || '');
+    setClientId(null);
+    if (!code) return;
+    try {
+      const res = await tradesAPI.getClientIdByAccountCode(code);
+      if (!res?.data?.clientId) {
+        setError(`No client ID found for account code: ${code}`);
+        return;
+      }
+      setClientId(res.data.clientId);
+    } catch (err) {
+      console.error('[CapitalGains] Error resolving client ID:', err);
+      setError(`Failed to resolve client ID for account code: ${code}`);
+    }
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const res = await tradesAPI.exportCapitalGains(clientId, fy);
+      const url = window.URL.createObjectURL(new Blob([res.data]));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `capital_gains_${accountCode}_FY${fy}.xlsx`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error('[CapitalGains] Export failed:', err);
+      setError('Failed to export capital gains');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const summary = report?.summary;
+  const rows = report?.rows || [];
+
+  return (
+    <div className="capital-gains-page">
+      <div className="capital-gains-header">
+        <div className="capital-gains-title">
+          <Receipt size={24} />
+          <h1>Capital Gains</h1>
+        </div>
+        <button
+          className="capital-gains-export-btn"
+          onClick={handleExport}
+          disabled={!clientId || exporting || rows.length === 0}
+        >
+          <Download size={16} />
+          {exporting ? 'Exporting...' : 'Export to Excel'}
+        </button>
+      </div>
+
+      <div className="capital-gains-content">
+        <div className="capital-gains-filters">
+          <div className="capital-gains-filter">
+            <label htmlFor="capital-gains-account">Account Code</label>
+            <SearchableSelect
+              id="capital-gains-account"
+              label=""
+              value={accountCode}
+              onChange={handleAccountCodeChange}
+              options={accountCodes}
+              placeholder="Select account code"
+              searchPlaceholder="Search account code..."
+              description=""
+            />
+          </div>
+          <div className="capital-gains-filter">
+            <label htmlFor="capital-gains-fy">Financial Year</label>
+            <select
+              id="capital-gains-fy"
+              value={fy}
+              onChange={(e) => setFy(e.target.value)}
+              className="capital-gains-select"
+            >
+              {financialYears.map((year) => (
+                <option key={year} value={year}>FY {year}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {error && (
+          <div className="capital-gains-error">
+            <span>{error}</span>
+            {clientId && (
+              <button onClick={() => fetchReport(clientId, fy)}>
+                <RefreshCw size={14} /> Retry
+              </button>
+            )}
+          </div>
+        )}
+
+        {loading && <div className="capital-gains-loading">Calculating gains...</div>}
+
+        {!loading && summary && (
+          <div className="capital-gains-summary">
+            <div className="capital-gains-card">
+              <h4>Short Term (STCG)</h4>
+              <p className={summary.shortTerm.gain >= 0 ? 'profit' : 'loss'}>
+                {formatCurrency(summary.shortTerm.gain)}
+              </p>
+              <span>Sale value {formatCurrency(summary.shortTerm.saleValue)}</span>
+            </div>
+            <div className="capital-gains-card">
+              <h4>Long Term (LTCG)</h4>
+              <p className={summary.longTerm.gain >= 0 ? 'profit' : 'loss'}>
+                {formatCurrency(summary.longTerm.gain)}
+              </p>
+              <span>Sale value {formatCurrency(summary.longTerm.saleValue)}</span>
+            </div>
+            <div className="capital-gains-card">
+              <h4>Total Realised</h4>
+              <p className={summary.totalGain >= 0 ? 'profit' : 'loss'}>
+                {formatCurrency(summary.totalGain)}
+              </p>
+              <span>{report.fromDate} to {report.toDate}</span>
+            </div>
+          </div>
+        )}
+
+        {!loading && summary && summary.unmatchedRows > 0 && (
+          <div className="capital-gains-warning">
+            {summary.unmatchedRows} sale lot(s) exceed the recorded holding and are shown at zero cost.
+          </div>
+        )}
+
+        {!loading && report && (
+          rows.length === 0 ? (
+            <div className="capital-gains-empty">No sales in FY {report.financialYear}.</div>
+          ) : (
+            <div className="capital-gains-table-wrapper">
+              <table className="capital-gains-table">
+                <thead>
+                  <tr>
+                    <th>SALE DATE</th>
+                    <th>STOCK NAME</th>
+                    <th>ACQUIRED ON</th>
+                    <th>QUANTITY</th>
+                    <th>SALE VALUE</th>
+                    <th>COST</th>
+                    <th>HOLDING DAYS</th>
+                    <th>TERM</th>
+                    <th>GAIN</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rows.map((row, index) => (
+                    <tr key={`${row.sellRowId}-${index}`} className={row.unmatched ? 'unmatched-row' : ''}>
+                      <td>{formatDate(row.saleDate)}</td>
+                      <td>
+                        <strong>{row.securityName}</strong>
+                        {row.lotSource && row.lotSource !== 'BUY' && (
+                          <span className="capital-gains-source">{row.lotSource}</span>
+                        )}
+                      </td>
+                      <td>{formatDate(row.acquiredOn)}</td>
+                      <td className="number-cell">{formatNumber(row.qty)}</td>
+                      <td className="number-cell">{formatCurrency(row.saleValue)}</td>
+                      <td className="number-cell">
+                        {formatCurrency(row.costOfAcquisition)}
+                        {row.grandfathered && (
+                          <span className="capital-gains-grandfathered" title={`Approx. FMV on 31-Jan-2018 (closing price): ${formatCurrency(row.fmv31Jan2018)}`}>
+                            GF
+                          </span>
+                        )}
+                      </td>
+                      <td className="number-cell">{row.holdingDays ?? '-'}</td>
+                      <td>
+                        <span className={`capital-gains-term ${row.term.toLowerCase()}`}>{row.term}</span>
+                      </td>
+                      <td className={`number-cell ${row.gain >= 0 ? 'profit' : 'loss'}`}>
+                        {formatCurrency(row.gain)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {rows.some((row) => row.grandfathered) && (
+                <p className="capital-gains-note">GF: cost uses the 31-Jan-2018 FMV. {report.fmvBasis}.</p>
+              )}
+            </div>
+          )
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CapitalGains;
@@ -2,11 +2,14 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { tradesAPI } from '../services/api';
 import StatCard from '../components/StatCard';
 import Charts from '../components/Charts';
+import FeeAnalytics from '../components/FeeAnalytics';
 import FilterBar from '../components/FilterBar';
 import TradesTable from '../components/TradesTable';
 import ImportButton from '../components/ImportButton';
 import UploadProgressBanner from '../components/UploadProgressBanner';
-import { TrendingUp, DollarSign, Activity, BarChart3, Gift, Loader } from 'lucide-react';
+import { TrendingUp, DollarSign, Activity, BarChart3, Gift, Loader, LineChart } from 'lucide-react';
+
+const isFinished = (progress) => progress.stage === 'completed' || progress.stage === 'error';
 
 const Dashboard = () => {
   const [stats, setStats] = useState({});
@@ -64,9 +67,12 @@ const Dashboard = () => {
     }
   };
   const [loading, setLoading] = useState(true);
-  const [uploadProgress, setUploadProgress] = useState(null);
+  // Import the progress banner is following: { importId, message, onProgress }
+  const [activeImport, setActiveImport] = useState(null);
   const [isUploadingBonus, setIsUploadingBonus] = useState(false);
   const bonusFileInputRef = useRef(null);
+  const [isUploadingPrices, setIsUploadingPrices] = useState(false);
+  const priceFileInputRef = useRef(null);
 
   const fetchStats = useCallback(async () => {
     setLoading(true);
@@ -203,6 +209,30 @@ const Dashboard = () => {
     await uploadBonusFile(file);
   };
 
+  // Show an async import in the banner; onProgress sees each of its updates
+  const trackImportProgress = (importId, startMessage, onProgress) => {
+    setActiveImport({ importId, message: startMessage, onProgress });
+  };
+
+  const handleImportProgress = async (progressData) => {
+    const current = activeImport;
+    if (current && current.onProgress) {
+      current.onProgress(progressData);
+    }
+
+    if (isFinished(progressData)) {
+      // Clear after 2 seconds, unless another import has started since
+      setTimeout(() => {
+        setActiveImport((active) => (active === current ? null : active));
+      }, 2000);
+
+      // Refresh data on success
+      if (progressData.stage === 'completed') {
+        await handleImportSuccess();
+      }
+    }
+  };
+
   const uploadBonusFile = async (file) => {
     setIsUploadingBonus(true);
 
@@ -212,48 +242,12 @@ const Dashboard = () => {
 
       const response = await tradesAPI.importBonus(formData);
 
-      if (response.data.success) {
-        // Start polling for progress
-        const importId = response.data.importId;
-        if (importId) {
-          const progressInterval = setInterval(async () => {
-            try {
-              const progressResponse = await tradesAPI.getImportProgress(importId);
-              if (progressResponse.data.success) {
-                const progressData = progressResponse.data.progress;
-                setUploadProgress(progressData);
-                
-                // Stop polling if completed or error
-                if (progressData.stage === 'completed' || progressData.stage === 'error') {
-                  clearInterval(progressInterval);
-                  setIsUploadingBonus(false);
-                  // Clear progress after 2 seconds
-                  setTimeout(() => {
-                    setUploadProgress(null);
-                  }, 2000);
-                  
-                  // Refresh data on success
-                  if (progressData.stage === 'completed') {
-                    await handleImportSuccess();
-                  }
-                }
-              }
-            } catch (err) {
-              console.log('Progress polling error (ignored):', err.message);
-            }
-          }, 500); // Poll every 500ms
-
-          // Initialize progress immediately
-          setUploadProgress({
-            stage: 'uploading',
-            progress: 5,
-            message: 'File uploaded, starting bonus import...',
-            totalRows: 0,
-            processedRows: 0,
-            imported: 0,
-            errors: 0
-          });
-        }
+      if (response.data.success && response.data.importId) {
+        trackImportProgress(
+          response.data.importId,
+          'File uploaded, starting bonus import...',
+          (progressData) => isFinished(progressData) && setIsUploadingBonus(false)
+        );
       }
     } catch (error) {
       console.error('Bonus upload error:', error);
@@ -267,6 +261,46 @@ const Dashboard = () => {
     }
   };
 
+  const handlePriceFileSelect = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    // Bhavcopies are published as CSV
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      alert('Please select a bhavcopy CSV file (.csv)');
+      return;
+    }
+
+    if (file.size > 200 * 1024 * 1024) {
+      alert('File size must be less than 200MB');
+      return;
+    }
+
+    setIsUploadingPrices(true);
+    try {
+      const formData = new FormData();
+      formData.append('file', file);
+
+      const response = await tradesAPI.importPrices(formData);
+
+      if (response.data.success && response.data.importId) {
+        trackImportProgress(
+          response.data.importId,
+          'File uploaded, starting price import...',
+          (progressData) => isFinished(progressData) && setIsUploadingPrices(false)
+        );
+      }
+    } catch (error) {
+      console.error('Price upload error:', error);
+      alert(error.response?.data?.error || error.message || 'Failed to upload price file');
+      setIsUploadingPrices(false);
+    } finally {
+      if (priceFileInputRef.current) {
+        priceFileInputRef.current.value = '';
+      }
+    }
+  };
+
   const handleBonusButtonClick = () => {
     bonusFileInputRef.current?.click();
   };
@@ -290,9 +324,13 @@ const Dashboard = () => {
   return (
     <div className="dashboard-page">
       {/* MongoDB Upload Progress Banner */}
-      <UploadProgressBanner progress={uploadProgress} />
+      <UploadProgressBanner
+        importId={activeImport?.importId}
+        message={activeImport?.message}
+        onProgress={handleImportProgress}
+      />
       
-      <header className="app-header" style={{ marginTop: uploadProgress ? '60px' : '0' }}>
+      <header className="app-header" style={{ marginTop: activeImport ? '60px' : '0' }}>
         <div className="header-content">
           <div className="header-left">
             <div className="header-title">
@@ -305,7 +343,7 @@ const Dashboard = () => {
             <div className="header-buttons">
               <ImportButton 
                 onImportSuccess={handleImportSuccess}
-                onProgressUpdate={setUploadProgress}
+                onTrackImport={trackImportProgress}
               />
               <input
                 ref={bonusFileInputRef}
@@ -331,6 +369,31 @@ const Dashboard = () => {
                   </>
                 )}
               </button>
+              <input
+                ref={priceFileInputRef}
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handlePriceFileSelect}
+                style={{ display: 'none' }}
+              />
+              <button
+                className="upload-bonuses-button upload-prices-button"
+                onClick={() => priceFileInputRef.current?.click()}
+                disabled={isUploadingPrices}
+                title="Upload a bhavcopy CSV of closing prices"
+              >
+                {isUploadingPrices ? (
+                  <>
+                    <Loader className="spinning" size={20} />
+                    <span>Uploading...</span>
+                  </>
+                ) : (
+                  <>
+                    <LineChart size={20} />
+                    <span>Upload Prices</span>
+                  </>
+                )}
+              </button>
             </div>
           </div>
         </div>
@@ -384,6 +447,9 @@ const Dashboard = () => {
             {/* Charts */}
             <Charts stats={stats} />
 
+            {/* Fee ratios across clients */}
+            <FeeAnalytics />
+
             {/* Filters */}
             <FilterBar 
               filters={filters} 
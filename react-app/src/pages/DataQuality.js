@@ -0,0 +1,192 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { ShieldAlert, RefreshCw, Search } from 'lucide-react';
+import { tradesAPI } from '../services/api';
+import StockDetailModal from '../components/StockDetailModal';
+import './DataQuality.css';
+
+const ISSUE_LABELS = {
+  oversell: 'Oversells',
+  unknown_tran_type: 'Unknown Tran_Types',
+  zero_rate_buy: 'Zero-rate buys',
+  unmatched_bonus: 'Bonuses without holding',
+  missing_isin: 'Missing ISIN',
+};
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.error || err.response?.data?.message || err.message || fallback;
+
+const formatDate = (value) => {
+  if (!value) return '-';
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' });
+};
+
+const DataQuality = () => {
+  const [data, setData] = useState({ issues: [], summary: null, scannedAt: null });
+  const [type, setType] = useState('');
+  const [clientFilter, setClientFilter] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [scanning, setScanning] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  // Issue whose security is open in the StockDetailModal
+  const [drillDown, setDrillDown] = useState(null);
+
+  const clientId = /^\d+$/.test(clientFilter.trim()) ? clientFilter.trim() : '';
+
+  const fetchIssues = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await tradesAPI.getDataQualityIssues({ clientId });
+      setData({
+        issues: res.data?.issues || [],
+        summary: res.data?.summary || null,
+        scannedAt: res.data?.scannedAt || null,
+      });
+    } catch (err) {
+      console.error('[DataQuality] Error fetching issues:', err);
+      setError(errorMessage(err, 'Failed to load data-quality issues'));
+    } finally {
+      setLoading(false);
+    }
+  }, [clientId]);
+
+  useEffect(() => {
+    fetchIssues();
+  }, [fetchIssues]);
+
+  const handleScan = async () => {
+    try {
+      setScanning(true);
+      setError(null);
+      setNotice(null);
+      const res = await tradesAPI.scanDataQuality({ clientId });
+      const { clients, summary, failures } = res.data;
+      setNotice(
+        `Scanned ${clients} client${clients === 1 ? '' : 's'}: ${summary.issues} issue${summary.issues === 1 ? '' : 's'}` +
+          (failures.length > 0 ? `, ${failures.length} client(s) could not be replayed` : '') + '.'
+      );
+      await fetchIssues();
+    } catch (err) {
+      console.error('[DataQuality] Error scanning:', err);
+      setError(errorMessage(err, 'Scan failed'));
+    } finally {
+      setScanning(false);
+    }
+  };
+
+  const issues = type ? data.issues.filter((item) => item.type === type) : data.issues;
+
+  // Stable object: StockDetailModal refetches whenever its stock prop changes
+  const drillDownStock = useMemo(
+    () => (drillDown ? { stockName: drillDown.stockName, stockCode: drillDown.stockCode } : null),
+    [drillDown]
+  );
+
+  return (
+    <div className="data-quality-page">
+      <div className="data-quality-header">
+        <div className="data-quality-title">
+          <ShieldAlert size={28} />
+          <div>
+            <h1>Data Quality</h1>
+            <p>
+              {data.scannedAt ? `Last scan ${data.scannedAt}` : 'No scan has run yet.'}
+            </p>
+          </div>
+        </div>
+        <div className="data-quality-controls">
+          <div className="data-quality-search">
+            <Search size={16} />
+            <input
+              value={clientFilter}
+              onChange={(e) => setClientFilter(e.target.value)}
+              placeholder="Client ID (all clients)"
+            />
+          </div>
+          <button className="data-quality-scan-btn" onClick={handleScan} disabled={scanning}>
+            <RefreshCw size={16} className={scanning ? 'spinning' : ''} />
+            {scanning ? 'Scanning...' : clientId ? `Rescan client ${clientId}` : 'Scan all clients'}
+          </button>
+        </div>
+      </div>
+
+      {error && <div className="data-quality-error">{error}</div>}
+      {notice && <div className="data-quality-notice">{notice}</div>}
+
+      <div className="data-quality-cards">
+        <button className={`data-quality-card ${type === '' ? 'active' : ''}`} onClick={() => setType('')}>
+          <span className="data-quality-card-count">{data.summary?.issues ?? 0}</span>
+          <span className="data-quality-card-label">All issues</span>
+        </button>
+        {Object.entries(ISSUE_LABELS).map(([key, label]) => (
+          <button
+            key={key}
+            className={`data-quality-card ${type === key ? 'active' : ''}`}
+            onClick={() => setType(type === key ? '' : key)}
+          >
+            <span className="data-quality-card-count">{data.summary?.byType?.[key] ?? 0}</span>
+            <span className="data-quality-card-label">{label}</span>
+          </button>
+        ))}
+      </div>
+
+      <div className="data-quality-panel">
+        {loading ? (
+          <div className="data-quality-empty">Loading...</div>
+        ) : issues.length === 0 ? (
+          <div className="data-quality-empty">
+            {data.scannedAt ? 'No issues found.' : 'Run a scan to check every client for suspicious records.'}
+          </div>
+        ) : (
+          <table className="data-quality-table">
+            <thead>
+              <tr>
+                <th>ISSUE</th>
+                <th>CLIENT</th>
+                <th>DATE</th>
+                <th>SECURITY</th>
+                <th>QTY</th>
+                <th>DETAILS</th>
+              </tr>
+            </thead>
+            <tbody>
+              {issues.map((item, index) => (
+                <tr key={item.id || index}>
+                  <td>
+                    <span className={`data-quality-badge ${item.severity}`}>{ISSUE_LABELS[item.type] || item.type}</span>
+                  </td>
+                  <td>{item.clientId}</td>
+                  <td>{formatDate(item.date)}</td>
+                  <td>
+                    {item.stockName ? (
+                      <button className="data-quality-link" onClick={() => setDrillDown(item)}>
+                        {item.stockName}
+                      </button>
+                    ) : (
+                      '-'
+                    )}
+                    {item.isin && <div className="data-quality-isin">{item.isin}</div>}
+                  </td>
+                  <td>{item.qty ?? '-'}</td>
+                  <td className="data-quality-message">{item.message}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      <StockDetailModal
+        isOpen={!!drillDown}
+        onClose={() => setDrillDown(null)}
+        stock={drillDownStock}
+        clientId={drillDown ? String(drillDown.clientId) : null}
+      />
+    </div>
+  );
+};
+
+export default DataQuality;
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { History, RefreshCw, Undo2 } from 'lucide-react';
+import { tradesAPI } from '../services/api';
+import './ImportHistory.css';
+
+const STATUS_LABELS = {
+  running: 'Running',
+  completed: 'Completed',
+  failed: 'Failed',
+  rolled_back: 'Rolled back',
+};
+
+const formatNumber = (value) => new Intl.NumberFormat('en-IN').format(Number(value) || 0);
+
+const formatDateTime = (value) => {
+  if (!value) return '-';
+  const date = new Date(String(value).replace(' ', 'T'));
+  if (Number.isNaN(date.getTime())) return value;
+  return date.toLocaleString('en-IN', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const ImportHistory = () => {
+  const [jobs, setJobs] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [rollingBack, setRollingBack] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await tradesAPI.getImportJobs();
+      setJobs(res.data?.jobs || []);
+    } catch (err) {
+      console.error('[ImportHistory] Error fetching import jobs:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to load import history');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  const handleRollback = async (job) => {
+    const running = job.status === 'running';
+    const prompt = running
+      ? `"${job.fileName}" is still marked as running. If the import crashed, rolling back deletes whatever rows it inserted. Continue?`
+      : `Delete the ${formatNumber(job.inserted)} transactions inserted by "${job.fileName}"? Rows it updated keep their new values.`;
+    if (!window.confirm(prompt)) return;
+
+    try {
+      setRollingBack(job.importId);
+      setError(null);
+      setNotice(null);
+      const res = await tradesAPI.rollbackImportJob(job.importId, { force: running });
+      setNotice(`Rolled back "${job.fileName}": ${formatNumber(res.data?.deleted)} transactions deleted.`);
+      await fetchJobs();
+    } catch (err) {
+      console.error('[ImportHistory] Rollback failed:', err);
+      setError(err.response?.data?.error || err.message || 'Rollback failed');
+    } finally {
+      setRollingBack(null);
+    }
+  };
+
+  return (
+    <div className="import-history-page">
+      <div className="import-history-header">
+        <div className="import-history-title">
+          <History size={28} />
+          <h1>Import History</h1>
+        </div>
+        <button className="import-history-refresh-btn" onClick={fetchJobs} disabled={loading}>
+          <RefreshCw size={16} className={loading ? 'spinning' : ''} />
+          Refresh
+        </button>
+      </div>
+
+      {error && <div className="import-history-error">{error}</div>}
+      {notice && <div className="import-history-notice">{notice}</div>}
+
+      {!loading && jobs.length === 0 && !error ? (
+        <div className="import-history-empty">No imports recorded yet.</div>
+      ) : (
+        <div className="import-history-table-wrapper">
+          <table className="import-history-table">
+            <thead>
+              <tr>
+                <th>FILE</th>
+                <th>STATUS</th>
+                <th>UPLOADED BY</th>
+                <th>STARTED</th>
+                <th>FINISHED</th>
+                <th>ROWS</th>
+                <th>INSERTED</th>
+                <th>UPDATED</th>
+                <th>UNCHANGED</th>
+                <th>ERRORS</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map((job) => (
+                <React.Fragment key={job.importId}>
+                  <tr>
+                    <td>
+                      <div className="import-history-file">{job.fileName}</div>
+                      <div className="import-history-message">{job.message}</div>
+                    </td>
+                    <td>
+                      <span className={`import-status-badge ${job.status}`}>
+                        {STATUS_LABELS[job.status] || job.status}
+                      </span>
+                    </td>
+                    <td>{job.uploader || '-'}</td>
+                    <td>{formatDateTime(job.startedAt)}</td>
+                    <td>{formatDateTime(job.rolledBackAt || job.completedAt)}</td>
+                    <td className="number-cell">{formatNumber(job.totalRows)}</td>
+                    <td className="number-cell">{formatNumber(job.inserted)}</td>
+                    <td className="number-cell">{formatNumber(job.updated)}</td>
+                    <td className="number-cell">{formatNumber(job.skipped)}</td>
+                    <td className="number-cell">
+                      {job.errors > 0 && job.errorDetails.length > 0 ? (
+                        <button
+                          className="import-history-errors-btn"
+                          onClick={() => setExpanded(expanded === job.importId ? null : job.importId)}
+                        >
+                          {formatNumber(job.errors)}
+                        </button>
+                      ) : formatNumber(job.errors)}
+                    </td>
+                    <td>
+                      {job.status !== 'rolled_back' && job.inserted > 0 && (
+                        <button
+                          className="import-history-rollback-btn"
+                          onClick={() => handleRollback(job)}
+                          disabled={rollingBack !== null}
+                        >
+                          <Undo2 size={14} />
+                          {rollingBack === job.importId ? 'Rolling back...' : 'Rollback'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                  {expanded === job.importId && (
+                    <tr className="import-history-details-row">
+                      <td colSpan={11}>
+                        <ul>
+                          {job.errorDetails.map((detail, index) => (
+                            <li key={index}>{typeof detail === 'string' ? detail : JSON.stringify(detail)}</li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ImportHistory;
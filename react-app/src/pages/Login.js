@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+import { LogIn } from 'lucide-react';
+import { authAPI } from '../services/api';
+import './Login.css';
+
+const Login = ({ onLogin }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    try {
+      setSubmitting(true);
+      setError(null);
+      const user = await authAPI.login(email.trim(), password);
+      onLogin(user);
+    } catch (err) {
+      console.error('[Login] Sign-in failed:', err);
+      setError(err.response?.data?.message || err.message || 'Sign-in failed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="login-page">
+      <form className="login-card" onSubmit={handleSubmit}>
+        <h1>Sign in</h1>
+        <p>Use the account your administrator created for you.</p>
+
+        {error && <div className="login-error">{error}</div>}
+
+        <label htmlFor="login-email">Email</label>
+        <input
+          id="login-email"
+          type="email"
+          autoComplete="username"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          required
+        />
+
+        <label htmlFor="login-password">Password</label>
+        <input
+          id="login-password"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          required
+        />
+
+        <button type="submit" disabled={submitting}>
+          <LogIn size={16} />
+          {submitting ? 'Signing in...' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Login;
@@ -0,0 +1,394 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { FileCog, Plus, Trash2, Upload, Save } from 'lucide-react';
+import { tradesAPI } from '../services/api';
+import './MappingProfiles.css';
+
+const DATE_FORMAT_LABELS = {
+  auto: 'Automatic',
+  'YYYY-MM-DD': 'YYYY-MM-DD (2022-12-14)',
+  'DD-MM-YYYY': 'DD-MM-YYYY (14-12-2022)',
+  'MM-DD-YYYY': 'MM-DD-YYYY (12-14-2022)',
+  'DD-MMM-YYYY': 'DD-MMM-YYYY (14-Dec-2022)',
+  YYYYMMDD: 'YYYYMMDD (20221214)',
+};
+
+const NUMBER_LOCALE_LABELS = {
+  'en-IN': '1,23,456.78',
+  'en-US': '123,456.78',
+  'de-DE': '123.456,78',
+  'fr-FR': '123 456,78',
+};
+
+const emptyForm = () => ({
+  id: null,
+  name: '',
+  dateFormat: 'auto',
+  numberLocale: 'en-IN',
+  // Headers of the sample file: the profile's signature for auto-detection
+  headers: [],
+  // One row per header; column '' keeps the default header matching
+  aliases: [],
+  tranTypes: [],
+});
+
+const formFromProfile = (profile) => {
+  const aliasHeaders = Object.keys(profile.columnAliases || {});
+  const headers = profile.headers || [];
+  return {
+    id: profile.id,
+    name: profile.name,
+    dateFormat: profile.dateFormat,
+    numberLocale: profile.numberLocale,
+    headers,
+    aliases: [
+      ...headers.map((header) => ({ header, column: profile.columnAliases[header] || '', sample: null, defaultColumn: undefined })),
+      ...aliasHeaders
+        .filter((header) => !headers.includes(header))
+        .map((header) => ({ header, column: profile.columnAliases[header], sample: null, defaultColumn: undefined })),
+    ],
+    tranTypes: Object.entries(profile.tranTypeMap || {}).map(([from, to]) => ({ from, to })),
+  };
+};
+
+const MappingProfiles = () => {
+  const [profiles, setProfiles] = useState([]);
+  const [options, setOptions] = useState({ columns: [], dateFormats: [], numberLocales: [] });
+  const [form, setForm] = useState(emptyForm);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [inspecting, setInspecting] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const sampleInputRef = useRef(null);
+
+  const fetchProfiles = useCallback(async () => {
+    try {
+      setLoading(true);
+      const res = await tradesAPI.getMappingProfiles();
+      setProfiles(res.data?.profiles || []);
+      setOptions({
+        columns: res.data?.columns || [],
+        dateFormats: res.data?.dateFormats || [],
+        numberLocales: res.data?.numberLocales || [],
+      });
+    } catch (err) {
+      console.error('[MappingProfiles] Error fetching profiles:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to load mapping profiles');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchProfiles();
+  }, [fetchProfiles]);
+
+  const updateForm = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+
+  const updateAlias = (index, changes) => setForm((prev) => ({
+    ...prev,
+    aliases: prev.aliases.map((alias, i) => (i === index ? { ...alias, ...changes } : alias)),
+  }));
+
+  const updateTranType = (index, changes) => setForm((prev) => ({
+    ...prev,
+    tranTypes: prev.tranTypes.map((row, i) => (i === index ? { ...row, ...changes } : row)),
+  }));
+
+  const selectProfile = (profile) => {
+    setError(null);
+    setNotice(null);
+    setForm(formFromProfile(profile));
+  };
+
+  const newProfile = () => {
+    setError(null);
+    setNotice(null);
+    setForm(emptyForm());
+  };
+
+  // Read the headers of a sample file; they become the profile's signature
+  const handleSampleSelect = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    try {
+      setInspecting(true);
+      setError(null);
+      setNotice(null);
+      const formData = new FormData();
+      formData.append('file', file);
+      const res = await tradesAPI.inspectImportFile(formData);
+      const inspected = res.data?.headers || [];
+      setForm((prev) => {
+        const existing = new Map(prev.aliases.map((alias) => [alias.header, alias.column]));
+        return {
+          ...prev,
+          name: prev.name || file.name.replace(/\.[^.]+$/, ''),
+          headers: inspected.map((h) => h.header),
+          aliases: inspected.map((h) => ({
+            header: h.header,
+            column: existing.get(h.header) || '',
+            sample: h.sample,
+            defaultColumn: h.column,
+          })),
+        };
+      });
+      if (res.data?.profile && res.data.profile.id !== form.id) {
+        setNotice(`This file already matches the "${res.data.profile.name}" profile.`);
+      }
+    } catch (err) {
+      console.error('[MappingProfiles] Error reading sample file:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to read sample file');
+    } finally {
+      setInspecting(false);
+      if (sampleInputRef.current) sampleInputRef.current.value = '';
+    }
+  };
+
+  const handleSave = async () => {
+    const payload = {
+      name: form.name,
+      dateFormat: form.dateFormat,
+      numberLocale: form.numberLocale,
+      headers: form.headers,
+      columnAliases: Object.fromEntries(
+        form.aliases.filter((alias) => alias.header && alias.column).map((alias) => [alias.header, alias.column])
+      ),
+      tranTypeMap: Object.fromEntries(
+        form.tranTypes.filter((row) => row.from && row.to).map((row) => [row.from, row.to])
+      ),
+    };
+    try {
+      setSaving(true);
+      setError(null);
+      setNotice(null);
+      const res = form.id
+        ? await tradesAPI.updateMappingProfile(form.id, payload)
+        : await tradesAPI.createMappingProfile(payload);
+      setForm(formFromProfile(res.data.profile));
+      setNotice(`Saved "${res.data.profile.name}".`);
+      await fetchProfiles();
+    } catch (err) {
+      console.error('[MappingProfiles] Error saving profile:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to save mapping profile');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!form.id || !window.confirm(`Delete the "${form.name}" mapping profile?`)) return;
+    try {
+      setError(null);
+      await tradesAPI.deleteMappingProfile(form.id);
+      setNotice(`Deleted "${form.name}".`);
+      setForm(emptyForm());
+      await fetchProfiles();
+    } catch (err) {
+      console.error('[MappingProfiles] Error deleting profile:', err);
+      setError(err.response?.data?.error || err.message || 'Failed to delete mapping profile');
+    }
+  };
+
+  return (
+    <div className="mapping-profiles-page">
+      <div className="mapping-profiles-header">
+        <div className="mapping-profiles-title">
+          <FileCog size={28} />
+          <h1>Import Mapping Profiles</h1>
+        </div>
+        <button className="mapping-profiles-new-btn" onClick={newProfile}>
+          <Plus size={16} /> New profile
+        </button>
+      </div>
+
+      {error && <div className="mapping-profiles-error">{error}</div>}
+      {notice && <div className="mapping-profiles-notice">{notice}</div>}
+
+      <div className="mapping-profiles-content">
+        <aside className="mapping-profiles-list">
+          {loading && <div className="mapping-profiles-empty">Loading...</div>}
+          {!loading && profiles.length === 0 && (
+            <div className="mapping-profiles-empty">No profiles yet. Load a sample file to create one.</div>
+          )}
+          {profiles.map((profile) => (
+            <button
+              key={profile.id}
+              className={`mapping-profiles-list-item ${form.id === profile.id ? 'active' : ''}`}
+              onClick={() => selectProfile(profile)}
+            >
+              <span className="mapping-profiles-list-name">{profile.name}</span>
+              <span className="mapping-profiles-list-meta">
+                {profile.dateFormat} · {profile.headers.length} headers
+              </span>
+            </button>
+          ))}
+        </aside>
+
+        <section className="mapping-profiles-editor">
+          <div className="mapping-profiles-fields">
+            <div className="mapping-profiles-field">
+              <label htmlFor="profile-name">Name</label>
+              <input
+                id="profile-name"
+                value={form.name}
+                onChange={(e) => updateForm({ name: e.target.value })}
+                placeholder="e.g. Custodian X"
+              />
+            </div>
+            <div className="mapping-profiles-field">
+              <label htmlFor="profile-date-format">Date format</label>
+              <select
+                id="profile-date-format"
+                value={form.dateFormat}
+                onChange={(e) => updateForm({ dateFormat: e.target.value })}
+              >
+                {options.dateFormats.map((format) => (
+                  <option key={format} value={format}>{DATE_FORMAT_LABELS[format] || format}</option>
+                ))}
+              </select>
+            </div>
+            <div className="mapping-profiles-field">
+              <label htmlFor="profile-number-locale">Numbers</label>
+              <select
+                id="profile-number-locale"
+                value={form.numberLocale}
+                onChange={(e) => updateForm({ numberLocale: e.target.value })}
+              >
+                {options.numberLocales.map((locale) => (
+                  <option key={locale} value={locale}>{NUMBER_LOCALE_LABELS[locale] || locale}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="mapping-profiles-section-header">
+            <h3>Columns</h3>
+            <input
+              ref={sampleInputRef}
+              type="file"
+              accept=".xlsx,.xls,.xlsb,.csv"
+              onChange={handleSampleSelect}
+              style={{ display: 'none' }}
+            />
+            <button onClick={() => sampleInputRef.current?.click()} disabled={inspecting}>
+              <Upload size={14} /> {inspecting ? 'Reading...' : 'Load headers from sample file'}
+            </button>
+            <button onClick={() => updateForm({ aliases: [...form.aliases, { header: '', column: '', sample: null }] })}>
+              <Plus size={14} /> Add alias
+            </button>
+          </div>
+          {form.aliases.length === 0 ? (
+            <p className="mapping-profiles-hint">
+              Load a sample file so this profile is detected automatically for files with the same headers.
+            </p>
+          ) : (
+            <table className="mapping-profiles-table">
+              <thead>
+                <tr>
+                  <th>FILE HEADER</th>
+                  <th>SAMPLE</th>
+                  <th>TRANSACTION COLUMN</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {form.aliases.map((alias, index) => (
+                  <tr key={index}>
+                    <td>
+                      {form.headers.includes(alias.header) ? alias.header : (
+                        <input
+                          value={alias.header}
+                          onChange={(e) => updateAlias(index, { header: e.target.value })}
+                          placeholder="Header in file"
+                        />
+                      )}
+                    </td>
+                    <td className="mapping-profiles-sample">{alias.sample ?? ''}</td>
+                    <td>
+                      <select value={alias.column} onChange={(e) => updateAlias(index, { column: e.target.value })}>
+                        <option value="">
+                          {alias.defaultColumn === undefined
+                            ? 'Automatic'
+                            : `Automatic (${alias.defaultColumn || 'ignored'})`}
+                        </option>
+                        {options.columns.map((column) => (
+                          <option key={column} value={column}>{column}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td>
+                      {!form.headers.includes(alias.header) && (
+                        <button
+                          className="mapping-profiles-remove"
+                          onClick={() => updateForm({ aliases: form.aliases.filter((_, i) => i !== index) })}
+                          aria-label="Remove alias"
+                        >
+                          <Trash2 size={14} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="mapping-profiles-section-header">
+            <h3>Tran_Type translation</h3>
+            <button onClick={() => updateForm({ tranTypes: [...form.tranTypes, { from: '', to: '' }] })}>
+              <Plus size={14} /> Add code
+            </button>
+          </div>
+          {form.tranTypes.length === 0 ? (
+            <p className="mapping-profiles-hint">Codes in the file are imported as-is.</p>
+          ) : (
+            <table className="mapping-profiles-table">
+              <thead>
+                <tr>
+                  <th>CODE IN FILE</th>
+                  <th>IMPORT AS</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {form.tranTypes.map((row, index) => (
+                  <tr key={index}>
+                    <td>
+                      <input value={row.from} onChange={(e) => updateTranType(index, { from: e.target.value })} placeholder="e.g. BUY" />
+                    </td>
+                    <td>
+                      <input value={row.to} onChange={(e) => updateTranType(index, { to: e.target.value })} placeholder="e.g. BY-" />
+                    </td>
+                    <td>
+                      <button
+                        className="mapping-profiles-remove"
+                        onClick={() => updateForm({ tranTypes: form.tranTypes.filter((_, i) => i !== index) })}
+                        aria-label="Remove code"
+                      >
+                        <Trash2 size={14} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          <div className="mapping-profiles-actions">
+            {form.id && (
+              <button className="mapping-profiles-delete-btn" onClick={handleDelete}>
+                <Trash2 size={16} /> Delete
+              </button>
+            )}
+            <button className="mapping-profiles-save-btn" onClick={handleSave} disabled={saving || !form.name.trim()}>
+              <Save size={16} /> {saving ? 'Saving...' : 'Save profile'}
+            </button>
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default MappingProfiles;
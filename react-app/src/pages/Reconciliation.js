@@ -0,0 +1,18 @@
+import React from 'react';
+import { ClipboardCheck } from 'lucide-react';
+import CustodianReconciliation from '../components/CustodianReconciliation';
+import './Reconciliation.css';
+
+const Reconciliation = () => (
+  <div className="reconciliation-page">
+    <div className="reconciliation-header">
+      <ClipboardCheck size={28} />
+      <h1>Custodian Reconciliation</h1>
+    </div>
+    <div className="reconciliation-card">
+      <CustodianReconciliation />
+    </div>
+  </div>
+);
+
+export default Reconciliation;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useCallback, useMemo } from 'react';
+import { Fingerprint, Database, GitMerge, Link2, X, Search } from 'lucide-react';
+import { tradesAPI } from '../services/api';
+import './SecurityMaster.css';
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.error || err.response?.data?.message || err.message || fallback;
+
+const matchesSearch = (security, term) => {
+  if (!term) return true;
+  return [security.isin, security.name, security.code, ...security.aliases, ...security.codes, ...security.isins]
+    .some((value) => String(value || '').toLowerCase().includes(term));
+};
+
+const SecurityMaster = () => {
+  const [securities, setSecurities] = useState([]);
+  const [unresolved, setUnresolved] = useState([]);
+  const [search, setSearch] = useState('');
+  // Target for "assign" and "merge": the security picked in the table
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [securitiesRes, unresolvedRes] = await Promise.all([
+        tradesAPI.getSecurities(),
+        tradesAPI.getUnresolvedSecurities(),
+      ]);
+      setSecurities(Array.isArray(securitiesRes.data) ? securitiesRes.data : []);
+      setUnresolved(Array.isArray(unresolvedRes.data) ? unresolvedRes.data : []);
+    } catch (err) {
+      console.error('[SecurityMaster] Error fetching securities:', err);
+      setError(errorMessage(err, 'Failed to load security master'));
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  const selected = securities.find((security) => security.id === selectedId) || null;
+
+  const visible = useMemo(() => {
+    const term = search.trim().toLowerCase();
+    return securities.filter((security) => matchesSearch(security, term));
+  }, [securities, search]);
+
+  // Run a change, then reload both lists: an alias can resolve several unresolved names
+  const run = async (action, successMessage) => {
+    try {
+      setBusy(true);
+      setError(null);
+      setNotice(null);
+      const res = await action();
+      setNotice(typeof successMessage === 'function' ? successMessage(res.data) : successMessage);
+      await fetchAll();
+    } catch (err) {
+      console.error('[SecurityMaster] Error:', err);
+      setError(errorMessage(err, 'Request failed'));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleSeed = () =>
+    run(
+      () => tradesAPI.seedSecurities(),
+      (result) =>
+        `${result.securities} securities (${result.created} new, ${result.updated} updated). ` +
+        `${result.securityListMatched} Security_List rows matched, ${result.securityListUnmatched} unmatched.`
+    );
+
+  const removeAlias = (security, field, value) =>
+    run(
+      () => tradesAPI.updateSecurity(security.id, { [field]: security[field].filter((item) => item !== value) }),
+      `Removed "${value}" from ${security.name}.`
+    );
+
+  const assignAlias = (item) => {
+    if (!selected) return;
+    run(
+      () => tradesAPI.addSecurityAlias(selected.id, { name: item.name, code: item.code }),
+      `"${item.name || item.code}" now resolves to ${selected.name} (${selected.isin}).`
+    );
+  };
+
+  const mergeIntoSelected = (source) => {
+    if (!selected || source.id === selected.id) return;
+    const prompt =
+      `Merge ${source.name} (${source.isin}) into ${selected.name} (${selected.isin})? ` +
+      `${source.isin} and its names become aliases of ${selected.isin}.`;
+    if (!window.confirm(prompt)) return;
+    run(() => tradesAPI.mergeSecurities(selected.id, source.id), `Merged ${source.isin} into ${selected.isin}.`);
+  };
+
+  return (
+    <div className="security-master-page">
+      <div className="security-master-header">
+        <div className="security-master-title">
+          <Fingerprint size={28} />
+          <h1>Security Master</h1>
+        </div>
+        <button className="security-master-seed-btn" onClick={handleSeed} disabled={busy}>
+          <Database size={16} /> {busy ? 'Working...' : 'Seed from transactions'}
+        </button>
+      </div>
+      <p className="security-master-description">
+        Bonuses, splits, mergers, demergers and prices are matched to holdings by ISIN. Every name or code a
+        security appears under is an alias of its ISIN; names that match no ISIN are listed on the right.
+      </p>
+
+      {error && <div className="security-master-error">{error}</div>}
+      {notice && <div className="security-master-notice">{notice}</div>}
+
+      <div className="security-master-content">
+        <section className="security-master-panel">
+          <div className="security-master-toolbar">
+            <div className="security-master-search">
+              <Search size={16} />
+              <input
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                placeholder="Search ISIN, name, code or alias"
+              />
+            </div>
+            <span className="security-master-count">
+              {visible.length} of {securities.length}
+            </span>
+          </div>
+          {selected && (
+            <div className="security-master-selected">
+              Selected: <strong>{selected.name}</strong> ({selected.isin})
+              <button onClick={() => setSelectedId(null)} aria-label="Clear selection">
+                <X size={14} />
+              </button>
+            </div>
+          )}
+
+          {loading && securities.length === 0 ? (
+            <div className="security-master-empty">Loading...</div>
+          ) : securities.length === 0 ? (
+            <div className="security-master-empty">
+              The master is empty. Seed it from transactions to start matching by ISIN.
+            </div>
+          ) : (
+            <table className="security-master-table">
+              <thead>
+                <tr>
+                  <th>ISIN</th>
+                  <th>NAME</th>
+                  <th>CODE</th>
+                  <th>ALIASES</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {visible.map((security) => (
+                  <tr
+                    key={security.id}
+                    className={security.id === selectedId ? 'selected' : ''}
+                    onClick={() => setSelectedId(security.id)}
+                  >
+                    <td>
+                      <div className="security-master-isin">{security.isin}</div>
+                      {security.isins.map((isin) => (
+                        <span key={isin} className="security-master-chip muted">
+                          {isin}
+                        </span>
+                      ))}
+                    </td>
+                    <td>{security.name}</td>
+                    <td>{security.code}</td>
+                    <td>
+                      {[
+                        ...security.aliases.map((value) => ({ field: 'aliases', value })),
+                        ...security.codes.map((value) => ({ field: 'codes', value })),
+                      ].map(({ field, value }) => (
+                        <span key={`${field}-${value}`} className="security-master-chip">
+                          {value}
+                          <button
+                            onClick={(e) => {
+                              e.stopPropagation();
+                              removeAlias(security, field, value);
+                            }}
+                            disabled={busy}
+                            aria-label={`Remove ${value}`}
+                          >
+                            <X size={12} />
+                          </button>
+                        </span>
+                      ))}
+                    </td>
+                    <td>
+                      {selected && security.id !== selected.id && (
+                        <button
+                          className="security-master-action"
+                          onClick={(e) => {
+                            e.stopPropagation();
+                            mergeIntoSelected(security);
+                          }}
+                          disabled={busy}
+                          title={`Merge into ${selected.name}`}
+                        >
+                          <GitMerge size={14} /> Merge into selected
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </section>
+
+        <aside className="security-master-panel">
+          <h3>Unresolved names ({unresolved.length})</h3>
+          {unresolved.length === 0 ? (
+            <div className="security-master-empty">Every corporate-action and Security_List name resolves to an ISIN.</div>
+          ) : (
+            <>
+              <p className="security-master-hint">
+                {selected
+                  ? `Assign a name to ${selected.name} (${selected.isin}).`
+                  : 'Select a security in the table, then assign names to it.'}
+              </p>
+              <ul className="security-master-unresolved">
+                {unresolved.map((item) => (
+                  <li key={`${item.name}|${item.code}`}>
+                    <div>
+                      <div className="security-master-unresolved-name">
+                        {item.name || item.code}
+                        {item.name && item.code && <span> ({item.code})</span>}
+                      </div>
+                      <div className="security-master-unresolved-meta">
+                        {item.sources.join(', ')} · {item.references} record{item.references === 1 ? '' : 's'}
+                      </div>
+                    </div>
+                    <button
+                      className="security-master-action"
+                      onClick={() => assignAlias(item)}
+                      disabled={!selected || busy}
+                    >
+                      <Link2 size={14} /> Assign
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </aside>
+      </div>
+    </div>
+  );
+};
+
+export default SecurityMaster;
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import SearchableSelect from '../components/SearchableSelect';
+import CustodianReconciliation from '../components/CustodianReconciliation';
 import { tradesAPI } from '../services/api';
 import './Split.css';
 
@@ -22,11 +23,12 @@ const Split = () => {
     correctedQty: '',
   });
   const [gridRows, setGridRows] = useState([]);
-  const [custodianFile, setCustodianFile] = useState(null);
   const [securityOptions, setSecurityOptions] = useState([]);
   const [isLoadingOptions, setIsLoadingOptions] = useState(false);
   const [isFormSaved, setIsFormSaved] = useState(false);
   const [currentPage, setCurrentPage] = useState(1);
+  const [isSaving, setIsSaving] = useState(false);
+  const [saveStatus, setSaveStatus] = useState(null);
   const [itemsPerPage] = useState(10);
 
   // Load security names for dropdown
@@ -121,6 +123,7 @@ const Split = () => {
       
       console.log('Mapped rows:', rows);
       setGridRows(rows);
+      setSaveStatus(null);
       setCurrentPage(1); // Reset to first page when new data is loaded
       
       if (rows.length === 0) {
@@ -134,6 +137,33 @@ const Split = () => {
     setIsFormSaved(true);
   };
 
+  // A split is recorded once per security; the backend scales every client's open lots
+  const handleSaveSplit = async () => {
+    setIsSaving(true);
+    setSaveStatus(null);
+    try {
+      const res = await tradesAPI.saveSplit({
+        securityName: form.securityName,
+        securityCode: form.securityCode,
+        ratioFrom: form.shareUnit,
+        ratioTo: form.allottedUnit,
+        exDate: form.recordDate,
+      });
+      setSaveStatus({
+        type: 'success',
+        message: res?.data?.message || 'Split saved',
+      });
+    } catch (err) {
+      console.error('Failed to save split', err);
+      setSaveStatus({
+        type: 'error',
+        message: err?.response?.data?.message || 'Failed to save split',
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
   // Pagination calculations
   const totalPages = Math.ceil((gridRows.length || 0) / itemsPerPage);
   const startIndex = (currentPage - 1) * itemsPerPage;
@@ -253,15 +283,15 @@ const Split = () => {
               paginatedRows.map((row, idx) => {
                 // Calculate actual index in full array for correct updates
                 const actualIndex = startIndex + idx;
-                // Calculate Split Qty: (Current Qty / Share Unit) * Allotted Unit
+                // Every Share Unit old shares become Allotted Unit new shares
                 const currentQty = Number(row.currentQty) || 0;
                 const shareUnit = Number(row.shareUnit) || 1;
                 const allottedUnit = Number(row.allottedUnit) || 0;
-                const splitQty = shareUnit > 0 
+                const newQty = shareUnit > 0
                   ? Math.floor((currentQty / shareUnit) * allottedUnit)
-                  : 0;
-                // Calculate New Qty: Current Qty + Split Qty
-                const newQty = currentQty + splitQty;
+                  : currentQty;
+                // Split Qty: additional shares received
+                const splitQty = newQty - currentQty;
                 
                 return (
                   <div className="table-row" key={`${row.clientId}-${actualIndex}`}>
@@ -400,14 +430,22 @@ const Split = () => {
           )}
         </div>
 
+        <div className="allocation-actions">
+          {saveStatus && (
+            <p className={`save-status ${saveStatus.type}`}>{saveStatus.message}</p>
+          )}
+          <button
+            type="button"
+            className="btn-primary"
+            onClick={handleSaveSplit}
+            disabled={isSaving}
+          >
+            {isSaving ? 'Saving...' : 'Apply Split'}
+          </button>
+        </div>
+
         <div className="custodian-upload">
-          <label htmlFor="custodianFile">Custodian File</label>
-          <input
-            id="custodianFile"
-            type="file"
-            onChange={(e) => setCustodianFile(e.target.files?.[0] || null)}
-          />
-          {custodianFile && <p className="file-name">{custodianFile.name}</p>}
+          <CustodianReconciliation focusCause="unrecorded_split" />
         </div>
       </div>
       )}
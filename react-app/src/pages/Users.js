@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { UserCog, Plus, Save, X } from 'lucide-react';
+import { authAPI, ROLE_LABELS } from '../services/api';
+import './Users.css';
+
+const emptyForm = () => ({
+  email: '',
+  name: '',
+  password: '',
+  role: 'read_only',
+  rmId: '',
+  advisorId: '',
+  branchId: '',
+  active: true,
+});
+
+const formFromUser = (user) => ({
+  email: user.email,
+  name: user.name || '',
+  password: '',
+  role: user.role,
+  rmId: user.rmId || '',
+  advisorId: user.advisorId || '',
+  branchId: user.branchId || '',
+  active: user.active,
+});
+
+const assignmentText = (user) =>
+  [
+    user.rmId && `RM ${user.rmId}`,
+    user.advisorId && `Advisor ${user.advisorId}`,
+    user.branchId && `Branch ${user.branchId}`,
+  ]
+    .filter(Boolean)
+    .join(', ') || '-';
+
+/**
+ * User administration: create users, set their role and, for relationship
+ * managers, the RMID / ADVISORID / BRANCHID whose clients they may see.
+ */
+const Users = ({ currentUser }) => {
+  const [users, setUsers] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+  // 'new', a user id, or null when the form is closed
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const res = await authAPI.getUsers();
+      setUsers(Array.isArray(res.data) ? res.data : []);
+    } catch (err) {
+      console.error('[Users] Error fetching users:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to load users');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchUsers();
+  }, [fetchUsers]);
+
+  const openForm = (user) => {
+    setNotice(null);
+    setError(null);
+    setEditing(user ? user.id : 'new');
+    setForm(user ? formFromUser(user) : emptyForm());
+  };
+
+  const updateForm = (changes) => setForm((prev) => ({ ...prev, ...changes }));
+
+  const handleSubmit = async (event) => {
+    event.preventDefault();
+    const payload = { ...form };
+    // A blank password on edit keeps the current one
+    if (editing !== 'new' && !payload.password) delete payload.password;
+    try {
+      setSaving(true);
+      setError(null);
+      if (editing === 'new') {
+        await authAPI.createUser(payload);
+        setNotice(`Created ${payload.email}.`);
+      } else {
+        await authAPI.updateUser(editing, payload);
+        setNotice(`Saved ${payload.email}.`);
+      }
+      setEditing(null);
+      await fetchUsers();
+    } catch (err) {
+      console.error('[Users] Error saving user:', err);
+      setError(err.response?.data?.message || err.message || 'Failed to save user');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const isSelf = editing === currentUser.id;
+
+  return (
+    <div className="users-page">
+      <div className="users-header">
+        <div className="users-title">
+          <UserCog size={28} />
+          <div>
+            <h1>Users</h1>
+            <p>Relationship managers see only clients whose transactions carry one of their IDs.</p>
+          </div>
+        </div>
+        <button className="users-add-btn" onClick={() => openForm(null)} disabled={editing !== null}>
+          <Plus size={16} /> Add user
+        </button>
+      </div>
+
+      {error && <div className="users-error">{error}</div>}
+      {notice && <div className="users-notice">{notice}</div>}
+
+      {editing !== null && (
+        <form className="users-form" onSubmit={handleSubmit}>
+          <div className="users-form-grid">
+            <label>
+              Email
+              <input type="email" value={form.email} onChange={(e) => updateForm({ email: e.target.value })} required />
+            </label>
+            <label>
+              Name
+              <input value={form.name} onChange={(e) => updateForm({ name: e.target.value })} />
+            </label>
+            <label>
+              {editing === 'new' ? 'Password' : 'New password (optional)'}
+              <input
+                type="password"
+                autoComplete="new-password"
+                value={form.password}
+                onChange={(e) => updateForm({ password: e.target.value })}
+                required={editing === 'new'}
+                minLength={8}
+              />
+            </label>
+            <label>
+              Role
+              <select value={form.role} onChange={(e) => updateForm({ role: e.target.value })} disabled={isSelf}>
+                {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </label>
+            {form.role === 'relationship_manager' && (
+              <>
+                <label>
+                  RMID
+                  <input value={form.rmId} onChange={(e) => updateForm({ rmId: e.target.value })} inputMode="numeric" />
+                </label>
+                <label>
+                  ADVISORID
+                  <input value={form.advisorId} onChange={(e) => updateForm({ advisorId: e.target.value })} inputMode="numeric" />
+                </label>
+                <label>
+                  BRANCHID
+                  <input value={form.branchId} onChange={(e) => updateForm({ branchId: e.target.value })} inputMode="numeric" />
+                </label>
+              </>
+            )}
+            {editing !== 'new' && (
+              <label className="users-checkbox">
+                <input
+                  type="checkbox"
+                  checked={form.active}
+                  onChange={(e) => updateForm({ active: e.target.checked })}
+                  disabled={isSelf}
+                />
+                Active
+              </label>
+            )}
+          </div>
+          <div className="users-form-actions">
+            <button type="submit" className="users-add-btn" disabled={saving}>
+              <Save size={16} /> {saving ? 'Saving...' : 'Save'}
+            </button>
+            <button type="button" className="users-cancel-btn" onClick={() => setEditing(null)}>
+              <X size={16} /> Cancel
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="users-panel">
+        {loading ? (
+          <div className="users-empty">Loading...</div>
+        ) : users.length === 0 ? (
+          <div className="users-empty">No users yet.</div>
+        ) : (
+          <table className="users-table">
+            <thead>
+              <tr>
+                <th>EMAIL</th>
+                <th>NAME</th>
+                <th>ROLE</th>
+                <th>ASSIGNMENT</th>
+                <th>STATUS</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((user) => (
+                <tr key={user.id} className={user.active ? '' : 'inactive'}>
+                  <td>{user.email}</td>
+                  <td>{user.name || '-'}</td>
+                  <td>{ROLE_LABELS[user.role] || user.role}</td>
+                  <td>{user.role === 'relationship_manager' ? assignmentText(user) : '-'}</td>
+                  <td>{user.active ? 'Active' : 'Inactive'}</td>
+                  <td>
+                    <button className="users-link" onClick={() => openForm(user)} disabled={editing !== null}>
+                      Edit
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Users;
@@ -11,6 +11,78 @@ const api = axios.create({
   },
 });
 
+// Bearer token from /api/auth/login, kept across reloads
+const TOKEN_KEY = 'authToken';
+
+export const getAuthToken = () => window.localStorage.getItem(TOKEN_KEY);
+
+export const setAuthToken = (token) => {
+  if (token) {
+    window.localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    window.localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Event fired on window when the server rejects the token, so the app can show the login page
+export const AUTH_EXPIRED_EVENT = 'auth:expired';
+
+// Some calls use the global axios with an absolute URL, so authorise both clients
+[api, axios].forEach((client) => {
+  client.interceptors.request.use((config) => {
+    const token = getAuthToken();
+    if (token) config.headers.Authorization = `Bearer ${token}`;
+    return config;
+  });
+  client.interceptors.response.use(
+    (response) => response,
+    (error) => {
+      if (error.response?.status === 401 && getAuthToken()) {
+        setAuthToken(null);
+        window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+      }
+      return Promise.reject(error);
+    }
+  );
+});
+
+// Roles the server knows, with their display names
+export const ROLE_LABELS = {
+  admin: 'Admin',
+  operations: 'Operations',
+  relationship_manager: 'Relationship Manager',
+  read_only: 'Read-only',
+};
+
+// Roles that may import, seed and edit corporate actions
+export const canWrite = (user) => !!user && (user.role === 'admin' || user.role === 'operations');
+
+export const authAPI = {
+  login: async (email, password) => {
+    const res = await api.post('/api/auth/login', { email, password });
+    setAuthToken(res.data.token);
+    return res.data.user;
+  },
+
+  logout: () => setAuthToken(null),
+
+  // The signed-in user (role, RM assignment, visible client count)
+  getCurrentUser: () => api.get('/api/auth/me'),
+
+  // User administration (admin only)
+  getUsers: () => api.get('/api/auth/users'),
+  createUser: (payload) => api.post('/api/auth/users', payload),
+  updateUser: (id, payload) => api.put(`/api/auth/users/${id}`, payload),
+};
+
+// Query params shared by the Excel and CSV trade imports
+const importParams = (dryRun, profileId) => {
+  const params = {};
+  if (dryRun) params.dryRun = true;
+  if (profileId) params.profileId = profileId;
+  return params;
+};
+
 export const tradesAPI = {
   // Get all trades with filters -> map to backend /api/stocks
   getTrades: async (params = {}) => {
@@ -253,9 +325,11 @@ export const tradesAPI = {
     return { data: { data } };
   },
 
-  // Import trades from Excel file
-  importExcel: (formData) => {
+  // Import trades from Excel file; dryRun only validates and returns a row-level report.
+  // profileId picks a column-mapping profile ('none' for the default mapping); omitted, one is auto-detected
+  importExcel: (formData, { dryRun = false, profileId } = {}) => {
     return axios.post(`${API_ROOT}/api/import/excel`, formData, {
+      params: importParams(dryRun, profileId),
       headers: {
         'Content-Type': 'multipart/form-data',
       },
@@ -263,9 +337,10 @@ export const tradesAPI = {
     });
   },
 
-  // Import trades from CSV file (streaming, chunked processing)
-  importCSV: (formData) => {
+  // Import trades from CSV file (streaming, chunked processing); options as above
+  importCSV: (formData, { dryRun = false, profileId } = {}) => {
     return axios.post(`${API_ROOT}/api/import/csv`, formData, {
+      params: importParams(dryRun, profileId),
       headers: {
         'Content-Type': 'multipart/form-data',
       },
@@ -273,6 +348,43 @@ export const tradesAPI = {
     });
   },
 
+  // Resumable CSV upload: open a session, PUT each part with its SHA-256, then complete
+  createUpload: ({ fileName, fileSize, partSize }) => {
+    return axios.post(`${API_ROOT}/api/import/uploads`, { fileName, fileSize, partSize });
+  },
+
+  // Parts received so far, status and import id of an upload
+  getUpload: (uploadId) => {
+    return axios.get(`${API_ROOT}/api/import/uploads/${uploadId}`);
+  },
+
+  uploadPart: (uploadId, partNumber, data, checksum) => {
+    return axios.put(`${API_ROOT}/api/import/uploads/${uploadId}/parts/${partNumber}`, data, {
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'X-Checksum-SHA256': checksum,
+      },
+      timeout: 120000,
+    });
+  },
+
+  // Assemble and import (or only validate with dryRun); profileId as for importCSV
+  completeUpload: (uploadId, { dryRun = false, profileId } = {}) => {
+    return axios.post(`${API_ROOT}/api/import/uploads/${uploadId}/complete`, {}, {
+      params: importParams(dryRun, profileId),
+      timeout: 1800000,
+    });
+  },
+
+  // Restart a failed import of an upload after the last committed row
+  resumeUpload: (uploadId) => {
+    return axios.post(`${API_ROOT}/api/import/uploads/${uploadId}/resume`);
+  },
+
+  cancelUpload: (uploadId) => {
+    return axios.delete(`${API_ROOT}/api/import/uploads/${uploadId}`);
+  },
+
   // Import bonus from Excel file
   importBonus: (formData) => {
     return axios.post(`${API_ROOT}/api/import/bonus`, formData, {
@@ -283,6 +395,16 @@ export const tradesAPI = {
     });
   },
 
+  // Import closing prices (bhavcopy CSV) into the price master
+  importPrices: (formData) => {
+    return axios.post(`${API_ROOT}/api/import/prices`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+      timeout: 1800000,
+    });
+  },
+
   // Seed bonus data from Stocks-bouns.txt file
   seedBonus: async () => {
     return axios.post(`${API_ROOT}/api/import/seed/bonus`, {}, {
@@ -293,12 +415,62 @@ export const tradesAPI = {
     });
   },
 
+  // Persist a bonus allocation (form + per-client grid) into the Bonus table
+  saveBonus: (payload) => {
+    return api.post('/api/corporate-actions/bonus', payload);
+  },
+
+  // Persist a stock split (ratio + ex-date) into the Split table
+  saveSplit: (payload) => {
+    return api.post('/api/corporate-actions/split', payload);
+  },
+
   // Get import progress
   getImportProgress: (importId) => {
     // Must call the /api route with absolute base, not relative, to avoid 404s
     return axios.get(`${API_ROOT}/api/import/progress/${importId}`);
   },
 
+  // Saved column-mapping profiles, plus the columns/date formats/number locales they can use
+  getMappingProfiles: () => {
+    return axios.get(`${API_ROOT}/api/import/profiles`);
+  },
+
+  createMappingProfile: (profile) => {
+    return axios.post(`${API_ROOT}/api/import/profiles`, profile);
+  },
+
+  updateMappingProfile: (id, profile) => {
+    return axios.put(`${API_ROOT}/api/import/profiles/${id}`, profile);
+  },
+
+  deleteMappingProfile: (id) => {
+    return axios.delete(`${API_ROOT}/api/import/profiles/${id}`);
+  },
+
+  // Headers (with default matches and a sample value) of a file, and the profile detected for it
+  inspectImportFile: (formData) => {
+    return axios.post(`${API_ROOT}/api/import/profiles/inspect`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    });
+  },
+
+  // Import job history, newest first
+  getImportJobs: (limit) => {
+    const params = {};
+    if (limit) params.limit = limit;
+    return axios.get(`${API_ROOT}/api/import/jobs`, { params });
+  },
+
+  // Delete the transactions an import inserted; force clears a job stuck in "running"
+  rollbackImportJob: (importId, { force = false } = {}) => {
+    return axios.delete(`${API_ROOT}/api/import/jobs/${importId}`, {
+      params: force ? { force: true } : {},
+    });
+  },
+
   // Delete all trades
   deleteAll: () => {
     return api.delete('/trades/all');
@@ -320,6 +492,20 @@ export const tradesAPI = {
     return { data: { data: res.data || [] } };
   },
 
+  // XIRR for a client (portfolio) and each security, as of endDate
+  getXirr: (clientId, endDate) => {
+    const params = { clientId };
+    if (endDate) params.endDate = endDate;
+    return api.get('/api/stocks/holdings/xirr', { params });
+  },
+
+  // Time-weighted returns and daily valuation series for a client
+  getPerformance: (clientId, endDate) => {
+    const params = { clientId };
+    if (endDate) params.endDate = endDate;
+    return api.get('/api/stocks/performance', { params });
+  },
+
   // Get transaction history for a specific stock
   getStockTransactionHistory: async (clientId, stockName, endDate, stockCode) => {
     const params = { clientId };
@@ -331,6 +517,207 @@ export const tradesAPI = {
     const transactions = Array.isArray(res.data) ? res.data : [];
     return { data: { data: transactions } };
   },
+
+  // Realised capital gains (STCG/LTCG per FIFO lot) for a client and FY, e.g. '2023-24'
+  getCapitalGains: (clientId, fy) => {
+    return api.get('/api/reports/capital-gains', { params: { clientId, fy } });
+  },
+
+  // Capital gains schedule as an Excel file
+  exportCapitalGains: (clientId, fy) => {
+    return api.get('/api/reports/capital-gains/export', {
+      params: { clientId, fy },
+      responseType: 'blob',
+    });
+  },
+
+  // Cash ledger (income, expenses, capital flows, tax, trades) with running balance
+  getCashLedger: (clientId, { fromDate, endDate } = {}) => {
+    const params = { clientId };
+    if (fromDate) params.fromDate = fromDate;
+    if (endDate) params.endDate = endDate;
+    return api.get('/api/reports/cash-ledger', { params });
+  },
+
+  getDividends: (clientId, { fy, stockName, stockCode, endDate } = {}) => {
+    const params = { clientId };
+    if (fy) params.fy = fy;
+    if (stockName) params.stockName = stockName;
+    if (stockCode) params.stockCode = stockCode;
+    if (endDate) params.endDate = endDate;
+    return api.get('/api/reports/dividends', { params });
+  },
+
+  // Charges and fee ratio for one client, or every client when clientId is omitted
+  getFeeAnalytics: ({ clientId, fy, fromDate, endDate, threshold } = {}) => {
+    const params = {};
+    if (clientId) params.clientId = clientId;
+    if (fy) params.fy = fy;
+    if (fromDate) params.fromDate = fromDate;
+    if (endDate) params.endDate = endDate;
+    if (threshold) params.threshold = threshold;
+    return api.get('/api/reports/fees', { params });
+  },
+
+  // Break report for a custodian holdings file (client, ISIN, qty, as-of date);
+  // asOfDate is used for rows that carry no date of their own
+  reconcileHoldings: (file, asOfDate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (asOfDate) formData.append('asOfDate', asOfDate);
+    return api.post('/api/reconciliation/holdings', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+
+  exportReconciliation: (file, asOfDate) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (asOfDate) formData.append('asOfDate', asOfDate);
+    return api.post('/api/reconciliation/holdings/export', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      responseType: 'blob',
+    });
+  },
+
+  // ISIN security master: securities with their alias names/codes
+  getSecurities: () => {
+    return api.get('/api/securities');
+  },
+
+  // Build/refresh the master from Transaction ISINs and the Security_List
+  seedSecurities: () => {
+    return api.post('/api/securities/seed');
+  },
+
+  // Corporate-action and Security_List names that resolve to no ISIN
+  getUnresolvedSecurities: () => {
+    return api.get('/api/securities/unresolved');
+  },
+
+  updateSecurity: (id, payload) => {
+    return api.put(`/api/securities/${id}`, payload);
+  },
+
+  addSecurityAlias: (id, { name, code }) => {
+    return api.post(`/api/securities/${id}/aliases`, { name, code });
+  },
+
+  // Fold sourceId (its ISIN, names and codes) into targetId
+  mergeSecurities: (targetId, sourceId) => {
+    return api.post(`/api/securities/${targetId}/merge`, { sourceId });
+  },
+
+  // Issues stored by the last data-quality scan
+  getDataQualityIssues: ({ clientId, type } = {}) => {
+    const params = {};
+    if (clientId) params.clientId = clientId;
+    if (type) params.type = type;
+    return api.get('/api/data-quality/issues', { params });
+  },
+
+  // Rescan one client, or every client when clientId is omitted
+  scanDataQuality: ({ clientId, endDate } = {}) => {
+    const payload = {};
+    if (clientId) payload.clientId = clientId;
+    if (endDate) payload.endDate = endDate;
+    return api.post('/api/data-quality/scan', payload);
+  },
+
+  // Holdings from before a client's first transaction, replayed as lots at cost
+  getOpeningBalances: (clientId) => {
+    return api.get('/api/opening-balances', { params: { clientId } });
+  },
+
+  createOpeningBalance: (payload) => {
+    return api.post('/api/opening-balances', payload);
+  },
+
+  updateOpeningBalance: (id, payload) => {
+    return api.put(`/api/opening-balances/${id}`, payload);
+  },
+
+  deleteOpeningBalance: (id) => {
+    return api.delete(`/api/opening-balances/${id}`);
+  },
+
+  // File with client, ISIN, quantity, cost and acquisition date columns
+  importOpeningBalances: (file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post('/api/opening-balances/import', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+
+  // Audit log entries newest first; returns { entries, hasMore } (admin only)
+  getAuditLog: ({ user, action, fromDate, toDate, page = 1 } = {}) => {
+    const params = { page };
+    if (user) params.user = user;
+    if (action) params.action = action;
+    if (fromDate) params.fromDate = fromDate;
+    if (toDate) params.toDate = toDate;
+    return api.get('/api/audit', { params });
+  },
+
+  // Users and actions present in the audit log, for its filters
+  getAuditFilters: () => {
+    return api.get('/api/audit/filters');
+  },
+};
+
+/**
+ * Follow an import's progress. Uses the server-sent event stream and falls
+ * back to polling when the browser has no EventSource or the stream drops
+ * (e.g. the import runs on another server instance). onProgress gets every
+ * update; watching stops by itself after 'completed' or 'error', and the
+ * returned function stops it early.
+ */
+export const watchImportProgress = (importId, onProgress) => {
+  let stopped = false;
+  let source = null;
+  let timer = null;
+
+  const stop = () => {
+    stopped = true;
+    if (source) source.close();
+    if (timer) clearInterval(timer);
+  };
+
+  const deliver = (progress) => {
+    if (stopped) return;
+    onProgress(progress);
+    if (progress.stage === 'completed' || progress.stage === 'error') stop();
+  };
+
+  const poll = () => {
+    if (stopped || timer) return;
+    timer = setInterval(async () => {
+      try {
+        const response = await tradesAPI.getImportProgress(importId);
+        if (response.data.success) deliver(response.data.progress);
+      } catch (err) {
+        // Progress endpoint might not be available yet, ignore
+        console.log('Progress polling error (ignored):', err.message);
+      }
+    }, 500); // Poll every 500ms
+  };
+
+  if (typeof window.EventSource === 'function') {
+    // EventSource cannot send an Authorization header
+    const token = encodeURIComponent(getAuthToken() || '');
+    source = new window.EventSource(`${API_ROOT}/api/import/progress/${importId}/stream?access_token=${token}`);
+    source.addEventListener('progress', (event) => deliver(JSON.parse(event.data)));
+    source.onerror = () => {
+      source.close();
+      source = null;
+      poll();
+    };
+  } else {
+    poll();
+  }
+
+  return stop;
 };
 
 export default api;